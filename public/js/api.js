@@ -20,7 +20,11 @@ const API = {
             options.headers['Authorization'] = `Bearer ${token}`;
         }
 
-        if (data) {
+        if (data instanceof Blob) {
+            // File uploads are sent as the raw request body
+            options.headers['Content-Type'] = 'application/octet-stream';
+            options.body = data;
+        } else if (data) {
             options.body = JSON.stringify(data);
         }
 
@@ -42,12 +46,24 @@ const API = {
                 window.location.href = '/login.html';
                 return;
             }
-            throw new Error(result.error || `Server responded with ${response.status}`);
+            const error = new Error(result.error || `Server responded with ${response.status}`);
+            error.status = response.status;
+            error.code = result.code;
+            throw error;
         }
 
         return result;
     },
 
+    /**
+     * URL of a stream through a server route (proxy/stream, remux, transcode)
+     * Carries the auth token so the server knows whose provider connection it is
+     */
+    streamUrl(route, url) {
+        const token = localStorage.getItem('authToken');
+        return `/api/${route}?url=${encodeURIComponent(url)}${token ? `&token=${encodeURIComponent(token)}` : ''}`;
+    },
+
     // Sources
     sources: {
         getAll: () => API.request('GET', '/sources'),
@@ -58,10 +74,23 @@ const API = {
         delete: (id) => API.request('DELETE', `/sources/${id}`),
         toggle: (id) => API.request('POST', `/sources/${id}/toggle`),
         test: (id) => API.request('POST', `/sources/${id}/test`),
-        sync: (id) => API.request('POST', `/sources/${id}/sync`), // Manual sync
+        sync: (id) => API.request('POST', `/sources/${id}/sync`), // Manual sync (queued)
+        cancelSync: (id) => API.request('POST', `/sources/${id}/sync/cancel`), // Cancel queued or running sync
+        jobs: () => API.request('GET', '/sources/jobs'), // Queued and running syncs
         getStatus: () => API.request('GET', '/sources/status'), // Get all statuses
+        progressUrl: () => `/api/sources/status/events?token=${encodeURIComponent(localStorage.getItem('authToken') || '')}`, // Sync progress (SSE)
         estimate: (id) => API.request('GET', `/sources/${id}/estimate`), // Estimate M3U size
         estimateByUrl: (url, type) => API.request('POST', '/sources/estimate', { url, type }), // Estimate by URL (before creation)
+        upload: (file, { type, name }) => API.request('POST', `/sources/upload?${new URLSearchParams({ type, name, filename: file.name })}`, file),
+        replaceFile: (id, file) => API.request('POST', `/sources/${id}/upload?${new URLSearchParams({ filename: file.name })}`, file),
+        createFromPath: (data) => API.request('POST', '/sources/file', data), // { type, name, path, watchFile }
+        createLibrary: (data) => API.request('POST', '/sources/local', data), // { name, path }
+        history: (id) => API.request('GET', `/sources/${id}/history`), // Sync runs with change counts
+        rules: (id) => API.request('GET', `/sources/${id}/rules`), // Content rules (admin)
+        saveRules: (id, rules) => API.request('PUT', `/sources/${id}/rules`, { rules }),
+        previewRules: (id, rules) => API.request('POST', `/sources/${id}/rules/preview`, { rules }),
+        schedule: () => API.request('GET', '/sources/schedule'), // Upcoming scheduled syncs
+        accounts: () => API.request('GET', '/sources/accounts'), // Provider accounts with warnings (admin)
     },
 
     // Channels (hidden items)
@@ -95,6 +124,14 @@ const API = {
             API.request('GET', `/favorites/check?sourceId=${sourceId}&itemId=${itemId}&itemType=${itemType}`)
     },
 
+    // Custom channel numbers (per-user)
+    channelNumbers: {
+        getAll: () => API.request('GET', '/channel-numbers'),
+        // numbers: [{ sourceId, itemId, number }] - number null reverts to the provider's number
+        save: (numbers) => API.request('PUT', '/channel-numbers', { numbers }),
+        reset: () => API.request('DELETE', '/channel-numbers')
+    },
+
     // Proxy
     proxy: {
         // Xtream
@@ -137,7 +174,11 @@ const API = {
                 API.request('GET', `/proxy/xtream/${sourceId}/series_info?series_id=${seriesId}`),
             shortEpg: (sourceId, streamId) => API.request('GET', `/proxy/xtream/${sourceId}/short_epg?stream_id=${streamId}`),
             getStreamUrl: (sourceId, streamId, type = 'live', container = 'm3u8') =>
-                API.request('GET', `/proxy/xtream/${sourceId}/stream/${streamId}/${type}?container=${container}`)
+                API.request('GET', `/proxy/xtream/${sourceId}/stream/${streamId}/${type}?container=${container}`),
+            // Catch-up (tv_archive)
+            archive: (sourceId, streamId) => API.request('GET', `/proxy/xtream/${sourceId}/archive/${streamId}`),
+            getTimeshiftUrl: (sourceId, streamId, start, end, container = 'm3u8') =>
+                API.request('GET', `/proxy/xtream/${sourceId}/timeshift/${streamId}?start=${start}&end=${end}&container=${container}`)
         },
 
         // EPG
@@ -149,9 +190,35 @@ const API = {
         // Cache management
         cache: {
             clear: (sourceId) => API.request('DELETE', `/proxy/cache/${sourceId}`)
+        },
+
+        // Provider connection slots
+        connections: {
+            claim: (url, takeover = false) => API.request('POST', '/proxy/claim', { url, takeover }),
+
+            /**
+             * Reserve a connection before playback, offering to take over the oldest one when the account is full
+             * @returns {Promise<boolean>} false when the user doesn't take over
+             */
+            async reserve(url) {
+                try {
+                    await API.proxy.connections.claim(url);
+                } catch (err) {
+                    if (err.status !== 409) return true; // Playback doesn't depend on the check
+                    if (!confirm(`${err.message}\n\nTake over the oldest connection?`)) return false;
+                    await API.proxy.connections.claim(url, true);
+                }
+                return true;
+            }
         }
     },
 
+    // Local media libraries
+    library: {
+        // Sidecar subtitles of a movie/episode: [{ label, language, url }]
+        subtitles: (sourceId, itemId) => API.request('GET', `/library/${sourceId}/${itemId}/subtitles`)
+    },
+
     // Settings
     settings: {
         get: () => API.request('GET', '/settings'),
@@ -160,6 +227,79 @@ const API = {
         getDefaults: () => API.request('GET', '/settings/defaults')
     },
 
+    // Recordings (DVR)
+    recordings: {
+        getAll: (status = null) => API.request('GET', `/recordings${status ? `?status=${status}` : ''}`),
+        getById: (id) => API.request('GET', `/recordings/${id}`),
+        create: (data) => API.request('POST', '/recordings', data),
+
+        /**
+         * Schedule a recording, offering to take over the oldest provider connection
+         * when a programme that is on now can't start because the account is full
+         */
+        async schedule(data) {
+            try {
+                return await API.recordings.create(data);
+            } catch (err) {
+                if (err.code !== 'CONNECTION_LIMIT' || !confirm(`${err.message}\n\nTake over the oldest connection to record?`)) throw err;
+                return API.recordings.create({ ...data, takeover: true });
+            }
+        },
+        update: (id, data) => API.request('PUT', `/recordings/${id}`, data),
+        stop: (id) => API.request('POST', `/recordings/${id}/stop`),
+        delete: (id) => API.request('DELETE', `/recordings/${id}`),
+        // <video> can't send auth headers, so the token goes in the query string
+        getStreamUrl: (id) => `/api/recordings/${id}/stream?token=${encodeURIComponent(localStorage.getItem('authToken') || '')}`
+    },
+
+    // EPG mappings (admin only)
+    epgMappings: {
+        getAll: (sourceId) => API.request('GET', `/epg-mappings?sourceId=${sourceId}`),
+        save: (sourceId, itemId, epgChannelId) => API.request('PUT', '/epg-mappings', { sourceId, itemId, epgChannelId }),
+        remove: (sourceId, itemId) => API.request('DELETE', '/epg-mappings', { sourceId, itemId })
+    },
+
+    // Channel overrides (custom name, logo and group that survive resyncs, admin only)
+    channelOverrides: {
+        getAll: (sourceId) => API.request('GET', `/channel-overrides?sourceId=${sourceId}`),
+        // fields: { name, logo, group } - empty values fall back to the provider's
+        save: (sourceId, itemId, fields) => API.request('PUT', '/channel-overrides', { sourceId, itemId, ...fields }),
+        uploadLogo: (sourceId, itemId, file) => API.request('POST', `/channel-overrides/logo?${new URLSearchParams({ sourceId, itemId, filename: file.name })}`, file),
+        remove: (sourceId, itemId) => API.request('DELETE', '/channel-overrides', { sourceId, itemId })
+    },
+
+    // Merged channels (same channel from several sources, with failover)
+    mergedChannels: {
+        getAll: () => API.request('GET', '/merged-channels'),
+        create: (name, streams) => API.request('POST', '/merged-channels', { name, streams }),
+        update: (id, data) => API.request('PUT', `/merged-channels/${id}`, data),
+        delete: (id) => API.request('DELETE', `/merged-channels/${id}`)
+    },
+
+    // Stream health checker results
+    streamHealth: {
+        getAll: (sourceId = null) => API.request('GET', `/stream-health${sourceId ? `?sourceId=${sourceId}` : ''}`),
+        getReport: () => API.request('GET', '/stream-health/report'),
+        getStatus: () => API.request('GET', '/stream-health/status'),
+        check: (sourceId = null) => API.request('POST', '/stream-health/check', { sourceId })
+    },
+
+    // Playlist export for external players
+    export: {
+        getToken: () => API.request('GET', '/export/token'),
+        // Revokes every export link handed out before
+        regenerateToken: () => API.request('POST', '/export/token/regenerate')
+    },
+
+    // Global search over channels, movies, series and the EPG
+    // options: { limit (per type), types: ['channel', 'movie', 'series', 'programme'] }
+    search: (q, options = {}) => {
+        const params = new URLSearchParams({ q });
+        if (options.limit) params.set('limit', options.limit);
+        if (options.types) params.set('types', options.types.join(','));
+        return API.request('GET', `/search?${params}`);
+    },
+
     // Users (admin only)
     users: {
         getAll: () => API.request('GET', '/auth/users'),
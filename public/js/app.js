@@ -13,6 +13,7 @@ class App {
         this.channelList = new ChannelList();
         this.sourceManager = new SourceManager();
         this.epgGuide = new EpgGuide();
+        this.globalSearch = new GlobalSearch(this);
 
         // Initialize page controllers
         this.pages.home = new HomePage(this);
@@ -29,6 +30,7 @@ class App {
     async init() {
         // Check authentication first
         await this.checkAuth();
+        this.checkAccountWarnings();
 
         // Mobile menu toggle
         const mobileMenuToggle = document.getElementById('mobile-menu-toggle');
@@ -205,6 +207,44 @@ class App {
         }
     }
 
+    /**
+     * Warn admins about provider accounts that need attention (expiring, disabled, no free connections)
+     */
+    async checkAccountWarnings() {
+        if (this.currentUser?.role !== 'admin') return;
+        try {
+            this.renderAccountBanner(await API.sources.accounts());
+        } catch (err) {
+            console.warn('Could not check provider accounts:', err.message);
+        }
+    }
+
+    /**
+     * Show account warnings in the banner (stays hidden once dismissed, until the warnings change)
+     */
+    renderAccountBanner(accounts) {
+        const banner = document.getElementById('account-banner');
+        if (!banner || this.currentUser?.role !== 'admin') return;
+
+        const lines = accounts
+            .filter(account => account.enabled)
+            .flatMap(account => account.warnings.map(w => `${account.source_name}: ${w.message}`));
+        const key = lines.join('\n');
+
+        if (lines.length === 0 || sessionStorage.getItem('accountBannerDismissed') === key) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        banner.innerHTML = '<span class="app-banner-text"></span><button class="btn btn-sm btn-secondary">Dismiss</button>';
+        banner.querySelector('.app-banner-text').textContent = `⚠ Provider accounts: ${lines.join(' · ')}`;
+        banner.querySelector('button').addEventListener('click', () => {
+            sessionStorage.setItem('accountBannerDismissed', key);
+            banner.classList.add('hidden');
+        });
+        banner.classList.remove('hidden');
+    }
+
     addLogoutButton() {
         const navbar = document.querySelector('.navbar-menu');
         if (!navbar || document.getElementById('logout-btn')) return;
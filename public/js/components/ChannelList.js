@@ -19,6 +19,9 @@ class ChannelList {
         this._userExpandedGroups = new Set(); // Track groups user has explicitly expanded
         this.favorites = []; // Array of favorite objects
         this.visibleFavorites = new Set(); // Set<"sourceId:channelId">
+        this.channelNumbers = new Map(); // Map<"sourceId:streamId", number> (user-assigned)
+        this.mergedChannels = []; // Same channel from several sources (failover order)
+        this.streamHealth = new Map(); // Map<"sourceId:streamId", health check result>
         this.currentChannel = null;
         this.sources = [];
         this.isLoading = false;
@@ -258,7 +261,7 @@ class ChannelList {
                 this._lastCacheMinute = currentMinute;
             }
 
-            const program = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name);
+            const program = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name, channel.tvgShift);
             const result = program ? program.title : null;
 
             this._programInfoCache.set(cacheKey, result);
@@ -304,10 +307,12 @@ class ChannelList {
         // Filter and Group channels
         const groupedChannels = {};
 
-        // 1. Filter
-        this.filteredChannels = this.channels;
+        // 1. Filter (backup streams of merged channels are not listed, dead channels optionally)
+        const hideDead = window.app?.player?.settings?.hideDeadChannels;
+        const listedChannels = this.channels.filter(ch => !ch.mergedInto && !(hideDead && this.isDead(ch)));
+        this.filteredChannels = listedChannels;
         if (searchTerm) {
-            this.filteredChannels = this.channels.filter(ch =>
+            this.filteredChannels = listedChannels.filter(ch =>
                 String(ch.name ?? "").toLowerCase().includes(searchTerm) ||
                 String(ch.groupTitle ?? "").toLowerCase().includes(searchTerm)
             );
@@ -325,7 +330,7 @@ class ChannelList {
         });
 
         // 3. Add Favorites
-        const favoritedChannels = this.channels.filter(ch => this.isFavorite(ch.sourceId, ch.id));
+        const favoritedChannels = listedChannels.filter(ch => this.isFavorite(ch.sourceId, ch.id));
         if (favoritedChannels.length > 0) {
             favoritedChannels.sort((a, b) => a.name.localeCompare(b.name));
             groupedChannels['Favorites'] = favoritedChannels;
@@ -509,10 +514,11 @@ class ChannelList {
                data-url="${channel.url || ''}"
                data-render-id="${renderId}"
                data-render-group="${renderGroup}">
+            <span class="channel-number">${channel.number ?? ''}</span>
             <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" 
                  alt="" onerror="this.onerror=null;this.src='/img/placeholder.png'">
             <div class="channel-info">
-              <div class="channel-name">${this.escapeHtml(channel.name)}</div>
+              <div class="channel-name">${this.escapeHtml(channel.name)}${this.getHealthBadge(channel)}</div>
               <div class="channel-program">${this.escapeHtml(this.getProgramInfo(channel) || '')}</div>
             </div>
             <button class="favorite-btn ${isFavorite ? 'active' : ''}" title="${isFavorite ? 'Remove from Favorites' : 'Add to Favorites'}">
@@ -622,10 +628,11 @@ class ChannelList {
                data-url="${channel.url || ''}"
                data-render-id="${renderId}"
                data-render-group="${renderGroup}">
+            <span class="channel-number">${channel.number ?? ''}</span>
             <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" 
                  alt="" onerror="this.onerror=null;this.src='/img/placeholder.png'">
             <div class="channel-info">
-              <div class="channel-name">${this.escapeHtml(channel.name)}</div>
+              <div class="channel-name">${this.escapeHtml(channel.name)}${this.getHealthBadge(channel)}</div>
               <div class="channel-program">${this.escapeHtml(this.getProgramInfo(channel) || '')}</div>
             </div>
             <button class="favorite-btn ${isFavorite ? 'active' : ''}" title="${isFavorite ? 'Remove from Favorites' : 'Add to Favorites'}">
@@ -665,6 +672,7 @@ class ChannelList {
             this.sourceSelect.innerHTML = '<option value="">All Sources</option>';
 
             const xtreamSources = this.sources.filter(s => s.type === 'xtream' && s.enabled);
+            const stalkerSources = this.sources.filter(s => s.type === 'stalker' && s.enabled);
             const m3uSources = this.sources.filter(s => s.type === 'm3u' && s.enabled);
 
             if (xtreamSources.length > 0) {
@@ -679,6 +687,18 @@ class ChannelList {
                 this.sourceSelect.appendChild(optgroup);
             }
 
+            if (stalkerSources.length > 0) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = 'Stalker';
+                stalkerSources.forEach(s => {
+                    const option = document.createElement('option');
+                    option.value = `stalker:${s.id}`;
+                    option.textContent = s.name;
+                    optgroup.appendChild(option);
+                });
+                this.sourceSelect.appendChild(optgroup);
+            }
+
             if (m3uSources.length > 0) {
                 const optgroup = document.createElement('optgroup');
                 optgroup.label = 'M3U';
@@ -718,18 +738,23 @@ class ChannelList {
         try {
             this.container.innerHTML = '<div class="loading"></div>';
 
-            if (type === 'xtream') {
-                await this.loadXtreamChannels(parseInt(id));
+            if (type === 'xtream' || type === 'stalker') {
+                await this.loadXtreamChannels(parseInt(id), false, type);
             } else if (type === 'm3u') {
                 await this.loadM3uChannels(parseInt(id));
             }
 
-            // Load hidden items and favorites
+            // Load hidden items, favorites and channel numbers
             await Promise.all([
                 this.loadHiddenItems(),
-                this.loadFavorites()
+                this.loadFavorites(),
+                this.loadChannelNumbers(),
+                this.loadMergedChannels(),
+                this.loadStreamHealth()
             ]);
 
+            this.applyMergedChannels();
+            this.applyChannelNumbers();
             this.render();
         } catch (err) {
             console.error('Error loading channels:', err);
@@ -750,21 +775,31 @@ class ChannelList {
             this.container.innerHTML = '<div class="loading"></div>';
 
             const xtreamSources = this.sources.filter(s => s.type === 'xtream' && s.enabled);
+            const stalkerSources = this.sources.filter(s => s.type === 'stalker' && s.enabled);
             const m3uSources = this.sources.filter(s => s.type === 'm3u' && s.enabled);
-            console.log('[ChannelList] loadAllChannels: xtream=', xtreamSources.length, 'm3u=', m3uSources.length);
+            console.log('[ChannelList] loadAllChannels: xtream=', xtreamSources.length, 'stalker=', stalkerSources.length, 'm3u=', m3uSources.length);
 
             for (const source of xtreamSources) {
                 await this.loadXtreamChannels(source.id, true);
             }
 
+            for (const source of stalkerSources) {
+                await this.loadXtreamChannels(source.id, true, 'stalker');
+            }
+
             for (const source of m3uSources) {
                 await this.loadM3uChannels(source.id, true);
             }
 
             await Promise.all([
                 this.loadHiddenItems(),
-                this.loadFavorites()
+                this.loadFavorites(),
+                this.loadChannelNumbers(),
+                this.loadMergedChannels(),
+                this.loadStreamHealth()
             ]);
+            this.applyMergedChannels();
+            this.applyChannelNumbers();
             this.render();
         } catch (err) {
             console.error('Error loading all channels:', err);
@@ -773,8 +808,9 @@ class ChannelList {
 
     /**
      * Load Xtream channels
+     * Stalker portals are synced in Xtream format and load the same way
      */
-    async loadXtreamChannels(sourceId, append = false) {
+    async loadXtreamChannels(sourceId, append = false, sourceType = 'xtream') {
         if (!append) {
             this.channels = [];
             this.groups = [];
@@ -785,26 +821,31 @@ class ChannelList {
 
         // Map categories to groups
         const categoryGroups = categories.map(cat => ({
-            id: `xtream_${sourceId}_${cat.category_id}`,
+            id: `${sourceType}_${sourceId}_${cat.category_id}`,
             name: cat.category_name,
             sourceId,
-            sourceType: 'xtream'
+            sourceType
         }));
 
         this.groups = this.groups.concat(categoryGroups);
 
         // Map streams to channels
         const channelList = streams.map(stream => ({
-            id: `xtream_${sourceId}_${stream.stream_id}`,
+            id: `${sourceType}_${sourceId}_${stream.stream_id}`,
             streamId: stream.stream_id,
             name: stream.name,
             tvgId: stream.epg_channel_id,
             tvgLogo: stream.stream_icon,
-            groupId: `xtream_${sourceId}_${stream.category_id}`,
+            groupId: `${sourceType}_${sourceId}_${stream.category_id}`,
             // Use string comparison to handle type mismatches (number vs string category_id)
             groupTitle: categories.find(c => String(c.category_id) === String(stream.category_id))?.category_name || 'Uncategorized',
+            // Catch-up support (days of archive kept by the provider)
+            tvArchive: String(stream.tv_archive) === '1',
+            tvArchiveDuration: parseInt(stream.tv_archive_duration) || 0,
+            // Provider channel number (Xtream "num")
+            providerNumber: parseInt(stream.num) || null,
             sourceId,
-            sourceType: 'xtream'
+            sourceType
         }));
 
         this.channels = this.channels.concat(channelList);
@@ -842,8 +883,17 @@ class ChannelList {
             tvgId: stream.epg_channel_id,
             tvgLogo: stream.stream_icon,
             url: stream.stream_url, // M3U has direct URLs
+            // Request headers from the playlist (played through the proxy)
+            httpHeaders: stream.httpHeaders || null,
             groupId: `m3u_${sourceId}_${stream.category_id}`,
             groupTitle: categories.find(c => String(c.category_id) === String(stream.category_id))?.category_name || 'Uncategorized',
+            // Provider channel number (tvg-chno)
+            providerNumber: parseInt(stream.tvgChno) || null,
+            // Catch-up (from catchup/catchup-days, stored in Xtream format at sync)
+            tvArchive: String(stream.tv_archive) === '1',
+            tvArchiveDuration: parseInt(stream.tv_archive_duration) || 0,
+            // EPG offset in hours (tvg-shift)
+            tvgShift: parseFloat(stream.tvgShift) || 0,
             sourceId,
             sourceType: 'm3u'
         }));
@@ -887,6 +937,270 @@ class ChannelList {
         }
     }
 
+    /**
+     * Load user-assigned channel numbers
+     */
+    async loadChannelNumbers() {
+        try {
+            const items = await API.channelNumbers.getAll();
+            this.channelNumbers = new Map(items.map(i => [`${i.source_id}:${i.item_id}`, i.number]));
+        } catch (err) {
+            console.error('Error loading channel numbers:', err);
+        }
+    }
+
+    /**
+     * Assign a unique number to every channel and sort channels by it
+     * Priority: user-assigned number, provider number (tvg-chno / Xtream num), then
+     * the next free number after the highest one in use
+     */
+    applyChannelNumbers() {
+        const taken = new Set();
+
+        this.channels.forEach(ch => {
+            ch.number = this.channelNumbers.get(`${ch.sourceId}:${ch.streamId}`) ?? null;
+            if (ch.number !== null) taken.add(ch.number);
+        });
+
+        // Provider numbers can collide across sources - first one wins
+        this.channels.forEach(ch => {
+            if (ch.number === null && ch.providerNumber && !taken.has(ch.providerNumber)) {
+                ch.number = ch.providerNumber;
+                taken.add(ch.number);
+            }
+        });
+
+        let next = taken.size > 0 ? Math.max(...taken) + 1 : 1;
+        this.channels.forEach(ch => {
+            if (ch.number === null) {
+                ch.number = next++;
+            }
+        });
+
+        this.channels.sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Load merged channels
+     */
+    async loadMergedChannels() {
+        try {
+            this.mergedChannels = await API.mergedChannels.getAll();
+        } catch (err) {
+            console.error('Error loading merged channels:', err);
+        }
+    }
+
+    /**
+     * Collapse merged channels into one logical channel
+     * The first loaded, visible stream becomes the channel; the others are kept as
+     * backups in channel.streams (priority order) and left out of the list
+     */
+    applyMergedChannels() {
+        const byKey = new Map();
+        this.channels.forEach(ch => {
+            if (ch.originalName) ch.name = ch.originalName;
+            delete ch.streams;
+            delete ch.mergedInto;
+            delete ch.originalName;
+            byKey.set(`${ch.sourceId}:${ch.streamId}`, ch);
+        });
+
+        for (const merged of this.mergedChannels) {
+            const members = merged.streams
+                .map(s => byKey.get(`${s.source_id}:${s.item_id}`))
+                .filter(ch => ch && !this.isHidden('channel', ch.sourceId, ch.streamId));
+            if (members.length < 2) continue;
+
+            const [primary, ...backups] = members;
+            primary.streams = members;
+            primary.originalName = primary.name;
+            primary.name = merged.name;
+            backups.forEach(ch => ch.mergedInto = primary.id);
+        }
+    }
+
+    /**
+     * Load stream health check results
+     */
+    async loadStreamHealth() {
+        try {
+            const items = await API.streamHealth.getAll();
+            this.streamHealth = new Map(items.map(h => [`${h.source_id}:${h.item_id}`, h]));
+        } catch (err) {
+            console.error('Error loading stream health:', err);
+        }
+    }
+
+    /**
+     * Check if a channel failed its last health check
+     * Merged channels are only dead when every stream is
+     */
+    isDead(channel) {
+        return (channel.streams || [channel]).every(ch =>
+            this.streamHealth.get(`${ch.sourceId}:${ch.streamId}`)?.status === 'dead'
+        );
+    }
+
+    /**
+     * Badge for channels that failed their last health check
+     */
+    getHealthBadge(channel) {
+        if (!this.isDead(channel)) return '';
+        const health = this.streamHealth.get(`${channel.sourceId}:${channel.streamId}`);
+        const checked = health?.checked_at ? new Date(health.checked_at).toLocaleString() : '';
+        return `<span class="channel-health-badge" title="Offline at last check ${checked}">Offline</span>`;
+    }
+
+    /**
+     * Get the display name of a source
+     */
+    getSourceName(sourceId) {
+        return this.sources.find(s => String(s.id) === String(sourceId))?.name || `Source ${sourceId}`;
+    }
+
+    /**
+     * Find a channel by its number
+     */
+    getChannelByNumber(number) {
+        return this.getVisibleChannels().find(ch => ch.number === number) || null;
+    }
+
+    /**
+     * Change a channel's number (blank reverts to the provider's number)
+     * If another channel already uses the number, the two channels swap numbers
+     */
+    async renumberChannel(channelId) {
+        const channel = this.channels.find(c => c.id === channelId);
+        if (!channel) return;
+
+        const input = prompt(`Channel number for "${channel.name}" (leave empty to reset):`, channel.number ?? '');
+        if (input === null) return;
+
+        const trimmed = input.trim();
+        const number = trimmed === '' ? null : parseInt(trimmed);
+        if (number !== null && (!Number.isInteger(number) || number < 1 || number > 99999)) {
+            alert('Please enter a number between 1 and 99999');
+            return;
+        }
+        if (number === channel.number) return;
+
+        const updates = [{ sourceId: channel.sourceId, itemId: channel.streamId, number }];
+        const other = number !== null ? this.channels.find(c => c !== channel && c.number === number) : null;
+        if (other) {
+            updates.push({ sourceId: other.sourceId, itemId: other.streamId, number: channel.number });
+        }
+
+        try {
+            await API.channelNumbers.save(updates);
+            updates.forEach(u => {
+                const key = `${u.sourceId}:${u.itemId}`;
+                if (u.number === null) {
+                    this.channelNumbers.delete(key);
+                } else {
+                    this.channelNumbers.set(key, u.number);
+                }
+            });
+            this.applyChannelNumbers();
+            this.render();
+        } catch (err) {
+            console.error('Error saving channel number:', err);
+            alert('Failed to save channel number: ' + err.message);
+        }
+    }
+
+    /**
+     * Edit the override of a channel (custom name, logo and group kept across resyncs)
+     * Empty fields use the provider's values
+     */
+    async editChannel(channelId) {
+        const channel = this.channels.find(c => c.id === channelId);
+        if (!channel) return;
+
+        let override;
+        try {
+            const overrides = await API.channelOverrides.getAll(channel.sourceId);
+            override = overrides.find(o => o.item_id === String(channel.streamId)) || {};
+        } catch (err) {
+            alert('Failed to load channel override: ' + err.message);
+            return;
+        }
+
+        const modal = document.getElementById('modal');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+        const close = () => modal.classList.remove('active');
+        const groups = [...new Set(this.groups.filter(g => g.sourceId === channel.sourceId).map(g => g.name))];
+
+        document.getElementById('modal-title').textContent = `Edit ${channel.name}`;
+        body.innerHTML = `
+            <p class="hint">Changes are kept when the source syncs. Leave a field empty to use the provider's value.</p>
+            <div class="form-group">
+                <label for="override-name">Name</label>
+                <input type="text" id="override-name" class="form-input"
+                       placeholder="${this.escapeHtml(override.name ? '' : channel.name)}" value="${this.escapeHtml(override.name || '')}">
+            </div>
+            <div class="form-group">
+                <label for="override-logo">Logo URL</label>
+                <div class="override-logo">
+                    <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" alt=""
+                         onerror="this.onerror=null;this.src='/img/placeholder.png'">
+                    <input type="text" id="override-logo" class="form-input" placeholder="https://..." value="${this.escapeHtml(override.logo || '')}">
+                </div>
+                <input type="file" id="override-logo-file" class="form-input" accept=".png,.jpg,.jpeg,.gif,.webp">
+                <p class="hint">Or upload an image (PNG, JPEG, GIF or WebP, up to 2 MB)</p>
+            </div>
+            <div class="form-group">
+                <label for="override-group">Group</label>
+                <input type="text" id="override-group" class="form-input" list="override-groups"
+                       placeholder="${this.escapeHtml(override.group_name ? '' : channel.groupTitle || '')}" value="${this.escapeHtml(override.group_name || '')}">
+                <datalist id="override-groups">
+                    ${groups.map(name => `<option value="${this.escapeHtml(name)}"></option>`).join('')}
+                </datalist>
+                <p class="hint">Pick a group or type a new name to create one</p>
+            </div>
+        `;
+        footer.innerHTML = `
+            <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
+            ${override.item_id ? '<button class="btn btn-secondary" id="override-reset">Reset</button>' : ''}
+            <button class="btn btn-primary" id="override-save">Save</button>
+        `;
+        modal.classList.add('active');
+        modal.querySelector('.modal-close').onclick = close;
+        document.getElementById('modal-cancel').onclick = close;
+
+        const done = async () => {
+            close();
+            await this.loadChannels();
+        };
+
+        document.getElementById('override-reset')?.addEventListener('click', async () => {
+            try {
+                await API.channelOverrides.remove(channel.sourceId, channel.streamId);
+                await done();
+            } catch (err) {
+                alert('Failed to reset channel: ' + err.message);
+            }
+        });
+
+        document.getElementById('override-save').onclick = async () => {
+            const file = document.getElementById('override-logo-file').files[0];
+            try {
+                await API.channelOverrides.save(channel.sourceId, channel.streamId, {
+                    name: document.getElementById('override-name').value,
+                    logo: document.getElementById('override-logo').value,
+                    group: document.getElementById('override-group').value
+                });
+                if (file) {
+                    await API.channelOverrides.uploadLogo(channel.sourceId, channel.streamId, file);
+                }
+                await done();
+            } catch (err) {
+                alert('Failed to save channel: ' + err.message);
+            }
+        };
+    }
+
     /**
      * Check if channel is favorite
      */
@@ -1040,10 +1354,11 @@ class ChannelList {
         div.dataset.url = channel.url || '';
 
         div.innerHTML = `
+            <span class="channel-number">${channel.number ?? ''}</span>
             <img class="channel-logo" src="${this.getProxiedImageUrl(channel.tvgLogo)}" 
                  alt="" onerror="this.onerror=null;this.src='/img/placeholder.png'">
             <div class="channel-info">
-              <div class="channel-name">${this.escapeHtml(channel.name)}</div>
+              <div class="channel-name">${this.escapeHtml(channel.name)}${this.getHealthBadge(channel)}</div>
               <div class="channel-program">${this.getProgramInfo(channel) || ''}</div>
             </div>
             <button class="favorite-btn active" title="Remove from Favorites">
@@ -1074,9 +1389,14 @@ class ChannelList {
      * Select and play a channel
      */
     async selectChannel(dataset) {
-        const channel = this.channels.find(c => c.id === dataset.channelId);
+        let channel = this.channels.find(c => c.id === dataset.channelId);
         if (!channel) return;
 
+        // Backup streams play through their merged channel
+        if (channel.mergedInto) {
+            channel = this.channels.find(c => c.id === channel.mergedInto) || channel;
+        }
+
         this.currentChannel = channel;
         this.currentRenderId = dataset.renderId; // Track which visual instance is active
         this.currentRenderGroup = dataset.renderGroup; // Track which group the selection came from
@@ -1156,19 +1476,59 @@ class ChannelList {
         }
 
         // Get stream URL
-        let streamUrl;
-        if (channel.sourceType === 'xtream') {
+        const streamUrl = await this.getStreamUrl(channel);
+
+        // Play channel
+        if (window.app?.player) {
+            window.app.player.play(channel, streamUrl);
+        }
+    }
+
+    /**
+     * Get the playable URL of a channel (or a merged channel's backup stream)
+     */
+    async getStreamUrl(channel) {
+        if (channel.sourceType === 'xtream' || channel.sourceType === 'stalker') {
             // Get stream format from player settings (server-side) or fallback
             const streamFormat = window.app?.player?.settings?.streamFormat || 'm3u8';
             const result = await API.proxy.xtream.getStreamUrl(channel.sourceId, channel.streamId, 'live', streamFormat);
-            streamUrl = result.url;
-        } else {
-            streamUrl = channel.url;
+            return result.url;
         }
+        return channel.url;
+    }
 
-        // Play channel
+    /**
+     * Check if a programme starting at the given time can be played via catch-up
+     */
+    canCatchup(channel, start) {
+        if (!channel || !channel.tvArchive) return false;
+        const startTime = new Date(start).getTime();
+        const windowStart = Date.now() - channel.tvArchiveDuration * 24 * 60 * 60 * 1000;
+        return startTime >= windowStart && startTime < Date.now();
+    }
+
+    /**
+     * Play a past (or in-progress) programme from the provider's archive
+     * @param {object} channel - Channel object
+     * @param {object} program - Programme with title, start, stop, description
+     */
+    async playCatchup(channel, program) {
+        const streamFormat = window.app?.player?.settings?.streamFormat || 'm3u8';
+        const start = new Date(program.start).getTime();
+        const stop = new Date(program.stop).getTime();
+        const result = await API.proxy.xtream.getTimeshiftUrl(channel.sourceId, channel.streamId, start, stop, streamFormat);
+
+        this.currentChannel = channel;
         if (window.app?.player) {
-            window.app.player.play(channel, streamUrl);
+            window.app.player.play({
+                ...channel,
+                catchup: {
+                    title: program.title,
+                    start: program.start,
+                    stop: program.stop,
+                    description: program.description || ''
+                }
+            }, result.url);
         }
     }
 
@@ -1182,6 +1542,12 @@ class ChannelList {
         this.contextMenu.dataset.itemId = type === 'group' ? data.group : data.channelId;
         this.contextMenu.dataset.streamId = data.streamId || '';
 
+        // Overrides change the channel for everyone, so only admins edit them
+        const editItem = this.contextMenu.querySelector('[data-action="edit"]');
+        if (editItem) {
+            editItem.hidden = type !== 'channel' || window.app?.currentUser?.role !== 'admin';
+        }
+
         this.contextMenu.style.left = `${e.clientX}px`;
         this.contextMenu.style.top = `${e.clientY}px`;
         this.contextMenu.classList.add('active');
@@ -1222,6 +1588,18 @@ class ChannelList {
                 // Show EPG info modal
                 this.showEpgInfo(sourceId, itemId, streamId);
                 break;
+            case 'renumber':
+                if (type === 'channel') {
+                    this.hideContextMenu();
+                    await this.renumberChannel(itemId);
+                }
+                break;
+            case 'edit':
+                if (type === 'channel') {
+                    this.hideContextMenu();
+                    await this.editChannel(itemId);
+                }
+                break;
         }
 
         this.hideContextMenu();
@@ -1250,7 +1628,7 @@ class ChannelList {
 
         if (window.app?.epgGuide) {
             const tvgKey = channel.tvgId || channel.name;
-            const currentProgram = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name);
+            const currentProgram = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name, channel.tvgShift);
             const programs = window.app.epgGuide.getChannelPrograms?.(tvgKey) || [];
 
             if (currentProgram || programs.length > 0) {
@@ -1259,12 +1637,14 @@ class ChannelList {
                 // Show current program
                 if (currentProgram) {
                     const startTime = new Date(currentProgram.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                    const endTime = new Date(currentProgram.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                    const endTime = new Date(currentProgram.stop).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                    const canStartOver = this.canCatchup(channel, currentProgram.start);
                     programsHtml += `
                         <div class="epg-program current">
                             <div class="epg-program-time">${startTime} - ${endTime}</div>
                             <div class="epg-program-title">▶ ${this.escapeHtml(currentProgram.title)}</div>
                             ${currentProgram.description ? `<div class="epg-program-desc">${this.escapeHtml(currentProgram.description)}</div>` : ''}
+                            ${canStartOver ? '<button class="btn btn-secondary btn-sm epg-start-over-btn">⏮ Start Over</button>' : ''}
                         </div>
                     `;
                 }
@@ -1303,12 +1683,74 @@ class ChannelList {
                 </div>
                 <h4>Program Schedule</h4>
                 ${programsHtml}
+                ${channel.tvArchive ? `
+                <h4>Catch-up (${channel.tvArchiveDuration} days)</h4>
+                <div class="epg-program-list epg-archive-list">
+                    <p class="no-programs">Loading...</p>
+                </div>` : ''}
             </div>
         `;
 
+        const startOverBtn = modalBody.querySelector('.epg-start-over-btn');
+        if (startOverBtn) {
+            const currentProgram = window.app.epgGuide.getCurrentProgram(channel.tvgId, channel.name, channel.tvgShift);
+            startOverBtn.addEventListener('click', () => {
+                modal.classList.remove('active');
+                this.playCatchup(channel, currentProgram).catch(err => {
+                    console.error('[ChannelList] Start over failed:', err);
+                    alert(`Start over failed: ${err.message}`);
+                });
+            });
+        }
+
+        if (channel.tvArchive) {
+            this.loadArchiveList(channel, modalBody.querySelector('.epg-archive-list'));
+        }
+
         modal.classList.add('active');
     }
 
+    /**
+     * Load catch-up listings into the EPG info modal (newest first)
+     */
+    async loadArchiveList(channel, container) {
+        try {
+            const { programmes } = await API.proxy.xtream.archive(channel.sourceId, channel.streamId);
+            const available = programmes.filter(p => p.hasArchive).reverse();
+
+            if (available.length === 0) {
+                container.innerHTML = '<p class="no-programs">No catch-up programmes available.</p>';
+                return;
+            }
+
+            container.innerHTML = available.map((prog, index) => {
+                const start = new Date(prog.start);
+                const day = start.toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+                const startTime = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                const endTime = new Date(prog.stop).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                return `
+                    <div class="epg-program epg-archive-item" data-index="${index}" title="Watch from the archive">
+                        <div class="epg-program-time">${day} ${startTime} - ${endTime}</div>
+                        <div class="epg-program-title">⏪ ${this.escapeHtml(prog.title)}</div>
+                    </div>
+                `;
+            }).join('');
+
+            container.querySelectorAll('.epg-archive-item').forEach(item => {
+                item.addEventListener('click', () => {
+                    document.getElementById('modal')?.classList.remove('active');
+                    this.playCatchup(channel, available[parseInt(item.dataset.index)]).catch(err => {
+                        console.error('[ChannelList] Catch-up playback failed:', err);
+                        alert(`Catch-up failed: ${err.message}`);
+                    });
+                });
+            });
+        } catch (err) {
+            console.error('[ChannelList] Error loading catch-up listings:', err);
+            container.innerHTML = '<p class="no-programs">Failed to load catch-up listings.</p>';
+        }
+    }
+
     /**
      * Sync favorite status from external source (e.g. EPG) without API call
      */
@@ -1434,23 +1876,15 @@ class ChannelList {
         });
     }
 
-    /**
-     * Show EPG info for channel
-     */
-    async showEpgInfo(channelId) {
-        const channel = this.channels.find(c => c.id === channelId);
-        if (!channel) return;
-
-        // This would show a modal with EPG info
-        console.log('Show EPG for:', channel);
-    }
-
     /**
      * Get list of visible (non-hidden) channels in display order
      */
     getVisibleChannels() {
         const showHidden = this.showHiddenCheckbox?.checked ?? false;
+        const hideDead = window.app?.player?.settings?.hideDeadChannels;
         return this.channels.filter(ch => {
+            if (ch.mergedInto) return false;
+            if (hideDead && this.isDead(ch)) return false;
             if (showHidden) return true;
             const channelHidden = this.isHidden('channel', ch.sourceId, ch.id);
             const groupHidden = this.isHidden('group', ch.sourceId, ch.groupTitle);
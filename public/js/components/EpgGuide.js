@@ -262,13 +262,28 @@ class EpgGuide {
         this.favorites = new Set(favs.map(f => `${f.source_id}:${f.item_id}`));
     }
 
+    /**
+     * Move a programme by the channel's tvg-shift (hours)
+     * @returns {object} Shifted copy, or the programme itself when there is no shift
+     */
+    shiftProgramme(programme, shiftHours) {
+        if (!shiftHours) return programme;
+        const offset = shiftHours * 60 * 60 * 1000;
+        return {
+            ...programme,
+            start: new Date(new Date(programme.start).getTime() + offset).toISOString(),
+            stop: new Date(new Date(programme.stop).getTime() + offset).toISOString()
+        };
+    }
+
     /**
      * Get current program for a channel
      * @param {string} tvgId - The EPG channel ID (tvg-id)
      * @param {string} channelName - The channel name (for fallback)
+     * @param {number} shiftHours - EPG offset of the channel (tvg-shift)
      * @returns {object|null} Program object with title, start, stop
      */
-    getCurrentProgram(tvgId, channelName) {
+    getCurrentProgram(tvgId, channelName, shiftHours = 0) {
         if (!this.programmes || this.programmes.length === 0) return null;
 
         // Find EPG channel using fast map lookup
@@ -287,15 +302,17 @@ class EpgGuide {
         if (!epgChannel) return null;
 
         const now = new Date();
-        const nowTime = now.getTime();
+        // Compare against the unshifted guide time
+        const nowTime = now.getTime() - (shiftHours || 0) * 60 * 60 * 1000;
 
         // Filter programs for this channel
-        const current = this.programmes.find(p => {
+        const found = this.programmes.find(p => {
             if (p.channelId !== epgChannel.id) return false;
             const start = new Date(p.start).getTime();
             const stop = new Date(p.stop).getTime();
             return nowTime >= start && nowTime < stop;
         });
+        const current = found && this.shiftProgramme(found, shiftHours);
 
         return current ? {
             title: current.title,
@@ -349,6 +366,9 @@ class EpgGuide {
         // Note: We only check individual channel visibility, not group visibility
         // A group is implicitly visible if it has any visible children
         const playableChannels = (channelList.channels || []).filter(ch => {
+            // Backup streams of merged channels are shown through their merged channel
+            if (ch.mergedInto) return false;
+            if (window.app?.player?.settings?.hideDeadChannels && channelList.isDead(ch)) return false;
             // Use streamId (raw ID) for hidden check since that's what SourceManager stores
             const rawChannelId = ch.streamId || ch.id;
             const isChannelHidden = channelList.isHidden('channel', ch.sourceId, rawChannelId);
@@ -566,6 +586,7 @@ class EpgGuide {
         if (epgChannel) {
             channelProgrammes = this.programmes
                 .filter(p => p.channelId === epgChannel.id)
+                .map(p => this.shiftProgramme(p, sourceChannel.tvgShift))
                 .filter(p => {
                     const start = new Date(p.start);
                     const stop = new Date(p.stop);
@@ -595,6 +616,7 @@ class EpgGuide {
             <button class="favorite-btn ${isFavorite ? 'active' : ''}" title="${isFavorite ? 'Remove from Favorites' : 'Add to Favorites'}">
               ${isFavorite ? Icons.favorite : Icons.favoriteOutline}
             </button>
+            <span class="epg-channel-number">${sourceChannel.number ?? ''}</span>
             <img class="epg-channel-logo" src="${logo}" 
                  alt="" onerror="this.onerror=null;this.src='/img/placeholder.png'">
             <span class="epg-channel-name">${name}</span>
@@ -615,7 +637,11 @@ class EpgGuide {
     attachRowListeners(row) {
         // Program click handlers
         row.querySelectorAll('.epg-program').forEach(prog => {
-            prog.addEventListener('click', () => this.showProgramDetails(prog.dataset));
+            prog.addEventListener('click', () => this.showProgramDetails({
+                ...prog.dataset,
+                channelId: row.dataset.channelId,
+                sourceId: row.dataset.sourceId
+            }));
         });
 
         const info = row.querySelector('.epg-channel-info');
@@ -902,11 +928,104 @@ class EpgGuide {
       <p>${data.description || 'No description available'}</p>
     `;
 
-        footer.innerHTML = '<button class="btn btn-secondary" id="modal-close">Close</button>';
+        // Only live channels with a programme that hasn't ended can be recorded
+        const channel = this.findSourceChannel(data.sourceId, data.channelId);
+        const canRecord = channel && stop.getTime() > Date.now();
+
+        // Past and in-progress programmes can be replayed on channels with catch-up
+        const canCatchup = window.app?.channelList?.canCatchup(channel, start);
+        const catchupLabel = stop.getTime() > Date.now() ? '⏮ Start Over' : '⏪ Watch';
+
+        footer.innerHTML = `
+      ${canCatchup ? `<button class="btn btn-primary" id="modal-catchup">${catchupLabel}</button>` : ''}
+      ${canRecord ? '<button class="btn btn-primary" id="modal-record">⏺ Record</button>' : ''}
+      <button class="btn btn-secondary" id="modal-close">Close</button>
+    `;
 
         modal.classList.add('active');
         document.getElementById('modal-close').onclick = () => modal.classList.remove('active');
         modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+
+        const recordBtn = document.getElementById('modal-record');
+        if (recordBtn) {
+            recordBtn.onclick = () => this.recordProgram(channel, data, recordBtn);
+        }
+
+        const catchupBtn = document.getElementById('modal-catchup');
+        if (catchupBtn) {
+            catchupBtn.onclick = () => {
+                modal.classList.remove('active');
+                this.playCatchup(channel, data);
+            };
+        }
+    }
+
+    /**
+     * Open the guide on a channel at the time of a programme, with its details
+     * @param {object} channel - Source channel (from ChannelList)
+     * @param {object} programme - { title, description, start, stop }
+     */
+    showInGuide(channel, programme) {
+        // Filter the grid to the channel and scroll the time window to the programme
+        if (this.searchInput) this.searchInput.value = channel.name || '';
+        this.timeOffset = Math.max(0, Math.floor((new Date(programme.start).getTime() - Date.now()) / 3600000));
+
+        if (window.app.currentPage === 'guide') {
+            this.render();
+        } else {
+            window.app.navigateTo('guide');
+        }
+
+        this.showProgramDetails({
+            ...programme,
+            sourceId: channel.sourceId,
+            channelId: channel.id
+        });
+    }
+
+    /**
+     * Find the source channel (from ChannelList) for an EPG row
+     */
+    findSourceChannel(sourceId, channelId) {
+        const channels = window.app?.channelList?.channels || [];
+        return channels.find(c => String(c.sourceId) === String(sourceId) && String(c.id) === String(channelId)) || null;
+    }
+
+    /**
+     * Schedule a DVR recording for a programme
+     */
+    async recordProgram(channel, program, button) {
+        button.disabled = true;
+        try {
+            await API.recordings.schedule({
+                sourceId: channel.sourceId,
+                itemId: channel.streamId,
+                channelName: channel.name,
+                title: program.title,
+                description: program.description,
+                start: new Date(program.start).getTime(),
+                end: new Date(program.stop).getTime(),
+                data: { logo: channel.tvgLogo || null, tvgId: channel.tvgId || null }
+            });
+            button.textContent = '✓ Scheduled';
+        } catch (err) {
+            console.error('[EPG] Failed to schedule recording:', err);
+            button.textContent = err.message.includes('already scheduled') ? '✓ Scheduled' : 'Record Failed';
+        }
+    }
+
+    /**
+     * Play a programme from the channel's catch-up archive
+     */
+    async playCatchup(channel, program) {
+        try {
+            await window.app.channelList.playCatchup(channel, program);
+            // Switch to live TV page
+            document.querySelector('[data-page="live"]').click();
+        } catch (err) {
+            console.error('[EPG] Catch-up playback failed:', err);
+            alert(`Catch-up failed: ${err.message}`);
+        }
     }
 
     /**
@@ -0,0 +1,247 @@
+/**
+ * Global Search Component
+ * Navbar search over channels, movies, series and upcoming or airing programmes
+ */
+
+class GlobalSearch {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('global-search');
+        this.input = document.getElementById('global-search-input');
+        this.resultsEl = document.getElementById('global-search-results');
+
+        this.results = null; // Last response of API.search
+        this.requestId = 0; // Drops responses of searches that were typed over
+        this.minLength = 2;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.input) return;
+
+        this.input.addEventListener('input', this.debounce(() => this.search(), 300));
+        this.input.addEventListener('focus', () => {
+            if (this.results && this.input.value.trim().length >= this.minLength) this.open();
+        });
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+                this.input.blur();
+            }
+        });
+
+        // Close when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#global-search')) this.close();
+        });
+
+        this.resultsEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const { type, index, action } = button.dataset;
+            this.close();
+            this.handleAction(type, parseInt(index), action);
+        });
+    }
+
+    /**
+     * Run the search for the current input
+     */
+    async search() {
+        const query = this.input.value.trim();
+        const requestId = ++this.requestId;
+
+        if (query.length < this.minLength) {
+            this.results = null;
+            this.close();
+            return;
+        }
+
+        try {
+            const results = await API.search(query, { limit: 8 });
+            if (requestId !== this.requestId) return;
+            this.results = results;
+            this.render();
+        } catch (err) {
+            if (requestId !== this.requestId) return;
+            console.error('[Search] Search failed:', err);
+            this.results = null;
+            this.resultsEl.innerHTML = `<div class="global-search-empty">Search failed: ${this.escapeHtml(err.message)}</div>`;
+            this.open();
+        }
+    }
+
+    /**
+     * Render the results grouped by type
+     */
+    render() {
+        const { channels, movies, series, programmes } = this.results;
+        const sections = [
+            this.renderSection('Channels', 'channels', channels, item => ({
+                meta: item.group,
+                actions: [['play', '▶ Play']]
+            })),
+            this.renderSection('Movies', 'movies', movies, item => ({
+                meta: [item.year, item.group].filter(Boolean).join(' · '),
+                actions: [['play', '▶ Play']]
+            })),
+            this.renderSection('Series', 'series', series, item => ({
+                meta: [item.year, item.group].filter(Boolean).join(' · '),
+                actions: [['open', 'Open']]
+            })),
+            this.renderSection('Programmes', 'programmes', programmes, item => ({
+                name: item.title,
+                icon: item.channels[0]?.icon,
+                meta: [this.formatAiring(item), item.channels[0]?.name].filter(Boolean).join(' · '),
+                live: item.airing,
+                actions: [['play', '▶ Play'], ['guide', 'Show in Guide']]
+            }))
+        ].join('');
+
+        this.resultsEl.innerHTML = sections || '<div class="global-search-empty">No results</div>';
+        this.open();
+    }
+
+    renderSection(title, type, items, describe) {
+        if (!items || items.length === 0) return '';
+
+        return `
+            <div class="global-search-section">
+                <div class="global-search-title">${title}</div>
+                ${items.map((item, index) => {
+                    const { name = item.name, icon = item.icon, meta, live, actions } = describe(item);
+                    return `
+                        <div class="global-search-item">
+                            <img class="global-search-icon" src="${this.getImageUrl(icon)}" alt="" loading="lazy"
+                                 onerror="this.onerror=null;this.src='/img/placeholder.png'">
+                            <div class="global-search-info">
+                                <div class="global-search-name">${live ? '<span class="global-search-live">LIVE</span>' : ''}${this.escapeHtml(name)}</div>
+                                ${meta ? `<div class="global-search-meta">${this.escapeHtml(meta)}</div>` : ''}
+                            </div>
+                            <div class="global-search-actions">
+                                ${actions.map(([action, label]) => `
+                                    <button type="button" class="btn btn-sm btn-ghost" data-type="${type}" data-index="${index}" data-action="${action}">${label}</button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Play, open or show a result in the guide
+     */
+    async handleAction(type, index, action) {
+        const item = this.results?.[type]?.[index];
+        if (!item) return;
+
+        try {
+            if (type === 'channels') {
+                await this.playChannel(item);
+            } else if (type === 'movies') {
+                await this.app.pages.movies.playMovie({
+                    sourceId: item.sourceId,
+                    stream_id: item.itemId,
+                    name: item.name,
+                    stream_icon: item.icon,
+                    container_extension: item.containerExtension,
+                    year: item.year,
+                    rating: item.rating
+                });
+            } else if (type === 'series') {
+                this.app.pages.home.navigateToSeries({
+                    item_id: item.itemId,
+                    source_id: item.sourceId,
+                    name: item.name,
+                    stream_icon: item.icon
+                });
+            } else if (type === 'programmes') {
+                const channel = await this.findChannel(item.channels);
+                if (!channel) throw new Error('The channel of this programme is not available');
+
+                if (action === 'guide') {
+                    this.app.epgGuide.showInGuide(channel, item);
+                } else {
+                    this.app.pages.home.playChannel(channel.id, channel.sourceId);
+                }
+            }
+        } catch (err) {
+            console.error('[Search] Action failed:', err);
+            alert(err.message);
+        }
+    }
+
+    async playChannel(item) {
+        const channel = await this.findChannel([item]);
+        if (!channel) throw new Error('Channel not found');
+        this.app.pages.home.playChannel(channel.id, channel.sourceId);
+    }
+
+    /**
+     * First of the given search channels that is in the channel list
+     * @param {Array} candidates - [{ sourceId, itemId }]
+     */
+    async findChannel(candidates) {
+        const channelList = this.app.channelList;
+        if (!channelList.channels || channelList.channels.length === 0) {
+            await channelList.loadSources();
+            await channelList.loadChannels();
+        }
+
+        for (const candidate of candidates) {
+            const channel = channelList.channels.find(ch =>
+                String(ch.sourceId) === String(candidate.sourceId) && String(ch.streamId) === String(candidate.itemId)
+            );
+            if (channel) return channel;
+        }
+        return null;
+    }
+
+    /**
+     * "Now, until 21:00" or "Tue 20:00"
+     */
+    formatAiring(programme) {
+        const time = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const start = new Date(programme.start);
+        if (programme.airing) return `Now, until ${time(new Date(programme.stop))}`;
+
+        const isToday = start.toDateString() === new Date().toDateString();
+        return isToday ? time(start) : `${start.toLocaleDateString([], { weekday: 'short' })} ${time(start)}`;
+    }
+
+    getImageUrl(url) {
+        if (!url) return '/img/placeholder.png';
+        return url.startsWith('http') ? `/api/proxy/image?url=${encodeURIComponent(url)}` : url;
+    }
+
+    open() {
+        this.resultsEl.classList.remove('hidden');
+    }
+
+    close() {
+        this.resultsEl?.classList.add('hidden');
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    debounce(func, wait) {
+        let timeout;
+        return (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), wait);
+        };
+    }
+}
+
+window.GlobalSearch = GlobalSearch;
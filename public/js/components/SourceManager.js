@@ -1,21 +1,39 @@
 /**
  * Source Manager Component
- * Handles adding, editing, and deleting sources (Xtream, M3U, EPG)
+ * Handles adding, editing, and deleting sources (Xtream, Stalker, M3U, EPG, local libraries)
  */
 
+// Content types each source type syncs on its own schedule
+const SYNC_CONTENT = { xtream: ['live', 'vod', 'epg'], stalker: ['live', 'vod'], m3u: ['live'], epg: ['epg'], local: ['vod'] };
+const SYNC_CONTENT_LABELS = { live: 'Live channels', vod: 'Movies & series', epg: 'EPG' };
+
 class SourceManager {
     constructor() {
         this.xtreamList = document.getElementById('xtream-list');
+        this.stalkerList = document.getElementById('stalker-list');
         this.m3uList = document.getElementById('m3u-list');
         this.epgList = document.getElementById('epg-list');
+        this.localList = document.getElementById('local-list');
+        this.scheduleList = document.getElementById('sync-schedule-list');
 
         // Content browser state
         this.contentType = 'channels'; // 'channels' or 'movies'
         this.treeData = null; // { type, sourceId, groups: [{ id, name, categoryId, items: [] }] }
         this.hiddenSet = new Set(); // Set of hidden item keys (current state)
         this.originalHiddenSet = new Set(); // Set of hidden item keys (state when loaded)
+        this.ruleHiddenSet = new Set(); // Hidden item keys a content rule hides (locked)
         this.expandedGroups = new Set(); // Set of expanded group IDs
         this.searchQuery = ''; // Search filter for content browser
+        this.epgMappingData = null; // { sourceId, channels, epgChannels } for EPG mapping mode
+        this.epgMappingFilter = 'unmapped'; // 'unmapped' or 'all'
+        this.mergedData = null; // { sourceId, merged, channels } for merged channels mode
+        this.mergedTarget = 'new'; // Merged channel that "Add" puts channels into
+        this.contentSources = []; // Sources listed in the content browser
+        this.syncEvents = null; // EventSource for sync progress
+        this.syncProgress = new Map(); // sourceId -> latest progress (with log)
+        this.syncWaiters = new Map(); // sourceId -> { resolve, reject } of refreshSource
+        this.syncJobs = []; // Queued and running syncs
+        this.syncJobsPanel = document.getElementById('sync-jobs');
 
         this.init();
     }
@@ -23,14 +41,13 @@ class SourceManager {
     init() {
         // Add source buttons
         document.getElementById('add-xtream').addEventListener('click', () => this.showAddModal('xtream'));
+        document.getElementById('add-stalker').addEventListener('click', () => this.showAddModal('stalker'));
         document.getElementById('add-m3u').addEventListener('click', () => this.showAddModal('m3u'));
         document.getElementById('add-epg').addEventListener('click', () => this.showAddModal('epg'));
+        document.getElementById('add-local').addEventListener('click', () => this.showAddModal('local'));
 
         // Initialize content browser
         this.initContentBrowser();
-
-        // Start polling sync status
-        this.pollSyncStatus();
     }
 
     /**
@@ -89,34 +106,105 @@ class SourceManager {
     }
 
     /**
-     * Poll sync status from the backend
+     * Load and display all sources
      */
-    pollSyncStatus() {
-        // Implement polling logic here
-        console.log('Polling sync status...');
-        // Example: setInterval(() => this.updateSyncStatus(), 5000);
+    async loadSources() {
+        this.watchSyncProgress();
+
+        try {
+            const sources = await API.sources.getAll();
+
+            this.renderSourceList(this.xtreamList, sources.filter(s => s.type === 'xtream'), 'xtream');
+            this.renderSourceList(this.stalkerList, sources.filter(s => s.type === 'stalker'), 'stalker');
+            this.renderSourceList(this.m3uList, sources.filter(s => s.type === 'm3u'), 'm3u');
+            this.renderSourceList(this.epgList, sources.filter(s => s.type === 'epg'), 'epg');
+            this.renderSourceList(this.localList, sources.filter(s => s.type === 'local'), 'local');
+            this.syncProgress.forEach(progress => this.renderSyncProgress(progress));
+            this.renderSyncJobs(this.syncJobs);
+        } catch (err) {
+            console.error('Error loading sources:', err);
+        }
+
+        await Promise.all([this.loadSchedule(), this.loadAccounts()]);
     }
 
     /**
-     * Update sync status display
+     * Show provider account details under their sources (and warnings in the app banner)
      */
-    updateSyncStatus() {
-        // Implement logic to update UI based on sync status
-        console.log('Updating sync status display...');
+    async loadAccounts() {
+        try {
+            const accounts = await API.sources.accounts();
+            accounts.forEach(account => this.renderAccount(account));
+            window.app?.renderAccountBanner(accounts);
+        } catch (err) {
+            console.error('Error loading provider accounts:', err);
+        }
     }
 
     /**
-     * Load and display all sources
+     * Account line of a source: status, expiry, connections and warnings
      */
-    async loadSources() {
+    renderAccount(account) {
+        const el = document.querySelector(`.source-item[data-id="${account.source_id}"] .source-account`);
+        if (!el) return;
+
+        const parts = [this.escapeHtml(account.status || 'Unknown status')];
+        if (account.exp_date) {
+            const days = Math.ceil((account.exp_date - Date.now()) / (24 * 60 * 60 * 1000));
+            const date = new Date(account.exp_date).toLocaleDateString();
+            parts.push(days > 0 ? `Expires ${date} (${days} day${days === 1 ? '' : 's'})` : `Expired ${date}`);
+        } else {
+            parts.push('No expiry');
+        }
+        if (account.max_connections) {
+            parts.push(`${account.active_cons}/${account.max_connections} connections`);
+        }
+        if (account.is_trial) {
+            parts.push('Trial');
+        }
+
+        el.innerHTML = `
+          <span>${parts.join(' · ')}</span>
+          ${account.warnings.map(w => `<span class="source-account-warning">⚠ ${this.escapeHtml(w.message)}</span>`).join('')}
+        `;
+        el.title = `Checked ${new Date(account.checked_at).toLocaleString()}`;
+        el.classList.remove('hidden');
+    }
+
+    /**
+     * Show the upcoming scheduled syncs
+     */
+    async loadSchedule() {
+        if (!this.scheduleList) return;
+
         try {
-            const sources = await API.sources.getAll();
+            const schedule = await API.sources.schedule();
+            if (schedule.length === 0) {
+                this.scheduleList.innerHTML = '';
+                return;
+            }
 
-            this.renderSourceList(this.xtreamList, sources.filter(s => s.type === 'xtream'), 'xtream');
-            this.renderSourceList(this.m3uList, sources.filter(s => s.type === 'm3u'), 'm3u');
-            this.renderSourceList(this.epgList, sources.filter(s => s.type === 'epg'), 'epg');
+            const formatTime = (time) => time ? new Date(time).toLocaleString() : '-';
+            this.scheduleList.innerHTML = `
+        <div class="user-list-container">
+          <table class="user-table sync-schedule-table">
+            <thead>
+              <tr><th>Source</th><th>Content</th><th>Schedule</th><th>Last sync</th><th>Next sync</th></tr>
+            </thead>
+            <tbody>${schedule.map(entry => `
+              <tr>
+                <td>${this.escapeHtml(entry.sourceName)}</td>
+                <td>${SYNC_CONTENT_LABELS[entry.content] || entry.content}</td>
+                <td>${entry.rule ? this.escapeHtml(entry.rule) : 'Manual only'}${entry.custom ? '' : ' <span class="hint">(default)</span>'}</td>
+                <td>${formatTime(entry.lastRun)}</td>
+                <td>${entry.nextRun && entry.nextRun <= Date.now() ? 'Due now' : formatTime(entry.nextRun)}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
         } catch (err) {
-            console.error('Error loading sources:', err);
+            console.error('Error loading sync schedule:', err);
         }
     }
 
@@ -129,17 +217,28 @@ class SourceManager {
             return;
         }
 
-        const icons = { xtream: Icons.live, m3u: Icons.guide, epg: Icons.series };
+        const icons = { xtream: Icons.live, stalker: Icons.live, m3u: Icons.guide, epg: Icons.series, local: Icons.movies };
 
         container.innerHTML = sources.map(source => `
       <div class="source-item ${source.enabled ? '' : 'disabled'}" data-id="${source.id}">
         <span class="source-icon">${icons[type]}</span>
         <div class="source-info">
           <div class="source-name">${source.name}</div>
-          <div class="source-url">${source.url}</div>
+          <div class="source-url">${this.getSourceLocation(source)}</div>
+          <div class="source-account hidden"></div>
+          <div class="sync-progress hidden">
+            <div class="sync-progress-bar"><div class="sync-progress-fill"></div></div>
+            <div class="sync-progress-label"></div>
+            <details class="sync-progress-log">
+              <summary>Log</summary>
+              <pre></pre>
+            </details>
+          </div>
         </div>
         <div class="source-actions">
           <button class="btn btn-sm btn-secondary" data-action="refresh" title="Refresh Data">${Icons.refresh}</button>
+          <button class="btn btn-sm btn-secondary" data-action="history" title="Sync History">${Icons.history}</button>
+          ${type === 'epg' ? '' : `<button class="btn btn-sm btn-secondary" data-action="rules" title="Content Rules">${Icons.filter}</button>`}
           <button class="btn btn-sm btn-secondary" data-action="test" title="Test Connection">${Icons.link}</button>
           <button class="btn btn-sm btn-secondary" data-action="toggle" title="${source.enabled ? 'Disable' : 'Enable'}">
             ${source.enabled ? Icons.check : Icons.circle}
@@ -155,6 +254,8 @@ class SourceManager {
             const id = parseInt(item.dataset.id);
 
             item.querySelector('[data-action="refresh"]').addEventListener('click', () => this.refreshSource(id, type));
+            item.querySelector('[data-action="history"]').addEventListener('click', () => this.showHistoryModal(id));
+            item.querySelector('[data-action="rules"]')?.addEventListener('click', () => this.showRulesModal(id));
             item.querySelector('[data-action="test"]').addEventListener('click', () => this.testSource(id));
             item.querySelector('[data-action="toggle"]').addEventListener('click', () => this.toggleSource(id));
             item.querySelector('[data-action="edit"]').addEventListener('click', () => this.showEditModal(id, type));
@@ -162,6 +263,16 @@ class SourceManager {
         });
     }
 
+    /**
+     * Where a source is loaded from (URL, uploaded file name or server path)
+     */
+    getSourceLocation(source) {
+        if (source.uploaded) return `Uploaded file: ${this.escapeHtml(source.fileName || '')}`;
+        if (source.file) return `${this.escapeHtml(source.file)}${source.watchFile ? ' (watched)' : ''}`;
+        if (source.type === 'local') return this.escapeHtml(source.path);
+        return source.url;
+    }
+
     /**
      * Show add source modal
      */
@@ -171,10 +282,11 @@ class SourceManager {
         const body = document.getElementById('modal-body');
         const footer = document.getElementById('modal-footer');
 
-        const titles = { xtream: 'Add Xtream Connection', m3u: 'Add M3U Playlist', epg: 'Add EPG Source' };
+        const titles = { xtream: 'Add Xtream Connection', stalker: 'Add Stalker Portal', m3u: 'Add M3U Playlist', epg: 'Add EPG Source', local: 'Add Local Library' };
         title.textContent = titles[type];
 
         body.innerHTML = this.getSourceForm(type);
+        this.attachOriginToggle(body);
 
         footer.innerHTML = `
       <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
@@ -202,7 +314,7 @@ class SourceManager {
             const footer = document.getElementById('modal-footer');
 
             title.textContent = `Edit ${type.toUpperCase()} Source`;
-            body.innerHTML = this.getSourceForm(type, source);
+            body.innerHTML = this.getSourceForm(type, source) + this.getScheduleFields(type, source);
 
             footer.innerHTML = `
         <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
@@ -255,22 +367,165 @@ class SourceManager {
       `;
         }
 
-        return nameField + urlField;
+        if (type === 'stalker') {
+            return `
+        ${nameField}
+        <div class="form-group">
+          <label for="source-url">Portal URL</label>
+          <input type="text" id="source-url" class="form-input" placeholder="http://portal.example.com/c/"
+                 value="${source.url || ''}">
+        </div>
+        <div class="form-group">
+          <label for="source-mac">MAC Address</label>
+          <input type="text" id="source-mac" class="form-input" placeholder="00:1A:79:00:00:00"
+                 value="${this.escapeHtml(source.mac || '')}">
+          <p class="hint">The MAC address registered with your provider</p>
+        </div>
+      `;
+        }
+
+        if (type === 'local') {
+            // The folder can't be changed later (like file sources)
+            return `
+        ${nameField}
+        <div class="form-group">
+          <label for="source-path">Folder on server</label>
+          <input type="text" id="source-path" class="form-input" placeholder="/media/videos"
+                 value="${this.escapeHtml(source.path || '')}" ${source.id ? 'disabled' : ''}>
+          <p class="hint">Movies and series (SxxEyy) are found in all subfolders, with .nfo, poster and .srt files next to them</p>
+        </div>
+      `;
+        }
+
+        return nameField + this.getOriginFields(source, urlField);
+    }
+
+    /**
+     * Sync schedule per content type (edit form only, empty = default interval)
+     */
+    getScheduleFields(type, source) {
+        const fields = (SYNC_CONTENT[type] || []).map(content => `
+        <div class="sync-schedule-field">
+          <span>${SYNC_CONTENT_LABELS[content]}</span>
+          <input type="text" class="form-input" data-schedule="${content}" placeholder="Default interval"
+                 value="${this.escapeHtml(source.schedules?.[content] || '')}">
+        </div>
+      `).join('');
+
+        return `
+      <div class="form-group">
+        <label>Sync Schedule</label>
+        ${fields}
+        <p class="hint">e.g. "every 6h", "03:30 daily" or "04:00 sun,wed" (server time)</p>
+      </div>
+    `;
+    }
+
+    /**
+     * M3U/EPG sources can come from a URL, an uploaded file or a file on the server
+     * Existing sources keep their origin; uploads can only be replaced
+     */
+    getOriginFields(source, urlField) {
+        const fileInput = `
+      <input type="file" id="source-file" class="form-input" accept=".m3u,.m3u8,.xml,.xmltv,.gz,.xz,.zip">
+      <p class="hint">Compressed files (.gz, .xz, .zip) are supported</p>
+    `;
+        const watchField = `
+      <div class="setting-item">
+        <label class="setting-toggle">
+          <input type="checkbox" id="source-watch-file" ${source.watchFile ? 'checked' : ''}>
+          <span class="toggle-slider"></span>
+        </label>
+        <div class="setting-info">
+          <span class="setting-label">Re-sync automatically when the file changes</span>
+        </div>
+      </div>
+    `;
+
+        if (source.uploaded) {
+            return `
+        <div class="form-group">
+          <label for="source-file">Replace file (${this.escapeHtml(source.fileName || '')})</label>
+          ${fileInput}
+        </div>
+      `;
+        }
+        if (source.file) {
+            return `
+        <div class="form-group">
+          <label>File on server</label>
+          <input type="text" class="form-input" value="${this.escapeHtml(source.file)}" disabled>
+        </div>
+        ${watchField}
+      `;
+        }
+        if (source.id) {
+            return urlField;
+        }
+
+        return `
+      <div class="form-group">
+        <label for="source-origin">Source</label>
+        <select id="source-origin" class="form-input">
+          <option value="url">URL</option>
+          <option value="upload">Upload file</option>
+          <option value="path">File on server</option>
+        </select>
+      </div>
+      <div data-origin="url">${urlField}</div>
+      <div data-origin="upload" class="hidden">
+        <div class="form-group">
+          <label for="source-file">File</label>
+          ${fileInput}
+        </div>
+      </div>
+      <div data-origin="path" class="hidden">
+        <div class="form-group">
+          <label for="source-path">Path</label>
+          <input type="text" id="source-path" class="form-input" placeholder="/data/playlists/channels.m3u">
+        </div>
+        ${watchField}
+      </div>
+    `;
+    }
+
+    /**
+     * Show the fields of the selected source origin
+     */
+    attachOriginToggle(body) {
+        const select = body.querySelector('#source-origin');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            body.querySelectorAll('[data-origin]').forEach(el => {
+                el.classList.toggle('hidden', el.dataset.origin !== select.value);
+            });
+        });
     }
 
     /**
      * Save new source
      */
     async saveNewSource(type) {
+        const origin = type === 'local' ? 'library' : (document.getElementById('source-origin')?.value || 'url');
+        if (origin !== 'url') {
+            return this.saveFileSource(type, origin);
+        }
+
         const name = document.getElementById('source-name').value.trim();
         const url = document.getElementById('source-url').value.trim();
         const username = document.getElementById('source-username')?.value.trim() || null;
         const password = document.getElementById('source-password')?.value.trim() || null;
+        const mac = document.getElementById('source-mac')?.value.trim() || null;
 
         if (!name || !url) {
             alert('Name and URL are required');
             return;
         }
+        if (type === 'stalker' && !mac) {
+            alert('MAC address is required');
+            return;
+        }
 
         try {
             // Check M3U size before creating (large playlist warning)
@@ -295,7 +550,50 @@ class SourceManager {
                 }
             }
 
-            await API.sources.create({ type, name, url, username, password });
+            await API.sources.create({ type, name, url, username, password, ...(mac ? { mac } : {}) });
+            document.getElementById('modal').classList.remove('active');
+            await this.loadSources();
+
+            // Refresh channel list
+            if (window.app?.channelList) {
+                await window.app.channelList.loadSources();
+                await window.app.channelList.loadChannels();
+            }
+        } catch (err) {
+            alert('Error adding source: ' + err.message);
+        }
+    }
+
+    /**
+     * Save new source from an uploaded file, a path on the server or a library folder
+     */
+    async saveFileSource(type, origin) {
+        const name = document.getElementById('source-name').value.trim();
+        const file = document.getElementById('source-file')?.files[0];
+        const filePath = document.getElementById('source-path').value.trim();
+
+        if (!name || (origin === 'upload' ? !file : !filePath)) {
+            alert(origin === 'upload' ? 'Name and file are required' : 'Name and path are required');
+            return;
+        }
+
+        const saveBtn = document.getElementById('modal-save');
+        saveBtn.disabled = true;
+        saveBtn.textContent = origin === 'upload' ? 'Uploading...' : 'Adding...';
+
+        try {
+            if (origin === 'upload') {
+                await API.sources.upload(file, { type, name });
+            } else if (origin === 'library') {
+                await API.sources.createLibrary({ name, path: filePath });
+            } else {
+                await API.sources.createFromPath({
+                    type,
+                    name,
+                    path: filePath,
+                    watchFile: document.getElementById('source-watch-file').checked
+                });
+            }
             document.getElementById('modal').classList.remove('active');
             await this.loadSources();
 
@@ -306,6 +604,9 @@ class SourceManager {
             }
         } catch (err) {
             alert('Error adding source: ' + err.message);
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Add Source';
         }
     }
 
@@ -314,22 +615,37 @@ class SourceManager {
      */
     async updateSource(id, type) {
         const name = document.getElementById('source-name').value.trim();
-        const url = document.getElementById('source-url').value.trim();
+        const url = document.getElementById('source-url')?.value.trim();
         const username = document.getElementById('source-username')?.value.trim();
         const password = document.getElementById('source-password')?.value.trim();
-
-        if (!name || !url) {
+        const mac = document.getElementById('source-mac')?.value.trim();
+        const file = document.getElementById('source-file')?.files[0];
+        const watchFile = document.getElementById('source-watch-file');
+        const scheduleInputs = document.querySelectorAll('#modal-body [data-schedule]');
+        // File-backed and library sources have no URL field
+        const isFileSource = !document.getElementById('source-url');
+
+        if (!name || (!isFileSource && !url)) {
             alert('Name and URL are required');
             return;
         }
 
         try {
-            const data = { name, url };
+            const data = { name };
+            if (!isFileSource) data.url = url;
+            if (watchFile) data.watchFile = watchFile.checked;
             if (type === 'xtream') {
                 data.username = username;
                 if (password) data.password = password;
             }
+            if (type === 'stalker') data.mac = mac;
+            if (scheduleInputs.length > 0) {
+                data.schedules = Object.fromEntries([...scheduleInputs].map(input => [input.dataset.schedule, input.value.trim()]));
+            }
 
+            if (file) {
+                await API.sources.replaceFile(id, file);
+            }
             await API.sources.update(id, data);
             document.getElementById('modal').classList.remove('active');
             await this.loadSources();
@@ -369,6 +685,254 @@ class SourceManager {
         }
     }
 
+    /**
+     * Show the latest sync runs of a source with what changed
+     */
+    async showHistoryModal(id) {
+        const modal = document.getElementById('modal');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+
+        document.getElementById('modal-title').textContent = 'Sync History';
+        body.innerHTML = '<p class="hint">Loading...</p>';
+        footer.innerHTML = '<button class="btn btn-secondary" id="modal-cancel">Close</button>';
+        modal.classList.add('active');
+        modal.querySelector('.modal-close').onclick = () => modal.classList.remove('active');
+        document.getElementById('modal-cancel').onclick = () => modal.classList.remove('active');
+
+        try {
+            const runs = await API.sources.history(id);
+            if (runs.length === 0) {
+                body.innerHTML = '<p class="hint">This source has not been synced yet</p>';
+                return;
+            }
+
+            body.innerHTML = `
+        <div class="user-list-container">
+          <table class="user-table sync-history-table">
+            <thead>
+              <tr><th>Started</th><th>Duration</th><th>Added</th><th>Removed</th><th>Renamed</th><th>Moved</th><th>Updated</th></tr>
+            </thead>
+            <tbody>${runs.map(run => this.getHistoryRow(run)).join('')}</tbody>
+          </table>
+        </div>
+      `;
+        } catch (err) {
+            body.innerHTML = `<p class="hint">Error loading sync history: ${this.escapeHtml(err.message)}</p>`;
+        }
+    }
+
+    /**
+     * Content rules of a source: ordered hide/rename/move rules applied on every sync
+     */
+    async showRulesModal(id) {
+        const modal = document.getElementById('modal');
+        const body = document.getElementById('modal-body');
+        const footer = document.getElementById('modal-footer');
+        const close = () => modal.classList.remove('active');
+
+        document.getElementById('modal-title').textContent = 'Content Rules';
+        body.innerHTML = '<p class="hint">Loading...</p>';
+        footer.innerHTML = '<button class="btn btn-secondary" id="modal-cancel">Close</button>';
+        modal.classList.add('active');
+        modal.querySelector('.modal-close').onclick = close;
+        document.getElementById('modal-cancel').onclick = close;
+
+        try {
+            this.editingRules = await API.sources.rules(id);
+        } catch (err) {
+            body.innerHTML = `<p class="hint">Error loading content rules: ${this.escapeHtml(err.message)}</p>`;
+            return;
+        }
+
+        body.innerHTML = `
+        <p class="hint">Rules run from top to bottom on every sync, each on the result of the ones before.
+          Match with a regex like <code>/^(AR|TR)\|/</code> or plain text.</p>
+        <div class="rules-list"></div>
+        <button class="btn btn-sm btn-secondary" id="rule-add">Add rule</button>
+        <div class="rules-preview"></div>
+      `;
+        footer.innerHTML = `
+        <button class="btn btn-secondary" id="modal-cancel">Cancel</button>
+        <button class="btn btn-secondary" id="rules-preview">Preview</button>
+        <button class="btn btn-primary" id="rules-save">Save</button>
+      `;
+        document.getElementById('modal-cancel').onclick = close;
+
+        const list = body.querySelector('.rules-list');
+        this.renderRules(list);
+
+        document.getElementById('rule-add').onclick = () => {
+            this.editingRules = this.readRules(list);
+            this.editingRules.push({ target: 'item', type: '', match: '', action: 'hide', value: '', enabled: true });
+            this.renderRules(list);
+        };
+
+        document.getElementById('rules-preview').onclick = async () => {
+            const rules = this.readRules(list);
+            const preview = body.querySelector('.rules-preview');
+            preview.innerHTML = '<p class="hint">Checking...</p>';
+            try {
+                this.renderRulesPreview(preview, rules, await API.sources.previewRules(id, rules));
+            } catch (err) {
+                preview.innerHTML = `<p class="sync-history-error">${this.escapeHtml(err.message)}</p>`;
+            }
+        };
+
+        document.getElementById('rules-save').onclick = async () => {
+            try {
+                const result = await API.sources.saveRules(id, this.readRules(list));
+                close();
+                alert(`Rules saved - ${result.updated} channels, movies, series and groups changed`);
+            } catch (err) {
+                alert('Error saving rules: ' + err.message);
+            }
+        };
+    }
+
+    /**
+     * Editable rows of the rules being edited
+     */
+    renderRules(list) {
+        const option = (value, label, selected, disabled = false) =>
+            `<option value="${value}" ${selected === value ? 'selected' : ''} ${disabled ? 'disabled' : ''}>${label}</option>`;
+
+        if (this.editingRules.length === 0) {
+            list.innerHTML = '<p class="hint">No rules yet</p>';
+            return;
+        }
+
+        list.innerHTML = this.editingRules.map((rule, index) => `
+        <div class="rule-row ${rule.enabled === false ? 'disabled' : ''}">
+          <div class="rule-row-line">
+            <span class="rule-number">${index + 1}</span>
+            <input type="checkbox" data-field="enabled" title="Enabled" ${rule.enabled === false ? '' : 'checked'}>
+            <select class="form-input" data-field="target">
+              ${option('item', 'Channels / titles', rule.target)}
+              ${option('category', 'Groups', rule.target)}
+            </select>
+            <select class="form-input" data-field="type">
+              ${option('', 'All content', rule.type || '')}
+              ${option('live', 'Live TV', rule.type)}
+              ${option('movie', 'Movies', rule.type)}
+              ${option('series', 'Series', rule.type)}
+            </select>
+            <button class="btn btn-sm btn-secondary" data-move="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="btn btn-sm btn-secondary" data-move="1" title="Move down" ${index === this.editingRules.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="btn btn-sm btn-danger" data-remove title="Remove">${Icons.close}</button>
+          </div>
+          <div class="rule-row-line">
+            <input type="text" class="form-input" data-field="match" placeholder="/sport/i" value="${this.escapeHtml(rule.match || '')}">
+            <select class="form-input" data-field="action">
+              ${option('hide', 'Hide', rule.action)}
+              ${option('rename', 'Replace with', rule.action)}
+              ${option('move', 'Move to group', rule.action, rule.target === 'category')}
+            </select>
+            <input type="text" class="form-input ${rule.action === 'hide' ? 'hidden' : ''}" data-field="value"
+              placeholder="${rule.action === 'move' ? 'Group name' : 'Nothing (remove)'}" value="${this.escapeHtml(rule.value || '')}">
+          </div>
+        </div>
+      `).join('');
+
+        list.querySelectorAll('.rule-row').forEach((row, index) => {
+            // Target and action change which fields make sense
+            row.querySelectorAll('[data-field="target"], [data-field="action"], [data-field="enabled"]').forEach(input => {
+                input.onchange = () => {
+                    this.editingRules = this.readRules(list);
+                    const rule = this.editingRules[index];
+                    if (rule.target === 'category' && rule.action === 'move') rule.action = 'hide';
+                    this.renderRules(list);
+                };
+            });
+            row.querySelectorAll('[data-move]').forEach(button => {
+                button.onclick = () => {
+                    this.editingRules = this.readRules(list);
+                    const [rule] = this.editingRules.splice(index, 1);
+                    this.editingRules.splice(index + parseInt(button.dataset.move), 0, rule);
+                    this.renderRules(list);
+                };
+            });
+            row.querySelector('[data-remove]').onclick = () => {
+                this.editingRules = this.readRules(list);
+                this.editingRules.splice(index, 1);
+                this.renderRules(list);
+            };
+        });
+    }
+
+    /**
+     * Rules as currently entered in the rule rows
+     */
+    readRules(list) {
+        return Array.from(list.querySelectorAll('.rule-row')).map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            return {
+                target: field('target').value,
+                type: field('type').value,
+                match: field('match').value.trim(),
+                action: field('action').value,
+                value: field('action').value === 'hide' ? '' : field('value').value,
+                enabled: field('enabled').checked
+            };
+        });
+    }
+
+    /**
+     * Matches per rule from the preview
+     */
+    renderRulesPreview(container, rules, results) {
+        const typeNames = { live: 'Live', movie: 'Movie', series: 'Series' };
+
+        container.innerHTML = results.map((result, index) => `
+        <div class="rules-preview-rule">
+          <strong>Rule ${index + 1}</strong> (${this.escapeHtml(rules[index].match)}):
+          ${result.count === 0 ? '<span class="hint">matches nothing</span>' : `${result.count} match${result.count === 1 ? '' : 'es'}`}
+          ${result.examples.length > 0 ? `
+          <ul>
+            ${result.examples.map(e => `<li>${typeNames[e.type] || e.type}: ${this.escapeHtml(e.name)} → ${this.escapeHtml(e.result)}</li>`).join('')}
+            ${result.count > result.examples.length ? `<li class="hint">and ${result.count - result.examples.length} more</li>` : ''}
+          </ul>` : ''}
+        </div>
+      `).join('') || '<p class="hint">No rules to preview</p>';
+    }
+
+    /**
+     * Table rows of a sync run: the totals, then per content type details
+     */
+    getHistoryRow(run) {
+        const names = { live: 'Channels', movie: 'Movies', series: 'Series', episode: 'Episodes' };
+        const list = (label, items) => items.length === 0 ? '' : `<div><strong>${label}:</strong> ${items.map(i => this.escapeHtml(i)).join(', ')}</div>`;
+
+        const details = Object.entries(run.changes).map(([type, c]) => `
+        <div class="sync-history-type">
+          <div>${names[type] || type}: ${c.added} added, ${c.removed} removed, ${c.renamed} renamed, ${c.recategorized} moved, ${c.updated} updated, ${c.unchanged} unchanged</div>
+          ${list('Added', c.examples.added)}
+          ${list('Removed', c.examples.removed)}
+          ${list('Renamed', c.examples.renamed.map(r => `${r.from} → ${r.to}`))}
+          ${list('Moved', c.examples.recategorized.map(r => `${r.name} (${r.from} → ${r.to})`))}
+        </div>
+      `).join('');
+
+        return `
+        <tr>
+          <td>${new Date(run.started_at).toLocaleString()}</td>
+          <td>${(run.duration_ms / 1000).toFixed(1)}s</td>
+          <td>${run.added}</td>
+          <td>${run.removed}</td>
+          <td>${run.renamed}</td>
+          <td>${run.recategorized}</td>
+          <td>${run.updated}</td>
+        </tr>
+        <tr class="sync-history-details">
+          <td colspan="7">
+            ${run.status === 'error' ? `<div class="sync-history-error">Failed: ${this.escapeHtml(run.error)}</div>` : ''}
+            ${run.status === 'cancelled' ? '<div class="sync-history-error">Cancelled</div>' : ''}
+            ${details || '<span class="hint">No content changes</span>'}
+          </td>
+        </tr>
+      `;
+    }
+
     /**
      * Test source connection
      */
@@ -376,6 +940,7 @@ class SourceManager {
         try {
             const result = await API.sources.test(id);
             if (result.success) {
+                if (result.data?.user_info) await this.loadAccounts();
                 alert('Connection successful!');
             } else {
                 alert('Connection failed: ' + (result.error || result.message));
@@ -425,33 +990,14 @@ class SourceManager {
                 }
             }
 
-            // 1. Trigger Backend Sync
+            // 1. Trigger Backend Sync (wait for the progress stream to report the end)
             console.log(`[SourceManager] Triggering sync for source ${id}`);
+            const finished = this.waitForSync(id);
             await API.sources.sync(id);
 
-            // 2. Poll for completion
-            let retries = 0;
-            const maxRetries = 60; // 60 seconds timeout
-
-            while (retries < maxRetries) {
-                await new Promise(r => setTimeout(r, 1000)); // Wait 1s
-                const statuses = await API.sources.getStatus();
-                const status = statuses.find(s => s.source_id === id && s.type === 'all');
-
-                if (status && status.status === 'success') {
-                    console.log('[SourceManager] Sync completed successfully');
-                    break;
-                } else if (status && status.status === 'error') {
-                    throw new Error(`Sync failed: ${status.error}`);
-                }
-
-                // If no status found yet, or still syncing, continue
-                retries++;
-            }
-
-            if (retries >= maxRetries) {
-                throw new Error('Sync timed out');
-            }
+            // 2. Wait for completion
+            await finished;
+            console.log('[SourceManager] Sync completed successfully');
 
             // 3. Refresh UI / Cache
             // Clear cache for this source first
@@ -469,12 +1015,19 @@ class SourceManager {
                     await window.app.channelList.loadChannels();
                 }
                 alert('Xtream data synced & refreshed!');
+            } else if (type === 'stalker') {
+                if (window.app?.channelList) {
+                    await window.app.channelList.loadChannels();
+                }
+                alert('Portal data synced & refreshed!');
             } else if (type === 'm3u') {
                 // Re-fetch M3U data by reloading channels
                 if (window.app?.channelList) {
                     await window.app.channelList.loadChannels();
                 }
                 alert('M3U playlist synced & refreshed!');
+            } else if (type === 'local') {
+                alert('Library rescanned!');
             }
 
             if (btn) {
@@ -484,7 +1037,13 @@ class SourceManager {
             }
         } catch (err) {
             console.error('Error refreshing source:', err);
-            alert('Refresh failed: ' + err.message);
+            const btn = document.querySelector(`.source-item[data-id="${id}"] [data-action="refresh"]`);
+            if (btn && err.cancelled) {
+                btn.disabled = false;
+                btn.innerHTML = Icons.refresh;
+            } else {
+                alert('Refresh failed: ' + err.message);
+            }
         }
     }
 
@@ -497,6 +1056,8 @@ class SourceManager {
         this.channelsBtn = document.getElementById('content-type-channels');
         this.moviesBtn = document.getElementById('content-type-movies');
         this.seriesBtn = document.getElementById('content-type-series');
+        this.epgBtn = document.getElementById('content-type-epg');
+        this.mergedBtn = document.getElementById('content-type-merged');
 
         // Content type toggle
         this.channelsBtn?.addEventListener('click', () => {
@@ -504,6 +1065,8 @@ class SourceManager {
             this.channelsBtn.classList.add('active');
             this.moviesBtn?.classList.remove('active');
             this.seriesBtn?.classList.remove('active');
+            this.epgBtn?.classList.remove('active');
+            this.mergedBtn?.classList.remove('active');
             this.reloadContentTree();
         });
 
@@ -512,6 +1075,8 @@ class SourceManager {
             this.moviesBtn.classList.add('active');
             this.channelsBtn?.classList.remove('active');
             this.seriesBtn?.classList.remove('active');
+            this.epgBtn?.classList.remove('active');
+            this.mergedBtn?.classList.remove('active');
             this.reloadContentTree();
         });
 
@@ -520,6 +1085,30 @@ class SourceManager {
             this.seriesBtn.classList.add('active');
             this.channelsBtn?.classList.remove('active');
             this.moviesBtn?.classList.remove('active');
+            this.epgBtn?.classList.remove('active');
+            this.mergedBtn?.classList.remove('active');
+            this.reloadContentTree();
+        });
+
+        // EPG mapping (admin only - button is shown by SettingsPage)
+        this.epgBtn?.addEventListener('click', () => {
+            this.contentType = 'epg';
+            this.epgBtn.classList.add('active');
+            this.channelsBtn?.classList.remove('active');
+            this.moviesBtn?.classList.remove('active');
+            this.seriesBtn?.classList.remove('active');
+            this.mergedBtn?.classList.remove('active');
+            this.reloadContentTree();
+        });
+
+        // Merged channels (admin only - button is shown by SettingsPage)
+        this.mergedBtn?.addEventListener('click', () => {
+            this.contentType = 'merged';
+            this.mergedBtn.classList.add('active');
+            this.channelsBtn?.classList.remove('active');
+            this.moviesBtn?.classList.remove('active');
+            this.seriesBtn?.classList.remove('active');
+            this.epgBtn?.classList.remove('active');
             this.reloadContentTree();
         });
 
@@ -555,15 +1144,31 @@ class SourceManager {
      * Reload content tree based on current type and source
      */
     reloadContentTree() {
+        // Visibility actions don't apply to EPG mapping or merged channels (changes save immediately)
+        const isEpgMapping = this.contentType === 'epg';
+        const isMerged = this.contentType === 'merged';
+        document.querySelector('.content-actions')?.style.setProperty('display', isEpgMapping || isMerged ? 'none' : '');
+        document.getElementById('content-visibility-hint')?.style.setProperty('display', isEpgMapping || isMerged ? 'none' : '');
+
         const sourceId = this.contentSourceSelect?.value;
+
+        // Merged channels span sources - the selected source only lists channels to add
+        if (isMerged) {
+            this.loadMergedChannels(sourceId ? parseInt(sourceId) : null);
+            return;
+        }
+
         if (!sourceId) {
             const typeLabel = this.contentType === 'movies' ? 'movie categories' :
-                this.contentType === 'series' ? 'series categories' : 'groups and channels';
+                this.contentType === 'series' ? 'series categories' :
+                    isEpgMapping ? 'EPG mappings' : 'groups and channels';
             this.contentTree.innerHTML = `<p class="hint">Select a source to view ${typeLabel}</p>`;
             return;
         }
 
-        if (this.contentType === 'movies') {
+        if (isEpgMapping) {
+            this.loadEpgMappings(parseInt(sourceId));
+        } else if (this.contentType === 'movies') {
             this.loadMovieCategoriesTree(parseInt(sourceId));
         } else if (this.contentType === 'series') {
             this.loadSeriesCategoriesTree(parseInt(sourceId));
@@ -584,7 +1189,8 @@ class SourceManager {
             // Keep the placeholder option
             select.innerHTML = '<option value="">Select a source...</option>';
 
-            sources.filter(s => s.type === 'xtream' || s.type === 'm3u').forEach(source => {
+            this.contentSources = sources.filter(s => ['xtream', 'stalker', 'm3u', 'local'].includes(s.type));
+            this.contentSources.forEach(source => {
                 select.innerHTML += `<option value="${source.id}">${source.name} (${source.type})</option>`;
             });
         } catch (err) {
@@ -612,7 +1218,7 @@ class SourceManager {
 
             let categoryMap = {};
 
-            if (source.type === 'xtream' || source.type === 'm3u') {
+            if (source.type === 'xtream' || source.type === 'stalker' || source.type === 'm3u') {
                 // Use unified Xtream API endpoints - backend supports both source types
                 // Use includeHidden to show ALL items in the content manager
                 const categories = await API.proxy.xtream.liveCategories(sourceId, { includeHidden: true });
@@ -625,9 +1231,7 @@ class SourceManager {
             }
 
             // Get currently hidden items
-            const hiddenItems = await API.channels.getHidden(sourceId);
-            this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
-            this.originalHiddenSet = new Set(this.hiddenSet); // Track original state for diffing
+            this.setHiddenItems(await API.channels.getHidden(sourceId));
 
             // Group channels by category
             const groupMap = {}; // key: categoryId, value: { name, categoryId, items }
@@ -683,6 +1287,23 @@ class SourceManager {
         }
     }
 
+    /**
+     * Hidden state of the content tree
+     * Items a content rule hides are locked: they show again when the rule changes, not from here
+     */
+    setHiddenItems(hiddenItems) {
+        this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
+        this.ruleHiddenSet = new Set(hiddenItems.filter(h => h.hiddenByRule).map(h => `${h.item_type}:${h.item_id}`));
+        this.originalHiddenSet = new Set(this.hiddenSet); // Track original state for diffing
+    }
+
+    /**
+     * Badge of an item a content rule hides - opens the source's rules
+     */
+    getRuleBadgeHtml() {
+        return '<span class="rule-badge" title="Hidden by a content rule - edit the rules to show it">Rule</span>';
+    }
+
     /**
      * Get groups filtered by search query
      */
@@ -713,6 +1334,15 @@ class SourceManager {
      * Render the full tree based on current state
      */
     renderTree() {
+        if (this.contentType === 'epg') {
+            this.renderEpgMappings();
+            return;
+        }
+        if (this.contentType === 'merged') {
+            this.renderMergedChannels();
+            return;
+        }
+
         const groups = this.getFilteredGroups();
 
         if (!groups.length) {
@@ -737,20 +1367,23 @@ class SourceManager {
         // Group checkbox is checked if ANY child is visible (derived state)
         const hasVisibleChild = group.items.some(item => !this.hiddenSet.has(`${item.type}:${item.id}`));
         const checked = hasVisibleChild;
+        const groupRuleHidden = !!group.categoryId && this.ruleHiddenSet.has(`group:${group.categoryId}`);
 
         let itemsHtml = '';
         if (isExpanded) {
             itemsHtml = `<div class="content-channels">
                 ${group.items.map(item => {
                 const itemHidden = this.hiddenSet.has(`${item.type}:${item.id}`);
+                const ruleHidden = this.ruleHiddenSet.has(`${item.type}:${item.id}`);
                 return `
                     <label class="checkbox-label channel-item" title="${this.escapeHtml(item.name)}">
                         <input type="checkbox" class="channel-checkbox" 
                                data-type="${item.type}" 
                                data-id="${item.id}" 
                                data-source-id="${this.treeData.sourceId}" 
-                               ${!itemHidden ? 'checked' : ''}>
+                               ${!itemHidden ? 'checked' : ''} ${ruleHidden ? 'disabled' : ''}>
                         <span class="channel-name">${this.escapeHtml(item.name)}</span>
+                        ${ruleHidden ? this.getRuleBadgeHtml() : ''}
                     </label>`;
             }).join('')}
             </div>`;
@@ -765,8 +1398,9 @@ class SourceManager {
                                data-type="group" 
                                data-id="${this.escapeHtml(group.name)}" 
                                data-source-id="${this.treeData.sourceId}" 
-                               ${checked ? 'checked' : ''}>
+                               ${checked ? 'checked' : ''} ${groupRuleHidden ? 'disabled' : ''}>
                         <span class="group-name">${this.escapeHtml(group.name)} (${group.items.length})</span>
+                        ${groupRuleHidden ? this.getRuleBadgeHtml() : ''}
                     </label>
                 </div>
                 ${itemsHtml}
@@ -797,6 +1431,15 @@ class SourceManager {
             });
         });
 
+        // Items hidden by a content rule point to the rules
+        container.querySelectorAll('.rule-badge').forEach(badge => {
+            badge.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showRulesModal(this.treeData.sourceId);
+            });
+        });
+
         // Toggle visibility
         container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
             cb.addEventListener('change', (e) => {
@@ -832,6 +1475,348 @@ class SourceManager {
         }
     }
 
+    /**
+     * Load channels with their EPG mapping status for a source
+     */
+    async loadEpgMappings(sourceId) {
+        this.contentTree.innerHTML = '<p class="hint">Loading channels and guide data...</p>';
+        this.epgMappingData = null;
+
+        try {
+            const { channels, epgChannels } = await API.epgMappings.getAll(sourceId);
+            this.epgMappingData = { sourceId, channels, epgChannels };
+            this.renderEpgMappings();
+        } catch (err) {
+            console.error('Error loading EPG mappings:', err);
+            this.contentTree.innerHTML = `<p class="hint" style="color: var(--color-error);">Error: ${this.escapeHtml(err.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render the EPG mapping list
+     * Unmapped channels get fuzzy-matched suggestions; any XMLTV channel can be picked instead
+     */
+    renderEpgMappings() {
+        const data = this.epgMappingData;
+        if (!data) return;
+
+        if (data.epgChannels.length === 0) {
+            this.contentTree.innerHTML = '<p class="hint">No guide data found. Add an EPG source or refresh your sources first.</p>';
+            return;
+        }
+
+        // Cap rendered rows - large playlists have thousands of channels
+        const MAX_ROWS = 200;
+        const unmappedCount = data.channels.filter(ch => ch.status === 'unmapped').length;
+        const channels = data.channels.filter(ch =>
+            (this.epgMappingFilter === 'all' || ch.status === 'unmapped') &&
+            (!this.searchQuery || ch.name.toLowerCase().includes(this.searchQuery))
+        );
+
+        const epgNames = new Map(data.epgChannels.map(ch => [ch.id, ch.name]));
+        const statusLabels = { mapped: 'Mapped', matched: 'Auto', unmapped: 'Unmapped' };
+
+        const rowsHtml = channels.slice(0, MAX_ROWS).map(ch => {
+            const currentId = ch.mappedTo || (ch.status === 'matched' ? ch.tvgId : '') || ch.suggestions[0]?.id || '';
+            const suggestionsHtml = ch.suggestions.map(s => `
+                <button class="btn btn-sm btn-secondary epg-mapping-suggestion" data-epg-id="${this.escapeHtml(s.id)}"
+                        title="${this.escapeHtml(s.id)}">${this.escapeHtml(s.name)} (${Math.round(s.score * 100)}%)</button>
+            `).join('');
+
+            return `
+                <div class="epg-mapping-row" data-item-id="${this.escapeHtml(ch.itemId)}">
+                    <div class="epg-mapping-channel">
+                        <span class="channel-name">${this.escapeHtml(ch.name)}</span>
+                        <span class="hint">${ch.tvgId ? `tvg-id: ${this.escapeHtml(ch.tvgId)}` : 'no tvg-id'}</span>
+                    </div>
+                    <span class="epg-mapping-status ${ch.status}">${statusLabels[ch.status]}</span>
+                    <div class="epg-mapping-controls">
+                        <input type="text" class="form-input epg-mapping-input" list="epg-mapping-options"
+                               value="${this.escapeHtml(currentId)}" placeholder="XMLTV channel ID">
+                        <button class="btn btn-sm btn-primary epg-mapping-save">Confirm</button>
+                        ${ch.mappedTo ? '<button class="btn btn-sm btn-secondary epg-mapping-clear">Clear</button>' : ''}
+                    </div>
+                    ${suggestionsHtml ? `<div class="epg-mapping-suggestions">${suggestionsHtml}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const optionsHtml = data.epgChannels.map(ch =>
+            `<option value="${this.escapeHtml(ch.id)}">${this.escapeHtml(ch.name)}</option>`
+        ).join('');
+
+        this.contentTree.innerHTML = `
+            <div class="epg-mapping-toolbar">
+                <select id="epg-mapping-filter" class="source-select">
+                    <option value="unmapped" ${this.epgMappingFilter === 'unmapped' ? 'selected' : ''}>Unmapped channels (${unmappedCount})</option>
+                    <option value="all" ${this.epgMappingFilter === 'all' ? 'selected' : ''}>All channels (${data.channels.length})</option>
+                </select>
+                <span class="hint">${channels.length > MAX_ROWS ? `Showing ${MAX_ROWS} of ${channels.length} - search to narrow down` : `${channels.length} channels`}</span>
+            </div>
+            <datalist id="epg-mapping-options">${optionsHtml}</datalist>
+            ${rowsHtml || '<p class="hint">All channels have guide data</p>'}
+        `;
+
+        this.contentTree.querySelector('#epg-mapping-filter')?.addEventListener('change', (e) => {
+            this.epgMappingFilter = e.target.value;
+            this.renderEpgMappings();
+        });
+
+        this.contentTree.querySelectorAll('.epg-mapping-row').forEach(row => {
+            const itemId = row.dataset.itemId;
+            const input = row.querySelector('.epg-mapping-input');
+
+            row.querySelectorAll('.epg-mapping-suggestion').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    input.value = btn.dataset.epgId;
+                });
+            });
+
+            row.querySelector('.epg-mapping-save')?.addEventListener('click', async () => {
+                const epgChannelId = input.value.trim();
+                if (!epgChannelId) return;
+                if (!epgNames.has(epgChannelId) &&
+                    !confirm(`"${epgChannelId}" isn't in the loaded guide data. Map to it anyway?`)) {
+                    return;
+                }
+                await this.saveEpgMapping(itemId, epgChannelId);
+            });
+
+            row.querySelector('.epg-mapping-clear')?.addEventListener('click', () => this.saveEpgMapping(itemId, null));
+        });
+    }
+
+    /**
+     * Save (or clear, when epgChannelId is null) a channel's EPG mapping
+     */
+    async saveEpgMapping(itemId, epgChannelId) {
+        const data = this.epgMappingData;
+        try {
+            let tvgId;
+            if (epgChannelId) {
+                await API.epgMappings.save(data.sourceId, itemId, epgChannelId);
+                const channel = data.channels.find(ch => ch.itemId === itemId);
+                Object.assign(channel, { mappedTo: epgChannelId, status: 'mapped', suggestions: [] });
+                tvgId = epgChannelId;
+                this.renderEpgMappings();
+            } else {
+                await API.epgMappings.remove(data.sourceId, itemId);
+                tvgId = data.channels.find(ch => ch.itemId === itemId)?.tvgId || null;
+                // Reload so the status and suggestions are recalculated
+                await this.loadEpgMappings(data.sourceId);
+            }
+
+            // Update loaded channels so the guide picks up the new mapping without a reload
+            (window.app?.channelList?.channels || [])
+                .filter(ch => String(ch.sourceId) === String(data.sourceId) && String(ch.streamId) === String(itemId))
+                .forEach(ch => ch.tvgId = tvgId);
+        } catch (err) {
+            alert('Error saving EPG mapping: ' + err.message);
+        }
+    }
+
+    /**
+     * Load merged channels, and the live channels of a source to add to them
+     */
+    async loadMergedChannels(sourceId) {
+        this.contentTree.innerHTML = '<p class="hint">Loading merged channels...</p>';
+        this.mergedData = null;
+
+        try {
+            const [merged, channels] = await Promise.all([
+                API.mergedChannels.getAll(),
+                sourceId ? API.proxy.xtream.liveStreams(sourceId) : Promise.resolve([])
+            ]);
+            this.mergedData = { sourceId, merged, channels };
+            if (this.mergedTarget !== 'new' && !merged.some(m => String(m.id) === this.mergedTarget)) {
+                this.mergedTarget = 'new';
+            }
+            this.renderMergedChannels();
+        } catch (err) {
+            console.error('Error loading merged channels:', err);
+            this.contentTree.innerHTML = `<p class="hint" style="color: var(--color-error);">Error: ${this.escapeHtml(err.message)}</p>`;
+        }
+    }
+
+    /**
+     * Render merged channels (with their streams in failover order) and the
+     * selected source's channels that can be added to them
+     */
+    renderMergedChannels() {
+        const data = this.mergedData;
+        if (!data) return;
+
+        const sourceNames = new Map(this.contentSources.map(s => [s.id, s.name]));
+        const linked = new Set(data.merged.flatMap(m => m.streams.map(s => `${s.source_id}:${s.item_id}`)));
+
+        const mergedHtml = data.merged.map(m => {
+            const streamsHtml = m.streams.map((stream, index) => `
+                <li class="merged-stream" data-index="${index}">
+                    <span class="merged-stream-name">${this.escapeHtml(stream.name || stream.item_id)}</span>
+                    <span class="hint">${this.escapeHtml(sourceNames.get(stream.source_id) || `Source ${stream.source_id}`)}${index === 0 ? ' · primary' : ''}</span>
+                    <div class="merged-stream-actions">
+                        <button class="btn btn-sm btn-secondary merged-stream-up" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                        <button class="btn btn-sm btn-secondary merged-stream-down" ${index === m.streams.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                        <button class="btn btn-sm btn-secondary merged-stream-remove" title="Remove">✕</button>
+                    </div>
+                </li>
+            `).join('');
+
+            return `
+                <div class="merged-channel" data-id="${m.id}">
+                    <div class="merged-channel-header">
+                        <input type="text" class="form-input merged-channel-name" value="${this.escapeHtml(m.name)}">
+                        <button class="btn btn-sm btn-secondary merged-channel-delete">Delete</button>
+                    </div>
+                    <ol class="merged-streams">${streamsHtml}</ol>
+                </div>
+            `;
+        }).join('');
+
+        // Cap rendered rows - large playlists have thousands of channels
+        const MAX_ROWS = 200;
+        const channels = data.channels.filter(ch =>
+            !this.searchQuery || String(ch.name || '').toLowerCase().includes(this.searchQuery)
+        );
+        const channelsHtml = channels.slice(0, MAX_ROWS).map(ch => {
+            const isLinked = linked.has(`${data.sourceId}:${ch.stream_id}`);
+            return `
+                <div class="merged-source-channel" data-item-id="${this.escapeHtml(String(ch.stream_id))}">
+                    <span class="channel-name">${this.escapeHtml(ch.name)}</span>
+                    <button class="btn btn-sm ${isLinked ? 'btn-secondary' : 'btn-primary'} merged-channel-add" ${isLinked ? 'disabled' : ''}>
+                        ${isLinked ? 'Linked' : 'Add'}
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        const targetOptions = data.merged.map(m =>
+            `<option value="${m.id}" ${String(m.id) === this.mergedTarget ? 'selected' : ''}>${this.escapeHtml(m.name)}</option>`
+        ).join('');
+
+        this.contentTree.innerHTML = `
+            <p class="hint">Streams are tried top to bottom - when one fails, the player switches to the next.</p>
+            ${mergedHtml || '<p class="hint">No merged channels yet</p>'}
+            <div class="merged-toolbar">
+                <span>Add channels to</span>
+                <select id="merged-target" class="source-select">
+                    <option value="new" ${this.mergedTarget === 'new' ? 'selected' : ''}>New merged channel</option>
+                    ${targetOptions}
+                </select>
+                <span class="hint">${!data.sourceId ? 'Select a source to list its channels' :
+                channels.length > MAX_ROWS ? `Showing ${MAX_ROWS} of ${channels.length} - search to narrow down` : `${channels.length} channels`}</span>
+            </div>
+            ${channelsHtml}
+        `;
+
+        this.contentTree.querySelector('#merged-target')?.addEventListener('change', (e) => {
+            this.mergedTarget = e.target.value;
+        });
+
+        this.contentTree.querySelectorAll('.merged-channel').forEach(el => {
+            const merged = data.merged.find(m => String(m.id) === el.dataset.id);
+            const streams = merged.streams.map(s => ({ sourceId: s.source_id, itemId: s.item_id }));
+
+            el.querySelector('.merged-channel-name').addEventListener('change', (e) => {
+                const name = e.target.value.trim();
+                if (name) this.saveMergedChannel(merged.id, { name });
+            });
+
+            el.querySelector('.merged-channel-delete').addEventListener('click', () => {
+                if (confirm(`Delete merged channel "${merged.name}"? Its streams become regular channels again.`)) {
+                    this.deleteMergedChannel(merged.id);
+                }
+            });
+
+            el.querySelectorAll('.merged-stream').forEach(item => {
+                const index = parseInt(item.dataset.index);
+                const move = (offset) => {
+                    const reordered = [...streams];
+                    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+                    this.saveMergedChannel(merged.id, { streams: reordered });
+                };
+
+                item.querySelector('.merged-stream-up').addEventListener('click', () => move(-1));
+                item.querySelector('.merged-stream-down').addEventListener('click', () => move(1));
+                item.querySelector('.merged-stream-remove').addEventListener('click', () => {
+                    const remaining = streams.filter((_, i) => i !== index);
+                    if (remaining.length === 0) {
+                        this.deleteMergedChannel(merged.id);
+                    } else {
+                        this.saveMergedChannel(merged.id, { streams: remaining });
+                    }
+                });
+            });
+        });
+
+        this.contentTree.querySelectorAll('.merged-source-channel').forEach(row => {
+            row.querySelector('.merged-channel-add')?.addEventListener('click', () => {
+                const channel = data.channels.find(ch => String(ch.stream_id) === row.dataset.itemId);
+                if (channel) this.addToMergedChannel(channel);
+            });
+        });
+    }
+
+    /**
+     * Add a channel of the selected source to the target merged channel (or a new one)
+     */
+    async addToMergedChannel(channel) {
+        const data = this.mergedData;
+        const stream = { sourceId: data.sourceId, itemId: String(channel.stream_id) };
+
+        try {
+            if (this.mergedTarget === 'new') {
+                const created = await API.mergedChannels.create(channel.name, [stream]);
+                this.mergedTarget = String(created.id);
+            } else {
+                const merged = data.merged.find(m => String(m.id) === this.mergedTarget);
+                const streams = merged.streams.map(s => ({ sourceId: s.source_id, itemId: s.item_id }));
+                await API.mergedChannels.update(merged.id, { streams: [...streams, stream] });
+            }
+            await this.afterMergedChange();
+        } catch (err) {
+            alert('Error saving merged channel: ' + err.message);
+        }
+    }
+
+    /**
+     * Save a merged channel's name or streams
+     */
+    async saveMergedChannel(id, changes) {
+        try {
+            await API.mergedChannels.update(id, changes);
+            await this.afterMergedChange();
+        } catch (err) {
+            alert('Error saving merged channel: ' + err.message);
+        }
+    }
+
+    /**
+     * Delete a merged channel
+     */
+    async deleteMergedChannel(id) {
+        try {
+            await API.mergedChannels.delete(id);
+            await this.afterMergedChange();
+        } catch (err) {
+            alert('Error deleting merged channel: ' + err.message);
+        }
+    }
+
+    /**
+     * Reload merged channels and update the channel list without a full reload
+     */
+    async afterMergedChange() {
+        await this.loadMergedChannels(this.mergedData?.sourceId || null);
+
+        const channelList = window.app?.channelList;
+        if (channelList && this.mergedData) {
+            channelList.mergedChannels = this.mergedData.merged;
+            channelList.applyMergedChannels();
+            channelList.render();
+        }
+    }
+
     /**
      * Load movie categories tree for a source
      */
@@ -842,8 +1827,8 @@ class SourceManager {
         try {
             const source = await API.sources.getById(sourceId);
 
-            if (source.type !== 'xtream') {
-                this.contentTree.innerHTML = '<p class="hint">Movie categories are only available for Xtream sources</p>';
+            if (source.type !== 'xtream' && source.type !== 'stalker') {
+                this.contentTree.innerHTML = '<p class="hint">Movie categories are only available for Xtream and Stalker sources</p>';
                 return;
             }
 
@@ -854,9 +1839,7 @@ class SourceManager {
                 return;
             }
 
-            const hiddenItems = await API.channels.getHidden(sourceId);
-            this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
-            this.originalHiddenSet = new Set(this.hiddenSet); // Track original state
+            this.setHiddenItems(await API.channels.getHidden(sourceId));
 
             // Create a single "Movies" group or flatten?
             // The original UI rendered a flat list of categories. 
@@ -899,8 +1882,8 @@ class SourceManager {
         try {
             const source = await API.sources.getById(sourceId);
 
-            if (source.type !== 'xtream') {
-                this.contentTree.innerHTML = '<p class="hint">Series categories are only available for Xtream sources</p>';
+            if (source.type !== 'xtream' && source.type !== 'stalker') {
+                this.contentTree.innerHTML = '<p class="hint">Series categories are only available for Xtream and Stalker sources</p>';
                 return;
             }
 
@@ -911,9 +1894,7 @@ class SourceManager {
                 return;
             }
 
-            const hiddenItems = await API.channels.getHidden(sourceId);
-            this.hiddenSet = new Set(hiddenItems.map(h => `${h.item_type}:${h.item_id}`));
-            this.originalHiddenSet = new Set(this.hiddenSet); // Track original state
+            this.setHiddenItems(await API.channels.getHidden(sourceId));
 
             this.treeData.groups = [{
                 id: 'all_series_categories',
@@ -996,9 +1977,10 @@ class SourceManager {
             }
         }
 
-        // Update state for all children
+        // Update state for all children (except the ones a rule hides)
         group.items.forEach(item => {
             const key = `${item.type}:${item.id}`;
+            if (this.ruleHiddenSet.has(key)) return;
             if (isChecked) {
                 this.hiddenSet.delete(key);
             } else {
@@ -1050,7 +2032,8 @@ class SourceManager {
                 group.items.forEach(item => {
                     const key = `${item.type}:${item.id}`;
                     if (visible) {
-                        this.hiddenSet.delete(key);
+                        // Rules still hide their items
+                        if (!this.ruleHiddenSet.has(key)) this.hiddenSet.delete(key);
                     } else {
                         this.hiddenSet.add(key);
                     }
@@ -1262,70 +2245,183 @@ class SourceManager {
     }
 
     /**
-     * Poll sync status periodically
+     * Follow the sync progress of all sources over Server-Sent Events
+     * (EventSource reconnects by itself; a rejected token closes it for good)
      */
-    async pollSyncStatus() {
-        const poll = async () => {
-            try {
-                const statuses = await API.sources.getStatus();
-                this.updateSyncStatus(statuses);
-            } catch (err) {
-                console.warn('Error polling sync status:', err);
+    watchSyncProgress() {
+        if (this.syncEvents && this.syncEvents.readyState !== EventSource.CLOSED) return;
+
+        this.syncEvents = new EventSource(API.sources.progressUrl());
+        this.syncEvents.onmessage = (e) => {
+            const progress = JSON.parse(e.data);
+
+            // The first event of a source (on connect) carries its whole log, later ones a new line
+            if (!progress.log) {
+                const previous = this.syncProgress.get(progress.sourceId);
+                progress.log = previous?.startedAt === progress.startedAt ? previous.log : [];
+                if (progress.line) progress.log.push(progress.line);
+            }
+            this.syncProgress.set(progress.sourceId, progress);
+            this.renderSyncProgress(progress);
+
+            // Only live events finish a refresh - not the replay on (re)connect
+            const waiter = this.syncWaiters.get(progress.sourceId);
+            if (waiter && progress.line && progress.status !== 'syncing') {
+                this.syncWaiters.delete(progress.sourceId);
+                if (progress.status === 'error') {
+                    waiter.reject(new Error(`Sync failed: ${progress.error}`));
+                } else if (progress.status === 'cancelled') {
+                    waiter.reject(Object.assign(new Error('Sync cancelled'), { cancelled: true }));
+                } else {
+                    waiter.resolve();
+                }
             }
-            // Poll every 3 seconds
-            this.syncPollTimeout = setTimeout(poll, 3000);
         };
-        poll();
+        this.syncEvents.addEventListener('jobs', (e) => this.renderSyncJobs(JSON.parse(e.data)));
     }
 
     /**
-     * Update UI with sync status
+     * Show the sync queue (running and queued jobs with a cancel button)
      */
-    updateSyncStatus(statuses) {
-        if (!statuses || !Array.isArray(statuses)) return;
-
-        // Reset all to normal state if not in status list (handled implicitly by iterating sources or statuses?)
-        // Better: iterate visible source items and check against statuses
-
-        document.querySelectorAll('.source-item').forEach(item => {
-            const id = parseInt(item.dataset.id);
-            const status = statuses.find(s => s.source_id === id); // We might have multiple statuses (live, vod, epg) for one source
-
-            // Just check if ANY sync is active/failed for this source
-            const sourceStatuses = statuses.filter(s => s.source_id === id);
-            const isSyncing = sourceStatuses.some(s => s.status === 'syncing');
-            const hasError = sourceStatuses.some(s => s.status === 'error');
-            const lastSync = sourceStatuses.map(s => s.last_sync).sort().pop();
+    renderSyncJobs(jobs) {
+        this.syncJobs = jobs;
 
+        // Queued sources can't be refreshed again
+        document.querySelectorAll('.source-item[data-queued]').forEach(item => {
+            delete item.dataset.queued;
+            const btn = item.querySelector('[data-action="refresh"]');
+            if (btn && !btn.querySelector('.spin')) btn.disabled = false;
+        });
+        jobs.filter(job => job.status === 'queued').forEach(job => {
+            const item = document.querySelector(`.source-item[data-id="${job.sourceId}"]`);
+            if (!item) return;
+            item.dataset.queued = 'true';
             const btn = item.querySelector('[data-action="refresh"]');
             if (btn) {
-                const icon = btn.querySelector('.icon') || btn; // icon inside button or button content
-                // If syncing, spin the refresh icon
-                if (isSyncing) {
-                    btn.disabled = true;
-                    btn.classList.add('syncing'); // Custom style?
-                    // Ensure spin class is added (font awesome or similar)
-                    // The icon is usually SVH in `Icons.refresh`.
-                    // We can add a class to the SVG parent or button
-                    btn.innerHTML = `<span class="spin">${Icons.refresh}</span>`;
-                    btn.title = "Syncing...";
-                } else if (hasError) {
-                    btn.disabled = false;
-                    btn.innerHTML = Icons.refresh;
-                    btn.classList.remove('syncing');
-                    btn.title = "Sync Failed - Retry";
-                    // Maybe show error indicator?
-                } else {
-                    btn.disabled = false;
-                    btn.innerHTML = Icons.refresh;
-                    btn.classList.remove('syncing');
-                    btn.title = lastSync ? `Last Sync: ${new Date(lastSync).toLocaleString()}` : "Refresh Data";
-                }
+                btn.disabled = true;
+                btn.title = 'Queued';
             }
+        });
+
+        if (!this.syncJobsPanel) return;
+        this.syncJobsPanel.classList.toggle('hidden', jobs.length === 0);
+
+        let position = 0;
+        this.syncJobsPanel.innerHTML = jobs.map(job => {
+            const content = job.content ? job.content.map(c => SYNC_CONTENT_LABELS[c] || c).join(', ') : 'Everything';
+            const state = job.status === 'running'
+                ? `Running since ${new Date(job.startedAt).toLocaleTimeString()}`
+                : `Queued (#${++position})`;
+            return `
+        <div class="sync-job ${job.status}">
+          <span class="sync-job-name">${this.escapeHtml(job.sourceName || `Source ${job.sourceId}`)}</span>
+          <span class="hint">${content} · ${state}</span>
+          <button class="btn btn-secondary btn-sm" data-cancel-sync="${job.sourceId}">Cancel</button>
+        </div>
+      `;
+        }).join('');
 
-            // Optional: Update status text/badge in .source-info
+        this.syncJobsPanel.querySelectorAll('[data-cancel-sync]').forEach(btn => {
+            btn.addEventListener('click', () => this.cancelSync(parseInt(btn.dataset.cancelSync)));
         });
     }
+
+    /**
+     * Cancel a source's queued or running sync
+     */
+    async cancelSync(id) {
+        try {
+            await API.sources.cancelSync(id);
+
+            // Queued jobs never report progress, so end a waiting refresh here
+            const waiter = this.syncWaiters.get(id);
+            if (waiter) {
+                this.syncWaiters.delete(id);
+                waiter.reject(Object.assign(new Error('Sync cancelled'), { cancelled: true }));
+            }
+        } catch (err) {
+            alert('Error cancelling sync: ' + err.message);
+        }
+    }
+
+    /**
+     * Promise that settles when the source's next sync ends
+     */
+    waitForSync(id) {
+        if (!this.syncEvents || this.syncEvents.readyState === EventSource.CLOSED) {
+            return Promise.reject(new Error('Not connected to sync progress'));
+        }
+        return new Promise((resolve, reject) => this.syncWaiters.set(id, { resolve, reject }));
+    }
+
+    /**
+     * Show a source's sync progress (bar, status line, log) and refresh button state
+     */
+    renderSyncProgress(progress) {
+        const item = document.querySelector(`.source-item[data-id="${progress.sourceId}"]`);
+        if (!item) return;
+
+        const syncing = progress.status === 'syncing';
+        const btn = item.querySelector('[data-action="refresh"]');
+        if (btn) {
+            btn.disabled = syncing;
+            btn.innerHTML = syncing ? `<span class="spin">${Icons.refresh}</span>` : Icons.refresh;
+            btn.title = syncing ? 'Syncing...'
+                : progress.status === 'error' ? 'Sync Failed - Retry'
+                    : `Last Sync: ${new Date(progress.updatedAt).toLocaleString()}`;
+        }
+
+        const panel = item.querySelector('.sync-progress');
+        if (!panel) return;
+        panel.classList.remove('hidden');
+        panel.classList.toggle('error', progress.status === 'error' || progress.status === 'cancelled');
+        panel.querySelector('.sync-progress-bar').classList.toggle('hidden', !syncing);
+        panel.querySelector('.sync-progress-fill').style.width = `${progress.percent}%`;
+        panel.querySelector('.sync-progress-label').textContent = this.getProgressLabel(progress);
+
+        const log = panel.querySelector('pre');
+        const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+        log.textContent = progress.log.map(line => `${new Date(line.time).toLocaleTimeString()}  ${line.message}`).join('\n');
+        if (atBottom) log.scrollTop = log.scrollHeight;
+    }
+
+    /**
+     * One-line summary of sync progress
+     */
+    getProgressLabel(progress) {
+        if (progress.status === 'error') {
+            return `Sync failed: ${progress.error}`;
+        }
+        if (progress.status === 'cancelled') {
+            return `Sync cancelled ${new Date(progress.updatedAt).toLocaleString()}`;
+        }
+        if (progress.status !== 'syncing') {
+            const seconds = Math.round((progress.updatedAt - progress.startedAt) / 1000);
+            return `Last sync ${new Date(progress.updatedAt).toLocaleString()} (${seconds}s)`;
+        }
+
+        const phaseNames = {
+            live_categories: 'Live categories',
+            live_streams: 'Live streams',
+            vod_categories: 'VOD categories',
+            vod_streams: 'VOD',
+            series_categories: 'Series categories',
+            series: 'Series',
+            epg: 'EPG',
+            scan: 'Scanning'
+        };
+        const parts = [phaseNames[progress.phase] || 'Starting'];
+        if (progress.processed) {
+            parts.push(progress.total ? `${progress.processed.toLocaleString()} / ${progress.total.toLocaleString()}` : progress.processed.toLocaleString());
+        }
+        parts.push(`${progress.percent}%`);
+        if (progress.etaSeconds !== null) {
+            const minutes = Math.floor(progress.etaSeconds / 60);
+            parts.push(`ETA ${minutes > 0 ? `${minutes}m ` : ''}${progress.etaSeconds % 60}s`);
+        }
+        parts.push(`${progress.memoryMb} MB`);
+        return parts.join(' · ');
+    }
 }
 
 // Export
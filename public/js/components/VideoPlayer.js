@@ -21,8 +21,13 @@ class VideoPlayer {
         this.container = document.querySelector('.video-container');
         this.overlay = document.getElementById('player-overlay');
         this.nowPlaying = document.getElementById('now-playing');
+        this.channelNumberEntry = document.getElementById('channel-number-entry');
+        this.channelNumberInput = ''; // Digits typed so far (numeric zapping)
+        this.channelNumberTimer = null;
         this.hls = null;
         this.currentChannel = null;
+        this.streamIndex = 0; // Index into currentChannel.streams (merged channel failover)
+        this.failingOver = false;
         this.overlayTimer = null;
         this.overlayDuration = 5000; // 5 seconds
         this.isUsingProxy = false;
@@ -54,7 +59,14 @@ class VideoPlayer {
             forceRemux: false,
             autoTranscode: true,
             streamFormat: 'm3u8',
-            epgRefreshInterval: '24'
+            epgRefreshInterval: '24',
+            syncConcurrency: 2,
+            syncTimeoutMinutes: 120,
+            accountWarningDays: 7,
+            recordingPrePadding: 1,
+            recordingPostPadding: 5,
+            liveBufferEnabled: false,
+            liveBufferMinutes: 30
         };
     }
 
@@ -350,6 +362,14 @@ class VideoPlayer {
             overflowMenu?.classList.add('hidden');
         });
 
+        // Record current program (DVR)
+        const btnRecord = document.getElementById('btn-record');
+        btnRecord?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.recordCurrentProgram();
+            overflowMenu?.classList.add('hidden');
+        });
+
         // Close overflow menu when clicking outside
         document.addEventListener('click', (e) => {
             if (overflowMenu && !overflowMenu.classList.contains('hidden') &&
@@ -358,6 +378,26 @@ class VideoPlayer {
             }
         });
 
+        // Live buffer (pause/rewind) seek bar
+        this.timeshiftBar = document.getElementById('player-timeshift-bar');
+        this.timeshiftProgress = document.getElementById('player-timeshift-progress');
+        this.timeshiftBehind = document.getElementById('player-timeshift-behind');
+        this.btnGoLive = document.getElementById('btn-go-live');
+
+        this.timeshiftProgress?.addEventListener('input', (e) => {
+            e.stopPropagation();
+            const range = this.getLiveWindow();
+            if (!range) return;
+            this.video.currentTime = range.start + (parseFloat(e.target.value) / 100) * (range.end - range.start);
+        });
+
+        this.btnGoLive?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.goToLive();
+        });
+
+        this.video.addEventListener('timeupdate', () => this.updateTimeshiftUI());
+
         this.container.addEventListener('dblclick', () => this.toggleFullscreen());
 
         // Overlay Auto-hide Logic
@@ -502,6 +542,48 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Record the program currently airing on this channel (DVR)
+     * Without EPG data, records the next hour
+     */
+    async recordCurrentProgram() {
+        const channel = this.currentChannel;
+        if (!channel) {
+            console.warn('[Player] No channel to record');
+            return;
+        }
+
+        const program = window.app?.epgGuide?.getCurrentProgram(channel.tvgId, channel.name, channel.tvgShift);
+        const now = Date.now();
+        const btn = document.getElementById('btn-record');
+
+        const setLabel = (text) => {
+            if (!btn) return;
+            const icon = btn.querySelector('svg')?.outerHTML || '';
+            btn.innerHTML = `${icon} ${text}`;
+        };
+
+        try {
+            await API.recordings.schedule({
+                sourceId: channel.sourceId,
+                itemId: channel.streamId,
+                channelName: channel.name,
+                title: program?.title || channel.name,
+                description: program?.description || '',
+                start: program ? new Date(program.start).getTime() : now,
+                end: program ? new Date(program.stop).getTime() : now + 60 * 60 * 1000,
+                data: { logo: channel.tvgLogo || null, tvgId: channel.tvgId || null }
+            });
+            setLabel('✓ Recording');
+            console.log('[Player] Recording started:', program?.title || channel.name);
+        } catch (err) {
+            console.error('[Player] Failed to start recording:', err);
+            setLabel(err.message.includes('already scheduled') ? '✓ Recording' : 'Record Failed');
+        }
+
+        setTimeout(() => setLabel('Record Program'), 1500);
+    }
+
 
     /**
      * Toggle captions menu visibility
@@ -613,6 +695,13 @@ class VideoPlayer {
         // Setup custom video controls
         this.initCustomControls();
 
+        // Non-HLS playback (remux, direct) reports failures on the video element
+        this.video.addEventListener('error', () => {
+            if (this.hls || !this.video.getAttribute('src')) return;
+            console.warn('[Player] Video error:', this.video.error?.code, this.video.error?.message);
+            this.failover(`video error ${this.video.error?.code}`);
+        });
+
         // Detect video resolution when metadata loads (works for all streams)
         this.video.addEventListener('loadedmetadata', () => {
             if (this.video.videoHeight > 0) {
@@ -817,7 +906,7 @@ class VideoPlayer {
             console.log('[Player] Starting HLS transcode session...', options);
             const res = await fetch('/api/transcode/session', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('authToken')}` },
                 body: JSON.stringify({ url, ...options })
             });
             if (!res.ok) throw new Error('Failed to start session');
@@ -827,7 +916,7 @@ class VideoPlayer {
         } catch (err) {
             console.error('[Player] Session start failed:', err);
             // Fallback to direct transcode if session fails
-            return `/api/transcode?url=${encodeURIComponent(url)}`;
+            return this.getTranscodeUrl(url);
         }
     }
 
@@ -850,8 +939,10 @@ class VideoPlayer {
     /**
      * Play a channel
      */
-    async play(channel, streamUrl) {
+    async play(channel, streamUrl, streamIndex = 0) {
         this.currentChannel = channel;
+        this.streamIndex = streamIndex;
+        this.failingOver = false;
 
         try {
             // Stop any WatchPage playback (movies/series) before starting Live TV
@@ -871,6 +962,21 @@ class VideoPlayer {
             // Determine if HLS or direct stream
             this.currentUrl = streamUrl;
 
+            // Reserve a provider connection (offers to take over one when the account is full)
+            if (!await API.proxy.connections.reserve(streamUrl)) {
+                this.loadingSpinner?.classList.remove('show');
+                this.showError('All connections of this provider are in use');
+                return;
+            }
+
+            // CHECK: Live Buffer - copy-mode session with a rolling window for pause/rewind
+            if (this.settings.liveBufferEnabled && !channel.catchup) {
+                if (await this.startLiveBuffer(channel, streamUrl)) {
+                    return;
+                }
+                console.warn('[Player] Live buffer unavailable, using normal playback');
+            }
+
             // CHECK: Auto Transcode (Smart) - probe first, then decide
             if (this.settings.autoTranscode) {
                 console.log('[Player] Auto Transcode enabled. Probing stream...');
@@ -935,7 +1041,7 @@ class VideoPlayer {
                         // Raw .ts container - use remux
                         console.log('[Player] Auto: Using remux (.ts container)');
                         this.updateTranscodeStatus('remuxing', 'Remux (Auto)');
-                        const remuxUrl = `/api/remux?url=${encodeURIComponent(streamUrl)}`;
+                        const remuxUrl = this.getRemuxUrl(streamUrl);
                         this.currentUrl = remuxUrl;
                         this.video.src = remuxUrl;
                         this.video.play().catch(e => {
@@ -991,7 +1097,9 @@ class VideoPlayer {
                     this.hls.on(Hls.Events.ERROR, (event, data) => {
                         if (data.fatal) {
                             console.log('[Player] HLS fatal error');
-                            this.hls.destroy();
+                            if (!this.failover(data.details)) {
+                                this.hls.destroy();
+                            }
                         }
                     });
 
@@ -1029,9 +1137,12 @@ class VideoPlayer {
             // Proactively use proxy for:
             // 1. User enabled "Force Proxy" in settings
             // 2. Known CORS-restricted domains (like Pluto TV)
+            // 3. Channels with their own request headers from the playlist (browsers can't send them)
             // Note: Xtream sources are NOT auto-proxied because many providers IP-lock streams
             const proxyRequiredDomains = ['pluto.tv'];
-            const needsProxy = this.settings.forceProxy || proxyRequiredDomains.some(domain => streamUrl.includes(domain));
+            const needsProxy = this.settings.forceProxy ||
+                proxyRequiredDomains.some(domain => streamUrl.includes(domain)) ||
+                !!channel?.httpHeaders;
 
             this.isUsingProxy = needsProxy;
             const finalUrl = needsProxy ? this.getProxiedUrl(streamUrl) : streamUrl;
@@ -1121,7 +1232,7 @@ class VideoPlayer {
                                 this.lastRecoveryAttempt = now;
                                 this.hls.recoverMediaError();
                             }
-                        } else {
+                        } else if (!this.failover(data.details)) {
                             console.error('Fatal HLS error:', data);
                         }
                     } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
@@ -1186,15 +1297,106 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Start live buffer playback (server-side rolling HLS window)
+     * @returns {boolean} false if the session could not be created
+     */
+    async startLiveBuffer(channel, streamUrl) {
+        console.log(`[Player] Live buffer enabled (${this.settings.liveBufferMinutes} min). Starting session (copy)...`);
+
+        // Probe codecs so audio can be copied when already browser-compatible
+        let info = {};
+        try {
+            const probeRes = await fetch(`/api/probe?url=${encodeURIComponent(streamUrl)}`);
+            info = await probeRes.json();
+            this.currentStreamInfo = info;
+            this.updateQualityBadge();
+        } catch (e) { console.warn('Probe failed for live buffer, assuming h264'); }
+
+        const playlistUrl = await this.startTranscodeSession(streamUrl, {
+            videoMode: 'copy',
+            videoCodec: info.video,
+            audioCodec: info.audio,
+            audioChannels: info.audioChannels,
+            liveBuffer: true
+        });
+
+        // startTranscodeSession falls back to a direct transcode URL on failure
+        if (!this.currentSessionId) return false;
+
+        this.currentUrl = playlistUrl;
+        this.liveBufferActive = true;
+        this.updateTranscodeStatus('transcoding', 'Live Buffer');
+
+        // Don't jump back to the live edge when paused or rewound
+        this.playHls(playlistUrl, { liveMaxLatencyDurationCount: Infinity });
+        this.timeshiftBar?.classList.remove('hidden');
+
+        this.updateNowPlaying(channel);
+        this.showNowPlayingOverlay();
+        this.fetchEpgData(channel);
+        window.dispatchEvent(new CustomEvent('channelChanged', { detail: channel }));
+        return true;
+    }
+
+    /**
+     * Get the seekable live window in media time
+     * @returns {{start: number, end: number, live: number}|null}
+     */
+    getLiveWindow() {
+        const seekable = this.video.seekable;
+        if (!seekable || seekable.length === 0) return null;
+
+        const start = seekable.start(0);
+        const end = seekable.end(seekable.length - 1);
+        if (!isFinite(end) || end <= start) return null;
+
+        return { start, end, live: this.hls?.liveSyncPosition || end };
+    }
+
+    /**
+     * Jump back to the live edge
+     */
+    goToLive() {
+        const range = this.getLiveWindow();
+        if (!range) return;
+        this.video.currentTime = range.live;
+        this.video.play().catch(() => { });
+    }
+
+    /**
+     * Update the live buffer seek bar and "behind live" label
+     */
+    updateTimeshiftUI() {
+        if (!this.liveBufferActive || !this.timeshiftProgress) return;
+        const range = this.getLiveWindow();
+        if (!range) return;
+
+        const position = (this.video.currentTime - range.start) / (range.end - range.start);
+        this.timeshiftProgress.value = Math.max(0, Math.min(100, position * 100));
+
+        // Within a couple of segments of the edge counts as live
+        const behind = Math.max(0, range.live - this.video.currentTime);
+        const isLive = behind < 10;
+        if (this.timeshiftBehind) {
+            const mins = Math.floor(behind / 60);
+            const secs = Math.floor(behind % 60).toString().padStart(2, '0');
+            this.timeshiftBehind.textContent = isLive ? 'LIVE' : `-${mins}:${secs}`;
+        }
+        this.btnGoLive?.classList.toggle('at-live', isLive);
+    }
+
     /**
      * Helper to play HLS stream (reduces duplication)
+     * @param {string} url - Playlist URL
+     * @param {object} config - Extra HLS.js config overrides
      */
-    playHls(url) {
+    playHls(url, config = {}) {
         if (this.hls) {
             this.hls.destroy();
         }
 
-        this.hls = new Hls(this.getHlsConfig());
+        this.hls = new Hls({ ...this.getHlsConfig(), ...config });
         this.hls.loadSource(url);
         this.hls.attachMedia(this.video);
 
@@ -1208,7 +1410,9 @@ class VideoPlayer {
             if (data.fatal) {
                 // Simple error handling for forced HLS/transcode modes
                 console.error('Fatal HLS error in transcode mode:', data);
-                this.hls.destroy();
+                if (!this.failover(data.details)) {
+                    this.hls.destroy();
+                }
             }
         });
     }
@@ -1263,6 +1467,12 @@ class VideoPlayer {
      * Fetch EPG data for current channel
      */
     async fetchEpgData(channel) {
+        // Catch-up playback shows the archived programme rather than what's live now
+        if (channel?.catchup) {
+            this.updateNowPlaying(channel, { current: channel.catchup, upcoming: [] });
+            return;
+        }
+
         if (!channel || (!channel.tvgId && !channel.epg_id)) {
             this.updateNowPlaying(channel, null);
             return;
@@ -1273,7 +1483,7 @@ class VideoPlayer {
                 const epgGuide = window.app.epgGuide;
 
                 // Get current program from EpgGuide
-                const currentProgram = epgGuide.getCurrentProgram(channel.tvgId, channel.name);
+                const currentProgram = epgGuide.getCurrentProgram(channel.tvgId, channel.name, channel.tvgShift);
 
                 if (currentProgram) {
                     // Find upcoming programs from the guide's data
@@ -1284,7 +1494,9 @@ class VideoPlayer {
                     if (epgChannel) {
                         const now = Date.now();
                         upcoming = epgGuide.programmes
-                            .filter(p => p.channelId === epgChannel.id && new Date(p.start).getTime() > now)
+                            .filter(p => p.channelId === epgChannel.id)
+                            .map(p => epgGuide.shiftProgramme(p, channel.tvgShift))
+                            .filter(p => new Date(p.start).getTime() > now)
                             .slice(0, 5)
                             .map(p => ({
                                 title: p.title,
@@ -1354,14 +1566,14 @@ class VideoPlayer {
      * Get proxied URL for a stream
      */
     getProxiedUrl(url) {
-        return `/api/proxy/stream?url=${encodeURIComponent(url)}`;
+        return API.streamUrl('proxy/stream', url);
     }
 
     /**
      * Get transcoded URL for a stream (audio transcoding for browser compatibility)
      */
     getTranscodeUrl(url) {
-        return `/api/transcode?url=${encodeURIComponent(url)}`;
+        return API.streamUrl('transcode', url);
     }
 
     /**
@@ -1369,7 +1581,7 @@ class VideoPlayer {
      * Used for raw .ts streams that browsers can't play directly
      */
     getRemuxUrl(url) {
-        return `/api/remux?url=${encodeURIComponent(url)}`;
+        return API.streamUrl('remux', url);
     }
 
     /**
@@ -1405,6 +1617,10 @@ class VideoPlayer {
         this.loadingSpinner?.classList.remove('show');
         this.nowPlaying.classList.add('hidden');
 
+        // Reset live buffer UI
+        this.liveBufferActive = false;
+        this.timeshiftBar?.classList.add('hidden');
+
         // Hide quality badge
         this.currentStreamInfo = null;
         const badge = document.getElementById('player-quality-badge');
@@ -1422,6 +1638,21 @@ class VideoPlayer {
 
         channelName.textContent = channel.name || channel.tvgName || 'Unknown Channel';
 
+        // Merged channels: show which source is playing
+        const streamSource = this.nowPlaying.querySelector('.stream-source');
+        if (streamSource) {
+            const stream = channel.streams?.[this.streamIndex];
+            if (stream) {
+                const sourceName = window.app?.channelList?.getSourceName(stream.sourceId) || '';
+                streamSource.textContent = this.streamIndex > 0
+                    ? `${sourceName} (backup ${this.streamIndex}/${channel.streams.length - 1})`
+                    : sourceName;
+                streamSource.classList.toggle('backup', this.streamIndex > 0);
+            } else {
+                streamSource.textContent = '';
+            }
+        }
+
         if (epgData && epgData.current) {
             programTitle.textContent = epgData.current.title;
             const start = new Date(epgData.current.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -1444,6 +1675,37 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Switch a merged channel to its next backup stream
+     * @param {string} reason - What failed (for logging)
+     * @returns {boolean} true if a backup stream is being started
+     */
+    failover(reason) {
+        const channel = this.currentChannel;
+        const nextIndex = this.streamIndex + 1;
+        if (!channel?.streams || this.failingOver || nextIndex >= channel.streams.length) {
+            return false;
+        }
+
+        const stream = channel.streams[nextIndex];
+        const sourceName = window.app?.channelList?.getSourceName(stream.sourceId) || stream.sourceId;
+        console.warn(`[Player] Stream failed (${reason}), switching to backup ${nextIndex}/${channel.streams.length - 1}: ${sourceName}`);
+        this.failingOver = true;
+
+        window.app.channelList.getStreamUrl(stream)
+            .then(url => this.play(channel, url, nextIndex))
+            .catch(err => {
+                console.error('[Player] Backup stream unavailable:', err);
+                // Skip this backup and try the next one
+                this.streamIndex = nextIndex;
+                this.failingOver = false;
+                if (!this.failover(reason)) {
+                    this.showError('All streams for this channel failed');
+                }
+            });
+        return true;
+    }
+
     /**
      * Show error overlay
      */
@@ -1458,6 +1720,20 @@ class VideoPlayer {
     handleKeyboard(e) {
         if (document.activeElement.tagName === 'INPUT') return;
 
+        // Numeric zapping on the Live TV page, like a TV remote
+        if (window.app?.currentPage === 'live' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            if (/^[0-9]$/.test(e.key)) {
+                e.preventDefault();
+                this.enterChannelDigit(e.key);
+                return;
+            }
+            if (e.key === 'Enter' && this.channelNumberInput) {
+                e.preventDefault();
+                this.tuneToChannelNumber();
+                return;
+            }
+        }
+
         switch (e.key) {
             case ' ':
             case 'k':
@@ -1510,6 +1786,13 @@ class VideoPlayer {
                 e.preventDefault();
                 this.channelDown();
                 break;
+            case 'l':
+                // Back to live (live buffer only)
+                if (this.liveBufferActive) {
+                    e.preventDefault();
+                    this.goToLive();
+                }
+                break;
             case 'i':
                 // Show/hide info overlay
                 e.preventDefault();
@@ -1522,6 +1805,51 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * Add a digit to the channel number being typed
+     * Tunes after a short pause, like a real TV remote
+     */
+    enterChannelDigit(digit) {
+        if (this.channelNumberInput.length >= 5) {
+            this.channelNumberInput = '';
+        }
+        this.channelNumberInput += digit;
+
+        if (this.channelNumberEntry) {
+            this.channelNumberEntry.textContent = this.channelNumberInput;
+            this.channelNumberEntry.classList.remove('hidden', 'not-found');
+        }
+
+        clearTimeout(this.channelNumberTimer);
+        this.channelNumberTimer = setTimeout(() => this.tuneToChannelNumber(), 1500);
+    }
+
+    /**
+     * Tune to the channel number typed so far
+     */
+    async tuneToChannelNumber() {
+        clearTimeout(this.channelNumberTimer);
+        const number = parseInt(this.channelNumberInput);
+        this.channelNumberInput = '';
+
+        const channelList = window.app?.channelList;
+        const channel = channelList && number ? channelList.getChannelByNumber(number) : null;
+
+        if (!channel) {
+            // Briefly show that nothing is on this number
+            if (this.channelNumberEntry) {
+                this.channelNumberEntry.classList.add('not-found');
+                this.channelNumberTimer = setTimeout(() => {
+                    this.channelNumberEntry.classList.add('hidden');
+                }, 1000);
+            }
+            return;
+        }
+
+        this.channelNumberEntry?.classList.add('hidden');
+        await channelList.selectChannel({ channelId: channel.id });
+    }
+
     /**
      * Go to previous channel
      */
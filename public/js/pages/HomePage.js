@@ -71,6 +71,21 @@ class HomePage {
                     </div>
                 </section>
 
+                <section class="dashboard-section hidden" id="recordings-section">
+                    <div class="section-header">
+                        <h2>Recordings</h2>
+                    </div>
+                    <div class="scroll-wrapper">
+                        <button class="scroll-arrow scroll-left" aria-label="Scroll left">
+                            <svg viewBox="0 0 24 24" fill="currentColor"><path d="M15.41 7.41L14 6l-6 6 6 6 1.41-1.41L10.83 12z"/></svg>
+                        </button>
+                        <div class="horizontal-scroll" id="recordings-list"></div>
+                        <button class="scroll-arrow scroll-right" aria-label="Scroll right">
+                            <svg viewBox="0 0 24 24" fill="currentColor"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
+                        </button>
+                    </div>
+                </section>
+
                 <section class="dashboard-section">
                     <div class="section-header">
                         <h2>Recently Added Movies</h2>
@@ -179,7 +194,10 @@ class HomePage {
                 this.renderHistory(history);
             }
 
-            // 2. Load Recent Items
+            // 2. Load DVR Recordings
+            this.renderRecordings();
+
+            // 3. Load Recent Items
             this.renderRecentMovies();
             this.renderRecentSeries();
 
@@ -325,6 +343,90 @@ class HomePage {
         this.updateScrollArrows();
     }
 
+    async renderRecordings() {
+        const list = document.getElementById('recordings-list');
+        const section = document.getElementById('recordings-section');
+        if (!list || !section) return;
+
+        try {
+            const recordings = await API.recordings.getAll();
+            if (!recordings || recordings.length === 0) {
+                section.classList.add('hidden');
+                return;
+            }
+
+            // Active and upcoming first, then finished (newest first)
+            const order = { recording: 0, scheduled: 1, completed: 2, failed: 3 };
+            recordings.sort((a, b) => (order[a.status] - order[b.status]) ||
+                (a.status === 'scheduled' ? a.start_time - b.start_time : b.start_time - a.start_time));
+
+            section.classList.remove('hidden');
+            list.innerHTML = recordings.map(rec => this.createRecordingCard(rec)).join('');
+
+            list.querySelectorAll('.dashboard-card').forEach(card => {
+                card.addEventListener('click', async () => {
+                    const rec = recordings.find(r => String(r.id) === card.dataset.id);
+                    if (!rec) return;
+
+                    if (rec.status === 'completed') {
+                        this.app.pages.watch?.playRecording(rec);
+                    } else if (rec.status === 'recording') {
+                        if (confirm(`Stop recording "${rec.title}"?`)) {
+                            await API.recordings.stop(rec.id);
+                            setTimeout(() => this.renderRecordings(), 1000);
+                        }
+                    } else if (confirm(`${rec.status === 'scheduled' ? 'Cancel' : 'Remove'} recording "${rec.title}"?`)) {
+                        await API.recordings.delete(rec.id);
+                        this.renderRecordings();
+                    }
+                });
+            });
+
+            this.updateScrollArrows();
+        } catch (err) {
+            console.error('[Dashboard] Error loading recordings:', err);
+        }
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    createRecordingCard(rec) {
+        const logo = rec.data?.logo || '/img/placeholder.png';
+        const logoUrl = logo.startsWith('http') ? `/api/proxy/image?url=${encodeURIComponent(logo)}` : logo;
+        const when = new Date(rec.start_time).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        const statusText = {
+            scheduled: `Scheduled • ${when}`,
+            recording: '● Recording now',
+            completed: `${rec.channel_name || 'Recorded'} • ${when}`,
+            failed: `Failed • ${rec.error || when}`
+        }[rec.status] || rec.status;
+
+        // Titles come from the guide and errors from ffmpeg - never trust them as HTML
+        return `
+            <div class="dashboard-card recording-card ${this.escapeHtml(rec.status)}" data-id="${rec.id}">
+                <div class="card-image">
+                    <img src="${this.escapeHtml(logoUrl)}" alt="${this.escapeHtml(rec.title)}" loading="lazy" onerror="this.onerror=null;this.src='/img/placeholder.png'">
+                    ${rec.status === 'completed' ? `
+                    <div class="play-icon-overlay">
+                        <svg viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>
+                    </div>` : ''}
+                </div>
+                <div class="card-info">
+                    <div class="card-title" title="${this.escapeHtml(rec.title)}">${this.escapeHtml(rec.title)}</div>
+                    <div class="card-subtitle">${this.escapeHtml(statusText)}</div>
+                </div>
+            </div>
+        `;
+    }
+
     navigateToSeries(item) {
         if (!this.app.pages.series) return;
 
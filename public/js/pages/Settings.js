@@ -23,6 +23,15 @@ class SettingsPage {
         // Transcoding settings
         this.initTranscodingSettings();
 
+        // Playlist export
+        this.initExportSettings();
+
+        // HDHomeRun tuner emulation
+        this.initHdhrSettings();
+
+        // Stream health checker (admin only)
+        this.initHealthSettings();
+
         // User management (admin only)
         this.initUserManagement();
     }
@@ -83,13 +92,66 @@ class SettingsPage {
             // Load saved value from player settings
             epgRefreshSelect.value = this.app.player.settings.epgRefreshInterval || '24';
 
-            // Save on change - server will restart its sync timer via PUT /api/settings
-            epgRefreshSelect.addEventListener('change', () => {
+            // Save on change - server will restart its sync scheduler via PUT /api/settings
+            epgRefreshSelect.addEventListener('change', async () => {
                 this.app.player.settings.epgRefreshInterval = epgRefreshSelect.value;
+                await this.app.player.saveSettings();
+                this.app.sourceManager.loadSchedule();
+            });
+        }
+
+        // Sync queue limits
+        const syncConcurrencyInput = document.getElementById('setting-sync-concurrency');
+        const syncTimeoutSelect = document.getElementById('setting-sync-timeout');
+        if (syncConcurrencyInput && this.app.player?.settings) {
+            syncConcurrencyInput.value = this.app.player.settings.syncConcurrency || 2;
+            syncTimeoutSelect.value = String(this.app.player.settings.syncTimeoutMinutes ?? 120);
+
+            syncConcurrencyInput.addEventListener('change', () => {
+                const count = Math.min(8, Math.max(1, parseInt(syncConcurrencyInput.value) || 1));
+                syncConcurrencyInput.value = count;
+                this.app.player.settings.syncConcurrency = count;
                 this.app.player.saveSettings();
             });
+
+            syncTimeoutSelect.addEventListener('change', () => {
+                this.app.player.settings.syncTimeoutMinutes = parseInt(syncTimeoutSelect.value);
+                this.app.player.saveSettings();
+            });
+        }
+
+        // Provider account expiry warnings
+        const accountWarningInput = document.getElementById('setting-account-warning-days');
+        if (accountWarningInput && this.app.player?.settings) {
+            accountWarningInput.value = this.app.player.settings.accountWarningDays ?? 7;
+
+            accountWarningInput.addEventListener('change', async () => {
+                const days = Math.min(90, Math.max(0, parseInt(accountWarningInput.value) || 0));
+                accountWarningInput.value = days;
+                this.app.player.settings.accountWarningDays = days;
+                await this.app.player.saveSettings();
+                this.app.sourceManager.loadAccounts();
+            });
+        }
+
+        // DVR recording padding
+        const prePaddingInput = document.getElementById('setting-recording-pre-padding');
+        const postPaddingInput = document.getElementById('setting-recording-post-padding');
+        if (this.app.player?.settings) {
+            if (prePaddingInput) prePaddingInput.value = this.app.player.settings.recordingPrePadding ?? 1;
+            if (postPaddingInput) postPaddingInput.value = this.app.player.settings.recordingPostPadding ?? 5;
         }
 
+        prePaddingInput?.addEventListener('change', () => {
+            this.app.player.settings.recordingPrePadding = Math.max(0, parseInt(prePaddingInput.value) || 0);
+            this.app.player.saveSettings();
+        });
+
+        postPaddingInput?.addEventListener('change', () => {
+            this.app.player.settings.recordingPostPadding = Math.max(0, parseInt(postPaddingInput.value) || 0);
+            this.app.player.saveSettings();
+        });
+
         // Update last refreshed display
         this.updateEpgLastRefreshed();
     }
@@ -232,6 +294,34 @@ class SettingsPage {
             this.app.player.saveSettings();
         });
 
+        // Live TV buffer (pause/rewind)
+        const liveBufferToggle = document.getElementById('setting-live-buffer-tc');
+        const liveBufferMinutesInput = document.getElementById('setting-live-buffer-minutes-tc');
+        const liveBufferMinutesContainer = document.getElementById('live-buffer-minutes-container');
+
+        const toggleLiveBufferOptions = (enabled) => {
+            if (liveBufferMinutesContainer) liveBufferMinutesContainer.style.display = enabled ? 'flex' : 'none';
+        };
+
+        if (liveBufferToggle) {
+            liveBufferToggle.checked = s.liveBufferEnabled === true;
+            toggleLiveBufferOptions(liveBufferToggle.checked);
+        }
+        if (liveBufferMinutesInput) liveBufferMinutesInput.value = s.liveBufferMinutes || 30;
+
+        liveBufferToggle?.addEventListener('change', () => {
+            this.app.player.settings.liveBufferEnabled = liveBufferToggle.checked;
+            this.app.player.saveSettings();
+            toggleLiveBufferOptions(liveBufferToggle.checked);
+        });
+
+        liveBufferMinutesInput?.addEventListener('change', () => {
+            const minutes = Math.min(240, Math.max(1, parseInt(liveBufferMinutesInput.value) || 30));
+            liveBufferMinutesInput.value = minutes;
+            this.app.player.settings.liveBufferMinutes = minutes;
+            this.app.player.saveSettings();
+        });
+
         // User-Agent handlers
         const toggleCustomInput = () => {
             if (customUaContainer) {
@@ -309,6 +399,293 @@ class SettingsPage {
         }
     }
 
+    /**
+     * Playlist and guide export links for external players (VLC, Kodi)
+     */
+    initExportSettings() {
+        const urlInput = document.getElementById('export-playlist-url');
+        const epgInput = document.getElementById('export-epg-url');
+        const generateBtn = document.getElementById('btn-export-generate');
+        const favoritesToggle = document.getElementById('export-favorites-first');
+        const proxyToggle = document.getElementById('export-use-proxy');
+        if (!urlInput || !generateBtn) return;
+
+        let baseUrl = null;
+
+        const updateUrl = () => {
+            if (!baseUrl) return;
+            const params = [];
+            if (favoritesToggle?.checked) params.push('favorites=first');
+            if (proxyToggle?.checked) params.push('proxy=true');
+            urlInput.value = params.length ? `${baseUrl}&${params.join('&')}` : baseUrl;
+        };
+
+        const showLinks = ({ playlistUrl, epgUrl }) => {
+            baseUrl = playlistUrl;
+            updateUrl();
+            if (epgInput) epgInput.value = epgUrl;
+        };
+
+        generateBtn.addEventListener('click', async () => {
+            try {
+                showLinks(await API.export.getToken());
+            } catch (err) {
+                alert('Error generating playlist link: ' + err.message);
+            }
+        });
+
+        document.getElementById('btn-export-regenerate')?.addEventListener('click', async () => {
+            if (!confirm('Regenerate your export links? Players using the current links will stop working until you give them the new ones.')) return;
+            try {
+                showLinks(await API.export.regenerateToken());
+            } catch (err) {
+                alert('Error regenerating playlist link: ' + err.message);
+            }
+        });
+
+        favoritesToggle?.addEventListener('change', updateUrl);
+        proxyToggle?.addEventListener('change', updateUrl);
+
+        const setupCopy = (btn, input) => {
+            btn?.addEventListener('click', () => {
+                if (!input?.value) return;
+
+                // navigator.clipboard is only available in secure contexts (HTTPS/localhost)
+                if (navigator.clipboard && navigator.clipboard.writeText) {
+                    navigator.clipboard.writeText(input.value).then(() => {
+                        btn.textContent = '✓ Copied!';
+                        setTimeout(() => btn.textContent = 'Copy', 1500);
+                    }).catch(() => prompt('Copy this URL:', input.value));
+                } else {
+                    prompt('Copy this URL:', input.value);
+                }
+            });
+        };
+
+        setupCopy(document.getElementById('btn-export-copy'), urlInput);
+        setupCopy(document.getElementById('btn-export-copy-epg'), epgInput);
+    }
+
+    /**
+     * HDHomeRun tuner emulation (Plex/Jellyfin Live TV)
+     */
+    async initHdhrSettings() {
+        const enabledToggle = document.getElementById('setting-hdhr-enabled');
+        const tunerCountInput = document.getElementById('setting-hdhr-tuner-count');
+        const streamModeSelect = document.getElementById('setting-hdhr-stream-mode');
+        const optionsContainer = document.getElementById('hdhr-options-container');
+        const deviceUrl = document.getElementById('hdhr-device-url');
+        if (!enabledToggle) return;
+
+        if (deviceUrl) {
+            deviceUrl.textContent = `Add ${window.location.origin} as the tuner address in Plex/Jellyfin`;
+        }
+
+        const toggleOptions = (enabled) => {
+            if (optionsContainer) optionsContainer.style.display = enabled ? 'block' : 'none';
+        };
+
+        let s;
+        try {
+            s = await API.settings.get();
+        } catch (err) {
+            s = this.app.player?.settings || {};
+        }
+
+        enabledToggle.checked = s.hdhrEnabled === true;
+        toggleOptions(enabledToggle.checked);
+        if (tunerCountInput) tunerCountInput.value = s.hdhrTunerCount || 2;
+        if (streamModeSelect) streamModeSelect.value = s.hdhrStreamMode || 'remux';
+
+        enabledToggle.addEventListener('change', () => {
+            this.app.player.settings.hdhrEnabled = enabledToggle.checked;
+            this.app.player.saveSettings();
+            toggleOptions(enabledToggle.checked);
+        });
+
+        tunerCountInput?.addEventListener('change', () => {
+            const count = Math.min(16, Math.max(1, parseInt(tunerCountInput.value) || 2));
+            tunerCountInput.value = count;
+            this.app.player.settings.hdhrTunerCount = count;
+            this.app.player.saveSettings();
+        });
+
+        streamModeSelect?.addEventListener('change', () => {
+            this.app.player.settings.hdhrStreamMode = streamModeSelect.value;
+            this.app.player.saveSettings();
+        });
+    }
+
+    async initHealthSettings() {
+        const enabledToggle = document.getElementById('setting-health-enabled');
+        const intervalSelect = document.getElementById('setting-health-interval');
+        const modeSelect = document.getElementById('setting-health-mode');
+        const concurrencyInput = document.getElementById('setting-health-concurrency');
+        const hideDeadToggle = document.getElementById('setting-hide-dead-channels');
+        const checkAllBtn = document.getElementById('btn-health-check-all');
+        if (!enabledToggle) return;
+
+        let s;
+        try {
+            s = await API.settings.get();
+        } catch (err) {
+            s = this.app.player?.settings || {};
+        }
+
+        enabledToggle.checked = s.healthCheckEnabled === true;
+        if (intervalSelect) intervalSelect.value = String(s.healthCheckInterval || 12);
+        if (modeSelect) modeSelect.value = s.healthCheckMode || 'probe';
+        if (concurrencyInput) concurrencyInput.value = s.healthCheckConcurrency || 1;
+        if (hideDeadToggle) hideDeadToggle.checked = s.hideDeadChannels === true;
+
+        enabledToggle.addEventListener('change', () => {
+            this.app.player.settings.healthCheckEnabled = enabledToggle.checked;
+            this.app.player.saveSettings();
+        });
+
+        intervalSelect?.addEventListener('change', () => {
+            this.app.player.settings.healthCheckInterval = parseInt(intervalSelect.value);
+            this.app.player.saveSettings();
+        });
+
+        modeSelect?.addEventListener('change', () => {
+            this.app.player.settings.healthCheckMode = modeSelect.value;
+            this.app.player.saveSettings();
+        });
+
+        concurrencyInput?.addEventListener('change', () => {
+            const count = Math.min(8, Math.max(1, parseInt(concurrencyInput.value) || 1));
+            concurrencyInput.value = count;
+            this.app.player.settings.healthCheckConcurrency = count;
+            this.app.player.saveSettings();
+        });
+
+        hideDeadToggle?.addEventListener('change', () => {
+            this.app.player.settings.hideDeadChannels = hideDeadToggle.checked;
+            this.app.player.saveSettings();
+            this.app.channelList?.render();
+        });
+
+        checkAllBtn?.addEventListener('click', () => this.startHealthCheck(null));
+    }
+
+    /**
+     * Start a health check now (all sources when sourceId is null)
+     */
+    async startHealthCheck(sourceId) {
+        try {
+            const { queued } = await API.streamHealth.check(sourceId);
+            document.getElementById('health-status').textContent = `Checking ${queued} channels...`;
+            this.pollHealthStatus();
+        } catch (err) {
+            alert('Error starting health check: ' + err.message);
+        }
+    }
+
+    /**
+     * Refresh the progress line while a check is running, then reload the report
+     */
+    async pollHealthStatus() {
+        clearTimeout(this.healthPollTimer);
+        const statusEl = document.getElementById('health-status');
+        const tabActive = document.getElementById('tab-health')?.classList.contains('active');
+        if (!statusEl || !tabActive) return;
+
+        try {
+            const status = await API.streamHealth.getStatus();
+            if (status.running) {
+                statusEl.textContent = `Checking... ${status.checked}/${status.total} (${status.dead} dead)`;
+                this.healthPollTimer = setTimeout(() => this.pollHealthStatus(), 3000);
+            } else {
+                statusEl.textContent = 'Idle';
+                this.loadHealthReport();
+            }
+        } catch (err) {
+            statusEl.textContent = 'Status unavailable';
+        }
+    }
+
+    /**
+     * Load the failure report per source and group
+     */
+    async loadHealthReport() {
+        const container = document.getElementById('health-report');
+        if (!container) return;
+
+        try {
+            const report = await API.streamHealth.getReport();
+            if (report.status?.running) {
+                this.pollHealthStatus();
+            }
+
+            if (report.sources.length === 0) {
+                container.innerHTML = '<p class="hint">No enabled sources</p>';
+                return;
+            }
+
+            const sourceRows = report.sources.map(src => `
+                <tr>
+                    <td><strong>${this.escapeHtml(src.name)}</strong>
+                        ${src.groups.length ? `<div class="hint">${src.groups.slice(0, 3).map(g => `${this.escapeHtml(g.name)}: ${g.dead}/${g.total} dead`).join(' · ')}</div>` : ''}
+                    </td>
+                    <td>${src.total}</td>
+                    <td class="health-ok">${src.ok}</td>
+                    <td class="health-dead">${src.dead}</td>
+                    <td>${src.unchecked}</td>
+                    <td><button class="btn btn-sm btn-secondary health-check-source" data-source-id="${src.id}">Check now</button></td>
+                </tr>
+            `).join('');
+
+            // Cap rendered rows - a whole provider can be offline
+            const MAX_ROWS = 500;
+            const failureRows = report.failures.slice(0, MAX_ROWS).map(f => `
+                <tr>
+                    <td>${this.escapeHtml(f.sourceName)}</td>
+                    <td>${this.escapeHtml(f.group)}</td>
+                    <td>${this.escapeHtml(f.name)}</td>
+                    <td>${f.checkedAt ? new Date(f.checkedAt).toLocaleString() : '-'}</td>
+                    <td>${f.failCount || 1}</td>
+                    <td class="hint">${this.escapeHtml(f.error || '')}</td>
+                </tr>
+            `).join('');
+
+            container.innerHTML = `
+                <table class="user-table health-table">
+                    <thead>
+                        <tr><th>Source</th><th>Channels</th><th>OK</th><th>Dead</th><th>Unchecked</th><th></th></tr>
+                    </thead>
+                    <tbody>${sourceRows}</tbody>
+                </table>
+                <h4 class="health-failures-title">Failures (${report.failures.length})</h4>
+                ${report.failures.length === 0 ? '<p class="hint">No dead channels found</p>' : `
+                <table class="user-table health-table">
+                    <thead>
+                        <tr><th>Source</th><th>Group</th><th>Channel</th><th>Last checked</th><th>Fails</th><th>Error</th></tr>
+                    </thead>
+                    <tbody>${failureRows}</tbody>
+                </table>
+                ${report.failures.length > MAX_ROWS ? `<p class="hint">Showing ${MAX_ROWS} of ${report.failures.length}</p>` : ''}`}
+            `;
+
+            container.querySelectorAll('.health-check-source').forEach(btn => {
+                btn.addEventListener('click', () => this.startHealthCheck(parseInt(btn.dataset.sourceId)));
+            });
+        } catch (err) {
+            console.error('Error loading health report:', err);
+            container.innerHTML = `<p class="hint" style="color: var(--color-error);">Error: ${this.escapeHtml(err.message)}</p>`;
+        }
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
     initUserManagement() {
         // User tab visibility is handled in show() method
         // when currentUser is available
@@ -528,6 +905,11 @@ class SettingsPage {
             this.loadUsers();
         }
 
+        // Load stream health report
+        if (tabName === 'health') {
+            this.loadHealthReport();
+        }
+
         // Load hardware info when switching to transcode tab
         if (tabName === 'transcode') {
             this.loadHardwareInfo();
@@ -535,12 +917,24 @@ class SettingsPage {
     }
 
     async show() {
-        // Show users tab for admin
+        // Show admin-only tabs and content modes
         if (this.app.currentUser && this.app.currentUser.role === 'admin') {
             const usersTab = document.getElementById('users-tab');
             if (usersTab) {
                 usersTab.style.display = 'block';
             }
+            const healthTab = document.getElementById('health-tab');
+            if (healthTab) {
+                healthTab.style.display = 'block';
+            }
+            const epgMappingBtn = document.getElementById('content-type-epg');
+            if (epgMappingBtn) {
+                epgMappingBtn.style.display = '';
+            }
+            const mergedBtn = document.getElementById('content-type-merged');
+            if (mergedBtn) {
+                mergedBtn.style.display = '';
+            }
         }
 
         // Load sources when page is shown
@@ -575,8 +969,20 @@ class SettingsPage {
             if (forceRemuxToggle) forceRemuxToggle.checked = s.forceRemux || false;
             if (autoTranscodeToggle) autoTranscodeToggle.checked = s.autoTranscode || false;
             if (epgRefreshSelect) epgRefreshSelect.value = s.epgRefreshInterval || '24';
+            const syncConcurrencyInput = document.getElementById('setting-sync-concurrency');
+            const syncTimeoutSelect = document.getElementById('setting-sync-timeout');
+            if (syncConcurrencyInput) syncConcurrencyInput.value = s.syncConcurrency || 2;
+            if (syncTimeoutSelect) syncTimeoutSelect.value = String(s.syncTimeoutMinutes ?? 120);
+            const accountWarningInput = document.getElementById('setting-account-warning-days');
+            if (accountWarningInput) accountWarningInput.value = s.accountWarningDays ?? 7;
             if (streamFormatSelect) streamFormatSelect.value = s.streamFormat || 'm3u8';
 
+            // DVR settings
+            const prePaddingInput = document.getElementById('setting-recording-pre-padding');
+            const postPaddingInput = document.getElementById('setting-recording-post-padding');
+            if (prePaddingInput) prePaddingInput.value = s.recordingPrePadding ?? 1;
+            if (postPaddingInput) postPaddingInput.value = s.recordingPostPadding ?? 5;
+
             // User-Agent settings
             const userAgentSelect = document.getElementById('setting-user-agent');
             const userAgentCustomInput = document.getElementById('setting-user-agent-custom');
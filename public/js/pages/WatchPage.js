@@ -60,6 +60,10 @@ class WatchPage {
         this.episodesSection = document.getElementById('watch-episodes');
         this.seasonsContainer = document.getElementById('watch-seasons');
 
+        // Recordings (DVR library)
+        this.recordingsSection = document.getElementById('watch-recordings');
+        this.recordingsGrid = document.getElementById('watch-recordings-grid');
+
         // Captions
         this.captionsBtn = document.getElementById('watch-captions-btn');
         this.captionsMenu = document.getElementById('watch-captions-menu');
@@ -253,7 +257,7 @@ class WatchPage {
         this.currentEpisode = content.currentEpisode || null;
         this.resumeTime = content.resumeTime || 0;
         this.containerExtension = content.containerExtension || 'mp4';
-        this.returnPage = content.type === 'movie' ? 'movies' : 'series';
+        this.returnPage = content.type === 'recording' ? 'home' : (content.type === 'movie' ? 'movies' : 'series');
 
         // Stop any Live TV playback before starting movie/series
         this.app?.player?.stop?.();
@@ -274,6 +278,7 @@ class WatchPage {
 
         // Load video
         await this.loadVideo(streamUrl);
+        this.loadSidecarSubtitles(streamUrl);
 
         // Show Now Playing indicator in navbar
         this.showNowPlaying(content.title);
@@ -281,7 +286,19 @@ class WatchPage {
         // Populate details section
         this.renderDetails();
 
-        // Load recommended (movies) or episodes (series)
+        // Load recommended (movies), episodes (series) or the recordings library
+        if (content.type === 'recording') {
+            this.recommendedSection?.classList.add('hidden');
+            this.episodesSection?.classList.add('hidden');
+            this.favoriteBtn?.classList.add('hidden');
+            await this.loadRecordings();
+            this.showOverlay();
+            return; // Recordings aren't tracked in watch history or favorites
+        }
+
+        this.recordingsSection?.classList.add('hidden');
+        this.favoriteBtn?.classList.remove('hidden');
+
         if (content.type === 'movie') {
             this.episodesSection?.classList.add('hidden');
             this.recommendedSection?.classList.remove('hidden');
@@ -301,6 +318,26 @@ class WatchPage {
         this.startHistoryTracking();
     }
 
+    /**
+     * Play a finished DVR recording
+     * @param {Object} recording - Recording row from /api/recordings
+     */
+    async playRecording(recording) {
+        const recordedAt = new Date(recording.start_time).toLocaleString([], {
+            weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+
+        await this.play({
+            type: 'recording',
+            id: recording.id,
+            title: recording.title,
+            subtitle: [recording.channel_name, recordedAt].filter(Boolean).join(' • '),
+            description: recording.description || '',
+            poster: recording.data?.logo || null,
+            sourceId: recording.source_id
+        }, API.recordings.getStreamUrl(recording.id));
+    }
+
     /**
      * Show Now Playing indicator in navbar
      */
@@ -331,7 +368,7 @@ class WatchPage {
             console.log('[WatchPage] Starting HLS transcode session...', options);
             const res = await fetch('/api/transcode/session', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('authToken')}` },
                 body: JSON.stringify({
                     url,
                     seekOffset: this.resumeTime, // Pass resume point to backend
@@ -345,7 +382,7 @@ class WatchPage {
         } catch (err) {
             console.error('[WatchPage] Session start failed:', err);
             // Fallback to direct transcode if session fails
-            return `/api/transcode?url=${encodeURIComponent(url)}`;
+            return API.streamUrl('transcode', url);
         }
     }
 
@@ -427,6 +464,23 @@ class WatchPage {
             console.warn('Could not load settings');
         }
 
+        // DVR recordings are served by us as seekable MP4 files
+        if (this.contentType === 'recording') {
+            this.updateTranscodeStatus('direct', 'Recording');
+            this.video.src = url;
+            this.video.play().catch(e => {
+                if (e.name !== 'AbortError') console.error('[WatchPage] Autoplay error:', e);
+            });
+            this.setVolumeFromStorage();
+            return;
+        }
+
+        // Reserve a provider connection (offers to take over one when the account is full)
+        if (!await API.proxy.connections.reserve(url)) {
+            this.hideLoading();
+            return;
+        }
+
         // Detect stream type
         const looksLikeHls = url.includes('.m3u8') || url.includes('m3u8');
         const isRawTs = url.includes('.ts') && !url.includes('.m3u8');
@@ -470,7 +524,7 @@ class WatchPage {
                     // TODO: Move remux to session logic if seeking is needed for TS files
                     console.log('[WatchPage] Auto: Using remux (.ts container)');
                     this.updateTranscodeStatus('remuxing', 'Remux (Auto)');
-                    const finalUrl = `/api/remux?url=${encodeURIComponent(url)}`;
+                    const finalUrl = API.streamUrl('remux', url);
                     this.video.src = finalUrl;
                     this.video.play().catch(e => {
                         if (e.name !== 'AbortError') console.error('[WatchPage] Autoplay error:', e);
@@ -528,7 +582,7 @@ class WatchPage {
         if (settings.forceRemux && isRawTs) {
             console.log('[WatchPage] Force Remux enabled');
             this.updateTranscodeStatus('remuxing', 'Remux (Force)');
-            const finalUrl = `/api/remux?url=${encodeURIComponent(url)}`;
+            const finalUrl = API.streamUrl('remux', url);
             this.video.src = finalUrl;
             this.video.play().catch(e => {
                 if (e.name !== 'AbortError') console.error('[WatchPage] Autoplay error:', e);
@@ -539,8 +593,10 @@ class WatchPage {
 
         // Determine if proxy is needed
         const proxyRequiredDomains = ['pluto.tv'];
-        const needsProxy = settings.forceProxy || proxyRequiredDomains.some(domain => url.includes(domain));
-        const finalUrl = needsProxy ? `/api/proxy/stream?url=${encodeURIComponent(url)}` : url;
+        // Local library files are served by us and never need the proxy
+        const needsProxy = !url.startsWith('/api/library/') &&
+            (settings.forceProxy || proxyRequiredDomains.some(domain => url.includes(domain)));
+        const finalUrl = needsProxy ? API.streamUrl('proxy/stream', url) : url;
 
         console.log('[WatchPage] Playing:', { url, needsProxy, looksLikeHls });
 
@@ -602,7 +658,7 @@ class WatchPage {
                 // Note: Transcoded streams are local, so no CORS issues usually
                 if (!url.startsWith('/api/') && (data.type === Hls.ErrorTypes.NETWORK_ERROR)) {
                     console.log('[WatchPage] Retrying via proxy...');
-                    this.playHls(`/api/proxy/stream?url=${encodeURIComponent(this.currentUrl)}`);
+                    this.playHls(API.streamUrl('proxy/stream', this.currentUrl));
                 } else {
                     this.hls.destroy();
                 }
@@ -639,11 +695,38 @@ class WatchPage {
             this.video.pause();
             this.video.src = '';
             this.video.load();
+            this.video.querySelectorAll('track[data-sidecar]').forEach(t => t.remove());
         }
 
         this.hideNowPlaying();
     }
 
+    /**
+     * Add .srt/.vtt files found next to a local library video as subtitle tracks
+     * @param {string} url - Stream URL (/api/library/:sourceId/:itemId/...)
+     */
+    async loadSidecarSubtitles(url) {
+        const match = url.match(/^\/api\/library\/(\d+)\/([^/]+)\//);
+        if (!match) return;
+
+        try {
+            const subtitles = await API.library.subtitles(match[1], match[2]);
+            if (this.currentUrl !== url) return; // Playback changed meanwhile
+
+            subtitles.forEach(sub => {
+                const track = document.createElement('track');
+                track.kind = 'subtitles';
+                track.label = sub.label;
+                track.srclang = sub.language;
+                track.src = sub.url;
+                track.dataset.sidecar = 'true';
+                this.video.appendChild(track);
+            });
+        } catch (err) {
+            console.warn('[WatchPage] Could not load subtitles:', err.message);
+        }
+    }
+
     // === Playback Controls ===
 
     togglePlay() {
@@ -1039,7 +1122,7 @@ class WatchPage {
     renderDetails() {
         if (!this.content) return;
 
-        const isChannel = this.content.type === 'channel' || !this.content.type; // Default to channel if unknown
+        const isChannel = this.content.type === 'channel' || this.content.type === 'recording' || !this.content.type; // Default to channel if unknown
         const fallback = isChannel ? '/img/placeholder.png' : '/img/poster-placeholder.jpg';
 
         this.posterEl.onerror = () => {
@@ -1182,6 +1265,69 @@ class WatchPage {
         }
     }
 
+    // === Recordings (DVR) ===
+
+    escapeHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    async loadRecordings() {
+        try {
+            const recordings = await API.recordings.getAll('completed');
+            if (!recordings || recordings.length === 0) {
+                this.recordingsSection?.classList.add('hidden');
+                return;
+            }
+
+            this.recordingsSection?.classList.remove('hidden');
+            this.renderRecordingsGrid(recordings);
+        } catch (e) {
+            console.error('Error loading recordings:', e);
+            this.recordingsSection?.classList.add('hidden');
+        }
+    }
+
+    renderRecordingsGrid(recordings) {
+        if (!this.recordingsGrid) return;
+
+        this.recordingsGrid.innerHTML = recordings.map(rec => `
+            <div class="watch-recommended-card ${rec.id === this.content?.id ? 'active' : ''}" data-id="${rec.id}">
+                <img src="${this.escapeHtml(rec.data?.logo || '/img/placeholder.png')}" 
+                     alt="${this.escapeHtml(rec.title)}" 
+                     onerror="this.onerror=null;this.src='/img/placeholder.png'" loading="lazy">
+                <p>${this.escapeHtml(rec.title)}</p>
+                <p class="hint">${this.escapeHtml(rec.channel_name || '')} • ${new Date(rec.start_time).toLocaleDateString()}</p>
+                <button class="btn btn-sm btn-ghost recording-delete-btn" title="Delete recording">Delete</button>
+            </div>
+        `).join('');
+
+        this.recordingsGrid.querySelectorAll('.watch-recommended-card').forEach(card => {
+            const recording = recordings.find(r => String(r.id) === card.dataset.id);
+
+            card.addEventListener('click', () => this.playRecording(recording));
+
+            card.querySelector('.recording-delete-btn')?.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!confirm(`Delete recording "${recording.title}"?`)) return;
+                try {
+                    await API.recordings.delete(recording.id);
+                    if (recording.id === this.content?.id) {
+                        this.stop();
+                    }
+                    await this.loadRecordings();
+                } catch (err) {
+                    console.error('Error deleting recording:', err);
+                }
+            });
+        });
+    }
+
     // === Series Episodes ===
 
     renderEpisodes() {
@@ -14,6 +14,12 @@ const { Strategy: LocalStrategy } = require('passport-local');
 const JWT_SECRET = process.env.JWT_SECRET || 'nodecast-tv-secret-key-change-in-production';
 const JWT_EXPIRY = '24h';
 
+// Export tokens are long-lived and go in URLs (VLC, Kodi), so they are signed with
+// a separate secret and can't be used as regular API tokens. They carry the user's
+// export token version - bumping it revokes every link handed out before
+const EXPORT_SECRET = `${JWT_SECRET}:export`;
+const EXPORT_EXPIRY = '365d';
+
 /**
  * Hash password using bcrypt
  */
@@ -55,6 +61,40 @@ function verifyToken(token) {
     }
 }
 
+/**
+ * Generate long-lived token for playlist/EPG export URLs
+ * @param {object} user - Stored user (with exportTokenVersion)
+ */
+function generateExportToken(user) {
+    return jwt.sign(
+        {
+            id: user.id,
+            username: user.username,
+            version: user.exportTokenVersion || 0
+        },
+        EXPORT_SECRET,
+        { expiresIn: EXPORT_EXPIRY }
+    );
+}
+
+/**
+ * Verify export token
+ * @param {Function} getUserById - Looks up the token's user
+ * @returns {object|null} User, or null if the token is invalid, revoked or the user is gone
+ */
+async function verifyExportToken(token, getUserById) {
+    let payload;
+    try {
+        payload = jwt.verify(token, EXPORT_SECRET);
+    } catch (err) {
+        return null;
+    }
+
+    const user = await getUserById(payload.id);
+    if (!user || (payload.version || 0) !== (user.exportTokenVersion || 0)) return null;
+    return user;
+}
+
 /**
  * Configure Passport Local Strategy for username/password authentication
  */
@@ -258,6 +298,8 @@ module.exports = {
     verifyPassword,
     generateToken,
     verifyToken,
+    generateExportToken,
+    verifyExportToken,
     configureLocalStrategy,
     configureJwtStrategy,
     configureSessionSerialization,
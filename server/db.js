@@ -69,6 +69,9 @@ function getDefaultSettings() {
     autoTranscode: true,
     streamFormat: 'm3u8',
     epgRefreshInterval: '24',
+    syncConcurrency: 2,           // Sources synced at the same time
+    syncTimeoutMinutes: 120,      // Syncs running longer are stopped (0 = no limit)
+    accountWarningDays: 7,        // Warn admins when a provider subscription ends within this many days
     // User-Agent settings
     userAgentPreset: 'chrome',    // chrome | vlc | tivimate | custom
     userAgentCustom: '',          // Custom UA string when preset is 'custom'
@@ -83,7 +86,23 @@ function getDefaultSettings() {
     // Upscaling settings
     upscaleEnabled: false,
     upscaleMethod: 'hardware',    // hardware | software
-    upscaleTarget: '1080p'        // 1080p | 4k | 720p
+    upscaleTarget: '1080p',       // 1080p | 4k | 720p
+    // Live TV buffer (pause/rewind)
+    liveBufferEnabled: false,
+    liveBufferMinutes: 30,        // Rolling window kept on disk per session
+    // DVR settings
+    recordingPrePadding: 1,       // Minutes to start recording early
+    recordingPostPadding: 5,      // Minutes to keep recording after programme end
+    // HDHomeRun tuner emulation (Plex/Jellyfin Live TV)
+    hdhrEnabled: false,
+    hdhrTunerCount: 2,
+    hdhrStreamMode: 'remux',      // remux (MPEG-TS via FFmpeg) | proxy
+    // Stream health checker
+    healthCheckEnabled: false,
+    healthCheckInterval: 12,      // Hours before a channel is checked again
+    healthCheckMode: 'probe',     // probe (ffprobe) | http (status check only)
+    healthCheckConcurrency: 1,    // Parallel checks (providers often limit connections)
+    hideDeadChannels: false       // Hide channels that failed their last check
   };
 }
 
@@ -71,6 +71,7 @@ function initSchema() {
         );
         CREATE INDEX IF NOT EXISTS idx_items_source_type ON playlist_items(source_id, type);
         CREATE INDEX IF NOT EXISTS idx_items_category ON playlist_items(source_id, category_id);
+        CREATE INDEX IF NOT EXISTS idx_items_stream_url ON playlist_items(stream_url); -- Per-channel header lookup
     `);
 
     // EPG Programs
@@ -90,6 +91,49 @@ function initSchema() {
         CREATE INDEX IF NOT EXISTS idx_epg_cleanup ON epg_programs(end_time); -- For deleting old programs
     `);
 
+    // Full-text search indexes (global search)
+    // External-content FTS5 tables over item names and programme titles/descriptions;
+    // triggers keep them current as syncs insert, update and purge rows
+    const hasSearchIndex = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'playlist_items_fts'").get();
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS playlist_items_fts USING fts5(
+            name, content = 'playlist_items', tokenize = 'unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS playlist_items_fts_insert AFTER INSERT ON playlist_items BEGIN
+            INSERT INTO playlist_items_fts (rowid, name) VALUES (new.rowid, new.name);
+        END;
+        CREATE TRIGGER IF NOT EXISTS playlist_items_fts_delete AFTER DELETE ON playlist_items BEGIN
+            INSERT INTO playlist_items_fts (playlist_items_fts, rowid, name) VALUES ('delete', old.rowid, old.name);
+        END;
+        CREATE TRIGGER IF NOT EXISTS playlist_items_fts_update AFTER UPDATE OF name ON playlist_items BEGIN
+            INSERT INTO playlist_items_fts (playlist_items_fts, rowid, name) VALUES ('delete', old.rowid, old.name);
+            INSERT INTO playlist_items_fts (rowid, name) VALUES (new.rowid, new.name);
+        END;
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS epg_programs_fts USING fts5(
+            title, description, content = 'epg_programs', content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER IF NOT EXISTS epg_programs_fts_insert AFTER INSERT ON epg_programs BEGIN
+            INSERT INTO epg_programs_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+        END;
+        CREATE TRIGGER IF NOT EXISTS epg_programs_fts_delete AFTER DELETE ON epg_programs BEGIN
+            INSERT INTO epg_programs_fts (epg_programs_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+        END;
+        CREATE TRIGGER IF NOT EXISTS epg_programs_fts_update AFTER UPDATE OF title, description ON epg_programs BEGIN
+            INSERT INTO epg_programs_fts (epg_programs_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+            INSERT INTO epg_programs_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+        END;
+    `);
+    if (!hasSearchIndex) {
+        // Index content synced before search existed
+        console.log('[SQLite] Building search index...');
+        db.exec(`
+            INSERT INTO playlist_items_fts (playlist_items_fts) VALUES ('rebuild');
+            INSERT INTO epg_programs_fts (epg_programs_fts) VALUES ('rebuild');
+        `);
+    }
+
     // Sync Status
     db.exec(`
         CREATE TABLE IF NOT EXISTS sync_status (
@@ -135,6 +179,154 @@ function initSchema() {
         CREATE INDEX IF NOT EXISTS idx_history_user_item ON watch_history(user_id, item_id);
     `);
 
+    // DVR Recordings (per-user)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS recordings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            source_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL, -- Live channel ID (playlist_items.item_id)
+            channel_name TEXT,
+            title TEXT NOT NULL,
+            description TEXT,
+            start_time INTEGER NOT NULL, -- Programme start (ms)
+            end_time INTEGER NOT NULL,   -- Programme end (ms)
+            pre_padding INTEGER DEFAULT 0, -- Minutes to start before start_time
+            post_padding INTEGER DEFAULT 0, -- Minutes to continue after end_time
+            status TEXT NOT NULL DEFAULT 'scheduled', -- 'scheduled', 'recording', 'completed', 'failed'
+            file_path TEXT,
+            file_size INTEGER,
+            duration INTEGER, -- Recorded length in seconds
+            started_at INTEGER, -- When FFmpeg actually started (ms)
+            error TEXT,
+            created_at INTEGER NOT NULL,
+            data JSON -- Channel snapshot (logo, tvg id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_recordings_user ON recordings(user_id, start_time DESC);
+        CREATE INDEX IF NOT EXISTS idx_recordings_status_time ON recordings(status, start_time);
+    `);
+
+    // Manual EPG mappings (channel -> XMLTV channel ID)
+    // Kept separate from playlist_items so they survive resyncs
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS epg_mappings (
+            source_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL, -- Live channel ID (playlist_items.item_id)
+            epg_channel_id TEXT NOT NULL, -- XMLTV channel ID
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (source_id, item_id)
+        );
+    `);
+
+    // User overrides of a live channel's display name, logo and group
+    // Kept separate from playlist_items so they survive resyncs
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS channel_overrides (
+            source_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL, -- Live channel ID (playlist_items.item_id)
+            name TEXT, -- Display name (NULL = provider's name)
+            logo TEXT, -- Logo URL or uploaded logo (NULL = provider's logo)
+            category_id TEXT, -- Group (categories.category_id, NULL = provider's group)
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (source_id, item_id)
+        );
+    `);
+
+    // Custom channel numbers (per-user)
+    // Overrides the provider's tvg-chno / Xtream num for the user's lineup
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS channel_numbers (
+            user_id INTEGER NOT NULL,
+            source_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL, -- Live channel ID (playlist_items.item_id)
+            number INTEGER NOT NULL,
+            PRIMARY KEY (user_id, source_id, item_id)
+        );
+    `);
+
+    // Merged channels: one logical channel backed by streams from several sources
+    // Streams are tried in priority order when playback fails
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS merged_channels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS merged_channel_streams (
+            merged_id INTEGER NOT NULL,
+            source_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL, -- Live channel ID (playlist_items.item_id)
+            priority INTEGER NOT NULL, -- 0 = primary, then backups in order
+            PRIMARY KEY (source_id, item_id) -- A channel belongs to at most one merged channel
+        );
+        CREATE INDEX IF NOT EXISTS idx_merged_streams_merged ON merged_channel_streams(merged_id, priority);
+    `);
+
+    // Stream health (background checker results per live channel)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stream_health (
+            source_id INTEGER NOT NULL,
+            item_id TEXT NOT NULL, -- Live channel ID (playlist_items.item_id)
+            status TEXT NOT NULL, -- 'ok', 'dead'
+            checked_at INTEGER NOT NULL,
+            latency_ms INTEGER, -- Time until the stream answered
+            width INTEGER,
+            height INTEGER,
+            video_codec TEXT,
+            error TEXT,
+            fail_count INTEGER DEFAULT 0, -- Consecutive failed checks
+            PRIMARY KEY (source_id, item_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_stream_health_checked ON stream_health(checked_at);
+    `);
+
+    // Sync history (one row per sync run with what changed)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            source_id INTEGER NOT NULL,
+            started_at INTEGER NOT NULL,
+            duration_ms INTEGER NOT NULL,
+            status TEXT NOT NULL, -- 'success', 'error', 'cancelled'
+            error TEXT,
+            added INTEGER DEFAULT 0,
+            removed INTEGER DEFAULT 0,
+            renamed INTEGER DEFAULT 0,
+            recategorized INTEGER DEFAULT 0,
+            updated INTEGER DEFAULT 0, -- Other changes (logo, URL, details)
+            unchanged INTEGER DEFAULT 0,
+            changes JSON -- Per content type counts and example names
+        );
+        CREATE INDEX IF NOT EXISTS idx_sync_history_source ON sync_history(source_id, started_at DESC);
+    `);
+
+    // Sync schedule (next run per source and content type, kept across restarts)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sync_schedule (
+            source_id INTEGER NOT NULL,
+            content TEXT NOT NULL, -- 'live', 'vod', 'epg'
+            rule TEXT, -- Schedule next_run was computed from (null = manual only)
+            last_run INTEGER,
+            next_run INTEGER,
+            PRIMARY KEY (source_id, content)
+        );
+    `);
+
+    // Provider accounts (Xtream user_info from the latest sync)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS provider_accounts (
+            source_id INTEGER PRIMARY KEY,
+            status TEXT, -- 'Active', 'Expired', 'Banned', 'Disabled'
+            exp_date INTEGER, -- Subscription end (ms, null = unlimited)
+            is_trial INTEGER DEFAULT 0,
+            max_connections INTEGER,
+            active_cons INTEGER,
+            created_at INTEGER,
+            checked_at INTEGER NOT NULL
+        );
+    `);
+
     // Migration: Add source_id column if missing (for existing databases)
     try {
         db.exec(`ALTER TABLE watch_history ADD COLUMN source_id INTEGER`);
@@ -143,6 +335,17 @@ function initSchema() {
         // Column already exists, ignore
     }
 
+    // Migration: rule_hidden marks content hidden by content rules (so it shows again when the rule goes).
+    // is_hidden stays the user's own flag - content is hidden when either is set.
+    for (const table of ['categories', 'playlist_items']) {
+        try {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN rule_hidden INTEGER DEFAULT 0`);
+            console.log(`[SQLite] Added rule_hidden column to ${table}`);
+        } catch (e) {
+            // Column already exists, ignore
+        }
+    }
+
     console.log('[SQLite] Schema initialized');
 }
 
@@ -209,8 +412,479 @@ const favorites = {
     }
 };
 
+// ============================================================
+// Recordings CRUD Operations
+// ============================================================
+const RECORDING_FIELDS = [
+    'title', 'description', 'start_time', 'end_time', 'pre_padding', 'post_padding',
+    'status', 'file_path', 'file_size', 'duration', 'started_at', 'error'
+];
+
+function parseRecording(row) {
+    if (!row) return null;
+    return { ...row, data: JSON.parse(row.data || '{}') };
+}
+
+const recordings = {
+    getAll(userId = null, status = null) {
+        const db = getDb();
+        let sql = 'SELECT * FROM recordings WHERE 1 = 1';
+        const params = [];
+
+        if (userId) {
+            sql += ' AND user_id = ?';
+            params.push(userId);
+        }
+        if (status) {
+            sql += ' AND status = ?';
+            params.push(status);
+        }
+
+        sql += ' ORDER BY start_time DESC';
+        return db.prepare(sql).all(...params).map(parseRecording);
+    },
+
+    getById(id) {
+        const db = getDb();
+        return parseRecording(db.prepare('SELECT * FROM recordings WHERE id = ?').get(id));
+    },
+
+    // Scheduled recordings whose padded start time has been reached
+    getDue(now = Date.now()) {
+        const db = getDb();
+        return db.prepare(`
+            SELECT * FROM recordings
+            WHERE status = 'scheduled' AND start_time - (pre_padding * 60000) <= ?
+            ORDER BY start_time ASC
+        `).all(now).map(parseRecording);
+    },
+
+    // Find an existing schedule for the same programme (prevents duplicates)
+    findDuplicate(userId, sourceId, itemId, startTime) {
+        const db = getDb();
+        return parseRecording(db.prepare(`
+            SELECT * FROM recordings
+            WHERE user_id = ? AND source_id = ? AND item_id = ? AND start_time = ?
+              AND status IN ('scheduled', 'recording')
+        `).get(userId, sourceId, String(itemId), startTime));
+    },
+
+    create(recording) {
+        const db = getDb();
+        const result = db.prepare(`
+            INSERT INTO recordings (
+                user_id, source_id, item_id, channel_name, title, description,
+                start_time, end_time, pre_padding, post_padding, status, created_at, data
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', ?, ?)
+        `).run(
+            recording.userId,
+            recording.sourceId,
+            String(recording.itemId),
+            recording.channelName || null,
+            recording.title,
+            recording.description || null,
+            recording.startTime,
+            recording.endTime,
+            recording.prePadding || 0,
+            recording.postPadding || 0,
+            Date.now(),
+            JSON.stringify(recording.data || {})
+        );
+        return this.getById(result.lastInsertRowid);
+    },
+
+    update(id, fields) {
+        const db = getDb();
+        const keys = Object.keys(fields).filter(key => RECORDING_FIELDS.includes(key));
+        if (keys.length === 0) return this.getById(id);
+
+        const sql = `UPDATE recordings SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`;
+        db.prepare(sql).run(...keys.map(key => fields[key]), id);
+        return this.getById(id);
+    },
+
+    delete(id) {
+        const db = getDb();
+        const result = db.prepare('DELETE FROM recordings WHERE id = ?').run(id);
+        return result.changes > 0;
+    }
+};
+
+// ============================================================
+// EPG Mappings
+// ============================================================
+const epgMappings = {
+    getAll(sourceId = null) {
+        const db = getDb();
+        if (sourceId) {
+            return db.prepare('SELECT * FROM epg_mappings WHERE source_id = ?').all(sourceId);
+        }
+        return db.prepare('SELECT * FROM epg_mappings').all();
+    },
+
+    get(sourceId, itemId) {
+        const db = getDb();
+        return db.prepare('SELECT * FROM epg_mappings WHERE source_id = ? AND item_id = ?')
+            .get(sourceId, String(itemId));
+    },
+
+    set(sourceId, itemId, epgChannelId) {
+        const db = getDb();
+        db.prepare(`
+            INSERT INTO epg_mappings (source_id, item_id, epg_channel_id, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(source_id, item_id) DO UPDATE SET
+                epg_channel_id = excluded.epg_channel_id,
+                updated_at = excluded.updated_at
+        `).run(sourceId, String(itemId), epgChannelId, Date.now());
+    },
+
+    remove(sourceId, itemId) {
+        const db = getDb();
+        const result = db.prepare('DELETE FROM epg_mappings WHERE source_id = ? AND item_id = ?')
+            .run(sourceId, String(itemId));
+        return result.changes > 0;
+    }
+};
+
+// ============================================================
+// Channel Overrides
+// ============================================================
+const channelOverrides = {
+    // Overrides of a source, with the name of the group
+    getAll(sourceId) {
+        const db = getDb();
+        return db.prepare(`
+            SELECT o.*, c.name AS group_name
+            FROM channel_overrides o
+            LEFT JOIN categories c ON c.id = o.source_id || ':' || o.category_id AND c.type = 'live'
+            WHERE o.source_id = ?
+        `).all(sourceId);
+    },
+
+    get(sourceId, itemId) {
+        const db = getDb();
+        return db.prepare('SELECT * FROM channel_overrides WHERE source_id = ? AND item_id = ?')
+            .get(sourceId, String(itemId));
+    },
+
+    set(sourceId, itemId, { name, logo, categoryId }) {
+        const db = getDb();
+        db.prepare(`
+            INSERT OR REPLACE INTO channel_overrides (source_id, item_id, name, logo, category_id, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(sourceId, String(itemId), name, logo, categoryId, Date.now());
+    },
+
+    remove(sourceId, itemId) {
+        const db = getDb();
+        const result = db.prepare('DELETE FROM channel_overrides WHERE source_id = ? AND item_id = ?')
+            .run(sourceId, String(itemId));
+        return result.changes > 0;
+    },
+
+    removeSource(sourceId) {
+        const db = getDb();
+        db.prepare('DELETE FROM channel_overrides WHERE source_id = ?').run(sourceId);
+    }
+};
+
+// ============================================================
+// Channel Numbers (per-user)
+// ============================================================
+const channelNumbers = {
+    getAll(userId) {
+        const db = getDb();
+        return db.prepare('SELECT source_id, item_id, number FROM channel_numbers WHERE user_id = ?').all(userId);
+    },
+
+    // Save several numbers at once (a null number reverts to the provider's number)
+    setMany(userId, entries) {
+        const db = getDb();
+        const upsert = db.prepare(`
+            INSERT INTO channel_numbers (user_id, source_id, item_id, number)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id, source_id, item_id) DO UPDATE SET number = excluded.number
+        `);
+        const remove = db.prepare('DELETE FROM channel_numbers WHERE user_id = ? AND source_id = ? AND item_id = ?');
+
+        db.transaction(() => {
+            for (const entry of entries) {
+                if (entry.number === null) {
+                    remove.run(userId, entry.sourceId, String(entry.itemId));
+                } else {
+                    upsert.run(userId, entry.sourceId, String(entry.itemId), entry.number);
+                }
+            }
+        })();
+    },
+
+    clear(userId) {
+        const db = getDb();
+        const result = db.prepare('DELETE FROM channel_numbers WHERE user_id = ?').run(userId);
+        return result.changes;
+    }
+};
+
+// ============================================================
+// Merged Channels
+// ============================================================
+
+// Replace the streams of a merged channel (array order = priority)
+function setMergedStreams(db, id, streams) {
+    db.prepare('DELETE FROM merged_channel_streams WHERE merged_id = ?').run(id);
+    const insert = db.prepare(`
+        INSERT INTO merged_channel_streams (merged_id, source_id, item_id, priority)
+        VALUES (?, ?, ?, ?)
+    `);
+    streams.forEach((stream, index) => insert.run(id, stream.sourceId, String(stream.itemId), index));
+}
+
+const mergedChannels = {
+    getAll() {
+        const db = getDb();
+        const channels = db.prepare('SELECT * FROM merged_channels ORDER BY name').all();
+        const streams = db.prepare(`
+            SELECT s.merged_id, s.source_id, s.item_id, s.priority, p.name
+            FROM merged_channel_streams s
+            LEFT JOIN playlist_items p ON p.source_id = s.source_id AND p.item_id = s.item_id AND p.type = 'live'
+            ORDER BY s.merged_id, s.priority
+        `).all();
+
+        const byId = new Map(channels.map(ch => [ch.id, { ...ch, streams: [] }]));
+        for (const stream of streams) {
+            byId.get(stream.merged_id)?.streams.push(stream);
+        }
+        return [...byId.values()];
+    },
+
+    getById(id) {
+        return this.getAll().find(ch => ch.id === id) || null;
+    },
+
+    // Find the merged channel a stream belongs to
+    findByStream(sourceId, itemId) {
+        const db = getDb();
+        return db.prepare('SELECT merged_id FROM merged_channel_streams WHERE source_id = ? AND item_id = ?')
+            .get(sourceId, String(itemId))?.merged_id || null;
+    },
+
+    create(name, streams) {
+        const db = getDb();
+        const now = Date.now();
+        let id;
+        db.transaction(() => {
+            id = db.prepare('INSERT INTO merged_channels (name, created_at, updated_at) VALUES (?, ?, ?)')
+                .run(name, now, now).lastInsertRowid;
+            setMergedStreams(db, id, streams);
+        })();
+        return this.getById(Number(id));
+    },
+
+    update(id, { name, streams }) {
+        const db = getDb();
+        db.transaction(() => {
+            db.prepare('UPDATE merged_channels SET name = COALESCE(?, name), updated_at = ? WHERE id = ?')
+                .run(name ?? null, Date.now(), id);
+            if (streams) {
+                setMergedStreams(db, id, streams);
+            }
+        })();
+        return this.getById(id);
+    },
+
+    delete(id) {
+        const db = getDb();
+        let changes = 0;
+        db.transaction(() => {
+            db.prepare('DELETE FROM merged_channel_streams WHERE merged_id = ?').run(id);
+            changes = db.prepare('DELETE FROM merged_channels WHERE id = ?').run(id).changes;
+        })();
+        return changes > 0;
+    },
+
+    // Remove a source's streams, and merged channels left with none (source deleted)
+    removeSource(sourceId) {
+        const db = getDb();
+        db.prepare('DELETE FROM merged_channel_streams WHERE source_id = ?').run(sourceId);
+        db.prepare('DELETE FROM merged_channels WHERE id NOT IN (SELECT merged_id FROM merged_channel_streams)').run();
+    }
+};
+
+// ============================================================
+// Stream Health
+// ============================================================
+const streamHealth = {
+    getAll(sourceId = null) {
+        const db = getDb();
+        if (sourceId) {
+            return db.prepare('SELECT * FROM stream_health WHERE source_id = ?').all(sourceId);
+        }
+        return db.prepare('SELECT * FROM stream_health').all();
+    },
+
+    record(sourceId, itemId, result) {
+        const db = getDb();
+        db.prepare(`
+            INSERT INTO stream_health (source_id, item_id, status, checked_at, latency_ms, width, height, video_codec, error, fail_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(source_id, item_id) DO UPDATE SET
+                status = excluded.status,
+                checked_at = excluded.checked_at,
+                latency_ms = excluded.latency_ms,
+                width = excluded.width,
+                height = excluded.height,
+                video_codec = excluded.video_codec,
+                error = excluded.error,
+                fail_count = CASE WHEN excluded.status = 'dead' THEN stream_health.fail_count + 1 ELSE 0 END
+        `).run(
+            sourceId,
+            String(itemId),
+            result.status,
+            Date.now(),
+            result.latencyMs ?? null,
+            result.width || null,
+            result.height || null,
+            result.videoCodec || null,
+            result.error || null,
+            result.status === 'dead' ? 1 : 0
+        );
+    },
+
+    removeSource(sourceId) {
+        const db = getDb();
+        db.prepare('DELETE FROM stream_health WHERE source_id = ?').run(sourceId);
+    }
+};
+
+// ============================================================
+// Sync History
+// ============================================================
+const SYNC_HISTORY_KEEP = 50; // Runs kept per source
+
+const syncHistory = {
+    getBySource(sourceId, limit = 20) {
+        const db = getDb();
+        return db.prepare(`
+            SELECT * FROM sync_history WHERE source_id = ? ORDER BY started_at DESC LIMIT ?
+        `).all(sourceId, limit).map(row => ({ ...row, changes: JSON.parse(row.changes || '{}') }));
+    },
+
+    add(entry) {
+        const db = getDb();
+        db.prepare(`
+            INSERT INTO sync_history (source_id, started_at, duration_ms, status, error, added, removed, renamed, recategorized, updated, unchanged, changes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            entry.sourceId,
+            entry.startedAt,
+            entry.durationMs,
+            entry.status,
+            entry.error || null,
+            entry.totals.added,
+            entry.totals.removed,
+            entry.totals.renamed,
+            entry.totals.recategorized,
+            entry.totals.updated,
+            entry.totals.unchanged,
+            JSON.stringify(entry.changes)
+        );
+
+        // Only keep the latest runs
+        db.prepare(`
+            DELETE FROM sync_history WHERE source_id = ? AND id NOT IN (
+                SELECT id FROM sync_history WHERE source_id = ? ORDER BY started_at DESC LIMIT ?
+            )
+        `).run(entry.sourceId, entry.sourceId, SYNC_HISTORY_KEEP);
+    },
+
+    removeSource(sourceId) {
+        const db = getDb();
+        db.prepare('DELETE FROM sync_history WHERE source_id = ?').run(sourceId);
+    }
+};
+
+// ============================================================
+// Sync Schedule
+// ============================================================
+const syncSchedule = {
+    getBySource(sourceId) {
+        const db = getDb();
+        return db.prepare('SELECT * FROM sync_schedule WHERE source_id = ?').all(sourceId);
+    },
+
+    set(sourceId, content, rule, lastRun, nextRun) {
+        const db = getDb();
+        db.prepare(`
+            INSERT INTO sync_schedule (source_id, content, rule, last_run, next_run)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(source_id, content) DO UPDATE SET
+                rule = excluded.rule,
+                last_run = excluded.last_run,
+                next_run = excluded.next_run
+        `).run(sourceId, content, rule, lastRun, nextRun);
+    },
+
+    getLastRun() {
+        const db = getDb();
+        return db.prepare('SELECT MAX(last_run) AS last_run FROM sync_schedule').get()?.last_run || null;
+    },
+
+    removeSource(sourceId) {
+        const db = getDb();
+        db.prepare('DELETE FROM sync_schedule WHERE source_id = ?').run(sourceId);
+    }
+};
+
+// ============================================================
+// Provider Accounts
+// ============================================================
+const providerAccounts = {
+    getAll() {
+        const db = getDb();
+        return db.prepare('SELECT * FROM provider_accounts').all();
+    },
+
+    get(sourceId) {
+        const db = getDb();
+        return db.prepare('SELECT * FROM provider_accounts WHERE source_id = ?').get(sourceId);
+    },
+
+    set(sourceId, account) {
+        const db = getDb();
+        db.prepare(`
+            INSERT OR REPLACE INTO provider_accounts (source_id, status, exp_date, is_trial, max_connections, active_cons, created_at, checked_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            sourceId,
+            account.status,
+            account.exp_date,
+            account.is_trial ? 1 : 0,
+            account.max_connections,
+            account.active_cons,
+            account.created_at,
+            account.checked_at
+        );
+    },
+
+    removeSource(sourceId) {
+        const db = getDb();
+        db.prepare('DELETE FROM provider_accounts WHERE source_id = ?').run(sourceId);
+    }
+};
+
 module.exports = {
     getDb,
     initSchema,
-    favorites
+    favorites,
+    recordings,
+    epgMappings,
+    channelOverrides,
+    channelNumbers,
+    mergedChannels,
+    streamHealth,
+    syncHistory,
+    syncSchedule,
+    providerAccounts
 };
@@ -180,6 +180,21 @@ app.use('/api/probe', require('./routes/probe'));
 app.use('/api/subtitle', require('./routes/subtitle'));
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/history', require('./routes/history'));
+app.use('/api/recordings', require('./routes/recordings'));
+app.use('/api/export', require('./routes/export'));
+app.use('/api/epg-mappings', require('./routes/epgMappings'));
+app.use('/api/channel-overrides', require('./routes/channelOverrides'));
+app.use('/api/channel-numbers', require('./routes/channelNumbers'));
+app.use('/api/merged-channels', require('./routes/mergedChannels'));
+app.use('/api/stream-health', require('./routes/streamHealth'));
+app.use('/api/library', require('./routes/library'));
+app.use('/api/search', require('./routes/search'));
+
+// Xtream Codes-compatible API for third-party players (player_api.php, get.php, xmltv.php)
+app.use('/', require('./routes/xtreamServer'));
+
+// HDHomeRun tuner emulation for Plex/Jellyfin (discover.json, lineup.json, /auto/v<channel>)
+app.use('/', require('./routes/hdhomerun'));
 
 // Version endpoint
 app.get('/api/version', (req, res) => {
@@ -206,11 +221,24 @@ app.listen(PORT, async () => {
         console.error('Plugin initialization failed:', err);
     });
 
+    // Start DVR scheduler (recording requires FFmpeg)
+    if (app.locals.ffmpegPath) {
+        try {
+            require('./services/recordingService').start(app.locals.ffmpegPath);
+        } catch (err) {
+            console.error('DVR scheduler failed to start:', err.message);
+        }
+    }
+
     // Trigger background sync with delay to allow server to settle
     setTimeout(async () => {
-        await syncService.syncAll().catch(console.error);
-        // Start the server-side sync timer after initial sync
+        // Start the sync scheduler (syncs what is overdue or never synced right away)
         await syncService.startSyncTimer().catch(console.error);
+        // Re-sync file-backed sources when their file changes
+        await syncService.refreshFileWatchers().catch(console.error);
+
+        // Start the stream health checker (checks run only when enabled in settings)
+        require('./services/healthChecker').start(app.locals.ffprobePath);
 
         // Detect hardware acceleration capabilities
         try {
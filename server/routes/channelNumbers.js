@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { channelNumbers } = require('../db/sqlite');
+const { requireAuth } = require('../auth');
+
+// All channel number routes require authentication
+router.use(requireAuth);
+
+// Get custom channel numbers for current user
+router.get('/', async (req, res) => {
+    try {
+        const items = channelNumbers.getAll(req.user.id);
+        res.json(items);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Save channel numbers for current user
+// Body: { numbers: [{ sourceId, itemId, number }] } - number null reverts to the provider's number
+router.put('/', async (req, res) => {
+    try {
+        const { numbers } = req.body;
+        if (!Array.isArray(numbers)) {
+            return res.status(400).json({ error: 'numbers must be an array' });
+        }
+
+        const entries = [];
+        for (const entry of numbers) {
+            const sourceId = parseInt(entry.sourceId);
+            if (!sourceId || !entry.itemId) {
+                return res.status(400).json({ error: 'Source ID and Item ID are required' });
+            }
+
+            let number = null;
+            if (entry.number !== null && entry.number !== undefined && entry.number !== '') {
+                number = parseInt(entry.number);
+                if (!Number.isInteger(number) || number < 1 || number > 99999) {
+                    return res.status(400).json({ error: 'Channel number must be between 1 and 99999' });
+                }
+            }
+
+            entries.push({ sourceId, itemId: entry.itemId, number });
+        }
+
+        channelNumbers.setMany(req.user.id, entries);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Reset all custom channel numbers for current user
+router.delete('/', async (req, res) => {
+    try {
+        const removed = channelNumbers.clear(req.user.id);
+        res.json({ success: true, removed });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
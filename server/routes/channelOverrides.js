@@ -0,0 +1,110 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../auth');
+const channelOverrides = require('../services/channelOverrides');
+
+/**
+ * Channel Override Routes (admin only, except logos)
+ * Custom name, logo and group of live channels, kept across resyncs.
+ *
+ *   GET    /api/channel-overrides?sourceId=1          - Overrides of a source
+ *   PUT    /api/channel-overrides                     - Save { sourceId, itemId, name, logo, group }
+ *   POST   /api/channel-overrides/logo?sourceId=1&itemId=...&filename=logo.png - Upload a logo (raw body)
+ *   DELETE /api/channel-overrides                     - Remove { sourceId, itemId }
+ *   GET    /api/channel-overrides/logos/:file         - Uploaded logo (public, used as <img> src)
+ */
+
+router.get('/logos/:file', (req, res) => {
+    const file = path.basename(req.params.file);
+    const type = channelOverrides.LOGO_TYPES[path.extname(file).toLowerCase()];
+    if (!type) {
+        return res.status(404).json({ error: 'Logo not found' });
+    }
+
+    res.sendFile(path.join(channelOverrides.LOGO_DIR, file), { headers: { 'Content-Type': type }, maxAge: '7d' }, (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ error: 'Logo not found' });
+        }
+    });
+});
+
+router.use(requireAuth, requireAdmin);
+
+/**
+ * List the overrides of a source
+ * GET /api/channel-overrides?sourceId=1
+ */
+router.get('/', (req, res) => {
+    try {
+        const sourceId = parseInt(req.query.sourceId);
+        if (!sourceId) {
+            return res.status(400).json({ error: 'Source ID is required' });
+        }
+
+        res.json(channelOverrides.getAll(sourceId));
+    } catch (err) {
+        console.error('[Overrides] Error listing overrides:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Save an override - empty fields fall back to the provider's values
+ * PUT /api/channel-overrides
+ */
+router.put('/', async (req, res) => {
+    try {
+        const { sourceId, itemId, name, logo, group } = req.body;
+        if (!sourceId || !itemId) {
+            return res.status(400).json({ error: 'Source ID and Item ID are required' });
+        }
+
+        const override = await channelOverrides.save(parseInt(sourceId), itemId, { name, logo, group });
+        res.json({ success: true, override });
+    } catch (err) {
+        console.error('[Overrides] Error saving override:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * Upload a logo for a channel
+ * POST /api/channel-overrides/logo?sourceId=1&itemId=123&filename=logo.png
+ * Body is the raw image
+ */
+router.post('/logo', async (req, res) => {
+    try {
+        const { sourceId, itemId, filename } = req.query;
+        if (!sourceId || !itemId || !filename) {
+            return res.status(400).json({ error: 'Source ID, Item ID and file name are required' });
+        }
+
+        const override = await channelOverrides.saveLogo(parseInt(sourceId), itemId, req, filename);
+        res.json({ success: true, override });
+    } catch (err) {
+        console.error('[Overrides] Error uploading logo:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * Remove an override (channel goes back to the provider's values)
+ * DELETE /api/channel-overrides
+ */
+router.delete('/', async (req, res) => {
+    try {
+        const { sourceId, itemId } = req.body;
+        if (!sourceId || !itemId) {
+            return res.status(400).json({ error: 'Source ID and Item ID are required' });
+        }
+
+        await channelOverrides.remove(parseInt(sourceId), itemId);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[Overrides] Error removing override:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
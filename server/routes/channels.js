@@ -16,6 +16,7 @@ function mapItemType(apiType) {
 }
 
 // Get all hidden items (formatted like db.json for frontend compatibility)
+// hiddenByRule marks items a content rule hides - showing them again is up to the rule
 router.get('/hidden', async (req, res) => {
     try {
         const { sourceId } = req.query;
@@ -25,12 +26,14 @@ router.get('/hidden', async (req, res) => {
         const resultFormat = (row, itemType) => ({
             source_id: row.source_id,
             item_type: itemType,
-            item_id: itemType.includes('category') || itemType === 'group' ? row.category_id : row.item_id
+            item_id: itemType.includes('category') || itemType === 'group' ? row.category_id : row.item_id,
+            hiddenByRule: !!row.rule_hidden
         });
 
         // Query Categories
-        let catQuery = `SELECT source_id, category_id, type FROM categories WHERE is_hidden = 1`;
-        let itemQuery = `SELECT source_id, item_id, type FROM playlist_items WHERE is_hidden = 1`;
+        // Hidden by the user or by a content rule of the source
+        let catQuery = `SELECT source_id, category_id, type, rule_hidden FROM categories WHERE (is_hidden = 1 OR rule_hidden = 1)`;
+        let itemQuery = `SELECT source_id, item_id, type, rule_hidden FROM playlist_items WHERE (is_hidden = 1 OR rule_hidden = 1)`;
 
         const params = [];
         if (sourceId) {
@@ -125,17 +128,17 @@ router.get('/hidden/check', async (req, res) => {
     try {
         const { sourceId, itemType, itemId } = req.query;
         const mapping = mapItemType(itemType);
-        if (!mapping) return res.json({ hidden: false });
+        if (!mapping) return res.json({ hidden: false, hiddenByRule: false });
 
         const db = getDb();
         const idCol = mapping.table === 'categories' ? 'category_id' : 'item_id';
 
         const row = db.prepare(`
-            SELECT is_hidden FROM ${mapping.table} 
+            SELECT is_hidden, rule_hidden FROM ${mapping.table} 
             WHERE source_id = ? AND type = ? AND ${idCol} = ?
         `).get(sourceId, mapping.type, itemId);
 
-        res.json({ hidden: !!(row && row.is_hidden) });
+        res.json({ hidden: !!(row && (row.is_hidden || row.rule_hidden)), hiddenByRule: !!row?.rule_hidden });
     } catch (err) {
         console.error('Error checking hidden:', err);
         res.status(500).json({ error: 'Failed to check status' });
@@ -288,25 +291,25 @@ router.post('/hide/all', async (req, res) => {
     }
 });
 
-// Get recent movies or series
+// Get recent movies, series or live channels
 router.get('/recent', async (req, res) => {
     try {
         const { type, limit = 12 } = req.query;
-        if (!type || (type !== 'movie' && type !== 'series')) {
-            return res.status(400).json({ error: 'Valid type (movie or series) is required' });
+        if (!['movie', 'series', 'live'].includes(type)) {
+            return res.status(400).json({ error: 'Valid type (movie, series or live) is required' });
         }
 
         const db = getDb();
         const recentItems = db.prepare(`
             SELECT * FROM playlist_items p
             WHERE p.type = ? 
-              AND p.is_hidden = 0
+              AND p.is_hidden = 0 AND p.rule_hidden = 0
               AND NOT EXISTS (
                   SELECT 1 FROM categories c 
                   WHERE c.source_id = p.source_id 
                     AND c.category_id = p.category_id 
                     AND c.type = p.type 
-                    AND c.is_hidden = 1
+                    AND (c.is_hidden = 1 OR c.rule_hidden = 1)
               )
             ORDER BY p.added_at DESC
             LIMIT ?
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { sources } = require('../db');
+const { getDb, epgMappings } = require('../db/sqlite');
+const { requireAuth, requireAdmin } = require('../auth');
+const epgMatcher = require('../services/epgMatcher');
+
+/**
+ * EPG Mapping Routes (admin only)
+ * Map live channels to XMLTV channels when the provider's tvg-id doesn't match the guide.
+ * Mappings are applied wherever channels are read (getStreamsFromDb, lineup, M3U adapter).
+ *
+ *   GET    /api/epg-mappings?sourceId=1  - Channels with mapping status and suggestions
+ *   PUT    /api/epg-mappings             - Save a mapping { sourceId, itemId, epgChannelId }
+ *   DELETE /api/epg-mappings             - Remove a mapping { sourceId, itemId }
+ */
+
+router.use(requireAuth, requireAdmin);
+
+/**
+ * Get XMLTV channels from all enabled sources (saved as epg_channel rows during EPG sync)
+ */
+async function getEpgChannels() {
+    const allSources = await sources.getAll();
+    const sourceIds = allSources.filter(s => s.enabled).map(s => s.id);
+    if (sourceIds.length === 0) return [];
+
+    const db = getDb();
+    const rows = db.prepare(`
+        SELECT item_id AS id, name, source_id
+        FROM playlist_items
+        WHERE type = 'epg_channel' AND source_id IN (${sourceIds.map(() => '?').join(',')})
+        ORDER BY name
+    `).all(...sourceIds);
+
+    // The same XMLTV channel can come from several EPG sources
+    const byId = new Map();
+    for (const row of rows) {
+        if (!byId.has(row.id)) byId.set(row.id, { id: row.id, name: row.name || row.id });
+    }
+    return [...byId.values()];
+}
+
+/**
+ * List visible live channels of a source with their EPG mapping status
+ * GET /api/epg-mappings?sourceId=1
+ * status: 'mapped' (manual), 'matched' (tvg-id or name matches the guide), 'unmapped'
+ */
+router.get('/', async (req, res) => {
+    try {
+        const sourceId = parseInt(req.query.sourceId);
+        if (!sourceId) {
+            return res.status(400).json({ error: 'Source ID is required' });
+        }
+
+        const epgChannels = await getEpgChannels();
+        const epgIds = new Set(epgChannels.map(ch => ch.id));
+        const epgNames = new Set(epgChannels.map(ch => ch.name.toLowerCase()));
+        const index = epgMatcher.buildIndex(epgChannels);
+
+        const mappings = new Map(epgMappings.getAll(sourceId).map(m => [m.item_id, m.epg_channel_id]));
+
+        // Override names are what players show and match the guide by
+        const db = getDb();
+        const rows = db.prepare(`
+            SELECT p.item_id, COALESCE(o.name, p.name) AS name,
+                   COALESCE(o.category_id, p.category_id) AS category_id, p.data
+            FROM playlist_items p
+            LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id
+            WHERE p.source_id = ? AND p.type = 'live' AND p.is_hidden = 0 AND p.rule_hidden = 0
+            ORDER BY COALESCE(o.name, p.name)
+        `).all(sourceId);
+
+        const channels = rows.map(row => {
+            const data = JSON.parse(row.data || '{}');
+            const tvgId = data.epg_channel_id || data.tvgId || null;
+            const mappedTo = mappings.get(row.item_id) || null;
+
+            let status = 'unmapped';
+            if (mappedTo) {
+                status = 'mapped';
+            } else if ((tvgId && epgIds.has(tvgId)) || epgNames.has(row.name.toLowerCase())) {
+                status = 'matched';
+            }
+
+            return {
+                itemId: row.item_id,
+                name: row.name,
+                categoryId: row.category_id,
+                tvgId,
+                mappedTo,
+                status,
+                // Only unmapped channels need suggestions
+                suggestions: status === 'unmapped' ? epgMatcher.suggest(row.name, index) : []
+            };
+        });
+
+        res.json({ channels, epgChannels });
+    } catch (err) {
+        console.error('[EPG Mapping] Error listing channels:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Save a mapping
+ * PUT /api/epg-mappings
+ */
+router.put('/', (req, res) => {
+    try {
+        const { sourceId, itemId, epgChannelId } = req.body;
+        if (!sourceId || !itemId || !epgChannelId) {
+            return res.status(400).json({ error: 'Source ID, Item ID and EPG channel ID are required' });
+        }
+
+        epgMappings.set(parseInt(sourceId), itemId, String(epgChannelId));
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[EPG Mapping] Error saving mapping:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Remove a mapping (channel falls back to its tvg-id)
+ * DELETE /api/epg-mappings
+ */
+router.delete('/', (req, res) => {
+    try {
+        const { sourceId, itemId } = req.body;
+        if (!sourceId || !itemId) {
+            return res.status(400).json({ error: 'Source ID and Item ID are required' });
+        }
+
+        epgMappings.remove(parseInt(sourceId), itemId);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[EPG Mapping] Error removing mapping:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
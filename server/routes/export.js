@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const zlib = require('zlib');
+const { users } = require('../db');
+const { getDb, favorites } = require('../db/sqlite');
+const { requireAuth, generateExportToken, verifyExportToken } = require('../auth');
+const { getCategoriesFromDb, getStreamsFromDb, pipeStream } = require('./proxy');
+const xtreamApi = require('../services/xtreamApi');
+const lineup = require('../services/lineupService');
+const channelOverrides = require('../services/channelOverrides');
+const { joinUrlHeaders } = require('../services/m3uParser');
+
+/**
+ * Export Routes
+ * Playlist and guide exports of the curated lineup for external players (VLC, Kodi...)
+ *
+ *   GET /api/export/token                 - Get a long-lived export token (auth required)
+ *   POST /api/export/token/regenerate     - Revoke the user's export links and get a new token (auth required)
+ *   GET /api/export/playlist.m3u?token=... - EXTM3U of the user's visible live channels
+ *   GET /api/export/epg.xml?token=...      - Merged XMLTV guide for the visible channels
+ *   GET /api/export/epg.xml.gz?token=...   - Same, gzip compressed
+ *   GET /api/export/stream/:sourceId/:streamId?token=... - Stalker channel (portal links are temporary)
+ */
+
+/**
+ * Resolve the user for an export request
+ * Accepts the long-lived export token in the query string
+ * (stops working once the user is deleted or regenerates their links)
+ */
+async function getExportUser(req) {
+    return verifyExportToken(req.query.token || '', (id) => users.getById(id));
+}
+
+/**
+ * Get the base URL clients should use to reach this server
+ */
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Escape a value for use in an EXTINF attribute
+ */
+function formatAttr(value) {
+    return String(value ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Get the visible live channels of a source, with hidden categories removed
+ */
+function getVisibleChannels(sourceId) {
+    const allCategories = getCategoriesFromDb(sourceId, 'live', true);
+    const visibleCategories = getCategoriesFromDb(sourceId, 'live');
+
+    const categoryNames = new Map(visibleCategories.map(c => [String(c.category_id), c.category_name]));
+    const hiddenCategoryIds = new Set(
+        allCategories
+            .map(c => String(c.category_id))
+            .filter(id => !categoryNames.has(id))
+    );
+
+    return getStreamsFromDb(sourceId, 'live')
+        .filter(ch => !hiddenCategoryIds.has(String(ch.category_id)))
+        .map(ch => ({
+            ...ch,
+            groupTitle: categoryNames.get(String(ch.category_id)) || ch.category_id || 'Uncategorized'
+        }));
+}
+
+/**
+ * Export token response with the playlist and guide URLs
+ */
+function buildTokenResponse(req, user) {
+    const token = generateExportToken(user);
+    const baseUrl = getBaseUrl(req);
+    return {
+        token,
+        playlistUrl: `${baseUrl}/api/export/playlist.m3u?token=${token}`,
+        epgUrl: `${baseUrl}/api/export/epg.xml?token=${token}`
+    };
+}
+
+/**
+ * Get a long-lived export token for the current user
+ * GET /api/export/token
+ */
+router.get('/token', requireAuth, async (req, res) => {
+    try {
+        const user = await users.getById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(buildTokenResponse(req, user));
+    } catch (err) {
+        console.error('[Export] Error generating token:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Revoke all export links of the current user and get a new token
+ * POST /api/export/token/regenerate
+ */
+router.post('/token/regenerate', requireAuth, async (req, res) => {
+    try {
+        const user = await users.getById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const exportTokenVersion = (user.exportTokenVersion || 0) + 1;
+        await users.update(user.id, { exportTokenVersion });
+        console.log(`[Export] Regenerated export links of ${user.username}`);
+
+        res.json(buildTokenResponse(req, { ...user, exportTokenVersion }));
+    } catch (err) {
+        console.error('[Export] Error regenerating token:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * EXTM3U playlist of the user's visible live channels
+ * GET /api/export/playlist.m3u?token=...&favorites=first&output=ts&proxy=true
+ *   favorites=first - put the user's favorite channels first in a "Favorites" group
+ *   output          - container for Xtream streams (ts or m3u8)
+ *   proxy=true      - route streams through /api/proxy/stream
+ */
+router.get('/playlist.m3u', async (req, res) => {
+    try {
+        const user = await getExportUser(req);
+        if (!user) {
+            return res.status(401).send('Invalid or expired token');
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const output = req.query.output === 'm3u8' ? 'm3u8' : 'ts';
+        const useProxy = req.query.proxy === 'true';
+        const favoritesFirst = req.query.favorites === 'first';
+
+        const contentSources = await lineup.getContentSources();
+
+        const channels = [];
+        for (const source of contentSources) {
+            const api = source.type === 'xtream' ? xtreamApi.createFromSource(source) : null;
+
+            for (const ch of getVisibleChannels(source.id)) {
+                if (source.type === 'stalker') {
+                    // Portal links expire, so players come back here for a fresh one
+                    channels.push({
+                        ...ch,
+                        sourceId: source.id,
+                        url: `${baseUrl}/api/export/stream/${source.id}/${encodeURIComponent(ch.stream_id)}?token=${encodeURIComponent(req.query.token)}${useProxy ? '&proxy=true' : ''}`
+                    });
+                    continue;
+                }
+
+                const streamUrl = api
+                    ? api.buildStreamUrl(ch.stream_id, 'live', output)
+                    : (ch.stream_url || ch.url);
+                if (!streamUrl) continue;
+
+                // The proxy sends the channel's headers itself; direct URLs carry them as |Header=value
+                channels.push({
+                    ...ch,
+                    sourceId: source.id,
+                    url: useProxy
+                        ? `${baseUrl}/api/proxy/stream?url=${encodeURIComponent(streamUrl)}`
+                        : joinUrlHeaders(streamUrl, ch.httpHeaders)
+                });
+            }
+        }
+
+        const formatEntry = (ch, groupTitle) =>
+            `#EXTINF:-1 tvg-id="${formatAttr(ch.epg_channel_id)}" tvg-name="${formatAttr(ch.name)}" tvg-logo="${formatAttr(channelOverrides.absoluteLogo(ch.stream_icon, baseUrl))}" group-title="${formatAttr(groupTitle)}",${formatAttr(ch.name)}\n${ch.url}\n`;
+
+        // Point players at the merged guide so tvg-id values line up
+        let m3u = `#EXTM3U url-tvg="${baseUrl}/api/export/epg.xml.gz?token=${encodeURIComponent(req.query.token)}"\n`;
+
+        if (favoritesFirst) {
+            const favoriteKeys = new Set(
+                favorites.getAll(user.id, null, 'channel').map(f => `${f.source_id}:${f.item_id}`)
+            );
+            for (const ch of channels) {
+                if (favoriteKeys.has(`${ch.sourceId}:${ch.stream_id}`)) {
+                    m3u += formatEntry(ch, 'Favorites');
+                }
+            }
+        }
+
+        for (const ch of channels) {
+            m3u += formatEntry(ch, ch.groupTitle);
+        }
+
+        res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="playlist.m3u"');
+        res.send(m3u);
+    } catch (err) {
+        console.error('[Export] Playlist error:', err);
+        res.status(500).send('Failed to build playlist');
+    }
+});
+
+/**
+ * Stalker channel of an exported playlist: a fresh portal link, piped (proxy=true) or redirected to
+ * GET /api/export/stream/:sourceId/:streamId?token=...&proxy=true
+ */
+router.get('/stream/:sourceId/:streamId', async (req, res) => {
+    try {
+        const user = await getExportUser(req);
+        if (!user) {
+            return res.status(401).send('Invalid or expired token');
+        }
+
+        const source = (await lineup.getContentSources()).find(s => s.id === parseInt(req.params.sourceId));
+        const row = source?.type === 'stalker' ? getDb().prepare(`
+            SELECT item_id, data FROM playlist_items
+            WHERE source_id = ? AND type = 'live' AND item_id = ? AND is_hidden = 0 AND rule_hidden = 0
+        `).get(source.id, req.params.streamId) : null;
+        if (!row) {
+            return res.status(404).send('Channel not found');
+        }
+
+        const streamUrl = await lineup.resolveStreamUrl({ source, type: 'live', item_id: row.item_id, data: JSON.parse(row.data || '{}') });
+        if (!streamUrl) {
+            return res.status(404).send('Channel not found');
+        }
+
+        if (req.query.proxy === 'true') {
+            return await pipeStream(req, res, streamUrl);
+        }
+        res.redirect(streamUrl);
+    } catch (err) {
+        console.error('[Export] Stream error:', err);
+        if (!res.headersSent) {
+            res.status(502).send('Failed to get stream from portal');
+        }
+    }
+});
+
+/**
+ * Merged XMLTV guide for the visible live channels
+ * GET /api/export/epg.xml?token=...
+ * GET /api/export/epg.xml.gz?token=...
+ * Channel IDs match the tvg-id/epg_channel_id of the exported channels
+ */
+router.get(['/epg.xml', '/epg.xml.gz'], async (req, res) => {
+    try {
+        const user = await getExportUser(req);
+        if (!user) {
+            return res.status(401).send('Invalid or expired token');
+        }
+
+        const gzip = req.path.endsWith('.gz');
+        res.setHeader('Content-Type', gzip ? 'application/gzip' : 'application/xml; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename="${gzip ? 'epg.xml.gz' : 'epg.xml'}"`);
+
+        if (gzip) {
+            const out = zlib.createGzip();
+            out.pipe(res);
+            res.on('close', () => out.destroy());
+            await lineup.writeXmltv(out, getBaseUrl(req));
+            out.end();
+        } else {
+            await lineup.writeXmltv(res, getBaseUrl(req));
+            res.end();
+        }
+    } catch (err) {
+        console.error('[Export] EPG error:', err);
+        if (!res.headersSent) {
+            res.status(500).send('Failed to build EPG');
+        } else {
+            res.end();
+        }
+    }
+});
+
+module.exports = router;
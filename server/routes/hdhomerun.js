@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const os = require('os');
+const { settings, users } = require('../db');
+const lineup = require('../services/lineupService');
+const { streamRemux } = require('./remux');
+const { pipeStream } = require('./proxy');
+
+/**
+ * HDHomeRun Tuner Emulation
+ * Lets Plex/Jellyfin Live TV use the curated lineup as a network tuner.
+ * Disabled by default (settings.hdhrEnabled) since tuner clients can't authenticate.
+ *
+ *   GET /discover.json       - Device info
+ *   GET /lineup_status.json  - Scan status
+ *   GET /lineup.json         - Channel lineup
+ *   GET /device.xml          - UPnP device description
+ *   GET /auto/v:channel      - Stream a channel (MPEG-TS)
+ *
+ * GuideNumber is the channel's number: the admin's custom number, else the provider's
+ * (tvg-chno / Xtream num), falling back to the lineup's public ID (SQLite rowid).
+ */
+
+const DEVICE_ID = crypto.createHash('sha256').update(`nodecast-hdhr:${os.hostname()}`).digest('hex').slice(0, 8).toUpperCase();
+
+/**
+ * Only respond when tuner emulation is enabled
+ */
+async function requireEnabled(req, res, next) {
+    try {
+        const s = await settings.get();
+        if (!s.hdhrEnabled) {
+            return res.status(404).send('Not found');
+        }
+        req.hdhrSettings = s;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Numbered live lineup
+ * Tuner clients can't log in, so the first admin's custom channel numbers apply
+ */
+async function getLineup() {
+    const admin = (await users.getAll())
+        .filter(u => u.role === 'admin')
+        .sort((a, b) => a.id - b.id)[0];
+    return lineup.assignNumbers(await lineup.getItems('live'), admin?.id ?? null);
+}
+
+/**
+ * Get the base URL clients should use to reach this server
+ */
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Device info
+ * GET /discover.json
+ */
+router.get('/discover.json', requireEnabled, (req, res) => {
+    const baseUrl = getBaseUrl(req);
+    res.json({
+        FriendlyName: 'nodecast-tv',
+        Manufacturer: 'Silicondust',
+        ModelNumber: 'HDTC-2US',
+        FirmwareName: 'hdhomeruntc_atsc',
+        FirmwareVersion: '20200101',
+        DeviceID: DEVICE_ID,
+        DeviceAuth: 'nodecast',
+        BaseURL: baseUrl,
+        LineupURL: `${baseUrl}/lineup.json`,
+        TunerCount: parseInt(req.hdhrSettings.hdhrTunerCount) || 2
+    });
+});
+
+/**
+ * Scan status - the lineup is always ready
+ * GET /lineup_status.json
+ */
+router.get('/lineup_status.json', requireEnabled, (req, res) => {
+    res.json({
+        ScanInProgress: 0,
+        ScanPossible: 1,
+        Source: 'Cable',
+        SourceList: ['Cable']
+    });
+});
+
+/**
+ * Channel scan request - nothing to scan, the lineup comes from synced sources
+ * POST /lineup.post
+ */
+router.post('/lineup.post', requireEnabled, (req, res) => {
+    res.send('');
+});
+
+/**
+ * Channel lineup
+ * GET /lineup.json
+ */
+router.get('/lineup.json', requireEnabled, async (req, res) => {
+    try {
+        const baseUrl = getBaseUrl(req);
+        const channels = await getLineup();
+
+        res.json(channels.map(ch => ({
+            GuideNumber: String(ch.number),
+            GuideName: ch.name,
+            URL: `${baseUrl}/auto/v${ch.number}`
+        })));
+    } catch (err) {
+        console.error('[HDHomeRun] Lineup error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * UPnP device description
+ * GET /device.xml
+ */
+router.get('/device.xml', requireEnabled, (req, res) => {
+    const baseUrl = getBaseUrl(req);
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <specVersion><major>1</major><minor>0</minor></specVersion>
+  <URLBase>${lineup.escapeXml(baseUrl)}</URLBase>
+  <device>
+    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>
+    <friendlyName>nodecast-tv</friendlyName>
+    <manufacturer>Silicondust</manufacturer>
+    <modelName>HDTC-2US</modelName>
+    <modelNumber>HDTC-2US</modelNumber>
+    <serialNumber>${DEVICE_ID}</serialNumber>
+    <UDN>uuid:${DEVICE_ID}</UDN>
+  </device>
+</root>
+`);
+});
+
+/**
+ * Stream a channel by its GuideNumber
+ * GET /auto/v:channel
+ * Remuxed to MPEG-TS (default) or piped as the provider sends it (settings.hdhrStreamMode)
+ */
+router.get('/auto/v:channel', requireEnabled, async (req, res) => {
+    try {
+        const channel = (await getLineup()).find(ch => String(ch.number) === req.params.channel);
+        const item = channel ? await lineup.getItem('live', channel.num) : null;
+        const upstreamUrl = item ? await lineup.resolveStreamUrl(item, 'ts') : null;
+        if (!upstreamUrl) {
+            return res.status(404).send('Channel not found');
+        }
+
+        console.log(`[HDHomeRun] Tuning ${channel.number}: ${item.name}`);
+
+        if (req.hdhrSettings.hdhrStreamMode === 'proxy') {
+            return await pipeStream(req, res, upstreamUrl);
+        }
+
+        await streamRemux(req, res, upstreamUrl, { format: 'ts' });
+    } catch (err) {
+        console.error('[HDHomeRun] Stream error:', err);
+        if (!res.headersSent) {
+            res.status(500).send('Failed to tune channel');
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { sources } = require('../db');
+const { requireAuth, verifyToken } = require('../auth');
+const localLibrary = require('../services/localLibrary');
+
+/**
+ * Local Library Routes
+ * Files of `local` sources (see services/localLibrary.js)
+ *
+ *   GET /api/library/:sourceId/:itemId/poster               - Poster/thumbnail image
+ *   GET /api/library/:sourceId/:itemId/subtitles            - Sidecar subtitle tracks
+ *   GET /api/library/:sourceId/:itemId/subtitles/:index?token=... - Subtitle track as WebVTT
+ *   GET /api/library/:sourceId/:itemId/stream.mkv?token=... - Video file (supports Range requests)
+ *
+ * Video and subtitle URLs carry the token in the query string since <video>, <track>
+ * and FFmpeg can't send auth headers.
+ */
+
+const CONTENT_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mkv: 'video/x-matroska',
+    webm: 'video/webm',
+    mov: 'video/quicktime',
+    avi: 'video/x-msvideo',
+    ts: 'video/mp2t',
+    m2ts: 'video/mp2t'
+};
+
+/**
+ * Load the library item of a request (404 when missing)
+ */
+async function loadItem(req, res) {
+    const source = await sources.getById(req.params.sourceId);
+    const local = localLibrary.getItem(source, req.params.itemId);
+    if (!local) {
+        res.status(404).json({ error: 'Library item not found' });
+        return null;
+    }
+    return local;
+}
+
+/**
+ * Poster image
+ * Public like /api/proxy/image - <img> tags can't send the token
+ */
+router.get('/:sourceId/:itemId/poster', async (req, res) => {
+    try {
+        const local = await loadItem(req, res);
+        if (!local) return;
+
+        const file = local.resolve(local.item.poster);
+        if (!file) {
+            return res.status(404).json({ error: 'No poster' });
+        }
+        res.sendFile(file, { maxAge: '1d', dotfiles: 'allow' }, (err) => {
+            if (err && !res.headersSent) res.status(404).end();
+        });
+    } catch (err) {
+        console.error('[Library] Error serving poster:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Sidecar subtitle tracks of a movie or episode
+ */
+router.get('/:sourceId/:itemId/subtitles', requireAuth, async (req, res) => {
+    try {
+        const local = await loadItem(req, res);
+        if (!local) return;
+
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        res.json((local.item.subtitles || []).map((sub, index) => ({
+            label: sub.label,
+            language: sub.language,
+            url: `/api/library/${req.params.sourceId}/${req.params.itemId}/subtitles/${index}?token=${encodeURIComponent(token)}`
+        })));
+    } catch (err) {
+        console.error('[Library] Error listing subtitles:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Subtitle track as WebVTT (SubRip files are converted)
+ */
+router.get('/:sourceId/:itemId/subtitles/:index', async (req, res) => {
+    if (!verifyToken(req.query.token || '')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const local = await loadItem(req, res);
+        if (!local) return;
+
+        const sub = (local.item.subtitles || [])[parseInt(req.params.index)];
+        const file = local.resolve(sub?.file);
+        if (!file) {
+            return res.status(404).json({ error: 'Subtitle not found' });
+        }
+
+        const text = await fs.promises.readFile(file, 'utf8');
+        res.type('text/vtt').send(file.toLowerCase().endsWith('.srt') ? localLibrary.srtToVtt(text) : text);
+    } catch (err) {
+        console.error('[Library] Error serving subtitle:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Video file
+ * The file name in the URL is only there so players can tell the container
+ */
+router.get('/:sourceId/:itemId/:filename', async (req, res) => {
+    if (!verifyToken(req.query.token || '')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const local = await loadItem(req, res);
+        if (!local) return;
+
+        const file = local.resolve(local.item.file);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const extension = path.extname(file).slice(1).toLowerCase();
+        res.sendFile(file, { dotfiles: 'allow', headers: { 'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream' } }, (err) => {
+            if (err && !res.headersSent) {
+                console.error('[Library] Error streaming file:', err.message);
+                res.status(404).json({ error: 'File not found' });
+            }
+        });
+    } catch (err) {
+        console.error('[Library] Error streaming file:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
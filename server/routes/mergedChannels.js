@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { mergedChannels } = require('../db/sqlite');
+const { requireAuth, requireAdmin } = require('../auth');
+
+/**
+ * Merged Channel Routes
+ * Link the same channel from several sources into one logical channel.
+ * The player falls back to the next stream (in priority order) when one fails.
+ *
+ *   GET    /api/merged-channels      - All merged channels with their streams
+ *   POST   /api/merged-channels      - Create { name, streams: [{ sourceId, itemId }] } (admin)
+ *   PUT    /api/merged-channels/:id  - Update name and/or streams (admin)
+ *   DELETE /api/merged-channels/:id  - Delete (admin)
+ */
+
+router.use(requireAuth);
+
+/**
+ * Validate a streams array from the request body
+ * @returns {string|null} Error message
+ */
+function validateStreams(streams, mergedId = null) {
+    if (!Array.isArray(streams) || streams.length === 0) {
+        return 'At least one stream is required';
+    }
+
+    const seen = new Set();
+    for (const stream of streams) {
+        if (!parseInt(stream.sourceId) || !stream.itemId) {
+            return 'Source ID and Item ID are required for each stream';
+        }
+
+        const key = `${stream.sourceId}:${stream.itemId}`;
+        if (seen.has(key)) {
+            return 'A stream can only be added once';
+        }
+        seen.add(key);
+
+        const existing = mergedChannels.findByStream(parseInt(stream.sourceId), stream.itemId);
+        if (existing && existing !== mergedId) {
+            return `Stream ${stream.itemId} is already part of another merged channel`;
+        }
+    }
+    return null;
+}
+
+function normalizeStreams(streams) {
+    return streams.map(s => ({ sourceId: parseInt(s.sourceId), itemId: String(s.itemId) }));
+}
+
+// Get all merged channels
+router.get('/', (req, res) => {
+    try {
+        res.json(mergedChannels.getAll());
+    } catch (err) {
+        console.error('[Merged Channels] Error listing:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Create a merged channel
+router.post('/', requireAdmin, (req, res) => {
+    try {
+        const { name, streams } = req.body;
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const error = validateStreams(streams);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const merged = mergedChannels.create(String(name).trim(), normalizeStreams(streams));
+        res.status(201).json(merged);
+    } catch (err) {
+        console.error('[Merged Channels] Error creating:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update a merged channel
+router.put('/:id', requireAdmin, (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (!mergedChannels.getById(id)) {
+            return res.status(404).json({ error: 'Merged channel not found' });
+        }
+
+        const { name, streams } = req.body;
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ error: 'Name cannot be empty' });
+        }
+        if (streams !== undefined) {
+            const error = validateStreams(streams, id);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+
+        const merged = mergedChannels.update(id, {
+            name: name !== undefined ? String(name).trim() : undefined,
+            streams: streams !== undefined ? normalizeStreams(streams) : undefined
+        });
+        res.json(merged);
+    } catch (err) {
+        console.error('[Merged Channels] Error updating:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delete a merged channel (its streams become regular channels again)
+router.delete('/:id', requireAdmin, (req, res) => {
+    try {
+        const deleted = mergedChannels.delete(parseInt(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Merged channel not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[Merged Channels] Error deleting:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
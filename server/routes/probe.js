@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
+const streamHeaders = require('../services/streamHeaders');
 
 /**
  * Probe endpoint - detects stream codecs and container
@@ -27,12 +28,14 @@ const BROWSER_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis'];
 
 /**
  * Probe stream with ffprobe
+ * @param {Object} headers - Per-channel headers (User-Agent overrides userAgent)
+ * @param {AbortSignal} signal - Kills ffprobe when aborted
  */
-function probeStream(url, ffprobePath, userAgent = null, timeout = 15000) {
+function probeStream(url, ffprobePath, userAgent = null, timeout = 15000, headers = null, signal = null) {
     return new Promise((resolve, reject) => {
         const args = [
             '-v', 'error',
-            '-user_agent', userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+            ...streamHeaders.ffmpegArgs(headers, userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'),
             '-print_format', 'json',
             '-show_streams',
             '-show_format',
@@ -50,6 +53,12 @@ function probeStream(url, ffprobePath, userAgent = null, timeout = 15000) {
             reject(new Error('Probe timeout'));
         }, timeout);
 
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            proc.kill('SIGKILL');
+            reject(new Error('Probe aborted'));
+        }, { once: true });
+
         proc.stdout.on('data', (data) => { stdout += data; });
         proc.stderr.on('data', (data) => { stderr += data; });
 
@@ -171,7 +180,8 @@ router.get('/', async (req, res) => {
     console.log(`[Probe] Probing: ${url.substring(0, 80)}... ${ua ? `(UA: ${ua})` : ''}`);
 
     try {
-        const probeResult = await probeStream(url, ffprobePath, ua);
+        const channel = streamHeaders.resolve(url);
+        const probeResult = await probeStream(channel.url, ffprobePath, ua, undefined, channel.headers);
         const analysis = analyzeProbeResult(probeResult, url);
 
         // Cache result
@@ -199,3 +209,5 @@ router.get('/', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.probeStream = probeStream;
+module.exports.analyzeProbeResult = analyzeProbeResult;
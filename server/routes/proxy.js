@@ -3,9 +3,16 @@ const router = express.Router();
 const { sources } = require('../db');
 const { getDb } = require('../db/sqlite'); // Import SQLite
 const xtreamApi = require('../services/xtreamApi');
+const m3uXtreamAdapter = require('../services/m3uXtreamAdapter');
 const epgParser = require('../services/epgParser');
 const cache = require('../services/cache');
+const streamHeaders = require('../services/streamHeaders');
+const sourceFiles = require('../services/sourceFiles');
+const localLibrary = require('../services/localLibrary');
+const stalkerApi = require('../services/stalkerApi');
+const connectionTracker = require('../services/connectionTracker');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
@@ -16,6 +23,9 @@ const { Readable } = require('stream');
 // Default cache max age in hours
 const DEFAULT_MAX_AGE_HOURS = 24;
 
+// Key of opaque stream references (valid until the server restarts)
+const REF_KEY = crypto.randomBytes(32);
+
 // Helper to get formatted category list from DB
 function getCategoriesFromDb(sourceId, type, includeHidden = false) {
     const db = getDb();
@@ -25,7 +35,7 @@ function getCategoriesFromDb(sourceId, type, includeHidden = false) {
         WHERE source_id = ? AND type = ?
     `;
     if (!includeHidden) {
-        query += ` AND is_hidden = 0`;
+        query += ` AND is_hidden = 0 AND rule_hidden = 0`;
     }
     query += ` ORDER BY name ASC`;
     const cats = db.prepare(query).all(sourceId, type);
@@ -35,18 +45,25 @@ function getCategoriesFromDb(sourceId, type, includeHidden = false) {
 // Helper to get formatted streams from DB
 function getStreamsFromDb(sourceId, type, categoryId = null, includeHidden = false) {
     const db = getDb();
+    // Manual EPG mappings (epg_mappings) take precedence over the provider's EPG ID,
+    // channel overrides over the provider's name, logo and group
     let query = `
-        SELECT item_id, name, stream_icon, added_at, rating, container_extension, year, category_id, data
-        FROM playlist_items 
-        WHERE source_id = ? AND type = ?
+        SELECT p.item_id, COALESCE(o.name, p.name) AS name, COALESCE(o.logo, p.stream_icon) AS stream_icon,
+               p.added_at, p.rating, p.container_extension, p.year,
+               COALESCE(o.category_id, p.category_id) AS category_id, p.data,
+               m.epg_channel_id AS mapped_epg_channel_id
+        FROM playlist_items p
+        LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+        LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id AND p.type = 'live'
+        WHERE p.source_id = ? AND p.type = ?
     `;
     if (!includeHidden) {
-        query += ` AND is_hidden = 0`;
+        query += ` AND p.is_hidden = 0 AND p.rule_hidden = 0`;
     }
     const params = [sourceId, type];
 
     if (categoryId) {
-        query += ` AND category_id = ?`;
+        query += ` AND COALESCE(o.category_id, p.category_id) = ?`;
         params.push(categoryId);
     }
 
@@ -72,7 +89,7 @@ function getStreamsFromDb(sourceId, type, categoryId = null, includeHidden = fal
             container_extension: item.container_extension,
             category_id: item.category_id,
             // Normalize EPG channel ID: Xtream uses epg_channel_id, M3U uses tvgId
-            epg_channel_id: data.epg_channel_id || data.tvgId || null
+            epg_channel_id: item.mapped_epg_channel_id || data.epg_channel_id || data.tvgId || null
         };
     });
 }
@@ -191,6 +208,13 @@ router.get('/xtream/:sourceId/series_info', async (req, res) => {
         const seriesId = req.query.series_id;
         if (!seriesId) return res.status(400).send('series_id required');
 
+        if (source.type === 'local') {
+            return res.json(getLocalSeriesInfo(source.id, seriesId));
+        }
+        if (source.type === 'stalker') {
+            return res.json(await getStalkerSeriesInfo(source, seriesId));
+        }
+
         const cacheKey = `series_info_${seriesId}`;
         const cached = cache.get('xtream', source.id, cacheKey, 3600000);
         if (cached) return res.json(cached);
@@ -213,6 +237,25 @@ router.get('/xtream/:sourceId/vod_info', async (req, res) => {
         const vodId = req.query.vod_id;
         if (!vodId) return res.status(400).send('vod_id required');
 
+        if (source.type === 'local') {
+            const local = localLibrary.getItem(source, vodId);
+            if (!local) return res.status(404).send('Movie not found');
+            const { item } = local;
+            return res.json({
+                info: { name: item.name, plot: item.plot, year: item.year, rating: item.rating, genre: item.genre, director: item.director, movie_image: item.stream_icon },
+                movie_data: { stream_id: item.stream_id, name: item.name, container_extension: item.container_extension }
+            });
+        }
+        if (source.type === 'stalker') {
+            // Portals have no separate info call - everything was stored at sync
+            const item = getStalkerItem(source.id, vodId, 'movie');
+            if (!item) return res.status(404).send('Movie not found');
+            return res.json({
+                info: { name: item.name, plot: item.plot, year: item.year, rating: item.rating, genre: item.genre, director: item.director, movie_image: item.stream_icon },
+                movie_data: { stream_id: item.stream_id, name: item.name, container_extension: item.container_extension }
+            });
+        }
+
         const cacheKey = `vod_info_${vodId}`;
         const cached = cache.get('xtream', source.id, cacheKey, 3600000);
         if (cached) return res.json(cached);
@@ -231,6 +274,16 @@ router.get('/xtream/:sourceId/vod_info', async (req, res) => {
 router.get('/xtream/:sourceId/stream/:streamId/:type', async (req, res) => {
     try {
         const source = await sources.getById(req.params.sourceId);
+        if (source?.type === 'local') {
+            // Library files are served by /api/library with the caller's token
+            const local = localLibrary.getItem(source, req.params.streamId);
+            if (!local) return res.status(404).json({ error: 'Library item not found' });
+            const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+            return res.json({ url: localLibrary.getStreamUrl(source.id, req.params.streamId, local.item.container_extension, token) });
+        }
+        if (source?.type === 'stalker') {
+            return res.json({ url: await resolveStalkerUrl(source, req.params.streamId, req.params.type || 'live') });
+        }
         if (!source || source.type !== 'xtream') {
             return res.status(404).json({ error: 'Xtream source not found' });
         }
@@ -265,6 +318,286 @@ router.get('/xtream/:sourceId/stream/:streamId/:type', async (req, res) => {
 });
 
 
+// Series info for a local library series, in Xtream get_series_info format
+function getLocalSeriesInfo(sourceId, seriesId) {
+    const db = getDb();
+    const series = db.prepare(`
+        SELECT name, stream_icon, data FROM playlist_items WHERE source_id = ? AND item_id = ? AND type = 'series'
+    `).get(sourceId, String(seriesId));
+    const rows = db.prepare(`
+        SELECT item_id, name, data FROM playlist_items
+        WHERE source_id = ? AND type = 'episode' AND is_hidden = 0 AND rule_hidden = 0 AND json_extract(data, '$.series_id') = ?
+    `).all(sourceId, String(seriesId));
+
+    const episodes = {};
+    for (const row of rows) {
+        const data = JSON.parse(row.data || '{}');
+        (episodes[data.season] = episodes[data.season] || []).push({
+            id: row.item_id,
+            episode_num: data.episode_num,
+            title: row.name,
+            container_extension: data.container_extension,
+            season: data.season,
+            info: { ...data.info, movie_image: data.stream_icon }
+        });
+    }
+    Object.values(episodes).forEach(list => list.sort((a, b) => a.episode_num - b.episode_num));
+
+    const info = series ? JSON.parse(series.data || '{}') : {};
+    return {
+        seasons: Object.keys(episodes).map(season => ({ season_number: parseInt(season), name: `Season ${season}` })),
+        info: { name: series?.name, cover: series?.stream_icon, plot: info.plot, genre: info.genre, releaseDate: info.releaseDate, rating: info.rating },
+        episodes
+    };
+}
+
+// Stored data of a Stalker portal item (channel, movie or series)
+function getStalkerItem(sourceId, itemId, type) {
+    const row = getDb().prepare(`
+        SELECT data FROM playlist_items WHERE source_id = ? AND item_id = ? AND type = ?
+    `).get(sourceId, String(itemId), type);
+    return row ? JSON.parse(row.data || '{}') : null;
+}
+
+// Seasons of a Stalker portal series (each with its episode numbers and cmd), cached for an hour
+async function getStalkerSeasons(source, seriesId) {
+    const cacheKey = `seasons_${seriesId}`;
+    const cached = cache.get('stalker', source.id, cacheKey, 3600000);
+    if (cached) return cached;
+
+    const series = getStalkerItem(source.id, seriesId, 'series');
+    if (!series) throw new Error('Series not found');
+
+    const api = stalkerApi.createFromSource(source);
+    const seasons = await api.getSeasons(series.portal_id, series.module);
+    cache.set('stalker', source.id, cacheKey, seasons);
+    return seasons;
+}
+
+// Series info for a Stalker portal series, in Xtream get_series_info format
+// Episode ids are "<seriesId>.<season index>.<episode>" so the stream route can find the season's cmd
+async function getStalkerSeriesInfo(source, seriesId) {
+    const series = getStalkerItem(source.id, seriesId, 'series') || {};
+    const seasons = await getStalkerSeasons(source, seriesId);
+
+    const episodes = {};
+    const seasonList = seasons.map((season, index) => {
+        const number = parseInt(String(season.id || '').split(':').pop()) || parseInt(String(season.name || '').replace(/\D+/g, '')) || index + 1;
+        episodes[number] = (season.series || []).map(episode => ({
+            id: `${seriesId}.${index}.${episode}`,
+            episode_num: episode,
+            title: `Episode ${episode}`,
+            container_extension: 'mp4',
+            season: number,
+            info: { plot: season.description || '', movie_image: series.cover }
+        }));
+        return { season_number: number, name: season.name || `Season ${number}` };
+    });
+
+    return {
+        seasons: seasonList,
+        info: { name: series.name, cover: series.cover, plot: series.plot, genre: series.genre, releaseDate: series.releaseDate, rating: series.rating },
+        episodes
+    };
+}
+
+// Resolve a Stalker portal stream with create_link (links are temporary, so never cached)
+async function resolveStalkerUrl(source, streamId, type) {
+    const api = stalkerApi.createFromSource(source);
+
+    if (type === 'series') {
+        const [seriesId, seasonIndex, episode] = String(streamId).split('.');
+        const season = (await getStalkerSeasons(source, seriesId))[parseInt(seasonIndex)];
+        if (!season) throw new Error('Episode not found');
+        return api.createLink('vod', season.cmd, episode);
+    }
+
+    const item = getStalkerItem(source.id, streamId, type === 'live' ? 'live' : 'movie');
+    if (!item?.cmd) throw new Error('Stream not found');
+    return api.createLink(type === 'live' ? 'itv' : 'vod', item.cmd);
+}
+
+// Helper to get catch-up settings for a live channel (tv_archive from the synced stream data)
+function getArchiveInfo(sourceId, streamId) {
+    const db = getDb();
+    const item = db.prepare(`
+        SELECT data FROM playlist_items
+        WHERE source_id = ? AND type = 'live' AND item_id = ?
+    `).get(sourceId, String(streamId));
+    if (!item) return null;
+
+    const data = JSON.parse(item.data || '{}');
+    return {
+        enabled: String(data.tv_archive) === '1',
+        days: parseInt(data.tv_archive_duration) || 0
+    };
+}
+
+// Helper to list archived programmes of an M3U channel from the synced EPG
+// M3U providers have no archive listing API - every programme inside the catch-up window is assumed available
+function getM3uArchiveProgrammes(sourceId, streamId, windowStart, now) {
+    const db = getDb();
+    const item = db.prepare(`
+        SELECT p.data, m.epg_channel_id AS mapped_epg_channel_id
+        FROM playlist_items p
+        LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+        WHERE p.source_id = ? AND p.type = 'live' AND p.item_id = ?
+    `).get(sourceId, String(streamId));
+    if (!item) return [];
+
+    const data = JSON.parse(item.data || '{}');
+    const epgChannelId = item.mapped_epg_channel_id || data.tvgId;
+    if (!epgChannelId) return [];
+
+    // tvg-shift moves the guide by whole hours (e.g. +1 channels)
+    const shift = (parseFloat(data.tvgShift) || 0) * 60 * 60 * 1000;
+
+    // GROUP BY drops duplicates when several EPG sources carry the same channel
+    return db.prepare(`
+        SELECT title, description, start_time, end_time FROM epg_programs
+        WHERE channel_id = ? AND start_time >= ? AND start_time < ?
+        GROUP BY start_time
+        ORDER BY start_time
+    `).all(epgChannelId, windowStart - shift, now - shift).map(p => ({
+        title: p.title || '',
+        description: p.description || '',
+        start: new Date(p.start_time + shift).toISOString(),
+        stop: new Date(p.end_time + shift).toISOString(),
+        hasArchive: true
+    }));
+}
+
+// Helper to get the provider timezone (timeshift URLs use server local time)
+async function getServerTimezone(source, api) {
+    try {
+        let auth = cache.get('xtream', source.id, 'auth', 300000);
+        if (!auth) {
+            auth = await api.authenticate();
+            cache.set('xtream', source.id, 'auth', auth);
+        }
+        return auth.server_info?.timezone || 'UTC';
+    } catch (err) {
+        console.warn(`[Catchup] Could not get timezone for source ${source.id}:`, err.message);
+        return 'UTC';
+    }
+}
+
+// Helper to decode base64 EPG fields from the Xtream API
+function decodeBase64(str) {
+    if (!str) return '';
+    try {
+        return Buffer.from(str, 'base64').toString('utf-8');
+    } catch (err) {
+        return str;
+    }
+}
+
+// Catch-up archive listings for a channel
+// Returns past programmes still inside the channel's tv_archive window
+router.get('/xtream/:sourceId/archive/:streamId', async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.sourceId);
+        if (!source || (source.type !== 'xtream' && source.type !== 'm3u')) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        const { streamId } = req.params;
+        const archive = getArchiveInfo(source.id, streamId);
+        if (!archive || !archive.enabled) {
+            return res.json({ days: 0, programmes: [] });
+        }
+
+        if (source.type === 'm3u') {
+            const now = Date.now();
+            const windowStart = now - archive.days * 24 * 60 * 60 * 1000;
+            return res.json({ days: archive.days, programmes: getM3uArchiveProgrammes(source.id, streamId, windowStart, now) });
+        }
+
+        const cacheKey = `archive_${streamId}`;
+        const cached = cache.get('xtream', source.id, cacheKey, 300000);
+        if (cached) return res.json(cached);
+
+        const api = xtreamApi.createFromSource(source);
+        const data = await api.getSimpleDateTable(streamId);
+
+        const now = Date.now();
+        const windowStart = now - archive.days * 24 * 60 * 60 * 1000;
+        const programmes = (data?.epg_listings || [])
+            .map(p => ({
+                title: decodeBase64(p.title),
+                description: decodeBase64(p.description),
+                start: new Date(parseInt(p.start_timestamp) * 1000).toISOString(),
+                stop: new Date(parseInt(p.stop_timestamp) * 1000).toISOString(),
+                hasArchive: String(p.has_archive) === '1'
+            }))
+            .filter(p => {
+                const start = new Date(p.start).getTime();
+                return start >= windowStart && start < now;
+            })
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+        const result = { days: archive.days, programmes };
+        cache.set('xtream', source.id, cacheKey, result);
+        res.json(result);
+    } catch (err) {
+        console.error('[Catchup] Error fetching archive:', err);
+        res.status(502).json({ error: 'Upstream error', details: err.message });
+    }
+});
+
+// Get catch-up (timeshift) URL for a past or in-progress programme
+// Query: start, end (ms timestamps or ISO strings), container
+router.get('/xtream/:sourceId/timeshift/:streamId', async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.sourceId);
+        if (!source || (source.type !== 'xtream' && source.type !== 'm3u')) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        const { streamId } = req.params;
+        const archive = getArchiveInfo(source.id, streamId);
+        if (!archive || !archive.enabled) {
+            return res.status(400).json({ error: 'Catch-up is not available for this channel' });
+        }
+
+        const parseTime = (value) => new Date(isNaN(value) ? value : parseInt(value)).getTime();
+        const start = parseTime(req.query.start);
+        const end = parseTime(req.query.end);
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            return res.status(400).json({ error: 'Valid start and end are required' });
+        }
+
+        const now = Date.now();
+        const windowStart = now - archive.days * 24 * 60 * 60 * 1000;
+        if (start >= now || start < windowStart) {
+            return res.status(400).json({ error: 'Programme is outside the catch-up window' });
+        }
+
+        const duration = Math.ceil((end - start) / 60000);
+
+        // M3U: built from the channel's catchup/catchup-source attributes
+        if (source.type === 'm3u') {
+            const adapter = m3uXtreamAdapter.createFromSource(source);
+            const url = adapter.buildTimeshiftUrl(streamId, start, duration);
+            if (!url) {
+                return res.status(400).json({ error: 'Unsupported catch-up mode for this channel' });
+            }
+            // The archive needs the same request headers as the live stream
+            streamHeaders.inherit(url, streamHeaders.resolve(adapter.buildStreamUrl(streamId)).headers);
+            return res.json({ url });
+        }
+
+        const api = xtreamApi.createFromSource(source);
+        const timeZone = await getServerTimezone(source, api);
+        const container = req.query.container || 'm3u8';
+
+        res.json({ url: api.buildTimeshiftUrl(streamId, start, duration, container, timeZone) });
+    } catch (err) {
+        console.error('[Catchup] Error getting timeshift URL:', err);
+        res.status(500).json({ error: 'Failed to get timeshift URL' });
+    }
+});
+
 // --- Other Proxy Routes --- //
 
 // M3U Playlist 
@@ -288,10 +621,11 @@ router.get('/m3u/:sourceId', async (req, res) => {
         // }
         // Note: DB `live` items from M3U sync have `category_id` as their group name usually.
 
+        const groupNames = new Map(groups.map(g => [String(g.category_id), g.category_name]));
         const reformattedChannels = channels.map(c => ({
             ...c,
             id: c.stream_id,
-            groupTitle: c.category_id || 'Uncategorized',
+            groupTitle: groupNames.get(String(c.category_id)) || c.category_id || 'Uncategorized',
             url: c.stream_url || c.url,
             tvgLogo: c.stream_icon
         }));
@@ -529,7 +863,9 @@ router.get('/epg/:sourceId', async (req, res) => {
             url = api.getXmltvUrl();
         }
 
-        const data = await epgParser.fetchAndParse(url);
+        const data = source.file
+            ? await epgParser.parse(await sourceFiles.openStream(source.file))
+            : await epgParser.fetchAndParse(url);
 
         // Store in file cache
         cache.set('epg', sourceId, 'data', data);
@@ -577,7 +913,9 @@ router.post('/epg/:sourceId/channels', async (req, res) => {
             return res.status(400).json({ error: 'channelIds array required' });
         }
 
-        const data = await epgParser.fetchAndParse(source.url);
+        const data = source.file
+            ? await epgParser.parse(await sourceFiles.openStream(source.file))
+            : await epgParser.fetchAndParse(source.url);
 
         // Filter programmes for requested channels
         const result = {};
@@ -592,35 +930,159 @@ router.post('/epg/:sourceId/channels', async (req, res) => {
     }
 });
 
+/**
+ * Upstream request headers for a stream
+ * Browser-like defaults to be more "transparent" to the origin; channel headers take precedence
+ */
+function getUpstreamHeaders(url, channelHeaders = {}) {
+    // Pluto TV uses multiple domains for content delivery
+    const plutoDomains = ['pluto.tv', 'pluto.io', 'plutotv.net', 'siloh.pluto.tv', 'service-stitcher'];
+    const isPluto = plutoDomains.some(domain => url.includes(domain));
+
+    return {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': '*/*',
+        'Accept-Language': 'en-US,en;q=0.9',
+        // Using https and matching the origin of the request
+        'Origin': isPluto ? 'https://pluto.tv' : new URL(url).origin,
+        'Referer': isPluto ? 'https://pluto.tv/' : new URL(url).origin + '/',
+        ...channelHeaders
+    };
+}
+
+/**
+ * Encrypt an upstream URL into a reference only this server can resolve
+ */
+function encodeRef(url) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', REF_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+/**
+ * Upstream URL of a stream reference
+ * @returns {string|null} null if the reference is invalid or from before a restart
+ */
+function decodeRef(ref) {
+    try {
+        const data = Buffer.from(String(ref), 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', REF_KEY, data.subarray(0, 12));
+        decipher.setAuthTag(data.subarray(12, 28));
+        return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Point the segment, variant and key URIs of an HLS manifest at the stream proxy
+ * @param {string} finalUrl - URL the manifest was fetched from (after redirects)
+ * @param {object} options
+ * @param {string} options.proxyUrl - Absolute URL of /api/proxy/stream
+ * @param {object} options.headers - Headers the segments inherit from their playlist
+ * @param {string} options.passthrough - Extra query string tying segments to the playlist's connection
+ * @param {boolean} options.opaque - Reference segments by encrypted ref instead of their upstream URL
+ */
+function rewriteManifest(manifest, finalUrl, { proxyUrl, headers, passthrough = '', opaque = false }) {
+    const finalUrlObj = new URL(finalUrl);
+    const baseUrl = finalUrlObj.origin + finalUrlObj.pathname.substring(0, finalUrlObj.pathname.lastIndexOf('/') + 1);
+    const proxied = (absoluteUrl) => {
+        streamHeaders.inherit(absoluteUrl, headers);
+        const query = opaque ? `ref=${encodeRef(absoluteUrl)}` : `url=${encodeURIComponent(absoluteUrl)}`;
+        return `${proxyUrl}?${query}${passthrough}`;
+    };
+
+    return manifest.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            // Handle both URI="..." and URI='...' formats
+            if (trimmed.includes('URI=')) {
+                // Replace both double and single quoted URIs
+                return line.replace(/URI=["']([^"']+)["']/g, (match, p1) => {
+                    try {
+                        return `URI="${proxied(new URL(p1, baseUrl).href)}"`;
+                    } catch (e) {
+                        return match;
+                    }
+                });
+            }
+            return line;
+        }
+
+        // Stream URL handling
+        try {
+            if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
+                return proxied(trimmed);
+            }
+            return proxied(new URL(trimmed, baseUrl).href);
+        } catch (e) { return line; }
+    }).join('\n');
+}
+
+/**
+ * Reserve a provider connection before playback
+ * POST /api/proxy/claim
+ * Body: { url: string, takeover?: boolean }
+ * Responds 409 naming who uses the connections when the source is full;
+ * takeover stops the oldest connection instead.
+ */
+router.post('/claim', async (req, res) => {
+    const { url, takeover } = req.body;
+    if (!url) {
+        return res.status(400).json({ error: 'URL required' });
+    }
+
+    try {
+        const result = await connectionTracker.claim(req, streamHeaders.resolve(url).url, !!takeover);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message, code: err.code, inUse: err.inUse });
+    }
+});
+
 /**
  * Proxy stream for playback
  * This handles CORS for streams that don't allow cross-origin
  * Supports HTTP Range requests for video seeking
+ * source/token query params tie HLS segments to the connection of their playlist
+ * ref (instead of url) is an opaque segment reference of a piped stream
  */
 router.get('/stream', async (req, res) => {
     const maxRetries = 2;
     let lastError = null;
 
+    const requestedUrl = req.query.ref ? decodeRef(req.query.ref) : req.query.url;
+    if (req.query.ref && !requestedUrl) {
+        return res.status(404).json({ error: 'Stream reference expired' });
+    }
+
+    // Count the request against the provider's connection limit
+    let connection = null;
+    if (requestedUrl) {
+        try {
+            connection = await connectionTracker.open(req, streamHeaders.resolve(requestedUrl).url, { sourceId: req.query.source });
+        } catch (err) {
+            return res.status(err.status || 500).json({ error: err.message, code: err.code, inUse: err.inUse });
+        }
+    }
+    if (connection) {
+        connection.onStop = () => res.destroy();
+        res.on('close', () => connection.release());
+    }
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            let { url } = req.query;
+            let url = requestedUrl;
             if (!url) {
                 return res.status(400).json({ error: 'URL required' });
             }
 
-            // Forward some headers to be more "transparent" back to the origin
-            // Pluto TV uses multiple domains for content delivery
-            const plutoDomains = ['pluto.tv', 'pluto.io', 'plutotv.net', 'siloh.pluto.tv', 'service-stitcher'];
-            const isPluto = plutoDomains.some(domain => url.includes(domain));
+            // Per-channel headers from the playlist (#EXTVLCOPT, #KODIPROP, url|User-Agent=...)
+            const channel = streamHeaders.resolve(url);
+            url = channel.url;
 
-            const headers = {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': '*/*',
-                'Accept-Language': 'en-US,en;q=0.9',
-                // Using https and matching the origin of the request
-                'Origin': isPluto ? 'https://pluto.tv' : new URL(url).origin,
-                'Referer': isPluto ? 'https://pluto.tv/' : new URL(url).origin + '/'
-            };
+            const headers = getUpstreamHeaders(url, channel.headers);
 
             // Forward Range header for video seeking support
             const rangeHeader = req.get('range');
@@ -702,42 +1164,17 @@ router.get('/stream', async (req, res) => {
                 console.log(`[Proxy] Processing HLS manifest from: ${finalUrl.substring(0, 80)}...`);
                 res.set('Content-Type', 'application/vnd.apple.mpegurl');
 
-                let manifest = buffer.toString('utf-8');
-
-                const finalUrlObj = new URL(finalUrl);
-                const baseUrl = finalUrlObj.origin + finalUrlObj.pathname.substring(0, finalUrlObj.pathname.lastIndexOf('/') + 1);
-
-                manifest = manifest.split('\n').map(line => {
-                    const trimmed = line.trim();
-                    if (trimmed === '' || trimmed.startsWith('#')) {
-                        // Handle both URI="..." and URI='...' formats
-                        if (trimmed.includes('URI=')) {
-                            // Replace both double and single quoted URIs
-                            return line.replace(/URI=["']([^"']+)["']/g, (match, p1) => {
-                                try {
-                                    const absoluteUrl = new URL(p1, baseUrl).href;
-                                    return `URI="${req.protocol}://${req.get('host')}${req.baseUrl}/stream?url=${encodeURIComponent(absoluteUrl)}"`;
-                                } catch (e) {
-                                    return match;
-                                }
-                            });
-                        }
-                        return line;
-                    }
-
-                    // Stream URL handling
-                    try {
-                        let absoluteUrl;
-                        if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
-                            absoluteUrl = trimmed;
-                        } else {
-                            absoluteUrl = new URL(trimmed, baseUrl).href;
-                        }
-                        return `${req.protocol}://${req.get('host')}${req.baseUrl}/stream?url=${encodeURIComponent(absoluteUrl)}`;
-                    } catch (e) { return line; }
-                }).join('\n');
-
-                return res.send(manifest);
+                // Segments and variant playlists count against the same connection
+                const passthrough = (connection ? `&source=${connection.sourceId}` : '') +
+                    (req.query.token ? `&token=${encodeURIComponent(req.query.token)}` : '');
+                const proxyUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/stream`;
+
+                return res.send(rewriteManifest(buffer.toString('utf-8'), finalUrl, {
+                    proxyUrl,
+                    headers: channel.headers,
+                    passthrough,
+                    opaque: !!req.query.ref
+                }));
             }
 
             // Binary content (Video Segment or Key): Collect and send
@@ -776,6 +1213,73 @@ router.get('/stream', async (req, res) => {
     }
 });
 
+/**
+ * Pipe a stream to a client that must not see its upstream URL (Xtream server, HDHomeRun),
+ * as it arrives - live streams don't end. HLS manifests are rewritten to the stream proxy
+ * with opaque segment references.
+ * @param {string} url - Upstream stream URL (may carry playlist headers)
+ */
+async function pipeStream(req, res, url) {
+    const channel = streamHeaders.resolve(url);
+
+    // Count the stream against the provider's connection limit
+    let connection;
+    try {
+        connection = await connectionTracker.open(req, channel.url);
+    } catch (err) {
+        return res.status(err.status || 500).send(err.message);
+    }
+
+    const controller = new AbortController();
+    if (connection) connection.onStop = () => res.destroy();
+    res.on('close', () => {
+        controller.abort();
+        connection?.release();
+    });
+
+    try {
+        const headers = getUpstreamHeaders(channel.url, channel.headers);
+        const rangeHeader = req.get('range');
+        if (rangeHeader) {
+            headers['Range'] = rangeHeader;
+        }
+
+        const response = await fetch(channel.url, { headers, signal: controller.signal });
+        if (!response.ok) {
+            console.error(`[Proxy] Upstream error for piped stream: ${response.status} ${response.statusText}`);
+            return res.status(response.status).send(`Failed to fetch stream: ${response.statusText}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const finalUrl = response.url || channel.url;
+        if (/mpegurl/i.test(contentType) || /\.m3u8$/i.test(new URL(finalUrl).pathname)) {
+            res.set('Content-Type', 'application/vnd.apple.mpegurl');
+            return res.send(rewriteManifest(await response.text(), finalUrl, {
+                proxyUrl: `${req.protocol}://${req.get('host')}/api/proxy/stream`,
+                headers: channel.headers,
+                passthrough: connection ? `&source=${connection.sourceId}` : '',
+                opaque: true
+            }));
+        }
+
+        res.status(response.status);
+        res.set('Content-Type', contentType || 'video/mp2t');
+        for (const name of ['content-length', 'content-range', 'accept-ranges']) {
+            const value = response.headers.get(name);
+            if (value) res.set(name, value);
+        }
+        Readable.fromWeb(response.body)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('[Proxy] Stream pipe error:', err.message);
+        if (!res.headersSent) {
+            res.status(502).send('Failed to fetch stream');
+        }
+    }
+}
+
 /**
  * Proxy images (channel logos, posters)
  * Fixes mixed content errors when loading HTTP images on HTTPS pages
@@ -821,3 +1325,8 @@ router.get('/image', async (req, res) => {
 });
 
 module.exports = router;
+
+// Shared with the export routes so exports match what the client sees
+module.exports.getCategoriesFromDb = getCategoriesFromDb;
+module.exports.getStreamsFromDb = getStreamsFromDb;
+module.exports.pipeStream = pipeStream;
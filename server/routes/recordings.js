@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { recordings } = require('../db/sqlite');
+const { settings } = require('../db');
+const { requireAuth, verifyToken } = require('../auth');
+const recordingService = require('../services/recordingService');
+
+/**
+ * Check that the user owns the recording (admins can access all)
+ */
+function canAccess(user, recording) {
+    return !!recording && (recording.user_id === user.id || user.role === 'admin');
+}
+
+/**
+ * Parse a time value from the client (ISO string or ms timestamp)
+ */
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return NaN;
+    return typeof value === 'number' ? value : new Date(isNaN(value) ? value : parseInt(value)).getTime();
+}
+
+/**
+ * Stream a recording file (supports Range requests for seeking)
+ * GET /api/recordings/:id/stream?token=...
+ * Token is passed in the query string since <video> can't send auth headers
+ */
+router.get('/:id/stream', (req, res) => {
+    const user = verifyToken(req.query.token || '');
+    if (!user) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const recording = recordings.getById(parseInt(req.params.id));
+        if (!canAccess(user, recording) || !recording.file_path) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (recording.status !== 'completed') {
+            return res.status(409).json({ error: 'Recording is not finished yet' });
+        }
+
+        const contentType = recording.file_path.endsWith('.ts') ? 'video/mp2t' : 'video/mp4';
+        res.sendFile(path.resolve(recording.file_path), { headers: { 'Content-Type': contentType } }, (err) => {
+            if (err && !res.headersSent) {
+                console.error('[DVR] Error streaming recording:', err.message);
+                res.status(404).json({ error: 'Recording file not found' });
+            }
+        });
+    } catch (err) {
+        console.error('[DVR] Error streaming recording:', err);
+        res.status(500).json({ error: 'Failed to stream recording' });
+    }
+});
+
+// All other routes require a logged-in user
+router.use(requireAuth);
+
+/**
+ * GET /api/recordings
+ * List recordings for the authenticated user
+ * Query: status (optional) - 'scheduled', 'recording', 'completed', 'failed'
+ */
+router.get('/', (req, res) => {
+    try {
+        const list = recordings.getAll(req.user.id, req.query.status || null);
+        res.json(list);
+    } catch (err) {
+        console.error('[DVR] Error fetching recordings:', err);
+        res.status(500).json({ error: 'Failed to fetch recordings' });
+    }
+});
+
+/**
+ * GET /api/recordings/:id
+ */
+router.get('/:id', (req, res) => {
+    try {
+        const recording = recordings.getById(parseInt(req.params.id));
+        if (!canAccess(req.user, recording)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json(recording);
+    } catch (err) {
+        console.error('[DVR] Error fetching recording:', err);
+        res.status(500).json({ error: 'Failed to fetch recording' });
+    }
+});
+
+/**
+ * POST /api/recordings
+ * Schedule a recording for a live channel programme
+ * Body: { sourceId, itemId, channelName, title, description, start, end, prePadding?, postPadding?, data?, takeover? }
+ * Responds 409 when the programme is on now and the provider account has no free connection;
+ * takeover stops the oldest connection instead.
+ */
+router.post('/', async (req, res) => {
+    try {
+        if (!req.app.locals.ffmpegPath) {
+            return res.status(503).json({ error: 'FFmpeg is required for recording' });
+        }
+
+        const { sourceId, itemId, channelName, title, description, data } = req.body;
+        const startTime = parseTime(req.body.start);
+        const endTime = parseTime(req.body.end);
+
+        if (!sourceId || !itemId || isNaN(startTime) || isNaN(endTime)) {
+            return res.status(400).json({ error: 'Missing required fields (sourceId, itemId, start, end)' });
+        }
+        if (endTime <= startTime) {
+            return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        const currentSettings = await settings.get();
+        const prePadding = Math.max(0, parseInt(req.body.prePadding ?? currentSettings.recordingPrePadding) || 0);
+        const postPadding = Math.max(0, parseInt(req.body.postPadding ?? currentSettings.recordingPostPadding) || 0);
+
+        if (endTime + postPadding * 60000 <= Date.now()) {
+            return res.status(400).json({ error: 'Programme has already ended' });
+        }
+
+        const existing = recordings.findDuplicate(req.user.id, parseInt(sourceId), itemId, startTime);
+        if (existing) {
+            return res.status(409).json({ error: 'Programme is already scheduled', recording: existing });
+        }
+
+        const recording = recordings.create({
+            userId: req.user.id,
+            sourceId: parseInt(sourceId),
+            itemId,
+            channelName,
+            title: title || channelName || 'Recording',
+            description,
+            startTime,
+            endTime,
+            prePadding,
+            postPadding,
+            data
+        });
+
+        // Programme already started (or starts within the padding) - begin right away,
+        // or tell the user who is using the provider's connections
+        if (startTime - prePadding * 60000 <= Date.now()) {
+            try {
+                await recordingService.startRecording(recordings.getById(recording.id), { takeover: !!req.body.takeover });
+            } catch (err) {
+                if (err.code === 'CONNECTION_LIMIT') {
+                    recordings.delete(recording.id);
+                    return res.status(409).json({ error: err.message, code: err.code, inUse: err.inUse });
+                }
+                console.error(`[DVR] Failed to start recording ${recording.id}:`, err.message);
+                recordings.update(recording.id, { status: 'failed', error: err.message });
+            }
+        }
+
+        res.status(201).json(recordings.getById(recording.id));
+    } catch (err) {
+        console.error('[DVR] Error scheduling recording:', err);
+        res.status(500).json({ error: 'Failed to schedule recording' });
+    }
+});
+
+/**
+ * PUT /api/recordings/:id
+ * Update a scheduled recording (title, times, padding)
+ */
+router.put('/:id', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const recording = recordings.getById(id);
+        if (!canAccess(req.user, recording)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const updates = {};
+        if (req.body.title !== undefined) updates.title = req.body.title;
+
+        // Timing can only change before the recording has started
+        const timingChanged = ['start', 'end', 'prePadding', 'postPadding'].some(key => req.body[key] !== undefined);
+        if (timingChanged) {
+            if (recording.status !== 'scheduled') {
+                return res.status(409).json({ error: 'Only scheduled recordings can be rescheduled' });
+            }
+            if (req.body.start !== undefined) updates.start_time = parseTime(req.body.start);
+            if (req.body.end !== undefined) updates.end_time = parseTime(req.body.end);
+            if (req.body.prePadding !== undefined) updates.pre_padding = Math.max(0, parseInt(req.body.prePadding) || 0);
+            if (req.body.postPadding !== undefined) updates.post_padding = Math.max(0, parseInt(req.body.postPadding) || 0);
+
+            const start = updates.start_time ?? recording.start_time;
+            const end = updates.end_time ?? recording.end_time;
+            if (isNaN(start) || isNaN(end) || end <= start) {
+                return res.status(400).json({ error: 'Invalid start/end time' });
+            }
+        }
+
+        const updated = recordings.update(id, updates);
+        recordingService.checkSchedule();
+        res.json(updated);
+    } catch (err) {
+        console.error('[DVR] Error updating recording:', err);
+        res.status(500).json({ error: 'Failed to update recording' });
+    }
+});
+
+/**
+ * POST /api/recordings/:id/stop
+ * Stop an in-progress recording early, keeping what was captured
+ */
+router.post('/:id/stop', (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const recording = recordings.getById(id);
+        if (!canAccess(req.user, recording)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        if (!recordingService.stopRecording(id)) {
+            return res.status(409).json({ error: 'Recording is not in progress' });
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[DVR] Error stopping recording:', err);
+        res.status(500).json({ error: 'Failed to stop recording' });
+    }
+});
+
+/**
+ * DELETE /api/recordings/:id
+ * Cancel a scheduled recording or delete a finished one (including its file)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const recording = recordings.getById(id);
+        if (!canAccess(req.user, recording)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        await recordingService.deleteRecording(id);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[DVR] Error deleting recording:', err);
+        res.status(500).json({ error: 'Failed to delete recording' });
+    }
+});
+
+module.exports = router;
@@ -2,39 +2,63 @@ const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
 const db = require('../db');
+const streamHeaders = require('../services/streamHeaders');
+const connectionTracker = require('../services/connectionTracker');
 
 /**
  * Remux stream (container conversion only)
- * GET /api/remux?url=...
+ * GET /api/remux?url=...&format=mp4|ts
  * 
  * Remuxes MPEG-TS to fragmented MP4 for browser playback.
  * This is a lightweight operation - no video/audio re-encoding.
  * Use this for raw .ts streams that browsers can't play directly.
+ * format=ts outputs a clean MPEG-TS instead (for tuner clients like Plex/Jellyfin).
  * 
  * Note: This does NOT fix Dolby/AC3 audio issues - use /api/transcode for that.
  */
 router.get('/', async (req, res) => {
-    const { url } = req.query;
+    const { url, format } = req.query;
     if (!url) {
         return res.status(400).json({ error: 'URL parameter is required' });
     }
 
+    await streamRemux(req, res, url, { format });
+});
+
+/**
+ * Remux a stream URL and pipe the output to the response
+ * @param {object} options
+ * @param {string} options.format - 'mp4' (fragmented, default) or 'ts'
+ */
+async function streamRemux(req, res, url, { format = 'mp4' } = {}) {
+    const outputTs = format === 'ts';
     const ffmpegPath = req.app.locals.ffmpegPath || 'ffmpeg';
 
     // Get User-Agent from settings
     const settings = await db.settings.get();
     const userAgent = db.getUserAgent(settings);
 
+    // Per-channel headers from the playlist take precedence over the preset
+    const channel = streamHeaders.resolve(url);
+    url = channel.url;
+
+    // Count the stream against the provider's connection limit
+    let connection;
+    try {
+        connection = await connectionTracker.open(req, url);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message, code: err.code, inUse: err.inUse });
+    }
+
     console.log(`[Remux] Starting remux for: ${url}`);
-    console.log(`[Remux] Using User-Agent: ${settings.userAgentPreset}`);
+    console.log(`[Remux] Using User-Agent: ${channel.headers?.['User-Agent'] || settings.userAgentPreset}`);
 
     // FFmpeg arguments for pure remux (no encoding)
     // Very lightweight - just changes container from TS to fragmented MP4
     const args = [
         '-hide_banner',
         '-loglevel', 'warning',
-        '-user_agent', userAgent,
-        '-user_agent', userAgent,
+        ...streamHeaders.ffmpegArgs(channel.headers, userAgent),
         // Standard probe size to handle complex containers (MKV) correctly
         '-probesize', '5000000',
         '-analyzeduration', '5000000',
@@ -54,7 +78,8 @@ router.get('/', async (req, res) => {
         // STRICT MAPPING: Only map video and audio, ignore subtitles/data/attachments
         // This prevents remux failure when source container has incompatible subtitle tracks (e.g. MKV -> MP4)
         '-map', '0:v',
-        '-map', '0:a',
+        // Audio is optional for MPEG-TS output so video-only channels still tune
+        '-map', outputTs ? '0:a?' : '0:a',
         // Drop subtitles (-sn) and data (-dn) explicitly
         '-sn', '-dn',
         // Copy streams without re-encoding
@@ -67,9 +92,10 @@ router.get('/', async (req, res) => {
         // Handle timestamp discontinuities at output
         '-fps_mode', 'passthrough',
         '-max_muxing_queue_size', '1024',
-        // Fragmented MP4 for streaming (browser-compatible)
-        '-f', 'mp4',
-        '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+        // Fragmented MP4 for streaming (browser-compatible), or MPEG-TS for tuner clients
+        ...(outputTs
+            ? ['-f', 'mpegts']
+            : ['-f', 'mp4', '-movflags', 'frag_keyframe+empty_moov+default_base_moof']),
         '-' // Output to stdout
     ];
 
@@ -80,11 +106,19 @@ router.get('/', async (req, res) => {
         ffmpeg = spawn(ffmpegPath, args);
     } catch (spawnErr) {
         console.error('[Remux] Failed to spawn FFmpeg:', spawnErr);
+        connection?.release();
         return res.status(500).json({ error: 'FFmpeg spawn failed', details: spawnErr.message });
     }
 
-    // Set headers for fragmented MP4
-    res.setHeader('Content-Type', 'video/mp4');
+    // The slot is free once FFmpeg is gone; taking it over ends this stream
+    if (connection) {
+        connection.onStop = () => ffmpeg.kill('SIGKILL');
+        ffmpeg.on('exit', () => connection.release());
+        ffmpeg.on('error', () => connection.release());
+    }
+
+    // Set headers for fragmented MP4 / MPEG-TS
+    res.setHeader('Content-Type', outputTs ? 'video/mp2t' : 'video/mp4');
     res.setHeader('Access-Control-Allow-Origin', '*');
 
     // Pipe stdout to response
@@ -119,6 +153,7 @@ router.get('/', async (req, res) => {
             res.status(500).json({ error: 'Remux failed to start' });
         }
     });
-});
+}
 
 module.exports = router;
+module.exports.streamRemux = streamRemux;
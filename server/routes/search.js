@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../auth');
+const searchService = require('../services/searchService');
+
+/**
+ * Global Search Routes
+ *
+ *   GET /api/search?q=bbc&limit=10&types=channel,programme - Ranked results by type
+ */
+
+router.use(requireAuth);
+
+/**
+ * Search channels, movies, series and upcoming or airing programmes
+ * GET /api/search?q=...
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q, limit } = req.query;
+        const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : null;
+
+        res.json(await searchService.search(q, { limit, types }));
+    } catch (err) {
+        console.error('[Search] Error searching:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
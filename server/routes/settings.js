@@ -31,6 +31,11 @@ router.put('/', async (req, res) => {
             syncService.restartSyncTimer().catch(console.error);
         }
 
+        // More parallel syncs may let queued ones start
+        if (updates.syncConcurrency !== undefined) {
+            syncService.processQueue();
+        }
+
         res.json(updatedSettings);
     } catch (err) {
         console.error('Error updating settings:', err);
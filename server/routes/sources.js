@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
+const path = require('path');
+const fs = require('fs');
 const { sources } = require('../db');
-const { getDb } = require('../db/sqlite');
+const { getDb, mergedChannels, streamHealth, syncHistory, syncSchedule, providerAccounts } = require('../db/sqlite');
 const xtreamApi = require('../services/xtreamApi');
+const stalkerApi = require('../services/stalkerApi');
 const syncService = require('../services/syncService');
+const scheduleRules = require('../services/syncSchedule');
+const accountMonitor = require('../services/accountMonitor');
+const contentRules = require('../services/contentRules');
+const channelOverrides = require('../services/channelOverrides');
 const m3uParser = require('../services/m3uParser');
+const sourceFiles = require('../services/sourceFiles');
+const { requireAuth, requireAdmin, verifyToken } = require('../auth');
 
 // Get all sources
 router.get('/', async (req, res) => {
@@ -35,6 +44,65 @@ router.get('/status', async (req, res) => {
     }
 });
 
+// Live sync progress (Server-Sent Events)
+// Sends the latest progress of every source (with its log) on connect, then each update.
+// The sync queue is sent as "jobs" events whenever it changes.
+// EventSource can't send headers, so the token comes in the query string.
+router.get('/status/events', (req, res) => {
+    if (!verifyToken(req.query.token || '')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    const send = (progress) => res.write(`data: ${JSON.stringify(progress)}\n\n`);
+    const sendJobs = (jobs) => res.write(`event: jobs\ndata: ${JSON.stringify(jobs)}\n\n`);
+    syncService.getProgress().forEach(send);
+    sendJobs(syncService.getJobs());
+    syncService.on('progress', send);
+    syncService.on('jobs', sendJobs);
+
+    // Comment lines keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        syncService.off('progress', send);
+        syncService.off('jobs', sendJobs);
+    });
+});
+
+// Queued and running syncs
+router.get('/jobs', (req, res) => {
+    res.json(syncService.getJobs());
+});
+
+// Upcoming scheduled syncs (per source and content type, soonest first)
+router.get('/schedule', async (req, res) => {
+    try {
+        res.json(await syncService.getSchedule());
+    } catch (err) {
+        console.error('Error getting sync schedule:', err);
+        res.status(500).json({ error: 'Failed to get sync schedule' });
+    }
+});
+
+// Provider accounts (expiry, connections) with warnings
+router.get('/accounts', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        res.json(await accountMonitor.getAccounts());
+    } catch (err) {
+        console.error('Error getting provider accounts:', err);
+        res.status(500).json({ error: 'Failed to get provider accounts' });
+    }
+});
+
 // Get sources by type
 router.get('/type/:type', async (req, res) => {
     try {
@@ -60,6 +128,14 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Stalker portals identify the set-top box by MAC address (00:1A:79:XX:XX:XX)
+// Returns the normalized MAC, or null when invalid
+function normalizeMac(mac) {
+    const hex = String(mac || '').replace(/[^0-9a-f]/gi, '');
+    if (hex.length !== 12) return null;
+    return hex.toUpperCase().match(/../g).join(':');
+}
+
 // Create source
 router.post('/', async (req, res) => {
     try {
@@ -69,11 +145,16 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Type, name, and URL are required' });
         }
 
-        if (!['xtream', 'm3u', 'epg'].includes(type)) {
+        if (!['xtream', 'm3u', 'epg', 'stalker'].includes(type)) {
             return res.status(400).json({ error: 'Invalid source type' });
         }
 
-        const source = await sources.create({ type, name, url, username, password });
+        const mac = type === 'stalker' ? normalizeMac(req.body.mac) : undefined;
+        if (type === 'stalker' && !mac) {
+            return res.status(400).json({ error: 'A valid MAC address is required' });
+        }
+
+        const source = await sources.create({ type, name, url, username, password, ...(mac ? { mac } : {}) });
         // Trigger Sync
         syncService.syncSource(source.id).catch(console.error);
         res.status(201).json(source);
@@ -83,6 +164,138 @@ router.post('/', async (req, res) => {
     }
 });
 
+// File-backed sources (M3U/EPG from an uploaded file or a path on the server)
+// Only playlists and guides can come from a file
+function validateFileSource(type, name) {
+    if (!['m3u', 'epg'].includes(type)) {
+        return 'Only M3U and EPG sources can be file-based';
+    }
+    if (!name || !String(name).trim()) {
+        return 'Name is required';
+    }
+    return null;
+}
+
+// Create source from an uploaded file
+// Body is the raw file; POST /api/sources/upload?type=m3u&name=...&filename=playlist.m3u.gz
+router.post('/upload', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { type, name, filename } = req.query;
+        const error = validateFileSource(type, name) || (!filename ? 'File name is required' : null);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const file = await sourceFiles.saveUpload(req, filename);
+        const source = await sources.create({
+            type,
+            name: String(name).trim(),
+            url: null,
+            file,
+            fileName: path.basename(String(filename)),
+            uploaded: true
+        });
+
+        syncService.syncSource(source.id).catch(console.error);
+        res.status(201).json(source);
+    } catch (err) {
+        console.error('Error uploading source file:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Create source from a file on the server's filesystem
+router.post('/file', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { type, name, path: filePath, watchFile } = req.body;
+        const error = validateFileSource(type, name) ||
+            (!filePath || !path.isAbsolute(filePath) ? 'An absolute file path is required' : null);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const resolved = path.resolve(filePath);
+        try {
+            const stat = await fs.promises.stat(resolved);
+            if (!stat.isFile()) throw new Error('Not a file');
+            await fs.promises.access(resolved, fs.constants.R_OK);
+        } catch (err) {
+            return res.status(400).json({ error: `File not readable: ${resolved}` });
+        }
+
+        const source = await sources.create({
+            type,
+            name: String(name).trim(),
+            url: null,
+            file: resolved,
+            fileName: path.basename(resolved),
+            watchFile: !!watchFile
+        });
+
+        syncService.syncSource(source.id).catch(console.error);
+        await syncService.refreshFileWatchers();
+        res.status(201).json(source);
+    } catch (err) {
+        console.error('Error creating file source:', err);
+        res.status(500).json({ error: 'Failed to create source' });
+    }
+});
+
+// Create a local media library source (folder of movies and series on the server)
+router.post('/local', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { name, path: folder } = req.body;
+        if (!name || !String(name).trim() || !folder || !path.isAbsolute(folder)) {
+            return res.status(400).json({ error: 'Name and an absolute folder path are required' });
+        }
+
+        const resolved = path.resolve(folder);
+        const stat = await fs.promises.stat(resolved).catch(() => null);
+        if (!stat || !stat.isDirectory()) {
+            return res.status(400).json({ error: `Folder not found: ${resolved}` });
+        }
+
+        const source = await sources.create({
+            type: 'local',
+            name: String(name).trim(),
+            url: null,
+            path: resolved
+        });
+
+        syncService.syncSource(source.id).catch(console.error);
+        res.status(201).json(source);
+    } catch (err) {
+        console.error('Error creating library source:', err);
+        res.status(500).json({ error: 'Failed to create source' });
+    }
+});
+
+// Replace the file of an uploaded source
+router.post('/:id/upload', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const existing = await sources.getById(req.params.id);
+        if (!existing || !existing.uploaded) {
+            return res.status(404).json({ error: 'Uploaded source not found' });
+        }
+        if (!req.query.filename) {
+            return res.status(400).json({ error: 'File name is required' });
+        }
+
+        const file = await sourceFiles.saveUpload(req, req.query.filename);
+        const updated = await sources.update(existing.id, {
+            file,
+            fileName: path.basename(String(req.query.filename))
+        });
+        await sourceFiles.removeUpload(existing);
+
+        syncService.syncSource(existing.id).catch(console.error);
+        res.json(updated);
+    } catch (err) {
+        console.error('Error replacing source file:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
 // Update source
 router.put('/:id', async (req, res) => {
     try {
@@ -91,15 +304,38 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Source not found' });
         }
 
-        const { name, url, username, password } = req.body;
+        const { name, url, username, password, watchFile } = req.body;
+        let mac;
+        if (existing.type === 'stalker' && req.body.mac !== undefined) {
+            mac = normalizeMac(req.body.mac);
+            if (!mac) {
+                return res.status(400).json({ error: 'A valid MAC address is required' });
+            }
+        }
+
+        // Sync schedules per content type (empty = global sync interval)
+        let schedules;
+        if (req.body.schedules !== undefined) {
+            try {
+                schedules = scheduleRules.normalizeSchedules(existing.type, req.body.schedules);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+        }
+
         const updated = await sources.update(req.params.id, {
             name: name || existing.name,
-            url: url || existing.url,
+            // File-backed and library sources have no URL (the file is changed via upload)
+            url: existing.file || existing.type === 'local' ? null : (url || existing.url),
             username: username !== undefined ? username : existing.username,
-            password: password !== undefined ? password : existing.password
+            password: password !== undefined ? password : existing.password,
+            ...(existing.file && !existing.uploaded && watchFile !== undefined ? { watchFile: !!watchFile } : {}),
+            ...(mac ? { mac } : {}),
+            ...(schedules ? { schedules } : {})
         });
         // Trigger Sync (if critical fields changed? safely just trigger it)
         syncService.syncSource(parseInt(req.params.id)).catch(console.error);
+        await syncService.refreshFileWatchers();
         res.json(updated);
     } catch (err) {
         console.error('Error updating source:', err);
@@ -122,16 +358,28 @@ router.delete('/:id', async (req, res) => {
         const deleteItems = db.prepare('DELETE FROM playlist_items WHERE source_id = ?');
         const deleteEpg = db.prepare('DELETE FROM epg_programs WHERE source_id = ?');
         const deleteSyncStatus = db.prepare('DELETE FROM sync_status WHERE source_id = ?');
+        const deleteEpgMappings = db.prepare('DELETE FROM epg_mappings WHERE source_id = ?');
+        const deleteChannelNumbers = db.prepare('DELETE FROM channel_numbers WHERE source_id = ?');
 
         const catResult = deleteCategories.run(sourceId);
         const itemResult = deleteItems.run(sourceId);
         const epgResult = deleteEpg.run(sourceId);
         deleteSyncStatus.run(sourceId);
+        deleteEpgMappings.run(sourceId);
+        deleteChannelNumbers.run(sourceId);
+        mergedChannels.removeSource(sourceId);
+        streamHealth.removeSource(sourceId);
+        syncHistory.removeSource(sourceId);
+        syncSchedule.removeSource(sourceId);
+        providerAccounts.removeSource(sourceId);
+        await channelOverrides.removeSource(sourceId);
 
         console.log(`[Source] Cascade delete for source ${sourceId}: ${catResult.changes} categories, ${itemResult.changes} items, ${epgResult.changes} EPG programs`);
 
         // Delete source config and related hidden items (favorites handled by db.js)
         await sources.delete(sourceId);
+        await sourceFiles.removeUpload(existing);
+        await syncService.refreshFileWatchers();
 
         res.json({ success: true });
     } catch (err) {
@@ -152,6 +400,7 @@ router.post('/:id/toggle', async (req, res) => {
         if (updated.enabled) {
             syncService.syncSource(parseInt(req.params.id)).catch(console.error);
         }
+        await syncService.refreshFileWatchers();
 
         res.json(updated);
     } catch (err) {
@@ -167,16 +416,98 @@ router.post('/:id/sync', async (req, res) => {
         const source = await sources.getById(id);
         if (!source) return res.status(404).json({ error: 'Source not found' });
 
-        // Trigger sync (async)
+        // Queue sync (async)
         syncService.syncSource(id).catch(console.error);
 
-        res.json({ success: true, message: 'Sync started' });
+        res.json({ success: true, message: 'Sync queued' });
     } catch (err) {
         console.error('Error starting sync:', err);
         res.status(500).json({ error: 'Failed to start sync' });
     }
 });
 
+// Cancel a queued or running sync
+router.post('/:id/sync/cancel', async (req, res) => {
+    try {
+        if (!syncService.cancelSync(parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'No sync queued or running for this source' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error cancelling sync:', err);
+        res.status(500).json({ error: 'Failed to cancel sync' });
+    }
+});
+
+// Sync history (latest runs first, with added/removed/renamed/re-categorized counts)
+router.get('/:id/history', async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        res.json(syncHistory.getBySource(source.id, limit));
+    } catch (err) {
+        console.error('Error getting sync history:', err);
+        res.status(500).json({ error: 'Failed to get sync history' });
+    }
+});
+
+// Content rules (ordered hide/rename/move rules applied on every sync)
+router.get('/:id/rules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+
+        res.json(source.rules || []);
+    } catch (err) {
+        console.error('Error getting content rules:', err);
+        res.status(500).json({ error: 'Failed to get content rules' });
+    }
+});
+
+// Save content rules and apply them to the content already synced
+router.put('/:id/rules', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+
+        let rules;
+        try {
+            rules = contentRules.normalizeRules(req.body.rules);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        await sources.update(source.id, { rules });
+        const { updated } = await contentRules.applyToSource(source.id);
+        res.json({ success: true, rules, updated });
+    } catch (err) {
+        console.error('Error saving content rules:', err);
+        res.status(500).json({ error: 'Failed to save content rules' });
+    }
+});
+
+// Preview which categories/items rules would affect (nothing is saved)
+router.post('/:id/rules/preview', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const source = await sources.getById(req.params.id);
+        if (!source) return res.status(404).json({ error: 'Source not found' });
+
+        let rules;
+        try {
+            rules = contentRules.normalizeRules(req.body.rules);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        res.json(contentRules.preview(source.id, rules));
+    } catch (err) {
+        console.error('Error previewing content rules:', err);
+        res.status(500).json({ error: 'Failed to preview content rules' });
+    }
+});
+
 // Test source connection
 router.post('/:id/test', async (req, res) => {
     try {
@@ -187,17 +518,22 @@ router.post('/:id/test', async (req, res) => {
 
         if (source.type === 'xtream') {
             const result = await xtreamApi.authenticate(source.url, source.username, source.password);
+            await accountMonitor.update(source, result.user_info);
             res.json({ success: true, data: result });
         } else if (source.type === 'm3u') {
-            const response = await fetch(source.url);
-            const text = await response.text();
+            const text = source.file ? await sourceFiles.readHead(source.file) : await (await fetch(source.url)).text();
             const isValid = text.includes('#EXTM3U');
             res.json({ success: isValid, message: isValid ? 'Valid M3U playlist' : 'Invalid M3U format' });
         } else if (source.type === 'epg') {
-            const response = await fetch(source.url);
-            const text = await response.text();
+            const text = source.file ? await sourceFiles.readHead(source.file) : await (await fetch(source.url)).text();
             const isValid = text.includes('<tv') || text.includes('<?xml');
             res.json({ success: isValid, message: isValid ? 'Valid EPG XML' : 'Invalid EPG format' });
+        } else if (source.type === 'local') {
+            const entries = await fs.promises.readdir(source.path);
+            res.json({ success: true, message: `Library folder found (${entries.length} entries)` });
+        } else if (source.type === 'stalker') {
+            const result = await stalkerApi.authenticate(source.url, source.mac);
+            res.json({ success: true, data: result });
         }
     } catch (err) {
         console.error('Error testing source:', err);
@@ -251,7 +587,7 @@ router.get('/:id/estimate', async (req, res) => {
         }
 
         console.log(`[Sources] Estimating M3U size for ${source.name}...`);
-        const count = await m3uParser.countEntries(source.url);
+        const count = await m3uParser.countEntries(source.file ? await sourceFiles.openStream(source.file) : source.url);
         console.log(`[Sources] M3U estimate: ${count} entries`);
 
         res.json({
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const { getDb, streamHealth } = require('../db/sqlite');
+const { requireAuth, requireAdmin } = require('../auth');
+const healthChecker = require('../services/healthChecker');
+const lineup = require('../services/lineupService');
+
+/**
+ * Stream Health Routes
+ * Results of the background health checker (see services/healthChecker.js)
+ *
+ *   GET  /api/stream-health?sourceId=1  - Per-channel status (for badging dead channels)
+ *   GET  /api/stream-health/report      - Failures per source and group (admin)
+ *   GET  /api/stream-health/status      - Progress of the current run (admin)
+ *   POST /api/stream-health/check       - Check a source (or everything) now { sourceId } (admin)
+ */
+
+router.use(requireAuth);
+
+/**
+ * Per-channel health
+ * GET /api/stream-health?sourceId=1
+ */
+router.get('/', (req, res) => {
+    try {
+        const sourceId = parseInt(req.query.sourceId) || null;
+        const rows = streamHealth.getAll(sourceId).map(h => ({
+            source_id: h.source_id,
+            item_id: h.item_id,
+            status: h.status,
+            checked_at: h.checked_at,
+            latency_ms: h.latency_ms,
+            width: h.width,
+            height: h.height
+        }));
+        res.json(rows);
+    } catch (err) {
+        console.error('[Health] Error listing results:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Failure report per source and group
+ * GET /api/stream-health/report
+ */
+router.get('/report', requireAdmin, async (req, res) => {
+    try {
+        const contentSources = await lineup.getContentSources();
+        if (contentSources.length === 0) {
+            return res.json({ sources: [], failures: [], status: healthChecker.getStatus() });
+        }
+
+        const db = getDb();
+        const rows = db.prepare(`
+            SELECT p.source_id, p.item_id, p.name, p.category_id, c.name AS category_name,
+                   h.status, h.checked_at, h.latency_ms, h.width, h.height, h.error, h.fail_count
+            FROM playlist_items p
+            LEFT JOIN stream_health h ON h.source_id = p.source_id AND h.item_id = p.item_id
+            LEFT JOIN categories c ON c.source_id = p.source_id AND c.category_id = p.category_id AND c.type = 'live'
+            WHERE p.type = 'live' AND p.is_hidden = 0 AND p.rule_hidden = 0
+              AND p.source_id IN (${contentSources.map(() => '?').join(',')})
+        `).all(...contentSources.map(s => s.id));
+
+        const report = new Map(contentSources.map(s => [s.id, {
+            id: s.id,
+            name: s.name,
+            total: 0,
+            ok: 0,
+            dead: 0,
+            unchecked: 0,
+            groups: new Map()
+        }]));
+        const failures = [];
+
+        for (const row of rows) {
+            const source = report.get(row.source_id);
+            // M3U sources use the group name as the category ID
+            const groupName = row.category_name || row.category_id || 'Uncategorized';
+            if (!source.groups.has(groupName)) {
+                source.groups.set(groupName, { name: groupName, total: 0, dead: 0 });
+            }
+            const group = source.groups.get(groupName);
+
+            source.total++;
+            group.total++;
+            if (!row.status) {
+                source.unchecked++;
+            } else if (row.status === 'ok') {
+                source.ok++;
+            } else {
+                source.dead++;
+                group.dead++;
+                failures.push({
+                    sourceId: row.source_id,
+                    sourceName: source.name,
+                    group: groupName,
+                    itemId: row.item_id,
+                    name: row.name,
+                    checkedAt: row.checked_at,
+                    failCount: row.fail_count,
+                    error: row.error
+                });
+            }
+        }
+
+        res.json({
+            sources: [...report.values()].map(s => ({
+                ...s,
+                // Worst groups first
+                groups: [...s.groups.values()]
+                    .filter(g => g.dead > 0)
+                    .sort((a, b) => b.dead - a.dead || a.name.localeCompare(b.name))
+            })),
+            failures: failures.sort((a, b) =>
+                a.sourceName.localeCompare(b.sourceName) || a.group.localeCompare(b.group) || a.name.localeCompare(b.name)
+            ),
+            status: healthChecker.getStatus()
+        });
+    } catch (err) {
+        console.error('[Health] Error building report:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Progress of the current run
+ * GET /api/stream-health/status
+ */
+router.get('/status', requireAdmin, (req, res) => {
+    res.json(healthChecker.getStatus());
+});
+
+/**
+ * Check a source now (all sources when sourceId is omitted)
+ * POST /api/stream-health/check
+ */
+router.post('/check', requireAdmin, async (req, res) => {
+    try {
+        const sourceId = parseInt(req.body?.sourceId) || null;
+        const queued = await healthChecker.checkSource(sourceId);
+        res.json({ success: true, queued });
+    } catch (err) {
+        // Only one run at a time
+        res.status(409).json({ error: err.message });
+    }
+});
+
+module.exports = router;
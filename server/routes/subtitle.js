@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
+const streamHeaders = require('../services/streamHeaders');
 
 /**
  * Subtitle extraction endpoint
@@ -16,15 +17,16 @@ router.get('/', (req, res) => {
     }
 
     const ffmpegPath = req.app.locals.ffmpegPath || 'ffmpeg';
+    const channel = streamHeaders.resolve(url);
     // console.log(`[Subtitle] Extracting track ${index} from: ${url}`);
 
     const args = [
         '-hide_banner',
         '-loglevel', 'warning',
-        '-user_agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+        ...streamHeaders.ffmpegArgs(channel.headers, 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'),
         '-probesize', '5000000',
         '-analyzeduration', '5000000',
-        '-i', url,
+        '-i', channel.url,
         '-map', `0:${index}`,
         '-c:s', 'webvtt',
         '-f', 'webvtt',
@@ -5,6 +5,8 @@ const path = require('path');
 const fs = require('fs').promises;
 const db = require('../db');
 const transcodeSession = require('../services/transcodeSession');
+const streamHeaders = require('../services/streamHeaders');
+const connectionTracker = require('../services/connectionTracker');
 
 /**
  * Transcode Routes
@@ -26,10 +28,11 @@ transcodeSession.startCleanupInterval();
 /**
  * Create a new transcode session
  * POST /api/transcode/session
- * Body: { url: string, seekOffset?: number }
+ * Body: { url: string, seekOffset?: number, liveBuffer?: boolean }
+ * liveBuffer keeps a rolling window (settings.liveBufferMinutes) for live pause/rewind
  */
 router.post('/session', async (req, res) => {
-    const { url, seekOffset, videoMode, videoCodec, audioCodec, audioChannels } = req.body;
+    const { url, seekOffset, videoMode, videoCodec, audioCodec, audioChannels, liveBuffer } = req.body;
 
     if (!url) {
         return res.status(400).json({ error: 'URL is required' });
@@ -38,11 +41,22 @@ router.post('/session', async (req, res) => {
     const ffmpegPath = req.app.locals.ffmpegPath || 'ffmpeg';
     const settings = await db.settings.get();
     const userAgent = db.getUserAgent(settings);
+    // Per-channel headers from the playlist take precedence over the preset
+    const channel = streamHeaders.resolve(url);
 
+    // Count the session against the provider's connection limit
+    let connection;
     try {
-        const session = await transcodeSession.createSession(url, {
+        connection = await connectionTracker.open(req, channel.url);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message, code: err.code, inUse: err.inUse });
+    }
+
+    try {
+        const session = await transcodeSession.createSession(channel.url, {
             ffmpegPath,
             userAgent,
+            headers: channel.headers,
             seekOffset: seekOffset || 0,
             hwEncoder: settings.hwEncoder || 'software',
             maxResolution: settings.maxResolution || '1080p',
@@ -55,9 +69,17 @@ router.post('/session', async (req, res) => {
             videoMode: videoMode, // 'copy' or 'encode'
             videoCodec: videoCodec, // 'h264', 'hevc', etc.
             audioCodec: audioCodec, // 'aac', 'ac3', etc.
-            audioChannels: audioChannels // number of channels (2=stereo)
+            audioChannels: audioChannels, // number of channels (2=stereo)
+            liveBufferMinutes: liveBuffer ? (parseInt(settings.liveBufferMinutes) || 30) : 0
         });
 
+        // The slot is free once FFmpeg is gone; taking it over ends the session
+        if (connection) {
+            connection.onStop = () => transcodeSession.removeSession(session.id).catch(console.error);
+            session.once('exit', () => connection.release());
+            session.once('error', () => connection.release());
+        }
+
         await session.start();
 
         // Wait for playlist to be ready (first segments generated)
@@ -71,11 +93,13 @@ router.post('/session', async (req, res) => {
         res.json({
             sessionId: session.id,
             playlistUrl: `/api/transcode/${session.id}/stream.m3u8`,
-            status: session.status
+            status: session.status,
+            liveBufferMinutes: session.options.liveBufferMinutes
         });
 
     } catch (err) {
         console.error('[Transcode] Session creation failed:', err);
+        connection?.release();
         res.status(500).json({ error: 'Failed to create session', details: err.message });
     }
 });
@@ -170,9 +194,18 @@ router.get('/', async (req, res) => {
     // Get User-Agent from settings
     const settings = await db.settings.get();
     const userAgent = db.getUserAgent(settings);
+    const channel = streamHeaders.resolve(url);
 
-    console.log(`[Transcode] Starting transcoding for: ${url}`);
-    console.log(`[Transcode] Using User-Agent: ${settings.userAgentPreset}`);
+    // Count the stream against the provider's connection limit
+    let connection;
+    try {
+        connection = await connectionTracker.open(req, channel.url);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message, code: err.code, inUse: err.inUse });
+    }
+
+    console.log(`[Transcode] Starting transcoding for: ${channel.url}`);
+    console.log(`[Transcode] Using User-Agent: ${channel.headers?.['User-Agent'] || settings.userAgentPreset}`);
     console.log(`[Transcode] Using binary: ${ffmpegPath}`);
 
     // FFmpeg arguments for transcoding
@@ -181,7 +214,7 @@ router.get('/', async (req, res) => {
     const args = [
         '-hide_banner',
         '-loglevel', 'warning',
-        '-user_agent', userAgent,
+        ...streamHeaders.ffmpegArgs(channel.headers, userAgent),
         // Faster startup - reduced probe/analyze for quicker first bytes
         '-probesize', '2000000', // 2MB (reduced from 5MB)
         '-analyzeduration', '3000000', // 3 seconds (reduced from 10s)
@@ -197,7 +230,7 @@ router.get('/', async (req, res) => {
         '-reconnect_delay_max', '3',
         // Prevent Range/HEAD requests that some providers reject with 405
         '-seekable', '0',
-        '-i', url,
+        '-i', channel.url,
         // Map only first video and audio stream (avoid subtitle streams causing issues)
         '-map', '0:v:0',
         '-map', '0:a:0?', // ? makes audio optional if not present
@@ -227,9 +260,17 @@ router.get('/', async (req, res) => {
         ffmpeg = spawn(ffmpegPath, args);
     } catch (spawnErr) {
         console.error('[Transcode] Failed to spawn FFmpeg:', spawnErr);
+        connection?.release();
         return res.status(500).json({ error: 'FFmpeg spawn failed', details: spawnErr.message });
     }
 
+    // The slot is free once FFmpeg is gone; taking it over ends this stream
+    if (connection) {
+        connection.onStop = () => ffmpeg.kill('SIGKILL');
+        ffmpeg.on('exit', () => connection.release());
+        ffmpeg.on('error', () => connection.release());
+    }
+
     // Collect stderr for error reporting
     let stderrBuffer = '';
 
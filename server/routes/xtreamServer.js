@@ -0,0 +1,441 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const db = require('../db');
+const { verifyPassword } = require('../auth');
+const lineup = require('../services/lineupService');
+const channelOverrides = require('../services/channelOverrides');
+const xtreamApi = require('../services/xtreamApi');
+const { pipeStream } = require('./proxy');
+
+/**
+ * Xtream Codes-compatible server API
+ * Lets third-party players (TiviMate, IPTV Smarters...) use nodecast as their provider.
+ * Nodecast user accounts are the credentials; streams are piped through this server,
+ * so clients never see the provider's URLs or credentials.
+ *
+ *   GET /player_api.php?username=&password=&action=...
+ *   GET /get.php?username=&password=&type=m3u_plus&output=ts
+ *   GET /xmltv.php?username=&password=
+ *   GET /live/:username/:password/:streamId.:ext
+ *   GET /movie/:username/:password/:streamId.:ext
+ *   GET /series/:username/:password/:episodeId.:ext
+ */
+
+// Successful logins are cached briefly so stream requests don't run bcrypt every time.
+// A hit only counts while the user still exists with the same password hash.
+const AUTH_CACHE_TTL_MS = 60 * 1000;
+const authCache = new Map();
+
+/**
+ * Authenticate a nodecast user by username/password
+ * @returns {object|null} User or null if invalid
+ */
+async function authenticate(username, password) {
+    if (!username || !password) return null;
+
+    const user = await db.users.getByUsername(username);
+    if (!user || !user.passwordHash) {
+        return null;
+    }
+
+    const key = crypto.createHash('sha256').update(`${username}\0${password}`).digest('hex');
+    const cached = authCache.get(key);
+    if (cached && cached.passwordHash === user.passwordHash && Date.now() - cached.time < AUTH_CACHE_TTL_MS) {
+        return user;
+    }
+
+    if (!(await verifyPassword(password, user.passwordHash))) {
+        authCache.delete(key);
+        return null;
+    }
+
+    authCache.set(key, { passwordHash: user.passwordHash, time: Date.now() });
+    return user;
+}
+
+/**
+ * Get the base URL clients should use to reach this server
+ */
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Format a timestamp (ms) as an Xtream date string (UTC)
+ */
+function formatDate(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Split "123.ts" into id and extension
+ */
+function parseStreamParam(param) {
+    const match = /^(\d+)(?:\.(\w+))?$/.exec(param);
+    return match ? { id: match[1], ext: match[2] || 'ts' } : null;
+}
+
+/**
+ * Build the user_info/server_info login response
+ */
+function buildLoginResponse(req, user, password) {
+    const host = req.hostname;
+    const port = req.get('host').split(':')[1] || (req.protocol === 'https' ? '443' : '80');
+    const now = Date.now();
+
+    return {
+        user_info: {
+            username: user.username,
+            password,
+            message: 'Welcome to nodecast-tv',
+            auth: 1,
+            status: 'Active',
+            exp_date: null,
+            is_trial: '0',
+            active_cons: '0',
+            created_at: String(Math.floor(new Date(user.createdAt || now).getTime() / 1000)),
+            max_connections: '1',
+            allowed_output_formats: ['m3u8', 'ts']
+        },
+        server_info: {
+            url: host,
+            port,
+            https_port: req.protocol === 'https' ? port : '',
+            server_protocol: req.protocol,
+            rtmp_port: '',
+            timezone: 'UTC',
+            timestamp_now: Math.floor(now / 1000),
+            time_now: formatDate(now)
+        }
+    };
+}
+
+/**
+ * Map categories to Xtream format
+ */
+function formatCategories(categories) {
+    return categories.map(cat => ({
+        category_id: String(cat.num),
+        category_name: cat.name,
+        parent_id: 0
+    }));
+}
+
+// Provider metadata passed through to clients - anything else in the stored data
+// (upstream URLs, headers, catch-up templates) stays on the server
+const PASSTHROUGH_FIELDS = {
+    live: [],
+    movie: ['rating_5based'],
+    series: ['plot', 'cast', 'director', 'genre', 'releaseDate', 'last_modified', 'rating_5based',
+        'backdrop_path', 'youtube_trailer', 'episode_run_time']
+};
+
+/**
+ * Numbered lineup items of a type, optionally of one category
+ * Numbers are assigned over the whole lineup so they don't depend on the filter
+ */
+async function getStreams(type, categoryId, user) {
+    const items = lineup.assignNumbers(await lineup.getItems(type), user.id);
+    return categoryId ? items.filter(item => String(item.category_num) === String(categoryId)) : items;
+}
+
+/**
+ * Map lineup items to Xtream stream format
+ * @param {Array} items - Items numbered by lineup.assignNumbers()
+ * @param {string} baseUrl - Address of this server (for uploaded channel logos)
+ */
+function formatStreams(items, type, baseUrl) {
+    return items.map(item => {
+        const base = {
+            num: item.number,
+            name: item.name,
+            category_id: item.category_num ? String(item.category_num) : null,
+            added: item.added_at || item.data.added || '',
+            custom_sid: '',
+            direct_source: ''
+        };
+        for (const field of PASSTHROUGH_FIELDS[type]) {
+            if (item.data[field] !== undefined) base[field] = item.data[field];
+        }
+
+        if (type === 'live') {
+            return {
+                ...base,
+                stream_type: 'live',
+                stream_id: item.num,
+                stream_icon: channelOverrides.absoluteLogo(item.stream_icon, baseUrl) || '',
+                epg_channel_id: item.epg_channel_id,
+                // Catch-up isn't proxied through the compatible API
+                tv_archive: 0,
+                tv_archive_duration: 0
+            };
+        }
+
+        if (type === 'movie') {
+            return {
+                ...base,
+                stream_type: 'movie',
+                stream_id: item.num,
+                stream_icon: item.stream_icon || '',
+                rating: item.rating ?? item.data.rating ?? '',
+                container_extension: item.container_extension || item.data.container_extension || 'mp4'
+            };
+        }
+
+        return {
+            ...base,
+            series_id: item.num,
+            cover: item.stream_icon || '',
+            rating: item.rating ?? item.data.rating ?? ''
+        };
+    });
+}
+
+/**
+ * Map EPG programmes to Xtream epg_listings format
+ */
+function formatListings(programmes, streamNum) {
+    const now = Date.now();
+    return programmes.map((p, index) => ({
+        id: String(index + 1),
+        epg_id: String(streamNum),
+        title: Buffer.from(p.title || '').toString('base64'),
+        lang: '',
+        start: formatDate(p.start_time),
+        end: formatDate(p.end_time),
+        description: Buffer.from(p.description || '').toString('base64'),
+        channel_id: p.channel_id,
+        start_timestamp: String(Math.floor(p.start_time / 1000)),
+        stop_timestamp: String(Math.floor(p.end_time / 1000)),
+        now_playing: p.start_time <= now && p.end_time > now ? 1 : 0,
+        has_archive: 0
+    }));
+}
+
+/**
+ * Get series info from the upstream provider, with episode IDs rewritten to public IDs
+ */
+async function getSeriesInfo(item) {
+    if (item.source.type !== 'xtream') {
+        return { seasons: [], info: { name: item.name, cover: item.stream_icon || '' }, episodes: {} };
+    }
+
+    const api = xtreamApi.createFromSource(item.source);
+    const data = await api.getSeriesInfo(item.item_id);
+
+    const episodes = {};
+    for (const [season, list] of Object.entries(data.episodes || {})) {
+        episodes[season] = (list || []).map(ep => ({
+            ...ep,
+            id: String(lineup.encodeEpisodeId(item.source_id, ep.id))
+        }));
+    }
+
+    return {
+        ...data,
+        info: {
+            ...data.info,
+            category_id: item.category_num ? String(item.category_num) : null
+        },
+        episodes
+    };
+}
+
+/**
+ * Get VOD info from the upstream provider, with the stream ID rewritten to the public ID
+ */
+async function getVodInfo(item) {
+    const movieData = {
+        stream_id: item.num,
+        name: item.name,
+        container_extension: item.container_extension || 'mp4',
+        category_id: item.category_num ? String(item.category_num) : null
+    };
+
+    if (item.source.type !== 'xtream') {
+        return { info: {}, movie_data: movieData };
+    }
+
+    const api = xtreamApi.createFromSource(item.source);
+    const data = await api.getVodInfo(item.item_id);
+    return {
+        ...data,
+        movie_data: { ...data.movie_data, ...movieData }
+    };
+}
+
+/**
+ * Xtream player API
+ * GET/POST /player_api.php (some players POST credentials as a form)
+ */
+router.all('/player_api.php', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+        const params = { ...req.query, ...(req.body || {}) };
+        const user = await authenticate(params.username, params.password);
+        if (!user) {
+            return res.status(401).json({ user_info: { auth: 0 } });
+        }
+
+        const { action, category_id, stream_id, vod_id, series_id, limit } = params;
+
+        switch (action) {
+            case undefined:
+            case '':
+                return res.json(buildLoginResponse(req, user, params.password));
+
+            case 'get_live_categories':
+                return res.json(formatCategories(await lineup.getCategories('live')));
+            case 'get_vod_categories':
+                return res.json(formatCategories(await lineup.getCategories('movie')));
+            case 'get_series_categories':
+                return res.json(formatCategories(await lineup.getCategories('series')));
+
+            case 'get_live_streams':
+                return res.json(formatStreams(await getStreams('live', category_id, user), 'live', getBaseUrl(req)));
+            case 'get_vod_streams':
+                return res.json(formatStreams(await getStreams('movie', category_id, user), 'movie'));
+            case 'get_series':
+                return res.json(formatStreams(await getStreams('series', category_id, user), 'series'));
+
+            case 'get_vod_info': {
+                const item = await lineup.getItem('movie', vod_id);
+                if (!item) return res.status(404).json({ error: 'VOD not found' });
+                return res.json(await getVodInfo(item));
+            }
+
+            case 'get_series_info': {
+                const item = await lineup.getItem('series', series_id);
+                if (!item) return res.status(404).json({ error: 'Series not found' });
+                return res.json(await getSeriesInfo(item));
+            }
+
+            case 'get_short_epg':
+            case 'get_simple_data_table': {
+                const item = await lineup.getItem('live', stream_id);
+                if (!item || !item.epg_channel_id) return res.json({ epg_listings: [] });
+
+                const isShort = action === 'get_short_epg';
+                const from = isShort ? Date.now() : Date.now() - 24 * 60 * 60 * 1000;
+                const programmes = lineup.getProgrammes(item.epg_channel_id, from, isShort ? (limit || 4) : null);
+                return res.json({ epg_listings: formatListings(programmes, item.num) });
+            }
+
+            default:
+                return res.status(400).json({ error: 'Unknown action' });
+        }
+    } catch (err) {
+        console.error('[XtreamServer] player_api error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * M3U playlist of the lineup (live channels and movies)
+ * GET /get.php?username=&password=&type=m3u_plus&output=ts
+ */
+router.get('/get.php', async (req, res) => {
+    try {
+        const { username, password, output } = req.query;
+        const user = await authenticate(username, password);
+        if (!user) {
+            return res.status(401).send('Invalid credentials');
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const ext = output === 'm3u8' || output === 'hls' ? 'm3u8' : 'ts';
+        const creds = `${encodeURIComponent(username)}/${encodeURIComponent(password)}`;
+        const attr = (value) => String(value ?? '').replace(/"/g, "'");
+
+        let m3u = `#EXTM3U url-tvg="${baseUrl}/xmltv.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}"\n`;
+
+        for (const ch of await getStreams('live', null, user)) {
+            m3u += `#EXTINF:-1 tvg-id="${attr(ch.epg_channel_id)}" tvg-chno="${ch.number}" tvg-name="${attr(ch.name)}" tvg-logo="${attr(channelOverrides.absoluteLogo(ch.stream_icon, baseUrl))}" group-title="${attr(ch.category_name || 'Uncategorized')}",${ch.name}\n`;
+            m3u += `${baseUrl}/live/${creds}/${ch.num}.${ext}\n`;
+        }
+
+        for (const movie of await lineup.getItems('movie')) {
+            const movieExt = movie.container_extension || 'mp4';
+            m3u += `#EXTINF:-1 tvg-name="${attr(movie.name)}" tvg-logo="${attr(movie.stream_icon)}" group-title="${attr(movie.category_name || 'Movies')}",${movie.name}\n`;
+            m3u += `${baseUrl}/movie/${creds}/${movie.num}.${movieExt}\n`;
+        }
+
+        res.setHeader('Content-Type', 'audio/x-mpegurl');
+        res.setHeader('Content-Disposition', 'attachment; filename="playlist.m3u"');
+        res.send(m3u);
+    } catch (err) {
+        console.error('[XtreamServer] get.php error:', err);
+        res.status(500).send('Failed to build playlist');
+    }
+});
+
+/**
+ * XMLTV guide for the lineup
+ * GET /xmltv.php?username=&password=
+ */
+router.get('/xmltv.php', async (req, res) => {
+    try {
+        const user = await authenticate(req.query.username, req.query.password);
+        if (!user) {
+            return res.status(401).send('Invalid credentials');
+        }
+
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        await lineup.writeXmltv(res, getBaseUrl(req));
+        res.end();
+    } catch (err) {
+        console.error('[XtreamServer] xmltv.php error:', err);
+        if (!res.headersSent) {
+            res.status(500).send('Failed to build XMLTV');
+        } else {
+            res.end();
+        }
+    }
+});
+
+/**
+ * Stream playback - piped from the provider
+ * GET /live|movie|series/:username/:password/:stream
+ */
+router.get('/:type(live|movie|series)/:username/:password/:stream', async (req, res) => {
+    try {
+        const { type, username, password } = req.params;
+        const user = await authenticate(username, password);
+        if (!user) {
+            return res.status(401).send('Invalid credentials');
+        }
+
+        const stream = parseStreamParam(req.params.stream);
+        if (!stream) {
+            return res.status(404).send('Stream not found');
+        }
+
+        let upstreamUrl = null;
+        if (type === 'series') {
+            // Episodes aren't stored locally - the public ID encodes source + upstream episode ID
+            const { sourceId, episodeId } = lineup.decodeEpisodeId(stream.id);
+            const source = await db.sources.getById(sourceId);
+            if (source && source.enabled && source.type === 'xtream') {
+                upstreamUrl = xtreamApi.createFromSource(source).buildStreamUrl(episodeId, 'series', stream.ext);
+            }
+        } else {
+            const item = await lineup.getItem(type, stream.id);
+            if (item) {
+                upstreamUrl = await lineup.resolveStreamUrl(item, stream.ext);
+            }
+        }
+
+        if (!upstreamUrl) {
+            return res.status(404).send('Stream not found');
+        }
+
+        await pipeStream(req, res, upstreamUrl);
+    } catch (err) {
+        console.error('[XtreamServer] Stream error:', err);
+        if (!res.headersSent) {
+            res.status(500).send('Failed to resolve stream');
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Provider Account Monitor
+ * Keeps the Xtream account details (user_info) from each sync and warns about
+ * subscriptions that are about to expire, are disabled or use all their connections.
+ */
+
+const { providerAccounts } = require('../db/sqlite');
+const { sources, settings } = require('../db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Xtream timestamps are unix seconds as strings (null/"0" = unlimited)
+ */
+function toMs(timestamp) {
+    const seconds = parseInt(timestamp);
+    return seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Account record from an Xtream user_info object
+ */
+function parseUserInfo(userInfo) {
+    return {
+        status: userInfo.status || null,
+        exp_date: toMs(userInfo.exp_date),
+        is_trial: String(userInfo.is_trial) === '1',
+        max_connections: parseInt(userInfo.max_connections) || null,
+        active_cons: parseInt(userInfo.active_cons) || 0,
+        created_at: toMs(userInfo.created_at),
+        checked_at: Date.now()
+    };
+}
+
+/**
+ * Warnings for an account
+ * @param {number} warningDays - Warn when the subscription ends within this many days
+ * @returns {Array} { type: 'expired'|'expiring'|'disabled'|'connections', message }
+ */
+function getWarnings(account, warningDays, now = Date.now()) {
+    const warnings = [];
+
+    if (account.exp_date) {
+        const days = Math.ceil((account.exp_date - now) / DAY_MS);
+        if (days <= 0) {
+            warnings.push({ type: 'expired', message: `Subscription expired on ${new Date(account.exp_date).toLocaleDateString()}` });
+        } else if (days <= warningDays) {
+            warnings.push({ type: 'expiring', message: `Subscription expires in ${days} day${days === 1 ? '' : 's'}` });
+        }
+    }
+
+    const status = (account.status || 'Active').toLowerCase();
+    if (status !== 'active' && !(status === 'expired' && warnings.length > 0)) {
+        warnings.push({ type: 'disabled', message: `Account is ${status}` });
+    }
+
+    if (account.max_connections && account.active_cons >= account.max_connections) {
+        warnings.push({ type: 'connections', message: `All ${account.max_connections} connections in use` });
+    }
+
+    return warnings;
+}
+
+/**
+ * Days before expiry that warnings start (settings.accountWarningDays)
+ */
+async function getWarningDays() {
+    const days = parseInt((await settings.get()).accountWarningDays);
+    return isNaN(days) ? 7 : days;
+}
+
+/**
+ * Store the account details of a source and log its warnings
+ * @param {object} userInfo - user_info from XtreamApi.authenticate()
+ */
+async function update(source, userInfo) {
+    const account = parseUserInfo(userInfo);
+    providerAccounts.set(source.id, account);
+
+    for (const warning of getWarnings(account, await getWarningDays())) {
+        console.warn(`[Account] ${source.name}: ${warning.message}`);
+    }
+    return account;
+}
+
+/**
+ * Accounts of all sources with their warnings
+ */
+async function getAccounts() {
+    const warningDays = await getWarningDays();
+    const allSources = await sources.getAll();
+
+    return providerAccounts.getAll().map(account => {
+        const source = allSources.find(s => s.id === account.source_id);
+        if (!source) return null;
+        return {
+            ...account,
+            is_trial: !!account.is_trial,
+            source_name: source.name,
+            enabled: source.enabled,
+            warnings: getWarnings(account, warningDays)
+        };
+    }).filter(Boolean);
+}
+
+module.exports = { parseUserInfo, getWarnings, update, getAccounts };
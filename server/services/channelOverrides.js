@@ -0,0 +1,201 @@
+/**
+ * Channel Overrides
+ *
+ * Custom display name, logo and group for live channels. Overrides live in their
+ * own table so resyncs don't undo them, and are merged in wherever channels are
+ * read (getStreamsFromDb, lineup, M3U adapter, EPG mapping).
+ *
+ * Logos are a URL or an uploaded image (kept in data/logos, served by the
+ * channel override routes). Groups are matched by name; a group that doesn't
+ * exist yet is created as custom:live:<name> and removed when no override uses it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getDb, channelOverrides } = require('../db/sqlite');
+const contentRules = require('./contentRules');
+
+const LOGO_DIR = path.join(__dirname, '..', '..', 'data', 'logos');
+const LOGO_URL = '/api/channel-overrides/logos/';
+const LOGO_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+const GROUP_PREFIX = 'custom:';
+
+/**
+ * Clean up a text field (empty = use the provider's value)
+ */
+function clean(value) {
+    const text = String(value ?? '').trim();
+    return text || null;
+}
+
+/**
+ * File of an uploaded logo URL (null for other URLs)
+ */
+function getLogoFile(logo) {
+    if (!logo || !logo.startsWith(LOGO_URL)) return null;
+    const file = path.basename(logo.slice(LOGO_URL.length));
+    return LOGO_TYPES[path.extname(file).toLowerCase()] ? path.join(LOGO_DIR, file) : null;
+}
+
+/**
+ * Delete an uploaded logo that is no longer used
+ */
+async function removeLogo(logo) {
+    const file = getLogoFile(logo);
+    if (file) await fs.promises.rm(file, { force: true });
+}
+
+/**
+ * Logo URL for external clients (uploaded logos are relative to this server)
+ */
+function absoluteLogo(logo, baseUrl) {
+    return logo && logo.startsWith('/') ? `${baseUrl}${logo}` : logo;
+}
+
+/**
+ * Drop custom groups no override (or move rule) uses anymore
+ */
+function removeUnusedGroups(sourceId) {
+    getDb().prepare(`
+        DELETE FROM categories
+        WHERE source_id = ? AND type = 'live' AND category_id LIKE '${GROUP_PREFIX}%'
+        AND category_id NOT IN (SELECT category_id FROM channel_overrides WHERE source_id = ? AND category_id IS NOT NULL)
+        AND category_id NOT IN (SELECT category_id FROM playlist_items WHERE source_id = ? AND type = 'live')
+    `).run(sourceId, sourceId, sourceId);
+}
+
+/**
+ * Overrides of a source
+ * @returns {Array} [{ item_id, name, logo, category_id, group_name }]
+ */
+function getAll(sourceId) {
+    return channelOverrides.getAll(sourceId);
+}
+
+/**
+ * Save the override of a live channel - empty fields fall back to the provider's values
+ * @param {object} fields - { name, logo (URL), group (group name) }
+ * @returns {object|null} Saved override, or null when nothing is overridden anymore
+ * @throws {Error} When the channel doesn't exist or the logo isn't a URL
+ */
+async function save(sourceId, itemId, { name, logo, group }) {
+    const channel = getDb().prepare(`
+        SELECT item_id FROM playlist_items WHERE source_id = ? AND item_id = ? AND type = 'live'
+    `).get(sourceId, String(itemId));
+    if (!channel) throw new Error('Channel not found');
+
+    const override = { name: clean(name), logo: clean(logo), categoryId: null };
+    if (override.logo && !/^https?:\/\//i.test(override.logo) && !getLogoFile(override.logo)) {
+        throw new Error('Logo must be an http(s) URL or an uploaded image');
+    }
+
+    const groupName = clean(group);
+    if (groupName) {
+        override.categoryId = contentRules.groupResolver(sourceId, 'live', GROUP_PREFIX)(groupName);
+    }
+
+    const previous = channelOverrides.get(sourceId, itemId);
+    if (override.name || override.logo || override.categoryId) {
+        channelOverrides.set(sourceId, itemId, override);
+    } else {
+        channelOverrides.remove(sourceId, itemId);
+    }
+
+    if (previous?.logo && previous.logo !== override.logo) {
+        await removeLogo(previous.logo);
+    }
+    removeUnusedGroups(sourceId);
+
+    console.log(`[Overrides] Saved override of channel ${itemId} (source ${sourceId})`);
+    return channelOverrides.getAll(sourceId).find(o => o.item_id === String(itemId)) || null;
+}
+
+/**
+ * Upload a logo for a live channel and use it in its override
+ * @param {Readable} input - Image data (e.g. the request)
+ * @param {string} filename - Original file name (for the image type)
+ * @returns {object} Saved override
+ */
+async function saveLogo(sourceId, itemId, input, filename) {
+    const extension = path.extname(String(filename || '')).toLowerCase();
+    if (!LOGO_TYPES[extension]) {
+        throw new Error(`Logo must be one of ${Object.keys(LOGO_TYPES).join(', ')}`);
+    }
+
+    await fs.promises.mkdir(LOGO_DIR, { recursive: true });
+    const safeId = String(itemId).replace(/[^\w-]/g, '_');
+    const file = `${sourceId}-${safeId}-${Date.now()}${extension}`;
+    const filePath = path.join(LOGO_DIR, file);
+
+    let size = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            callback(size > MAX_LOGO_BYTES ? new Error('Logo is too large (max 2 MB)') : null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(input, limiter, fs.createWriteStream(filePath));
+        if (size === 0) throw new Error('Logo is empty');
+    } catch (err) {
+        await fs.promises.rm(filePath, { force: true });
+        throw err;
+    }
+
+    const current = channelOverrides.getAll(sourceId).find(o => o.item_id === String(itemId));
+    try {
+        return await save(sourceId, itemId, {
+            name: current?.name,
+            logo: `${LOGO_URL}${file}`,
+            group: current?.group_name
+        });
+    } catch (err) {
+        await fs.promises.rm(filePath, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Remove the override of a channel (back to the provider's values)
+ */
+async function remove(sourceId, itemId) {
+    const previous = channelOverrides.get(sourceId, itemId);
+    if (!previous) return false;
+
+    channelOverrides.remove(sourceId, itemId);
+    await removeLogo(previous.logo);
+    removeUnusedGroups(sourceId);
+    return true;
+}
+
+/**
+ * Remove all overrides of a deleted source, with their uploaded logos
+ */
+async function removeSource(sourceId) {
+    const overrides = channelOverrides.getAll(sourceId);
+    channelOverrides.removeSource(sourceId);
+    for (const override of overrides) {
+        await removeLogo(override.logo);
+    }
+}
+
+module.exports = {
+    LOGO_DIR,
+    LOGO_TYPES,
+    getAll,
+    save,
+    saveLogo,
+    remove,
+    removeSource,
+    absoluteLogo
+};
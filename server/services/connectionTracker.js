@@ -0,0 +1,186 @@
+/**
+ * Provider Connection Tracker
+ *
+ * Counts the upstream connections each Xtream source has open through the proxy,
+ * remux and transcode routes, and keeps new streams within the account's
+ * max_connections (from the provider account checked on sync).
+ *
+ * A connection belongs to a viewer (signed-in user, or IP address for tuner clients),
+ * so the requests of one playback - manifest, segments, channel changes - share a slot.
+ * Slots without an open stream are freed after a short idle time.
+ *
+ * Server jobs (DVR recordings, health checks) pass their own viewer. Health checks are
+ * background connections: a viewer who needs their slot always gets it.
+ */
+
+const { providerAccounts } = require('../db/sqlite');
+const { sources } = require('../db');
+const { verifyToken } = require('../auth');
+
+const IDLE_MS = 30 * 1000;
+
+// "sourceId:viewerId" -> { sourceId, viewer, startedAt, lastSeen, streams }
+const connections = new Map();
+
+/**
+ * Who is making a stream request (token from the query string or Authorization header)
+ * @returns {object} { id, name }
+ */
+function getViewer(req) {
+    const token = req.query?.token || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const user = token ? verifyToken(token) : null;
+    return user ? { id: `user:${user.id}`, name: user.username } : { id: `ip:${req.ip}`, name: req.ip };
+}
+
+/**
+ * Xtream source a stream URL belongs to (same server and credentials in the path)
+ * @param {string} url - Upstream stream URL
+ * @param {number|string} hint - Source ID passed along by the proxy for HLS segments
+ */
+async function findSource(url, hint = null) {
+    const allSources = (await sources.getAll()).filter(s => s.type === 'xtream');
+    if (hint) {
+        const source = allSources.find(s => s.id === parseInt(hint));
+        if (source) return source;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return null;
+    }
+
+    return allSources.find(source => {
+        try {
+            return new URL(source.url).host === parsed.host &&
+                parsed.pathname.includes(`/${source.username}/${source.password}/`);
+        } catch (err) {
+            return false;
+        }
+    }) || null;
+}
+
+/**
+ * Connection limit of a source (null = unknown or unlimited)
+ */
+function getLimit(sourceId) {
+    return providerAccounts.get(sourceId)?.max_connections || null;
+}
+
+/**
+ * Open connections of a source, oldest first (idle ones are dropped)
+ */
+function getSourceConnections(sourceId) {
+    const now = Date.now();
+    const result = [];
+    for (const [key, connection] of connections) {
+        if (connection.streams.size === 0 && now - connection.lastSeen > IDLE_MS) {
+            connections.delete(key);
+        } else if (connection.sourceId === sourceId) {
+            result.push(connection);
+        }
+    }
+    return result.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * Close a connection and stop its streams
+ */
+function stopConnection(connection) {
+    connections.delete(`${connection.sourceId}:${connection.viewer.id}`);
+    for (const stream of connection.streams) {
+        try {
+            stream.onStop?.();
+        } catch (err) {
+            console.error('[Connections] Failed to stop stream:', err.message);
+        }
+    }
+    connection.streams.clear();
+}
+
+/**
+ * Error for a source without free connections
+ */
+function limitError(source, limit, inUse) {
+    const users = inUse.map(c => `${c.viewer.name} (since ${new Date(c.startedAt).toLocaleTimeString()})`);
+    const err = new Error(`Connection limit reached for ${source.name}: ${inUse.length} of ${limit} in use by ${users.join(', ')}`);
+    err.status = 409;
+    err.code = 'CONNECTION_LIMIT';
+    err.inUse = inUse.map(c => ({ user: c.viewer.name, since: c.startedAt }));
+    return err;
+}
+
+/**
+ * Take a connection slot for a stream
+ * @param {object|null} req - Stream request (identifies the viewer), null for server jobs
+ * @param {string} url - Upstream stream URL
+ * @param {object} options - { sourceId (hint), takeover (stop the oldest connection when full),
+ *                             viewer ({ id, name } of a server job), background (give way to any viewer) }
+ * @returns {object|null} Stream handle { sourceId, release(), close(), onStop } - null when the URL isn't from an Xtream source
+ * @throws {Error} status 409 when the source has no free connection
+ */
+async function open(req, url, { sourceId = null, takeover = false, viewer = null, background = false } = {}) {
+    const source = await findSource(url, sourceId);
+    if (!source) return null;
+
+    viewer = viewer || getViewer(req);
+    const key = `${source.id}:${viewer.id}`;
+    const inUse = getSourceConnections(source.id);
+    let connection = connections.get(key);
+
+    if (!connection) {
+        const limit = getLimit(source.id);
+        if (limit && inUse.length >= limit) {
+            // Background checks always make room, other connections only on takeover
+            const stopped = (!background && inUse.find(c => c.background)) || (takeover ? inUse[0] : null);
+            if (!stopped) throw limitError(source, limit, inUse);
+
+            console.log(`[Connections] ${viewer.name} took over the ${source.name} connection of ${stopped.viewer.name}`);
+            stopConnection(stopped);
+        }
+
+        connection = { sourceId: source.id, viewer, background, startedAt: Date.now(), lastSeen: Date.now(), streams: new Set() };
+        connections.set(key, connection);
+    }
+
+    const handle = {
+        sourceId: source.id,
+        sourceName: source.name,
+        onStop: null, // Set by the route to end the stream when its slot is taken over
+        release() {
+            connection.streams.delete(handle);
+            connection.lastSeen = Date.now();
+        },
+        // Release and free the slot right away (server jobs don't come back for it)
+        close() {
+            handle.release();
+            if (connection.streams.size === 0 && connections.get(key) === connection) {
+                connections.delete(key);
+            }
+        }
+    };
+    connection.lastSeen = Date.now();
+    connection.streams.add(handle);
+    return handle;
+}
+
+/**
+ * Reserve a slot before playback starts (kept for the idle time until the stream requests arrive)
+ * @returns {object|null} { sourceId, sourceName, inUse, limit } - null when the URL isn't from an Xtream source
+ * @throws {Error} status 409 when the source has no free connection
+ */
+async function claim(req, url, takeover = false) {
+    const handle = await open(req, url, { takeover });
+    if (!handle) return null;
+    handle.release();
+
+    return {
+        sourceId: handle.sourceId,
+        sourceName: handle.sourceName,
+        inUse: getSourceConnections(handle.sourceId).length,
+        limit: getLimit(handle.sourceId)
+    };
+}
+
+module.exports = { getViewer, findSource, open, claim };
@@ -0,0 +1,279 @@
+/**
+ * Content Rules
+ *
+ * Ordered rules per source that hide, rename or regroup content on every sync
+ * (and right away when saved), so provider changes don't bring junk back:
+ *   { target: 'category', match: '/^(AR|TR)\|/', action: 'hide' }
+ *   { target: 'item', match: '/\s*FHD$/', action: 'rename', value: '' }
+ *   { target: 'item', type: 'live', match: '/sport/i', action: 'move', value: 'Sports' }
+ *
+ * Rules run in order, each on the result of the ones before. A match is a regex
+ * literal (/.../flags) or plain text (case-insensitive "contains"). Rules always start
+ * from the provider's names, which are kept in the data column.
+ */
+
+const { getDb } = require('../db/sqlite');
+const { sources } = require('../db');
+
+const CONTENT_TYPES = ['live', 'movie', 'series'];
+const ACTIONS = {
+    category: ['hide', 'rename'],
+    item: ['hide', 'rename', 'move']
+};
+const PREVIEW_EXAMPLES = 20;
+
+// Groups created by move rules: rule:<type>:<name>
+const GROUP_PREFIX = 'rule:';
+
+/**
+ * RegExp of a rule match
+ * @throws {Error} When the pattern is invalid
+ */
+function parseMatch(match) {
+    const text = String(match || '').trim();
+    if (!text) throw new Error('A match pattern is required');
+
+    const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        return literal
+            ? new RegExp(literal[1], literal[2])
+            : new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    } catch (err) {
+        throw new Error(`Invalid pattern ${text}: ${err.message}`);
+    }
+}
+
+/**
+ * Validate and clean up rules from a request
+ * @throws {Error} When a rule is invalid
+ */
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) throw new Error('Rules must be a list');
+
+    return rules.map((rule, index) => {
+        const label = `Rule ${index + 1}`;
+        if (!ACTIONS[rule.target]) {
+            throw new Error(`${label}: target must be "category" or "item"`);
+        }
+        if (!ACTIONS[rule.target].includes(rule.action)) {
+            throw new Error(`${label}: ${rule.target} rules can't ${rule.action || 'do nothing'}`);
+        }
+        if (rule.type && !CONTENT_TYPES.includes(rule.type)) {
+            throw new Error(`${label}: unknown content type "${rule.type}"`);
+        }
+        try {
+            parseMatch(rule.match);
+        } catch (err) {
+            throw new Error(`${label}: ${err.message}`);
+        }
+
+        const value = String(rule.value ?? '');
+        if (rule.action === 'move' && !value.trim()) {
+            throw new Error(`${label}: a group name is required`);
+        }
+
+        return {
+            target: rule.target,
+            type: rule.type || null,
+            match: String(rule.match).trim(),
+            action: rule.action,
+            value: rule.action === 'hide' ? '' : (rule.action === 'move' ? value.trim() : value),
+            enabled: rule.enabled !== false
+        };
+    });
+}
+
+/**
+ * Rules of a source that apply to a target and content type, with their RegExp
+ */
+function compile(rules, target, type) {
+    if (!CONTENT_TYPES.includes(type)) return [];
+    return (rules || [])
+        .map((rule, index) => ({ ...rule, index }))
+        .filter(rule => rule.enabled !== false && rule.target === target && (!rule.type || rule.type === type))
+        .map(rule => ({ ...rule, regex: parseMatch(rule.match) }));
+}
+
+/**
+ * Run compiled rules on a name
+ * @param {Function} onMatch - Optional, called with (rule, nameBefore, result) for previews
+ * @returns {object} { name, group (group name when moved, else null), hidden }
+ */
+function apply(compiled, name, onMatch = null) {
+    const result = { name, group: null, hidden: false };
+    for (const rule of compiled) {
+        if (result.name.search(rule.regex) === -1) continue;
+
+        const before = result.name;
+        if (rule.action === 'hide') {
+            result.hidden = true;
+        } else if (rule.action === 'rename') {
+            // Never rename to nothing
+            result.name = result.name.replace(rule.regex, rule.value).trim() || result.name;
+        } else if (rule.action === 'move') {
+            result.group = rule.value;
+        }
+        onMatch?.(rule, before, result);
+    }
+    return result;
+}
+
+/**
+ * Rules of a source
+ */
+async function getRules(sourceId) {
+    const source = await sources.getById(sourceId);
+    return source?.rules || [];
+}
+
+/**
+ * Resolves group names of move rules to category IDs: an existing group with
+ * that name, or one created for the rule
+ * @param {string} prefix - Category ID prefix of created groups (channel overrides use their own)
+ */
+function groupResolver(sourceId, type, prefix = GROUP_PREFIX) {
+    const db = getDb();
+    const find = db.prepare(`
+        SELECT category_id FROM categories WHERE source_id = ? AND type = ? AND name = ?
+        ORDER BY category_id LIKE '${GROUP_PREFIX}%' LIMIT 1
+    `);
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO categories (id, source_id, category_id, type, name, data)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const ids = new Map();
+
+    return (name) => {
+        if (!ids.has(name)) {
+            let categoryId = find.get(sourceId, type, name)?.category_id;
+            if (!categoryId) {
+                categoryId = `${prefix}${type}:${name}`;
+                insert.run(`${sourceId}:${categoryId}`, sourceId, categoryId, type, name,
+                    JSON.stringify({ category_id: categoryId, category_name: name }));
+            }
+            ids.set(name, categoryId);
+        }
+        return ids.get(name);
+    };
+}
+
+/**
+ * Provider name and group of a stored category/item (rules may have changed the columns)
+ */
+function getOriginal(row, isCategory = false) {
+    let data = {};
+    try {
+        data = JSON.parse(row.data) || {};
+    } catch (err) {
+        // Keep the stored values
+    }
+    return {
+        name: String((isCategory ? data.category_name : data.name ?? data.title) ?? row.name),
+        categoryId: data.category_id !== undefined && data.category_id !== null ? String(data.category_id) : row.category_id
+    };
+}
+
+/**
+ * Apply the saved rules to the content already stored for a source
+ * @returns {object} { updated } - Number of categories and items that changed
+ */
+async function applyToSource(sourceId) {
+    const rules = await getRules(sourceId);
+    const db = getDb();
+    let updated = 0;
+
+    const updateCategory = db.prepare(`
+        UPDATE categories SET name = ?, rule_hidden = ? WHERE id = ?
+    `);
+    const updateItem = db.prepare(`
+        UPDATE playlist_items SET name = ?, category_id = ?, rule_hidden = ? WHERE id = ?
+    `);
+
+    for (const type of CONTENT_TYPES) {
+        const categoryRules = compile(rules, 'category', type);
+        const itemRules = compile(rules, 'item', type);
+        const resolveGroup = groupResolver(sourceId, type);
+
+        db.transaction(() => {
+            const categories = db.prepare(`
+                SELECT id, name, data, rule_hidden FROM categories
+                WHERE source_id = ? AND type = ? AND category_id NOT LIKE '${GROUP_PREFIX}%'
+            `).all(sourceId, type);
+            for (const row of categories) {
+                const result = apply(categoryRules, getOriginal(row, true).name);
+                if (result.name !== row.name || result.hidden !== !!row.rule_hidden) {
+                    updateCategory.run(result.name, result.hidden ? 1 : 0, row.id);
+                    updated++;
+                }
+            }
+
+            const items = db.prepare(`
+                SELECT id, name, category_id, data, rule_hidden FROM playlist_items WHERE source_id = ? AND type = ?
+            `).all(sourceId, type);
+            for (const row of items) {
+                const original = getOriginal(row);
+                const result = apply(itemRules, original.name);
+                const categoryId = result.group ? resolveGroup(result.group) : original.categoryId;
+                if (result.name !== row.name || categoryId !== row.category_id || result.hidden !== !!row.rule_hidden) {
+                    updateItem.run(result.name, categoryId, result.hidden ? 1 : 0, row.id);
+                    updated++;
+                }
+            }
+
+            // Groups of move rules that are gone or matched nothing (unless a channel override uses them)
+            db.prepare(`
+                DELETE FROM categories
+                WHERE source_id = ? AND type = ? AND category_id LIKE '${GROUP_PREFIX}%'
+                AND category_id NOT IN (SELECT category_id FROM playlist_items WHERE source_id = ? AND type = ?)
+                AND category_id NOT IN (SELECT category_id FROM channel_overrides WHERE source_id = ? AND category_id IS NOT NULL)
+            `).run(sourceId, type, sourceId, type, sourceId);
+        })();
+    }
+
+    console.log(`[Rules] Applied ${rules.length} rules to source ${sourceId} (${updated} changes)`);
+    return { updated };
+}
+
+/**
+ * What rules would do to the stored content of a source, without saving them
+ * @returns {Array} Per rule: { count, examples: [{ type, name, result }] }
+ */
+function preview(sourceId, rules) {
+    const db = getDb();
+    const results = rules.map(() => ({ count: 0, examples: [] }));
+
+    const record = (type) => (rule, before, result) => {
+        const entry = results[rule.index];
+        entry.count++;
+        if (entry.examples.length < PREVIEW_EXAMPLES) {
+            const outcome = rule.action === 'hide' ? 'Hidden'
+                : rule.action === 'rename' ? `Renamed to "${result.name}"`
+                    : `Moved to ${rule.value}`;
+            entry.examples.push({ type, name: before, result: outcome });
+        }
+    };
+
+    for (const type of CONTENT_TYPES) {
+        const categoryRules = compile(rules, 'category', type);
+        const itemRules = compile(rules, 'item', type);
+
+        if (categoryRules.length > 0) {
+            const categories = db.prepare(`
+                SELECT name, data FROM categories
+                WHERE source_id = ? AND type = ? AND category_id NOT LIKE '${GROUP_PREFIX}%'
+            `).all(sourceId, type);
+            categories.forEach(row => apply(categoryRules, getOriginal(row, true).name, record(type)));
+        }
+
+        if (itemRules.length > 0) {
+            const items = db.prepare('SELECT name, data FROM playlist_items WHERE source_id = ? AND type = ?').iterate(sourceId, type);
+            for (const row of items) {
+                apply(itemRules, getOriginal(row).name, record(type));
+            }
+        }
+    }
+
+    return results;
+}
+
+module.exports = { CONTENT_TYPES, normalizeRules, compile, apply, getRules, groupResolver, applyToSource, preview };
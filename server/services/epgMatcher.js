@@ -0,0 +1,128 @@
+/**
+ * EPG Matcher Service
+ * Fuzzy matching of channel names to XMLTV channels, used to suggest EPG mappings.
+ *
+ * Names are normalized before comparing: quality tags (HD, FHD, 4K...) and
+ * country prefixes ("UK:", "[US]", "DE |") are stripped, then the remaining
+ * tokens are compared with a Dice coefficient.
+ */
+
+// Tags that don't identify a channel
+const IGNORED_TOKENS = new Set([
+    'hd', 'fhd', 'uhd', 'sd', 'hq', '4k', '8k', 'hevc', 'h264', 'h265',
+    '1080p', '720p', '1080', '720', '50fps', '60fps', 'fps', 'raw', 'backup', 'tv'
+]);
+
+// Leading country/region prefixes: "UK:", "US |", "[DE]", "(FR)", "|UK|", "NL -"
+const COUNTRY_PREFIX = /^\s*[[(|]?\s*[a-z]{2,3}\s*[\])|:\-]+\s*/i;
+
+// Minimum score for a suggestion to be returned
+const MIN_SCORE = 0.5;
+
+/**
+ * Split a channel name into comparable tokens
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function tokenize(name) {
+    if (!name) return [];
+    const stripped = String(name)
+        .toLowerCase()
+        .replace(COUNTRY_PREFIX, '')
+        .replace(/&/g, ' and ');
+
+    return stripped
+        .split(/[^a-z0-9+]+/)
+        .filter(token => token && !IGNORED_TOKENS.has(token));
+}
+
+/**
+ * Turn an XMLTV channel ID into a name-like string ("bbc1.uk" -> "bbc1", "Sky.News@SD" -> "Sky News")
+ */
+function idToName(id) {
+    return String(id || '')
+        .replace(/@.*$/, '')
+        .replace(/\.[a-z]{2,3}$/i, '')
+        .replace(/[._]/g, ' ');
+}
+
+/**
+ * Score two token lists (0..1)
+ */
+function scoreTokens(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+
+    // Same name with different spacing ("BBC One" vs "BBCOne")
+    if (a.join('') === b.join('')) return 1;
+
+    const setB = new Set(b);
+    const common = new Set(a.filter(token => setB.has(token))).size;
+    return (2 * common) / (new Set(a).size + setB.size);
+}
+
+/**
+ * Build a lookup index for a list of XMLTV channels
+ * @param {Array<{id: string, name: string}>} epgChannels
+ */
+function buildIndex(epgChannels) {
+    const entries = epgChannels.map(ch => {
+        const nameTokens = tokenize(ch.name);
+        const idTokens = tokenize(idToName(ch.id));
+        return { channel: ch, nameTokens, idTokens };
+    });
+
+    // Inverted index: token -> entries containing it (limits comparisons on large guides)
+    const byToken = new Map();
+    const byCompact = new Map();
+    for (const entry of entries) {
+        for (const token of new Set([...entry.nameTokens, ...entry.idTokens])) {
+            if (!byToken.has(token)) byToken.set(token, []);
+            byToken.get(token).push(entry);
+        }
+        for (const tokens of [entry.nameTokens, entry.idTokens]) {
+            const compact = tokens.join('');
+            if (!compact) continue;
+            if (!byCompact.has(compact)) byCompact.set(compact, []);
+            byCompact.get(compact).push(entry);
+        }
+    }
+
+    return { entries, byToken, byCompact };
+}
+
+/**
+ * Suggest XMLTV channels for a channel name
+ * @param {string} channelName
+ * @param {object} index - From buildIndex()
+ * @param {number} limit - Max suggestions
+ * @returns {Array<{id: string, name: string, score: number}>} Best matches first
+ */
+function suggest(channelName, index, limit = 3) {
+    const tokens = tokenize(channelName);
+    if (tokens.length === 0) return [];
+
+    const candidates = new Set(index.byCompact.get(tokens.join('')) || []);
+    for (const token of tokens) {
+        for (const entry of index.byToken.get(token) || []) {
+            candidates.add(entry);
+        }
+    }
+
+    const scored = [];
+    for (const entry of candidates) {
+        const score = Math.max(scoreTokens(tokens, entry.nameTokens), scoreTokens(tokens, entry.idTokens));
+        if (score >= MIN_SCORE) {
+            scored.push({ id: entry.channel.id, name: entry.channel.name, score: Math.round(score * 100) / 100 });
+        }
+    }
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+module.exports = {
+    tokenize,
+    buildIndex,
+    suggest
+};
@@ -6,6 +6,7 @@
 const sax = require('sax');
 const zlib = require('zlib');
 const { Readable } = require('stream');
+const { withRetry, httpError } = require('./retry');
 
 /**
  * Parse XMLTV date format (YYYYMMDDHHmmss +ZZZZ)
@@ -230,13 +231,17 @@ async function fetchAndParse(url) {
  * 
  * @param {string} url - XMLTV URL
  * @param {number} batchSize - Number of programmes per batch (default: 1000)
+ * @param {object} options - { signal } to abort the download
  * @yields {{ channels: Array|null, programmes: Array, isLast: boolean }}
  */
-async function* fetchAndParseStreaming(url, batchSize = 1000) {
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch EPG: ${response.status} ${response.statusText}`);
-    }
+async function* fetchAndParseStreaming(url, batchSize = 1000, { signal = null } = {}) {
+    const response = await withRetry(async () => {
+        const res = await fetch(url, { signal });
+        if (!res.ok) {
+            throw httpError(`Failed to fetch EPG: ${res.status} ${res.statusText}`, res);
+        }
+        return res;
+    }, { signal, label: 'EPG download' });
 
     let stream;
     if (response.body && typeof response.body.pipe === 'function') {
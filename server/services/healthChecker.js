@@ -0,0 +1,279 @@
+/**
+ * Stream Health Checker
+ *
+ * Checks live channels in the background and records whether they answer,
+ * how long they take to start and their resolution. Channels are checked in
+ * small batches on a timer so a large lineup never hits the provider at once,
+ * one source at a time and never with more streams open than the account allows.
+ * Checks hold provider connection slots like any viewer, but give them up to anyone
+ * who starts watching, and a source without a free slot is skipped for the run.
+ *
+ * Modes (settings.healthCheckMode):
+ *   probe - ffprobe the stream (detects resolution, catches streams that answer but carry no video)
+ *   http  - only check the HTTP status (cheaper, no resolution)
+ */
+
+const { getDb, streamHealth, providerAccounts } = require('../db/sqlite');
+const { settings, getUserAgent } = require('../db');
+const lineup = require('./lineupService');
+const streamHeaders = require('./streamHeaders');
+const connectionTracker = require('./connectionTracker');
+const { probeStream, analyzeProbeResult } = require('../routes/probe');
+
+// How often the scheduler looks for channels that are due
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Channels checked per scheduler tick
+const BATCH_SIZE = 50;
+
+const PROBE_TIMEOUT_MS = 10000;
+const HTTP_TIMEOUT_MS = 8000;
+
+class HealthChecker {
+    constructor() {
+        this.ffprobePath = null;
+        this._timer = null;
+        this._progress = null; // { checked, total, dead, startedAt } while a run is active
+    }
+
+    /**
+     * Start the health check scheduler
+     * Should be called once on server startup
+     */
+    start(ffprobePath) {
+        this.ffprobePath = ffprobePath || null;
+
+        if (this._timer) {
+            clearInterval(this._timer);
+        }
+        this._timer = setInterval(() => this.tick().catch(console.error), TICK_INTERVAL_MS);
+        this._timer.unref(); // Don't prevent process exit
+
+        console.log(`[Health] Scheduler started (${this.ffprobePath ? 'ffprobe' : 'HTTP only'})`);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Current run progress, or null when idle
+     */
+    getStatus() {
+        return this._progress ? { running: true, ...this._progress } : { running: false };
+    }
+
+    /**
+     * Check the next batch of channels that haven't been checked recently
+     */
+    async tick() {
+        const s = await settings.get();
+        if (!s.healthCheckEnabled || this._progress) return;
+
+        const maxAgeMs = (parseFloat(s.healthCheckInterval) || 12) * 60 * 60 * 1000;
+        const items = await this.getChannels({ checkedBefore: Date.now() - maxAgeMs, limit: BATCH_SIZE });
+        if (items.length === 0) return;
+
+        await this.run(items, s);
+    }
+
+    /**
+     * Check every visible channel of a source now (admin "Check now")
+     * Resolves once the run has started; checks continue in the background
+     * @returns {number} Number of channels queued
+     */
+    async checkSource(sourceId = null) {
+        if (this._progress) {
+            throw new Error('A health check is already running');
+        }
+
+        const s = await settings.get();
+        const items = await this.getChannels({ sourceId });
+        this.run(items, s).catch(err => console.error('[Health] Run failed:', err));
+        return items.length;
+    }
+
+    /**
+     * Get visible live channels of enabled sources, least recently checked first
+     * @param {object} options
+     * @param {number} options.sourceId - Only this source
+     * @param {number} options.checkedBefore - Only channels not checked since (ms)
+     * @param {number} options.limit
+     */
+    async getChannels({ sourceId = null, checkedBefore = null, limit = null } = {}) {
+        const enabled = (await lineup.getContentSources()).filter(src => !sourceId || src.id === sourceId);
+        if (enabled.length === 0) return [];
+
+        const sourceMap = new Map(enabled.map(src => [src.id, src]));
+        const params = enabled.map(src => src.id);
+
+        let query = `
+            SELECT p.source_id, p.item_id, p.name, p.stream_url, p.data
+            FROM playlist_items p
+            LEFT JOIN stream_health h ON h.source_id = p.source_id AND h.item_id = p.item_id
+            WHERE p.type = 'live' AND p.is_hidden = 0 AND p.rule_hidden = 0
+              AND p.source_id IN (${params.map(() => '?').join(',')})
+        `;
+        if (checkedBefore) {
+            query += ` AND (h.checked_at IS NULL OR h.checked_at < ?)`;
+            params.push(checkedBefore);
+        }
+        // Never-checked channels first, then the oldest results
+        query += ` ORDER BY h.checked_at IS NOT NULL, h.checked_at`;
+        if (limit) {
+            query += ` LIMIT ?`;
+            params.push(limit);
+        }
+
+        return getDb().prepare(query).all(...params).map(row => ({
+            ...row,
+            type: 'live',
+            source: sourceMap.get(row.source_id),
+            data: JSON.parse(row.data || '{}')
+        }));
+    }
+
+    /**
+     * Check a list of channels with limited concurrency
+     * Sources are checked one after another, each with at most its account's
+     * max_connections streams open at once
+     */
+    async run(items, s) {
+        const concurrency = Math.min(8, Math.max(1, parseInt(s.healthCheckConcurrency) || 1));
+        const userAgent = getUserAgent(s);
+        const mode = s.healthCheckMode === 'http' || !this.ffprobePath ? 'http' : 'probe';
+
+        const bySource = new Map();
+        for (const item of items) {
+            if (!bySource.has(item.source_id)) bySource.set(item.source_id, []);
+            bySource.get(item.source_id).push(item);
+        }
+
+        this._progress = { checked: 0, total: items.length, dead: 0, startedAt: Date.now() };
+        console.log(`[Health] Checking ${items.length} channels of ${bySource.size} sources (${mode}, up to ${concurrency} at a time)`);
+
+        try {
+            for (const [sourceId, sourceItems] of bySource) {
+                const limit = providerAccounts.get(sourceId)?.max_connections || null;
+                const sourceConcurrency = limit ? Math.min(concurrency, limit) : concurrency;
+
+                const queue = [...sourceItems];
+                // Each worker holds one connection slot; it stops when it can't get one
+                const worker = async (index) => {
+                    const viewer = { id: `health:${index}`, name: 'Health check' };
+                    while (queue.length > 0) {
+                        const item = queue.shift();
+                        let result;
+                        try {
+                            result = await this.checkChannel(item, mode, userAgent, viewer);
+                        } catch (err) {
+                            if (err.code !== 'CONNECTION_LIMIT') throw err;
+                            queue.unshift(item);
+                            return;
+                        }
+                        streamHealth.record(item.source_id, item.item_id, result);
+
+                        this._progress.checked++;
+                        if (result.status === 'dead') this._progress.dead++;
+                    }
+                };
+
+                await Promise.all(Array.from({ length: sourceConcurrency }, (_, index) => worker(index)));
+
+                if (queue.length > 0) {
+                    console.log(`[Health] Skipped ${queue.length} channels of source ${sourceId}: no free provider connection`);
+                    this._progress.total -= queue.length;
+                }
+            }
+            console.log(`[Health] Done: ${this._progress.checked} checked, ${this._progress.dead} dead`);
+        } finally {
+            this._progress = null;
+        }
+    }
+
+    /**
+     * Check a single channel
+     * @param {object} viewer - Connection tracker viewer the check's provider connection belongs to
+     * @returns {Promise<{status: string, latencyMs?: number, width?: number, height?: number, videoCodec?: string, error?: string}>}
+     * @throws {Error} code CONNECTION_LIMIT when the source has no free connection
+     */
+    async checkChannel(item, mode, userAgent, viewer) {
+        let upstreamUrl;
+        try {
+            upstreamUrl = await lineup.resolveStreamUrl(item, 'ts');
+        } catch (err) {
+            // Stalker portal refused to create a link
+            return { status: 'dead', error: err.message };
+        }
+
+        const { url, headers } = streamHeaders.resolve(upstreamUrl);
+        if (!url) {
+            return { status: 'dead', error: 'No stream URL' };
+        }
+
+        // Stopped when a viewer needs the slot
+        const controller = new AbortController();
+        const connection = await connectionTracker.open(null, url, { sourceId: item.source_id, viewer, background: true });
+        if (connection) connection.onStop = () => controller.abort();
+
+        const startedAt = Date.now();
+        try {
+            if (mode === 'http') {
+                await this.httpCheck(url, userAgent, headers, controller.signal);
+                return { status: 'ok', latencyMs: Date.now() - startedAt };
+            }
+
+            const info = analyzeProbeResult(await probeStream(url, this.ffprobePath, userAgent, PROBE_TIMEOUT_MS, headers, controller.signal), url);
+            if (info.video === 'unknown' && info.audio === 'unknown') {
+                return { status: 'dead', error: 'No audio or video streams' };
+            }
+            return {
+                status: 'ok',
+                latencyMs: Date.now() - startedAt,
+                width: info.width,
+                height: info.height,
+                videoCodec: info.video
+            };
+        } catch (err) {
+            // A viewer took the slot - the channel wasn't checked, so try again next time
+            if (controller.signal.aborted) throw Object.assign(new Error('Connection taken over'), { code: 'CONNECTION_LIMIT' });
+            // Keep the first line only - ffprobe errors include the whole stderr
+            return { status: 'dead', error: String(err.message).split('\n')[0].slice(0, 200) };
+        } finally {
+            connection?.close();
+        }
+    }
+
+    /**
+     * Check that a stream URL answers with a success status
+     * Only the headers are read; the body is cancelled right away
+     */
+    async httpCheck(url, userAgent, headers = null, signal = null) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+        signal?.addEventListener('abort', () => controller.abort(), { once: true });
+        try {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': userAgent, ...headers },
+                redirect: 'follow',
+                signal: controller.signal
+            });
+            response.body?.cancel().catch(() => { });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (err) {
+            throw err.name === 'AbortError' ? new Error('Timeout') : err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = new HealthChecker();
@@ -0,0 +1,377 @@
+/**
+ * Lineup Service
+ * Builds the curated lineup served to external clients (Xtream-compatible API, exports).
+ *
+ * - Items from all enabled Xtream/M3U/Stalker sources are merged into one lineup
+ * - Hidden items and items in hidden categories are excluded
+ * - SQLite rowids are used as the public stream/category IDs so they are
+ *   numeric and unique across sources (Xtream clients expect integers)
+ */
+
+const { getDb, channelNumbers } = require('../db/sqlite');
+const { sources } = require('../db');
+const xtreamApi = require('./xtreamApi');
+const stalkerApi = require('./stalkerApi');
+const channelOverrides = require('./channelOverrides');
+
+// Episode IDs are encoded as (episodeId * factor + sourceId) since episodes aren't stored locally
+const EPISODE_ID_FACTOR = 1000;
+
+// Source types with playable channels, movies and series (EPG and local library sources aren't part of the lineup)
+const CONTENT_SOURCE_TYPES = ['xtream', 'm3u', 'stalker'];
+
+/**
+ * Get enabled sources that provide playable content
+ */
+async function getContentSources() {
+    const allSources = await sources.getAll();
+    return allSources.filter(s => s.enabled && CONTENT_SOURCE_TYPES.includes(s.type));
+}
+
+/**
+ * Get IDs of enabled sources that provide playable content
+ */
+async function getContentSourceIds() {
+    return (await getContentSources()).map(s => s.id);
+}
+
+/**
+ * Get visible categories for a content type
+ * @param {string} type - 'live', 'movie', 'series'
+ * @returns {Array} Categories with numeric public IDs
+ */
+async function getCategories(type) {
+    const sourceIds = await getContentSourceIds();
+    if (sourceIds.length === 0) return [];
+
+    const db = getDb();
+    const placeholders = sourceIds.map(() => '?').join(',');
+    return db.prepare(`
+        SELECT rowid AS num, source_id, category_id, name
+        FROM categories
+        WHERE type = ? AND is_hidden = 0 AND rule_hidden = 0 AND source_id IN (${placeholders})
+        ORDER BY source_id, name
+    `).all(type, ...sourceIds);
+}
+
+/**
+ * Get visible items for a content type
+ * @param {string} type - 'live', 'movie', 'series'
+ * @param {number|null} categoryNum - Public category ID to filter by
+ * @returns {Array} Items with num (public ID), category_num, category_name and parsed data
+ */
+async function getItems(type, categoryNum = null) {
+    const sourceIds = await getContentSourceIds();
+    if (sourceIds.length === 0) return [];
+
+    const db = getDb();
+    const placeholders = sourceIds.map(() => '?').join(',');
+    let query = `
+        SELECT p.rowid AS num, p.*, c.rowid AS category_num, c.name AS category_name,
+               m.epg_channel_id AS mapped_epg_channel_id,
+               o.name AS override_name, o.logo AS override_logo, o.category_id AS override_category_id
+        FROM playlist_items p
+        LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id AND p.type = 'live'
+        LEFT JOIN categories c ON c.id = p.source_id || ':' || COALESCE(o.category_id, p.category_id) AND c.type = p.type
+        LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+        WHERE p.type = ? AND p.is_hidden = 0 AND p.rule_hidden = 0
+          AND (c.is_hidden IS NULL OR (c.is_hidden = 0 AND c.rule_hidden = 0))
+          AND p.source_id IN (${placeholders})
+    `;
+    const params = [type, ...sourceIds];
+
+    if (categoryNum) {
+        query += ` AND c.rowid = ?`;
+        params.push(parseInt(categoryNum));
+    }
+
+    query += ` ORDER BY p.source_id, p.rowid`;
+
+    return db.prepare(query).all(...params).map(parseItem);
+}
+
+/**
+ * Get a single visible item by its public ID
+ * @returns {object|null} Item with its source, or null if missing/hidden/disabled
+ */
+async function getItem(type, num) {
+    const db = getDb();
+    const item = db.prepare(`
+        SELECT p.rowid AS num, p.*, c.rowid AS category_num, c.name AS category_name,
+               m.epg_channel_id AS mapped_epg_channel_id,
+               o.name AS override_name, o.logo AS override_logo, o.category_id AS override_category_id
+        FROM playlist_items p
+        LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id AND p.type = 'live'
+        LEFT JOIN categories c ON c.id = p.source_id || ':' || COALESCE(o.category_id, p.category_id) AND c.type = p.type
+        LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+        WHERE p.rowid = ? AND p.type = ? AND p.is_hidden = 0 AND p.rule_hidden = 0
+          AND (c.is_hidden IS NULL OR (c.is_hidden = 0 AND c.rule_hidden = 0))
+    `).get(parseInt(num), type);
+    if (!item) return null;
+
+    const source = await sources.getById(item.source_id);
+    if (!source || !source.enabled) return null;
+
+    return { ...parseItem(item), source };
+}
+
+/**
+ * Parse the JSON data column and normalize the EPG channel ID
+ * Manual EPG mappings take precedence over the provider's EPG ID,
+ * channel overrides over the provider's name, logo and group
+ */
+function parseItem(row) {
+    const data = JSON.parse(row.data || '{}');
+    return {
+        ...row,
+        data,
+        name: row.override_name || row.name,
+        stream_icon: row.override_logo || row.stream_icon,
+        category_id: row.override_category_id || row.category_id,
+        epg_channel_id: row.mapped_epg_channel_id || data.epg_channel_id || data.tvgId || null
+    };
+}
+
+/**
+ * Give every item a stable channel number (item.number), the way the web player numbers channels:
+ * the user's custom number (live only), the provider's number (tvg-chno / Xtream num),
+ * then the public ID - or the next free number when that one is taken
+ * @param {Array} items - Items from getItems()
+ * @param {number|null} userId - User whose custom channel numbers apply
+ * @returns {Array} The same items
+ */
+function assignNumbers(items, userId = null) {
+    const custom = new Map(userId
+        ? channelNumbers.getAll(userId).map(n => [`${n.source_id}:${n.item_id}`, n.number])
+        : []);
+    const taken = new Set();
+    const claim = (item, number) => {
+        if (!number || taken.has(number)) return false;
+        item.number = number;
+        taken.add(number);
+        return true;
+    };
+
+    items.forEach(item => {
+        item.number = null;
+        if (item.type === 'live') claim(item, custom.get(`${item.source_id}:${item.item_id}`));
+    });
+    // Provider numbers can collide across sources - first one wins
+    items.forEach(item => {
+        if (item.number === null) claim(item, parseInt(item.data.tvgChno) || parseInt(item.data.num) || null);
+    });
+
+    let next = [...taken].reduce((max, n) => Math.max(max, n), 0) + 1;
+    items.forEach(item => {
+        if (item.number === null && !claim(item, item.num)) {
+            while (taken.has(next)) next++;
+            claim(item, next);
+        }
+    });
+    return items;
+}
+
+/**
+ * Resolve the upstream URL for an item
+ * Stalker links are created on the portal every time (they are temporary)
+ * @param {object} item - Item from getItem() (includes source)
+ * @param {string} container - Requested container (ts, m3u8, mp4...)
+ */
+async function resolveStreamUrl(item, container = 'ts') {
+    const { source } = item;
+    if (source.type === 'xtream') {
+        const api = xtreamApi.createFromSource(source);
+        const typeMap = { live: 'live', movie: 'vod', series: 'series' };
+        const ext = item.type === 'movie' ? (item.container_extension || container) : container;
+        return api.buildStreamUrl(item.item_id, typeMap[item.type] || 'live', ext);
+    }
+    if (source.type === 'stalker') {
+        if (!item.data.cmd) return null;
+        return stalkerApi.createFromSource(source).createLink(item.type === 'live' ? 'itv' : 'vod', item.data.cmd);
+    }
+    // M3U sources keep the direct URL in the item data
+    return item.stream_url || item.data.stream_url || item.data.url || null;
+}
+
+/**
+ * Encode an upstream episode ID as a public ID
+ */
+function encodeEpisodeId(sourceId, episodeId) {
+    return parseInt(episodeId) * EPISODE_ID_FACTOR + parseInt(sourceId);
+}
+
+/**
+ * Decode a public episode ID
+ * @returns {{sourceId: number, episodeId: number}}
+ */
+function decodeEpisodeId(num) {
+    const value = parseInt(num);
+    return {
+        sourceId: value % EPISODE_ID_FACTOR,
+        episodeId: Math.floor(value / EPISODE_ID_FACTOR)
+    };
+}
+
+/**
+ * Get EPG programmes for a channel
+ * @param {string} epgChannelId - XMLTV channel ID (tvg-id)
+ * @param {number} from - Start of range (ms), programmes ending after this are included
+ * @param {number|null} limit - Max programmes
+ * @param {Array<number>|null} sourceIds - Only include programmes from these EPG sources
+ */
+function getProgrammes(epgChannelId, from = 0, limit = null, sourceIds = null) {
+    const db = getDb();
+    let query = `
+        SELECT channel_id, start_time, end_time, title, description
+        FROM epg_programs
+        WHERE channel_id = ? AND end_time > ?
+    `;
+    const params = [epgChannelId, from];
+    if (sourceIds) {
+        if (sourceIds.length === 0) return [];
+        query += ` AND source_id IN (${sourceIds.map(() => '?').join(',')})`;
+        params.push(...sourceIds);
+    }
+    // Group by start time - the same channel can have programmes from several EPG sources
+    query += ` GROUP BY start_time ORDER BY start_time`;
+    if (limit) {
+        query += ` LIMIT ?`;
+        params.push(parseInt(limit));
+    }
+    return db.prepare(query).all(...params);
+}
+
+/**
+ * Get display names and icons for EPG channels from the epg_channel rows saved during EPG sync
+ * @param {Array<number>} sourceIds - EPG sources to read from
+ * @returns {Map<string, {name: string, icon: string|null}>} Keyed by XMLTV channel ID
+ */
+function getEpgChannelInfo(sourceIds) {
+    const info = new Map();
+    if (sourceIds.length === 0) return info;
+
+    const db = getDb();
+    const rows = db.prepare(`
+        SELECT item_id, name, stream_icon
+        FROM playlist_items
+        WHERE type = 'epg_channel' AND source_id IN (${sourceIds.map(() => '?').join(',')})
+    `).all(...sourceIds);
+
+    for (const row of rows) {
+        const existing = info.get(row.item_id);
+        if (!existing) {
+            info.set(row.item_id, { name: row.name, icon: row.stream_icon });
+        } else if (!existing.icon && row.stream_icon) {
+            existing.icon = row.stream_icon;
+        }
+    }
+    return info;
+}
+
+/**
+ * Escape text for XML output
+ */
+function escapeXml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a timestamp (ms) as an XMLTV date (YYYYMMDDHHMMSS +0000)
+ */
+function formatXmltvDate(ms) {
+    return new Date(ms).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * Also resolves if the stream closes (client disconnected)
+ */
+async function write(out, chunk) {
+    if (out.destroyed || out.write(chunk)) return;
+    await new Promise(resolve => {
+        const done = () => {
+            out.off('drain', done);
+            out.off('close', done);
+            resolve();
+        };
+        out.on('drain', done);
+        out.on('close', done);
+    });
+}
+
+/**
+ * Write an XMLTV document for the visible live lineup
+ * Only channels with an EPG channel ID are included, with programmes from all enabled sources
+ * @param {Writable} out - Stream to write to (e.g. an Express response or gzip stream)
+ * @param {string} baseUrl - Address of this server (for uploaded channel logos)
+ * @param {number} from - Include programmes ending after this timestamp (ms)
+ */
+async function writeXmltv(out, baseUrl, from = Date.now() - 24 * 60 * 60 * 1000) {
+    const channels = await getItems('live');
+    const allSources = await sources.getAll();
+    const epgSourceIds = allSources.filter(s => s.enabled).map(s => s.id);
+    const epgChannelInfo = getEpgChannelInfo(epgSourceIds);
+
+    // Several lineup channels can share one EPG channel
+    const epgChannels = new Map();
+    for (const ch of channels) {
+        if (ch.epg_channel_id && !epgChannels.has(ch.epg_channel_id)) {
+            epgChannels.set(ch.epg_channel_id, ch);
+        }
+    }
+
+    await write(out, '<?xml version="1.0" encoding="UTF-8"?>\n');
+    await write(out, '<tv generator-info-name="nodecast-tv">\n');
+
+    for (const [id, ch] of epgChannels) {
+        // Prefer the guide's own channel name/icon, fall back to the lineup channel
+        const info = epgChannelInfo.get(id);
+        const name = info?.name || ch.name;
+        const icon = info?.icon || channelOverrides.absoluteLogo(ch.stream_icon, baseUrl);
+
+        let chunk = `  <channel id="${escapeXml(id)}">\n`;
+        chunk += `    <display-name>${escapeXml(name)}</display-name>\n`;
+        if (icon) chunk += `    <icon src="${escapeXml(icon)}" />\n`;
+        chunk += '  </channel>\n';
+        await write(out, chunk);
+    }
+
+    for (const id of epgChannels.keys()) {
+        if (out.destroyed) return;
+        const programmes = getProgrammes(id, from, null, epgSourceIds);
+        let chunk = '';
+        for (const p of programmes) {
+            chunk += `  <programme start="${formatXmltvDate(p.start_time)}" stop="${formatXmltvDate(p.end_time)}" channel="${escapeXml(id)}">\n`;
+            chunk += `    <title>${escapeXml(p.title)}</title>\n`;
+            if (p.description) chunk += `    <desc>${escapeXml(p.description)}</desc>\n`;
+            chunk += '  </programme>\n';
+        }
+        if (chunk) await write(out, chunk);
+
+        // Yield to event loop between channels
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await write(out, '</tv>\n');
+}
+
+module.exports = {
+    getContentSources,
+    getContentSourceIds,
+    getCategories,
+    getItems,
+    getItem,
+    assignNumbers,
+    resolveStreamUrl,
+    encodeEpisodeId,
+    decodeEpisodeId,
+    getProgrammes,
+    getEpgChannelInfo,
+    escapeXml,
+    writeXmltv
+};
@@ -0,0 +1,418 @@
+/**
+ * Local Library
+ *
+ * Scans a directory of video files for `local` sources. Files with an SxxEyy (or 1x02)
+ * pattern become series episodes, everything else a movie (title and year from the
+ * file name). Sidecar .nfo files, poster images and .srt/.vtt subtitles next to the
+ * video are picked up too.
+ *
+ * Items are stored in playlist_items like Xtream VOD, so Movies/Series pages work
+ * unchanged. Files are served by routes/library.js; paths stored in item data are
+ * relative to the library folder.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { getDb } = require('../db/sqlite');
+
+const VIDEO_EXTENSIONS = new Set(['mp4', 'm4v', 'mkv', 'avi', 'mov', 'webm', 'wmv', 'ts', 'm2ts', 'mpg', 'mpeg', 'flv']);
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt'];
+
+// Folder artwork names (Kodi/Plex/Jellyfin conventions)
+const FOLDER_POSTERS = ['poster', 'folder', 'cover', 'show'];
+
+// Folders that never contain library items
+const SKIPPED_FOLDERS = /^(\.|@eaDir$|#recycle$|\$RECYCLE\.BIN$|extras?$|featurettes$|behind the scenes$|deleted scenes$|samples?$|trailers$)/i;
+const SAMPLE_FILE = /(^|[\W_])sample([\W_]|$)/i;
+
+// Release tags - everything from the first tag on is dropped from titles
+const RELEASE_TAGS = /\b(2160p|1080p|1080i|720p|576p|480p|4k|uhd|hdr|bluray|blu-ray|brrip|bdrip|web-?dl|webrip|web|hdtv|dvdrip|dvd|x264|x265|h\.?264|h\.?265|hevc|xvid|remux|proper|repack|extended|unrated|internal|multi)\b.*$/i;
+
+const EPISODE_PATTERNS = [
+    /^(.*?)[\s._-]*\bS(\d{1,2})[\s._-]?E(\d{1,3})(?:-?E\d{1,3})*\b(.*)$/i,
+    /^(.*?)[\s._-]*\b(\d{1,2})x(\d{2,3})\b(.*)$/i
+];
+
+const SEASON_FOLDER = /^(season|series|staffel|saison|temporada)[\s._-]*\d+$|^s\d{1,2}$|^specials$/i;
+
+const PORT = process.env.PORT || 3000;
+
+/**
+ * Stable ID for a library path (favorites and history survive rescans)
+ */
+function makeId(key) {
+    return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Turn "Some.Movie_Name" into "Some Movie Name"
+ */
+function cleanTitle(text) {
+    return text
+        .replace(/[._]/g, ' ')
+        .replace(RELEASE_TAGS, '')
+        .replace(/[\s\-[(]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse a movie title and year from a file or folder name
+ * The last year wins ("Blade Runner 2049 (2017)"), as long as a title remains before it
+ * @returns {{ title: string, year: number|null }}
+ */
+function parseMovieName(base) {
+    const name = base.replace(/[._]/g, ' ');
+    let best = null;
+    for (const match of name.matchAll(/[\s([-]((?:19|20)\d{2})(?=[\s)\]-]|$)/g)) {
+        if (name.slice(0, match.index).trim()) {
+            best = match;
+        }
+    }
+
+    if (best) {
+        return { title: cleanTitle(name.slice(0, best.index)), year: parseInt(best[1]) };
+    }
+    return { title: cleanTitle(name) || base, year: null };
+}
+
+/**
+ * Whether a folder is named after the movie inside it (rather than a category like "Action")
+ */
+function isMovieFolder(folder, base) {
+    const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const folderName = parseMovieName(folder);
+    return !!folderName.year || normalize(folderName.title) === normalize(parseMovieName(base).title);
+}
+
+/**
+ * Parse a series episode from a file name
+ * @returns {{ show: string, season: number, episode: number, title: string }|null}
+ */
+function parseEpisodeName(base) {
+    for (const pattern of EPISODE_PATTERNS) {
+        const match = base.match(pattern);
+        if (match) {
+            return {
+                show: cleanTitle(match[1]),
+                season: parseInt(match[2]),
+                episode: parseInt(match[3]),
+                title: cleanTitle(match[4].replace(/^[\s._-]+/, ''))
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the fields we use from a Kodi-style .nfo file (movie, tvshow or episodedetails)
+ * .nfo files that only contain a link are ignored
+ */
+async function readNfo(filePath) {
+    let xml;
+    try {
+        xml = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+        return {};
+    }
+
+    const decode = (value) => value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+        .trim();
+    const all = (tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))].map(m => decode(m[1])).filter(Boolean);
+    const first = (tag) => all(tag)[0] || null;
+
+    // <rating> is either a value or (newer Kodi) <ratings><rating><value>
+    const rating = first('value') || first('rating');
+    const year = first('year') || first('premiered')?.slice(0, 4) || first('aired')?.slice(0, 4);
+
+    return {
+        title: first('title'),
+        plot: first('plot') || first('outline'),
+        year: year ? parseInt(year) || null : null,
+        rating: rating && !isNaN(parseFloat(rating)) ? String(parseFloat(rating)) : null,
+        genre: all('genre').join(', ') || null,
+        director: all('director').join(', ') || null,
+        runtime: first('runtime'),
+        season: first('season'),
+        episode: first('episode')
+    };
+}
+
+/**
+ * Recursively list the video files of a folder, with the other files of each directory
+ * @returns {Promise<Array<{ dir: string, files: string[], videos: string[] }>>}
+ */
+async function walk(root) {
+    const result = [];
+    const pending = [root];
+
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            console.warn(`[Library] Cannot read ${dir}: ${err.message}`);
+            continue;
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                if (!SKIPPED_FOLDERS.test(entry.name)) {
+                    pending.push(path.join(dir, entry.name));
+                }
+            } else if (entry.isFile() || entry.isSymbolicLink()) {
+                files.push(entry.name);
+            }
+        }
+
+        const videos = files.filter(f =>
+            VIDEO_EXTENSIONS.has(path.extname(f).slice(1).toLowerCase()) && !SAMPLE_FILE.test(path.parse(f).name)
+        );
+        result.push({ dir, files, videos });
+    }
+
+    return result;
+}
+
+/**
+ * Find sidecar files for a video in its directory listing
+ * @param {string[]} files - File names in the directory
+ * @param {string} base - Video file name without extension
+ * @param {string[]} folderNames - Folder-level names to fall back to (e.g. movie.nfo)
+ */
+function findSidecar(files, base, extensions, suffixes = [''], folderNames = []) {
+    const lower = new Map(files.map(f => [f.toLowerCase(), f]));
+    const candidates = [
+        ...suffixes.map(suffix => `${base}${suffix}`),
+        ...folderNames
+    ];
+    for (const name of candidates) {
+        for (const ext of extensions) {
+            const match = lower.get(`${name}.${ext}`.toLowerCase());
+            if (match) return match;
+        }
+    }
+    return null;
+}
+
+/**
+ * Subtitles next to a video: Movie.srt, Movie.en.srt, Movie.eng.forced.srt
+ */
+function findSubtitles(files, base) {
+    const prefix = base.toLowerCase();
+    return files
+        .filter(f => {
+            const lower = f.toLowerCase();
+            return SUBTITLE_EXTENSIONS.includes(path.extname(lower).slice(1)) &&
+                (path.parse(lower).name === prefix || lower.startsWith(`${prefix}.`));
+        })
+        .sort()
+        .map(f => {
+            const tags = path.parse(f).name.slice(base.length).split('.').filter(Boolean);
+            const language = tags.find(t => /^[a-z]{2,3}(-[a-z]{2})?$/i.test(t)) || '';
+            return {
+                file: f,
+                language: language.toLowerCase(),
+                label: [language.toUpperCase() || 'Subtitles', ...tags.filter(t => t !== language)].join(' ')
+            };
+        });
+}
+
+/**
+ * Scan a library folder
+ * @param {object} source - Local source ({ id, path })
+ * @returns {Promise<{ categories: { movie: Array, series: Array }, movies: Array, series: Array, episodes: Array }>}
+ */
+async function scan(source) {
+    const root = path.resolve(source.path);
+    const stat = await fs.promises.stat(root).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+        throw new Error(`Library folder not found: ${root}`);
+    }
+
+    const rel = (p) => path.relative(root, p).split(path.sep).join('/');
+    const poster = (sourceId, itemId) => `/api/library/${sourceId}/${itemId}/poster`;
+
+    const categories = { movie: new Map(), series: new Map() };
+    const addCategory = (type, folder) => {
+        const name = folder || 'Uncategorized';
+        const id = `${type}:${folder}`;
+        categories[type].set(id, { category_id: id, category_name: name, parent_id: null });
+        return id;
+    };
+
+    const movies = [];
+    const series = new Map(); // key -> series item
+    const episodes = [];
+    const listings = await walk(root);
+    const listingByDir = new Map(listings.map(l => [l.dir, l]));
+
+    for (const { dir, files, videos } of listings) {
+        for (const video of videos) {
+            const base = path.parse(video).name;
+            const filePath = path.join(dir, video);
+            const fileStat = await fs.promises.stat(filePath).catch(() => null);
+            if (!fileStat || !fileStat.isFile()) continue;
+
+            const relFile = rel(filePath);
+            const extension = path.extname(video).slice(1).toLowerCase();
+            const added = String(Math.floor(fileStat.mtimeMs / 1000));
+            const subtitles = findSubtitles(files, base).map(s => ({ ...s, file: rel(path.join(dir, s.file)) }));
+            const parsed = parseEpisodeName(base);
+
+            if (!parsed) {
+                // Movie - "Title (Year)/Title.mkv" layouts: the folder belongs to the movie
+                const ownFolder = dir !== root && videos.length === 1 && isMovieFolder(path.basename(dir), base);
+                const categoryDir = ownFolder ? path.dirname(dir) : dir;
+                const nfoFile = findSidecar(files, base, ['nfo'], [''], ownFolder ? ['movie'] : []);
+                const posterFile = findSidecar(files, base, IMAGE_EXTENSIONS, ['-poster', ''], ownFolder ? FOLDER_POSTERS : []);
+                const nfo = nfoFile ? await readNfo(path.join(dir, nfoFile)) : {};
+                const fromName = parseMovieName(ownFolder && !parseMovieName(base).year ? path.basename(dir) : base);
+                const itemId = makeId(`movie:${relFile}`);
+
+                movies.push({
+                    stream_id: itemId,
+                    name: nfo.title || fromName.title,
+                    year: nfo.year || fromName.year,
+                    plot: nfo.plot || '',
+                    rating: nfo.rating,
+                    genre: nfo.genre,
+                    director: nfo.director,
+                    duration: nfo.runtime,
+                    category_id: addCategory('movie', rel(categoryDir)),
+                    container_extension: extension,
+                    stream_icon: posterFile ? poster(source.id, itemId) : null,
+                    added,
+                    file: relFile,
+                    poster: posterFile ? rel(path.join(dir, posterFile)) : null,
+                    subtitles
+                });
+                continue;
+            }
+
+            // Episode - the show's folder is the parent (or grandparent for "Season 1" folders)
+            const showDir = SEASON_FOLDER.test(path.basename(dir)) ? path.dirname(dir) : dir;
+            const hasShowFolder = showDir !== root && (showDir !== dir || !parsed.show);
+            const key = hasShowFolder ? `dir:${rel(showDir)}` : `name:${parsed.show.toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+
+            if (!series.has(key)) {
+                const showFiles = listingByDir.get(showDir)?.files || [];
+                const nfoFile = hasShowFolder ? findSidecar(showFiles, 'tvshow', ['nfo']) : null;
+                const posterFile = hasShowFolder ? findSidecar(showFiles, 'poster', IMAGE_EXTENSIONS, [''], FOLDER_POSTERS) : null;
+                const nfo = nfoFile ? await readNfo(path.join(showDir, nfoFile)) : {};
+                const folderName = parseMovieName(path.basename(showDir));
+                const seriesId = makeId(`series:${key}`);
+
+                series.set(key, {
+                    series_id: seriesId,
+                    name: nfo.title || (hasShowFolder ? folderName.title : parsed.show) || parsed.show,
+                    plot: nfo.plot || '',
+                    releaseDate: String(nfo.year || folderName.year || ''),
+                    rating: nfo.rating,
+                    genre: nfo.genre,
+                    category_id: addCategory('series', rel(hasShowFolder ? path.dirname(showDir) : dir)),
+                    cover: posterFile ? poster(source.id, seriesId) : null,
+                    last_modified: added,
+                    poster: posterFile ? rel(path.join(showDir, posterFile)) : null
+                });
+            }
+
+            const show = series.get(key);
+            if (parseInt(added) > parseInt(show.last_modified)) show.last_modified = added;
+
+            const nfoFile = findSidecar(files, base, ['nfo']);
+            const nfo = nfoFile ? await readNfo(path.join(dir, nfoFile)) : {};
+            const thumbFile = findSidecar(files, base, IMAGE_EXTENSIONS, ['-thumb', '']);
+            const itemId = makeId(`episode:${relFile}`);
+
+            episodes.push({
+                id: itemId,
+                series_id: show.series_id,
+                season: parsed.season,
+                episode_num: parsed.episode,
+                title: nfo.title || parsed.title || `Episode ${parsed.episode}`,
+                category_id: show.category_id,
+                container_extension: extension,
+                stream_icon: thumbFile ? poster(source.id, itemId) : null,
+                added,
+                info: {
+                    plot: nfo.plot || '',
+                    rating: nfo.rating,
+                    duration: nfo.runtime
+                },
+                file: relFile,
+                poster: thumbFile ? rel(path.join(dir, thumbFile)) : null,
+                subtitles
+            });
+        }
+    }
+
+    return {
+        categories: {
+            movie: [...categories.movie.values()],
+            series: [...categories.series.values()]
+        },
+        movies,
+        series: [...series.values()],
+        episodes
+    };
+}
+
+/**
+ * Look up a library item and the absolute paths of its files
+ * Paths are checked to stay inside the library folder
+ * @returns {{ item: object, resolve: (relPath: string) => string|null }|null}
+ */
+function getItem(source, itemId) {
+    if (!source || source.type !== 'local') return null;
+
+    const row = getDb().prepare(`
+        SELECT name, type, data FROM playlist_items WHERE source_id = ? AND item_id = ?
+    `).get(source.id, String(itemId));
+    if (!row) return null;
+
+    const root = path.resolve(source.path);
+    const resolve = (relPath) => {
+        if (!relPath) return null;
+        const full = path.resolve(root, relPath);
+        const inside = path.relative(root, full);
+        return inside && !inside.startsWith('..') && !path.isAbsolute(inside) ? full : null;
+    };
+
+    return { item: { ...JSON.parse(row.data || '{}'), name: row.name, type: row.type }, resolve };
+}
+
+/**
+ * Playback URL of a library file
+ * The token is in the query string since <video> and FFmpeg can't send auth headers
+ */
+function getStreamUrl(sourceId, itemId, container, token) {
+    return `/api/library/${sourceId}/${itemId}/stream.${container || 'mp4'}?token=${encodeURIComponent(token || '')}`;
+}
+
+/**
+ * Server-side readers (FFmpeg, the stream proxy) get library URLs over loopback
+ * @param {string} url - Stream URL
+ * @returns {string} Absolute URL for library files, the URL unchanged otherwise
+ */
+function toLoopbackUrl(url) {
+    return url && url.startsWith('/api/library/') ? `http://127.0.0.1:${PORT}${url}` : url;
+}
+
+/**
+ * Convert SubRip subtitles to WebVTT
+ */
+function srtToVtt(srt) {
+    return 'WEBVTT\n\n' + srt
+        .replace(/^\uFEFF/, '')
+        .replace(/\r/g, '')
+        .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+}
+
+module.exports = { VIDEO_EXTENSIONS, scan, getItem, getStreamUrl, toLoopbackUrl, srtToVtt, parseMovieName, parseEpisodeName };
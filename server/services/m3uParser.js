@@ -5,6 +5,7 @@
 
 const readline = require('readline');
 const { Readable } = require('stream');
+const { withRetry, httpError } = require('./retry');
 
 /**
  * Generate a simple stable ID from name and group
@@ -24,6 +25,170 @@ function generateStableId(name, group) {
     return `m3u_${Math.abs(hash).toString(36)}`;
 }
 
+// #EXTVLCOPT options that map to request headers
+const VLC_HEADER_OPTIONS = {
+    'http-user-agent': 'User-Agent',
+    'http-referrer': 'Referer',
+    'http-referer': 'Referer',
+    'http-origin': 'Origin',
+    'http-cookie': 'Cookie'
+};
+
+/**
+ * Normalize a header name (user-agent -> User-Agent, referrer -> Referer)
+ * @param {string} name - Header name
+ * @returns {string} Canonical header name
+ */
+function normalizeHeaderName(name) {
+    const lower = name.trim().toLowerCase();
+    if (lower === 'referrer') return 'Referer';
+    return lower.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+}
+
+/**
+ * Parse a Kodi-style header string (User-Agent=foo&Referer=bar) into an object
+ * @param {string} str - Header string
+ * @param {Object} headers - Object to add the headers to
+ */
+function parseHeaderString(str, headers) {
+    for (const pair of str.split('&')) {
+        const eq = pair.indexOf('=');
+        if (eq <= 0) continue;
+
+        let value = pair.substring(eq + 1);
+        try {
+            value = decodeURIComponent(value);
+        } catch (e) {
+            // Not URL-encoded, keep as-is
+        }
+        headers[normalizeHeaderName(pair.substring(0, eq))] = value.trim();
+    }
+}
+
+/**
+ * Split pipe-suffixed headers off a stream URL (http://host/stream.m3u8|User-Agent=foo)
+ * @param {string} url - Stream URL
+ * @returns {{ url: string, headers: Object }} Clean URL and its headers
+ */
+function splitUrlHeaders(url) {
+    const pipeIndex = url.indexOf('|');
+    if (pipeIndex === -1) {
+        return { url, headers: {} };
+    }
+
+    const headers = {};
+    parseHeaderString(url.substring(pipeIndex + 1), headers);
+    return { url: url.substring(0, pipeIndex).trim(), headers };
+}
+
+/**
+ * Append headers to a stream URL as a pipe suffix (the reverse of splitUrlHeaders)
+ * @param {string} url - Stream URL
+ * @param {Object|null} headers - Headers to append
+ * @returns {string} URL with |Header=value&... when there are headers
+ */
+function joinUrlHeaders(url, headers) {
+    const pairs = Object.entries(headers || {}).map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+    return pairs.length > 0 ? `${url}|${pairs.join('&')}` : url;
+}
+
+/**
+ * Parse a player option line (#EXTVLCOPT, #KODIPROP, #EXTHTTP) into request headers
+ * Options apply to the next stream URL in the playlist
+ * @param {string} line - Option line
+ * @param {Object} headers - Object to add the headers to
+ */
+function parseOptionLine(line, headers) {
+    if (line.startsWith('#EXTVLCOPT:')) {
+        // #EXTVLCOPT:http-user-agent=Mozilla/5.0
+        const option = line.substring(11).trim();
+        const eq = option.indexOf('=');
+        if (eq === -1) return;
+
+        const name = VLC_HEADER_OPTIONS[option.substring(0, eq).trim().toLowerCase()];
+        if (name) {
+            headers[name] = option.substring(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+        }
+    } else if (line.startsWith('#KODIPROP:')) {
+        // #KODIPROP:inputstream.adaptive.stream_headers=User-Agent=foo&Referer=bar
+        const match = line.match(/^#KODIPROP:inputstream\.adaptive\.(?:stream|manifest)_headers=(.*)$/i);
+        if (match) {
+            parseHeaderString(match[1], headers);
+        }
+    } else if (line.startsWith('#EXTHTTP:')) {
+        // #EXTHTTP:{"cookie":"foo=bar"}
+        try {
+            const json = JSON.parse(line.substring(9));
+            for (const [name, value] of Object.entries(json)) {
+                headers[normalizeHeaderName(name)] = String(value);
+            }
+        } catch (e) {
+            // Ignore malformed JSON
+        }
+    }
+}
+
+/**
+ * Parse the #EXTM3U header line
+ * Playlists can point to their EPG (url-tvg / x-tvg-url) and set catch-up and
+ * tvg-shift defaults for every channel
+ * @param {string} line - #EXTM3U line
+ * @returns {Object} Playlist header info
+ */
+function parseHeader(line) {
+    const attr = (name) => line.match(new RegExp(`${name}="([^"]*)"`, 'i'))?.[1] || null;
+
+    // Both attributes may hold a comma-separated list of XMLTV URLs
+    const epgUrls = [attr('url-tvg'), attr('x-tvg-url')]
+        .filter(Boolean)
+        .flatMap(value => value.split(','))
+        .map(url => url.trim())
+        .filter(Boolean);
+
+    return {
+        epgUrls: [...new Set(epgUrls)],
+        catchup: attr('catchup(?:-type)?'),
+        catchupSource: attr('catchup-source'),
+        catchupDays: attr('catchup-days'),
+        tvgShift: attr('tvg-shift')
+    };
+}
+
+/**
+ * Build a channel from its EXTINF info and stream URL line
+ * @param {Object} info - Parsed EXTINF info
+ * @param {string} line - Stream URL line
+ * @param {string} currentGroup - Group from the last #EXTGRP
+ * @param {Object} optionHeaders - Headers from option lines since the last channel
+ * @param {Object} header - Playlist header info (defaults for catch-up and tvg-shift)
+ * @returns {Object} Channel
+ */
+function buildChannel(info, line, currentGroup, optionHeaders, header) {
+    const groupTitle = info.groupTitle || currentGroup || 'Uncategorized';
+    // Generate a stable ID: use tvgId if present, otherwise hash name+group
+    const stableId = info.tvgId || generateStableId(info.name, groupTitle);
+    const { url, headers: urlHeaders } = splitUrlHeaders(line);
+
+    // Pipe-suffixed headers win over option lines, which win over EXTINF attributes
+    const httpHeaders = { ...info.httpHeaders, ...optionHeaders, ...urlHeaders };
+
+    // A catch-up source without a mode uses the "default" mode (the source replaces the URL)
+    const catchupSource = info.catchupSource || header.catchupSource;
+    const catchup = info.catchup || header.catchup || (catchupSource ? 'default' : null);
+
+    return {
+        ...info,
+        id: stableId,
+        url,
+        groupTitle,
+        tvgShift: info.tvgShift || header.tvgShift,
+        catchup,
+        catchupSource,
+        catchupDays: info.catchupDays || header.catchupDays,
+        httpHeaders: Object.keys(httpHeaders).length > 0 ? httpHeaders : null
+    };
+}
+
 /**
  * Parse EXTINF line and extract attributes
  * @param {string} line - EXTINF line
@@ -36,6 +201,12 @@ function parseExtinf(line) {
         tvgName: null,
         tvgLogo: null,
         groupTitle: null,
+        tvgChno: null,
+        tvgShift: null,
+        catchup: null,
+        catchupSource: null,
+        catchupDays: null,
+        httpHeaders: null,
         name: null
     };
 
@@ -51,7 +222,12 @@ function parseExtinf(line) {
         tvgId: /tvg-id="([^"]*)"/i,
         tvgName: /tvg-name="([^"]*)"/i,
         tvgLogo: /tvg-logo="([^"]*)"/i,
-        groupTitle: /group-title="([^"]*)"/i
+        groupTitle: /group-title="([^"]*)"/i,
+        tvgChno: /tvg-chno="([^"]*)"/i,
+        tvgShift: /tvg-shift="([^"]*)"/i,
+        catchup: /catchup(?:-type)?="([^"]*)"/i,
+        catchupSource: /catchup-source="([^"]*)"/i,
+        catchupDays: /catchup-days="([^"]*)"/i
     };
 
     for (const [key, pattern] of Object.entries(attrPatterns)) {
@@ -61,6 +237,15 @@ function parseExtinf(line) {
         }
     }
 
+    // Some playlists put request headers on the EXTINF line itself
+    const userAgentMatch = rest.match(/(?:http-)?user-agent="([^"]*)"/i);
+    const referrerMatch = rest.match(/http-referr?er="([^"]*)"/i);
+    if (userAgentMatch || referrerMatch) {
+        info.httpHeaders = {};
+        if (userAgentMatch) info.httpHeaders['User-Agent'] = userAgentMatch[1];
+        if (referrerMatch) info.httpHeaders['Referer'] = referrerMatch[1];
+    }
+
     // Extract channel name (after the comma)
     const commaIndex = rest.lastIndexOf(',');
     if (commaIndex !== -1) {
@@ -81,13 +266,15 @@ function parseExtinf(line) {
 /**
  * Parse M3U content (Stream or String)
  * @param {Readable|string} input - M3U content as Stream or String
- * @returns {Promise<{ channels: Array, groups: Array }>}
+ * @returns {Promise<{ channels: Array, groups: Array, header: Object }>}
  */
 async function parse(input) {
     const channels = [];
     const groupsSet = new Set();
     let currentInfo = null;
     let currentGroup = null;
+    let optionHeaders = {};
+    let header = parseHeader('');
 
     let lines;
 
@@ -107,7 +294,10 @@ async function parse(input) {
         const trimmed = line.trim();
         if (!trimmed) continue;
 
-        if (trimmed.startsWith('#EXTINF:')) {
+        if (trimmed.startsWith('#EXTM3U')) {
+            // Playlist header (EPG URL, catch-up defaults)
+            header = parseHeader(trimmed);
+        } else if (trimmed.startsWith('#EXTINF:')) {
             // Parse EXTINF line
             currentInfo = parseExtinf(trimmed);
             if (currentInfo.groupTitle) {
@@ -121,21 +311,16 @@ async function parse(input) {
             if (currentInfo) {
                 currentInfo.groupTitle = currentGroup;
             }
-        } else if (!trimmed.startsWith('#')) {
+        } else if (trimmed.startsWith('#')) {
+            // Player options carrying request headers (#EXTVLCOPT, #KODIPROP, #EXTHTTP)
+            parseOptionLine(trimmed, optionHeaders);
+        } else {
             // This is a stream URL
             if (currentInfo) {
-                const groupTitle = currentInfo.groupTitle || currentGroup || 'Uncategorized';
-                // Generate a stable ID: use tvgId if present, otherwise hash name+group
-                const stableId = currentInfo.tvgId || generateStableId(currentInfo.name, groupTitle);
-
-                channels.push({
-                    ...currentInfo,
-                    id: stableId,
-                    url: trimmed,
-                    groupTitle: groupTitle
-                });
+                channels.push(buildChannel(currentInfo, trimmed, currentGroup, optionHeaders, header));
                 currentInfo = null;
             }
+            optionHeaders = {};
         }
     }
 
@@ -146,13 +331,13 @@ async function parse(input) {
         channelCount: channels.filter(c => c.groupTitle === name).length
     }));
 
-    return { channels, groups };
+    return { channels, groups, header };
 }
 
 /**
  * Fetch and parse M3U from URL
  * @param {string} url - M3U playlist URL
- * @returns {Promise<{ channels: Array, groups: Array }>}
+ * @returns {Promise<{ channels: Array, groups: Array, header: Object }>}
  */
 async function fetchAndParse(url) {
     const response = await fetch(url);
@@ -181,12 +366,14 @@ async function fetchAndParse(url) {
  * 
  * @param {Readable|string} input - M3U content as Stream or String
  * @param {number} batchSize - Number of channels per batch (default: 500)
- * @yields {{ channels: Array, groups: Set, isLast: boolean }}
+ * @yields {{ channels: Array, groups: Set, header: Object, isLast: boolean }}
  */
 async function* parseStreaming(input, batchSize = 500) {
     const groupsSet = new Set();
     let currentInfo = null;
     let currentGroup = null;
+    let optionHeaders = {};
+    let header = parseHeader('');
     let batch = [];
 
     let lines;
@@ -204,7 +391,9 @@ async function* parseStreaming(input, batchSize = 500) {
         const trimmed = line.trim();
         if (!trimmed) continue;
 
-        if (trimmed.startsWith('#EXTINF:')) {
+        if (trimmed.startsWith('#EXTM3U')) {
+            header = parseHeader(trimmed);
+        } else if (trimmed.startsWith('#EXTINF:')) {
             currentInfo = parseExtinf(trimmed);
             if (currentInfo.groupTitle) {
                 groupsSet.add(currentInfo.groupTitle);
@@ -216,48 +405,48 @@ async function* parseStreaming(input, batchSize = 500) {
             if (currentInfo) {
                 currentInfo.groupTitle = currentGroup;
             }
-        } else if (!trimmed.startsWith('#')) {
+        } else if (trimmed.startsWith('#')) {
+            parseOptionLine(trimmed, optionHeaders);
+        } else {
             if (currentInfo) {
-                const groupTitle = currentInfo.groupTitle || currentGroup || 'Uncategorized';
-                const stableId = currentInfo.tvgId || generateStableId(currentInfo.name, groupTitle);
-
-                batch.push({
-                    ...currentInfo,
-                    id: stableId,
-                    url: trimmed,
-                    groupTitle: groupTitle
-                });
+                batch.push(buildChannel(currentInfo, trimmed, currentGroup, optionHeaders, header));
                 currentInfo = null;
 
                 // Yield batch when full
                 if (batch.length >= batchSize) {
-                    yield { channels: batch, groups: groupsSet, isLast: false };
+                    yield { channels: batch, groups: groupsSet, header, isLast: false };
                     batch = [];
                 }
             }
+            optionHeaders = {};
         }
     }
 
     // Yield remaining channels
     if (batch.length > 0) {
-        yield { channels: batch, groups: groupsSet, isLast: true };
+        yield { channels: batch, groups: groupsSet, header, isLast: true };
     } else {
         // Yield empty final batch with isLast=true so caller knows we're done
-        yield { channels: [], groups: groupsSet, isLast: true };
+        yield { channels: [], groups: groupsSet, header, isLast: true };
     }
 }
 
 /**
  * Fetch and parse M3U from URL as streaming async generator (memory-efficient)
+ * Transient failures of the request are retried (not once channels were yielded)
  * @param {string} url - M3U playlist URL
  * @param {number} batchSize - Number of channels per batch
- * @yields {{ channels: Array, groups: Set, isLast: boolean }}
+ * @param {object} options - { signal } to abort the download
+ * @yields {{ channels: Array, groups: Set, header: Object, isLast: boolean }}
  */
-async function* fetchAndParseStreaming(url, batchSize = 500) {
-    const response = await fetch(url);
-    if (!response.ok) {
-        throw new Error(`Failed to fetch M3U: ${response.status} ${response.statusText}`);
-    }
+async function* fetchAndParseStreaming(url, batchSize = 500, { signal = null } = {}) {
+    const response = await withRetry(async () => {
+        const res = await fetch(url, { signal });
+        if (!res.ok) {
+            throw httpError(`Failed to fetch M3U: ${res.status} ${res.statusText}`, res);
+        }
+        return res;
+    }, { signal, label: 'M3U download' });
 
     let stream;
     if (response.body && typeof response.body.pipe === 'function') {
@@ -274,27 +463,31 @@ async function* fetchAndParseStreaming(url, batchSize = 500) {
 /**
  * Fast count of entries in an M3U playlist (for size estimation)
  * Streams the file and counts #EXTINF lines without full parsing
- * @param {string} url - URL of the M3U playlist
+ * @param {string|Readable} input - URL of the M3U playlist, or an opened stream (local files)
  * @returns {Promise<number>} Number of entries
  */
-async function countEntries(url) {
-    const response = await fetch(url, {
-        headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-    });
-
-    if (!response.ok) {
-        throw new Error(`Failed to fetch playlist: ${response.status}`);
-    }
-
+async function countEntries(input) {
     let stream;
-    if (response.body && typeof response.body.pipe === 'function') {
-        stream = response.body;
-    } else if (response.body) {
-        stream = Readable.fromWeb(response.body);
+    if (typeof input !== 'string') {
+        stream = input;
     } else {
-        return 0;
+        const response = await fetch(input, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch playlist: ${response.status}`);
+        }
+
+        if (response.body && typeof response.body.pipe === 'function') {
+            stream = response.body;
+        } else if (response.body) {
+            stream = Readable.fromWeb(response.body);
+        } else {
+            return 0;
+        }
     }
 
     return new Promise((resolve, reject) => {
@@ -312,5 +505,5 @@ async function countEntries(url) {
     });
 }
 
-module.exports = { parse, parseExtinf, fetchAndParse, parseStreaming, fetchAndParseStreaming, countEntries };
+module.exports = { parse, parseExtinf, splitUrlHeaders, joinUrlHeaders, fetchAndParse, parseStreaming, fetchAndParseStreaming, countEntries };
 
@@ -8,8 +8,9 @@
 const { getDb } = require('../db/sqlite');
 
 class M3uXtreamAdapter {
-    constructor(sourceId) {
+    constructor(sourceId, source = null) {
         this.sourceId = sourceId;
+        this.source = source;
     }
 
     /**
@@ -20,25 +21,28 @@ class M3uXtreamAdapter {
         const db = getDb();
 
         // M3U stores group name in category_id field of playlist_items
-        // We need to aggregate unique groups with counts
+        // We need to aggregate unique groups with counts (channel overrides can move channels)
+        // Names come from categories, where rules and custom groups keep theirs
         let query = `
             SELECT 
-                category_id,
-                category_id as category_name,
+                COALESCE(o.category_id, p.category_id) as category_id,
+                COALESCE(c.name, o.category_id, p.category_id) as category_name,
                 NULL as parent_id,
                 COUNT(*) as channel_count
-            FROM playlist_items 
-            WHERE source_id = ? AND type = 'live'
-            ${!includeHidden ? 'AND is_hidden = 0' : ''}
-            GROUP BY category_id
-            ORDER BY category_id ASC
+            FROM playlist_items p
+            LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id
+            LEFT JOIN categories c ON c.id = p.source_id || ':' || COALESCE(o.category_id, p.category_id) AND c.type = 'live'
+            WHERE p.source_id = ? AND p.type = 'live'
+            ${!includeHidden ? 'AND p.is_hidden = 0 AND p.rule_hidden = 0' : ''}
+            GROUP BY COALESCE(o.category_id, p.category_id)
+            ORDER BY category_name ASC
         `;
 
         const rows = db.prepare(query).all(this.sourceId);
 
         return rows.map(row => ({
             category_id: row.category_id || 'Uncategorized',
-            category_name: row.category_id || 'Uncategorized',
+            category_name: row.category_name || 'Uncategorized',
             parent_id: null,
             // Bonus: include count for lazy-loading UI
             channel_count: row.channel_count
@@ -54,26 +58,29 @@ class M3uXtreamAdapter {
 
         let query = `
             SELECT 
-                item_id as stream_id,
-                name,
-                stream_icon,
-                stream_url,
-                category_id,
-                added_at,
-                data
-            FROM playlist_items 
-            WHERE source_id = ? AND type = 'live'
-            ${!includeHidden ? 'AND is_hidden = 0' : ''}
+                p.item_id as stream_id,
+                COALESCE(o.name, p.name) as name,
+                COALESCE(o.logo, p.stream_icon) as stream_icon,
+                p.stream_url,
+                COALESCE(o.category_id, p.category_id) as category_id,
+                p.added_at,
+                p.data,
+                m.epg_channel_id as mapped_epg_channel_id
+            FROM playlist_items p
+            LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+            LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id
+            WHERE p.source_id = ? AND p.type = 'live'
+            ${!includeHidden ? 'AND p.is_hidden = 0 AND p.rule_hidden = 0' : ''}
         `;
 
         const params = [this.sourceId];
 
         if (categoryId) {
-            query += ` AND category_id = ?`;
+            query += ` AND COALESCE(o.category_id, p.category_id) = ?`;
             params.push(categoryId);
         }
 
-        query += ` ORDER BY name ASC`;
+        query += ` ORDER BY COALESCE(o.name, p.name) ASC`;
 
         const rows = db.prepare(query).all(...params);
 
@@ -85,6 +92,9 @@ class M3uXtreamAdapter {
             }
 
             return {
+                // Include extra fields from parser (tvgId, catchup, tvgShift, etc.)
+                ...extra,
+                // Stored columns win over the parser's values (rules and overrides change them)
                 stream_id: row.stream_id,
                 name: row.name,
                 stream_icon: row.stream_icon,
@@ -92,9 +102,13 @@ class M3uXtreamAdapter {
                 added: row.added_at,
                 // M3U-specific: direct stream URL (Xtream builds URLs from credentials)
                 stream_url: row.stream_url,
-                // Include extra fields from parser (tvgId, etc.)
-                epg_channel_id: extra.tvgId || null,
-                ...extra
+                // Xtream channel number
+                num: parseInt(extra.tvgChno) || null,
+                // Catch-up (tv_archive/tv_archive_duration are stored at sync from catchup/catchup-days)
+                tv_archive: extra.tv_archive || 0,
+                tv_archive_duration: extra.tv_archive_duration || 0,
+                // Manual EPG mapping takes precedence over tvg-id
+                epg_channel_id: row.mapped_epg_channel_id || extra.tvgId || null
             };
         });
     }
@@ -115,14 +129,111 @@ class M3uXtreamAdapter {
     }
 
     /**
-     * Get XMLTV EPG URL - M3U sources don't have built-in EPG URLs.
-     * Returns null; EPG must be configured as a separate source.
+     * Build catch-up URL for a past programme from the channel's catchup attributes
+     * Supported modes: default, append, shift, flussonic, xc
+     * @param {string} streamId - Item ID
+     * @param {Date|number} start - Programme start
+     * @param {number} duration - Duration in minutes
+     * @returns {string|null} Archive URL, or null if the channel has no usable catch-up
+     */
+    buildTimeshiftUrl(streamId, start, duration) {
+        const db = getDb();
+
+        const row = db.prepare(`
+            SELECT stream_url, data FROM playlist_items
+            WHERE source_id = ? AND item_id = ?
+        `).get(this.sourceId, streamId);
+        if (!row) return null;
+
+        const data = JSON.parse(row.data || '{}');
+        const url = row.stream_url || data.stream_url;
+        if (!url || !data.catchup) return null;
+
+        const startSec = Math.floor(new Date(start).getTime() / 1000);
+        const durationSec = duration * 60;
+        const source = data.catchupSource ? fillCatchupTemplate(data.catchupSource, startSec, durationSec) : '';
+
+        switch (String(data.catchup).toLowerCase()) {
+            case 'append':
+                return url + source;
+
+            case 'shift':
+            case 'timeshift':
+                return `${url}${url.includes('?') ? '&' : '?'}utc=${startSec}&lutc=${Math.floor(Date.now() / 1000)}`;
+
+            case 'flussonic':
+            case 'flussonic-hls':
+            case 'flussonic-ts':
+            case 'fs': {
+                // .../channel/index.m3u8 -> .../channel/index-<start>-<duration>.m3u8
+                const hls = url.match(/^(.*\/)([^/?]+)\.m3u8(\?.*)?$/);
+                if (hls) return `${hls[1]}${hls[2]}-${startSec}-${durationSec}.m3u8${hls[3] || ''}`;
+                // .../channel/mpegts -> .../channel/timeshift_abs-<start>.ts
+                const ts = url.match(/^(.*\/)mpegts(\?.*)?$/);
+                if (ts) return `${ts[1]}timeshift_abs-${startSec}.ts${ts[2] || ''}`;
+                return null;
+            }
+
+            case 'xc': {
+                // Xtream URL in the playlist: http://host/[live/]user/pass/id.ts
+                const xc = url.match(/^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/);
+                if (!xc) return null;
+                const startStr = fillCatchupTemplate('{Y}-{m}-{d}:{H}-{M}', startSec, durationSec);
+                return `${xc[1]}/timeshift/${xc[2]}/${xc[3]}/${duration}/${startStr}/${xc[4]}.ts`;
+            }
+
+            default:
+                // catchup-source is either a full URL or a suffix for the stream URL
+                if (!source) return null;
+                return /^https?:\/\//i.test(source) ? source : url + source;
+        }
+    }
+
+    /**
+     * Get XMLTV EPG URL from the playlist header (url-tvg / x-tvg-url).
+     * Returns null when the playlist doesn't declare one (or the adapter was created without the source).
      */
     getXmltvUrl() {
-        return null;
+        return this.source?.epgUrls?.[0] || null;
     }
 }
 
+/**
+ * Fill catch-up placeholders ({utc}, ${start}, {duration}, {Y}-{m}-{d}, ...) in a catchup-source
+ * Date parts use UTC
+ * @param {string} template - catchup-source value
+ * @param {number} startSec - Programme start (unix seconds)
+ * @param {number} durationSec - Programme duration (seconds)
+ */
+function fillCatchupTemplate(template, startSec, durationSec) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const date = new Date(startSec * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const values = {
+        utc: startSec,
+        start: startSec,
+        utcend: startSec + durationSec,
+        end: startSec + durationSec,
+        lutc: nowSec,
+        now: nowSec,
+        timestamp: nowSec,
+        offset: nowSec - startSec,
+        duration: durationSec,
+        Y: date.getUTCFullYear(),
+        m: pad(date.getUTCMonth() + 1),
+        d: pad(date.getUTCDate()),
+        H: pad(date.getUTCHours()),
+        M: pad(date.getUTCMinutes()),
+        S: pad(date.getUTCSeconds())
+    };
+
+    return template
+        // {duration:60} - duration divided by the given number (e.g. minutes)
+        .replace(/\{duration:(\d+)\}/g, (match, divider) => Math.floor(durationSec / parseInt(divider)))
+        .replace(/\$?\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
 /**
  * Factory function to create adapter from source ID
  */
@@ -130,4 +241,11 @@ function createFromSourceId(sourceId) {
     return new M3uXtreamAdapter(sourceId);
 }
 
-module.exports = { M3uXtreamAdapter, createFromSourceId };
+/**
+ * Factory function to create adapter from a source record (includes the playlist EPG URL)
+ */
+function createFromSource(source) {
+    return new M3uXtreamAdapter(source.id, source);
+}
+
+module.exports = { M3uXtreamAdapter, createFromSourceId, createFromSource };
@@ -0,0 +1,318 @@
+/**
+ * Recording Service (DVR)
+ *
+ * Records live channels to disk on an EPG-driven schedule.
+ * Streams are captured as MPEG-TS (tolerant of provider hiccups) and remuxed
+ * to MP4 with faststart once finished, so recordings can be seeked in the browser.
+ *
+ * Recordings hold a provider connection slot like any viewer. A recording that is due
+ * while the account is full waits for a free slot rather than cutting someone off.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const { getDb, recordings } = require('../db/sqlite');
+const { sources, settings, getUserAgent } = require('../db');
+const xtreamApi = require('./xtreamApi');
+const stalkerApi = require('./stalkerApi');
+const streamHeaders = require('./streamHeaders');
+const connectionTracker = require('./connectionTracker');
+
+// Directory for finished and in-progress recordings
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '..', '..', 'data', 'recordings');
+
+// How often the scheduler checks for recordings that are due
+const SCHEDULER_INTERVAL_MS = 15 * 1000;
+
+class RecordingService {
+    constructor() {
+        this.ffmpegPath = 'ffmpeg';
+        this.recordingsDir = RECORDINGS_DIR;
+        this._activeProcesses = new Map(); // recordingId -> ChildProcess
+        this._schedulerTimer = null;
+    }
+
+    /**
+     * Start the recording scheduler
+     * Should be called once on server startup when FFmpeg is available
+     */
+    start(ffmpegPath) {
+        if (ffmpegPath) {
+            this.ffmpegPath = ffmpegPath;
+        }
+
+        fs.mkdirSync(this.recordingsDir, { recursive: true });
+
+        // FFmpeg processes don't survive a restart - keep whatever was captured
+        for (const recording of recordings.getAll(null, 'recording')) {
+            console.log(`[DVR] Recording ${recording.id} was interrupted by a restart`);
+            this.finalize(recording.id, 'Interrupted by server restart').catch(console.error);
+        }
+
+        if (this._schedulerTimer) {
+            clearInterval(this._schedulerTimer);
+        }
+        this._schedulerTimer = setInterval(() => this.checkSchedule(), SCHEDULER_INTERVAL_MS);
+        this._schedulerTimer.unref(); // Don't prevent process exit
+
+        console.log(`[DVR] Scheduler started, recordings stored in ${this.recordingsDir}`);
+        this.checkSchedule();
+    }
+
+    /**
+     * Start any scheduled recordings whose (padded) start time has been reached
+     */
+    checkSchedule() {
+        const now = Date.now();
+
+        for (const recording of recordings.getDue(now)) {
+            const stopAt = recording.end_time + recording.post_padding * 60000;
+            if (stopAt <= now) {
+                // Keep the reason it couldn't start (e.g. no free connection the whole time)
+                recordings.update(recording.id, { status: 'failed', error: recording.error || 'Missed scheduled time' });
+                continue;
+            }
+
+            this.startRecording(recording).catch(err => {
+                if (err.code === 'CONNECTION_LIMIT') return; // Tried again on the next tick
+                console.error(`[DVR] Failed to start recording ${recording.id}:`, err.message);
+                recordings.update(recording.id, { status: 'failed', error: err.message });
+            });
+        }
+    }
+
+    /**
+     * Resolve the upstream stream URL for a recording's channel
+     * Xtream URLs are built on the fly, M3U URLs come from the synced playlist item
+     */
+    async resolveStreamUrl(recording) {
+        const source = await sources.getById(recording.source_id);
+        if (!source) {
+            throw new Error('Source not found');
+        }
+
+        if (source.type === 'xtream') {
+            return xtreamApi.createFromSource(source).buildStreamUrl(recording.item_id, 'live', 'ts');
+        }
+
+        const item = getDb().prepare(`
+            SELECT stream_url, data FROM playlist_items WHERE id = ?
+        `).get(`${recording.source_id}:${recording.item_id}`);
+
+        const data = JSON.parse(item?.data || '{}');
+        if (source.type === 'stalker') {
+            if (!data.cmd) throw new Error('Channel not found on portal');
+            return stalkerApi.createFromSource(source).createLink('itv', data.cmd);
+        }
+
+        const url = item?.stream_url || data.stream_url || data.url;
+        if (!url) {
+            throw new Error('Stream URL not found for channel');
+        }
+        return url;
+    }
+
+    /**
+     * Spawn FFmpeg to capture a channel until the padded end time
+     * @param {object} options - { takeover } - take the oldest provider connection when the account is full
+     * @throws {Error} code CONNECTION_LIMIT when the account is full (the recording stays scheduled)
+     */
+    async startRecording(recording, { takeover = false } = {}) {
+        if (this._activeProcesses.has(recording.id)) return;
+
+        // Claim the recording before any await so the next scheduler tick skips it
+        const startedAt = Date.now();
+        recordings.update(recording.id, { status: 'recording', started_at: startedAt, error: null });
+
+        // Per-channel headers from the playlist take precedence over the preset
+        const channel = streamHeaders.resolve(await this.resolveStreamUrl(recording));
+
+        let connection;
+        try {
+            connection = await connectionTracker.open(null, channel.url, {
+                sourceId: recording.source_id,
+                viewer: { id: `dvr:${recording.id}`, name: `Recording "${recording.title}"` },
+                takeover
+            });
+        } catch (err) {
+            if (err.code === 'CONNECTION_LIMIT') {
+                if (recording.error !== err.message) console.log(`[DVR] Recording ${recording.id} is waiting: ${err.message}`);
+                recordings.update(recording.id, { status: 'scheduled', started_at: null, error: err.message });
+            }
+            throw err;
+        }
+        const currentSettings = await settings.get();
+        const stopAt = recording.end_time + recording.post_padding * 60000;
+        const seconds = Math.max(1, Math.ceil((stopAt - Date.now()) / 1000));
+        const tsPath = path.join(this.recordingsDir, `${recording.id}.ts`);
+
+        const args = [
+            '-hide_banner',
+            '-loglevel', 'warning',
+            ...streamHeaders.ffmpegArgs(channel.headers, getUserAgent(currentSettings)),
+            '-fflags', '+genpts+discardcorrupt',
+            '-reconnect', '1',
+            '-reconnect_streamed', '1',
+            '-reconnect_delay_max', '3',
+            '-i', channel.url,
+            '-map', '0:v:0?',
+            '-map', '0:a:0?',
+            '-c', 'copy',
+            '-t', String(seconds),
+            '-f', 'mpegts',
+            '-y', tsPath
+        ];
+
+        console.log(`[DVR] Recording ${recording.id} "${recording.title}" for ${seconds}s`);
+
+        const ffmpeg = spawn(this.ffmpegPath, args, { windowsHide: true });
+        this._activeProcesses.set(recording.id, ffmpeg);
+        if (connection) {
+            // Someone took the slot over - keep what was captured so far
+            connection.onStop = () => ffmpeg.kill('SIGTERM');
+        }
+        recordings.update(recording.id, { file_path: tsPath });
+
+        ffmpeg.stderr.on('data', (data) => {
+            const line = data.toString().trim();
+            if (line) console.log(`[DVR ${recording.id}] ${line}`);
+        });
+
+        ffmpeg.on('error', (err) => {
+            console.error(`[DVR] FFmpeg error for recording ${recording.id}:`, err.message);
+        });
+
+        ffmpeg.on('close', (code) => {
+            this._activeProcesses.delete(recording.id);
+            connection?.close();
+            const error = code === 0 || code === 255 || code === null ? null : `FFmpeg exited with code ${code}`;
+            this.finalize(recording.id, error).catch(console.error);
+        });
+    }
+
+    /**
+     * Convert the captured MPEG-TS to a seekable MP4 and mark the recording complete
+     */
+    async finalize(id, error = null) {
+        const recording = recordings.getById(id);
+        const tsPath = path.join(this.recordingsDir, `${id}.ts`);
+
+        // Recording was deleted while FFmpeg was still running
+        if (!recording) {
+            await fs.promises.rm(tsPath, { force: true });
+            return;
+        }
+
+        let size = 0;
+        try {
+            size = (await fs.promises.stat(tsPath)).size;
+        } catch {
+            // Nothing was written
+        }
+
+        if (size === 0) {
+            await fs.promises.rm(tsPath, { force: true });
+            recordings.update(id, {
+                status: 'failed',
+                file_path: null,
+                error: error || 'No data received from stream'
+            });
+            return;
+        }
+
+        const mp4Path = path.join(this.recordingsDir, `${id}.mp4`);
+        const remuxed = await this.remuxToMp4(tsPath, mp4Path);
+        let filePath = tsPath;
+
+        if (remuxed) {
+            await fs.promises.rm(tsPath, { force: true });
+            filePath = mp4Path;
+        } else {
+            console.warn(`[DVR] Remux failed for recording ${id}, keeping MPEG-TS file`);
+        }
+
+        const stat = await fs.promises.stat(filePath);
+        const startedAt = recording.started_at || recording.start_time;
+
+        recordings.update(id, {
+            status: 'completed',
+            file_path: filePath,
+            file_size: stat.size,
+            duration: Math.max(0, Math.round((Date.now() - startedAt) / 1000)),
+            error
+        });
+
+        console.log(`[DVR] Recording ${id} completed (${Math.round(stat.size / 1024 / 1024)} MB)`);
+    }
+
+    /**
+     * Remux MPEG-TS to MP4 (video copied, audio normalized to AAC for browser playback)
+     */
+    remuxToMp4(inputPath, outputPath) {
+        return new Promise((resolve) => {
+            const ffmpeg = spawn(this.ffmpegPath, [
+                '-hide_banner',
+                '-loglevel', 'error',
+                '-i', inputPath,
+                '-map', '0:v:0?',
+                '-map', '0:a:0?',
+                '-c:v', 'copy',
+                '-c:a', 'aac',
+                '-b:a', '192k',
+                '-movflags', '+faststart',
+                '-y', outputPath
+            ], { windowsHide: true });
+
+            ffmpeg.stderr.on('data', (data) => {
+                console.warn(`[DVR] Remux: ${data.toString().trim()}`);
+            });
+            ffmpeg.on('error', () => resolve(false));
+            ffmpeg.on('close', (code) => {
+                if (code !== 0) {
+                    fs.promises.rm(outputPath, { force: true }).catch(() => { });
+                }
+                resolve(code === 0);
+            });
+        });
+    }
+
+    /**
+     * Check whether a recording currently has a running FFmpeg process
+     */
+    isRecording(id) {
+        return this._activeProcesses.has(id);
+    }
+
+    /**
+     * Stop an in-progress recording early (the captured part is kept)
+     */
+    stopRecording(id) {
+        const ffmpeg = this._activeProcesses.get(id);
+        if (!ffmpeg) return false;
+
+        console.log(`[DVR] Stopping recording ${id}`);
+        ffmpeg.kill('SIGTERM');
+        return true;
+    }
+
+    /**
+     * Delete a recording, stopping it first and removing its file
+     */
+    async deleteRecording(id) {
+        const recording = recordings.getById(id);
+        if (!recording) return false;
+
+        recordings.delete(id);
+
+        // finalize() cleans up the partial file once FFmpeg exits
+        if (this.stopRecording(id)) return true;
+
+        if (recording.file_path) {
+            await fs.promises.rm(recording.file_path, { force: true });
+        }
+        return true;
+    }
+}
+
+module.exports = new RecordingService();
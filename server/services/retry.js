@@ -0,0 +1,82 @@
+/**
+ * Retries with exponential backoff for transient network failures
+ * (connection resets, timeouts, 5xx and 429 responses). Other errors are thrown right away.
+ */
+
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 520, 521, 522, 524]);
+const RETRY_CODES = new Set([
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Error for a failed HTTP response (status and Retry-After are kept for the retry decision)
+ */
+function httpError(message, response) {
+    response.body?.cancel().catch(() => { });
+    const err = new Error(message);
+    err.status = response.status;
+
+    const retryAfter = parseInt(response.headers.get('retry-after'));
+    if (!isNaN(retryAfter)) {
+        err.retryAfterMs = Math.min(retryAfter * 1000, MAX_DELAY_MS);
+    }
+    return err;
+}
+
+/**
+ * Whether an error is worth retrying
+ */
+function isTransient(err) {
+    if (err.name === 'AbortError') return false;
+    if (err.status) return RETRY_STATUSES.has(err.status);
+
+    const code = err.code || err.cause?.code;
+    if (code) return RETRY_CODES.has(code);
+
+    // fetch reports network failures as TypeError ("fetch failed", "terminated" mid-body)
+    return err.name === 'TypeError' && /fetch failed|terminated/i.test(err.message);
+}
+
+/**
+ * Wait, unless the signal aborts first
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run an async function, retrying transient failures (1s, 2s, 4s, ...)
+ * @param {Function} fn - Attempt to run (gets the attempt number)
+ * @param {object} options - { retries, signal, label (for logs) }
+ */
+async function withRetry(fn, { retries = DEFAULT_RETRIES, signal = null, label = 'Request' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (signal?.aborted || attempt >= retries || !isTransient(err)) throw err;
+
+            const delay = err.retryAfterMs ?? Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+            console.warn(`[Retry] ${label} failed (${err.message}), retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${retries})`);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+module.exports = { withRetry, httpError, isTransient };
@@ -0,0 +1,206 @@
+/**
+ * Global Search
+ *
+ * Ranked full-text search over channels, movies, series and the EPG, using the
+ * FTS5 indexes kept up to date during sync (playlist_items_fts, epg_programs_fts).
+ * Only visible content of enabled sources is returned, with channel overrides applied.
+ */
+
+const { getDb } = require('../db/sqlite');
+const { sources } = require('../db');
+
+const TYPES = {
+    channel: 'live',
+    movie: 'movie',
+    series: 'series'
+};
+const MAX_TERMS = 8;
+const MAX_LIMIT = 50;
+
+// Visible live channels of the given sources, with the EPG channel ID players use
+// (manual mapping, else the provider's epg_channel_id / tvg-id)
+const VISIBLE_CHANNELS = (placeholders) => `
+    SELECT p.source_id, p.item_id, COALESCE(o.name, p.name) AS name, COALESCE(o.logo, p.stream_icon) AS logo,
+           COALESCE(
+               NULLIF(m.epg_channel_id, ''),
+               NULLIF(CAST(json_extract(p.data, '$.epg_channel_id') AS TEXT), ''),
+               NULLIF(CAST(json_extract(p.data, '$.tvgId') AS TEXT), '')
+           ) AS epg_channel_id
+    FROM playlist_items p
+    LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id
+    LEFT JOIN categories c ON c.id = p.source_id || ':' || COALESCE(o.category_id, p.category_id) AND c.type = p.type
+    LEFT JOIN epg_mappings m ON m.source_id = p.source_id AND m.item_id = p.item_id
+    WHERE p.type = 'live' AND p.is_hidden = 0 AND p.rule_hidden = 0
+      AND (c.is_hidden IS NULL OR (c.is_hidden = 0 AND c.rule_hidden = 0))
+      AND p.source_id IN (${placeholders})
+`;
+
+/**
+ * Words of a search, lowercased (punctuation is dropped like the FTS tokenizer does)
+ */
+function getTerms(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_TERMS);
+}
+
+/**
+ * FTS5 query matching every word as a prefix: "bbc"* "one"*
+ */
+function buildMatch(terms) {
+    return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Channels, movies or series matching the search, best first
+ */
+function searchItems(match, terms, type, sourceIds, limit) {
+    const db = getDb();
+    const placeholders = sourceIds.map(() => '?').join(',');
+    const columns = `
+        p.source_id, p.item_id, COALESCE(o.name, p.name) AS name, COALESCE(o.logo, p.stream_icon) AS icon,
+        c.name AS category_name, p.year, p.rating, p.container_extension
+    `;
+    const joins = `
+        LEFT JOIN channel_overrides o ON o.source_id = p.source_id AND o.item_id = p.item_id AND p.type = 'live'
+        LEFT JOIN categories c ON c.id = p.source_id || ':' || COALESCE(o.category_id, p.category_id) AND c.type = p.type
+    `;
+    const visible = `
+        p.type = ? AND p.is_hidden = 0 AND p.rule_hidden = 0
+        AND (c.is_hidden IS NULL OR (c.is_hidden = 0 AND c.rule_hidden = 0))
+        AND p.source_id IN (${placeholders})
+    `;
+
+    const rows = db.prepare(`
+        SELECT ${columns}
+        FROM playlist_items_fts f
+        JOIN playlist_items p ON p.rowid = f.rowid
+        ${joins}
+        WHERE playlist_items_fts MATCH ? AND ${visible}
+        ORDER BY bm25(playlist_items_fts)
+        LIMIT ?
+    `).all(match, TYPES[type], ...sourceIds, limit);
+
+    // The index holds provider names - channels renamed by an override are matched here
+    if (type === 'channel') {
+        const renamed = db.prepare(`
+            SELECT ${columns}
+            FROM channel_overrides o
+            JOIN playlist_items p ON p.source_id = o.source_id AND p.item_id = o.item_id
+            LEFT JOIN categories c ON c.id = p.source_id || ':' || COALESCE(o.category_id, p.category_id) AND c.type = p.type
+            WHERE o.name IS NOT NULL AND ${terms.map(() => 'o.name LIKE ?').join(' AND ')} AND ${visible}
+            ORDER BY o.name
+            LIMIT ?
+        `).all(...terms.map(term => `%${term}%`), TYPES[type], ...sourceIds, limit);
+
+        const seen = new Set();
+        return [...renamed, ...rows]
+            .filter(row => {
+                const key = `${row.source_id}:${row.item_id}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    }
+
+    return rows;
+}
+
+/**
+ * Upcoming and currently airing programmes on visible channels, best first
+ * Each programme comes with the channels that carry it
+ */
+function searchProgrammes(match, sourceIds, limit) {
+    const db = getDb();
+    const placeholders = sourceIds.map(() => '?').join(',');
+    const now = Date.now();
+
+    // Several EPG sources can carry the same programme - fetch extra to make up for duplicates
+    const rows = db.prepare(`
+        WITH channels AS (${VISIBLE_CHANNELS(placeholders)})
+        SELECT e.channel_id, e.start_time, e.end_time, e.title, e.description
+        FROM epg_programs_fts f
+        JOIN epg_programs e ON e.id = f.rowid
+        WHERE epg_programs_fts MATCH ? AND e.end_time > ?
+          AND e.source_id IN (${placeholders})
+          AND e.channel_id IN (SELECT epg_channel_id FROM channels)
+        ORDER BY bm25(epg_programs_fts, 10.0, 1.0), e.start_time
+        LIMIT ?
+    `).all(...sourceIds, match, now, ...sourceIds, limit * 3);
+
+    const seen = new Set();
+    const programmes = rows.filter(row => {
+        const key = `${row.channel_id}:${row.start_time}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).slice(0, limit);
+    if (programmes.length === 0) return [];
+
+    const epgIds = [...new Set(programmes.map(p => p.channel_id))];
+    const channels = db.prepare(`
+        SELECT * FROM (${VISIBLE_CHANNELS(placeholders)})
+        WHERE epg_channel_id IN (${epgIds.map(() => '?').join(',')})
+        ORDER BY source_id, name
+    `).all(...sourceIds, ...epgIds);
+
+    return programmes.map(p => ({
+        ...p,
+        airing: p.start_time <= now,
+        channels: channels.filter(ch => ch.epg_channel_id === p.channel_id)
+    }));
+}
+
+/**
+ * Search everything
+ * @param {string} text - What the user typed
+ * @param {object} options - { limit (per type), types (subset of channel, movie, series, programme) }
+ * @returns {object} { channels, movies, series, programmes } - each ranked best first
+ */
+async function search(text, { limit = 10, types = null } = {}) {
+    const result = { channels: [], movies: [], series: [], programmes: [] };
+    const terms = getTerms(text);
+    if (terms.length === 0) return result;
+
+    const allSources = await sources.getAll();
+    const sourceIds = allSources.filter(s => s.enabled).map(s => s.id);
+    if (sourceIds.length === 0) return result;
+
+    const match = buildMatch(terms);
+    const max = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+    const wanted = (type) => !types || types.includes(type);
+
+    const format = (row) => ({
+        sourceId: row.source_id,
+        itemId: row.item_id,
+        name: row.name,
+        icon: row.icon || null,
+        group: row.category_name || null,
+        year: row.year || null,
+        rating: row.rating ?? null,
+        containerExtension: row.container_extension || null
+    });
+
+    if (wanted('channel')) result.channels = searchItems(match, terms, 'channel', sourceIds, max).map(format);
+    if (wanted('movie')) result.movies = searchItems(match, terms, 'movie', sourceIds, max).map(format);
+    if (wanted('series')) result.series = searchItems(match, terms, 'series', sourceIds, max).map(format);
+    if (wanted('programme')) {
+        result.programmes = searchProgrammes(match, sourceIds, max).map(p => ({
+            title: p.title,
+            description: p.description || '',
+            start: p.start_time,
+            stop: p.end_time,
+            airing: p.airing,
+            epgChannelId: p.channel_id,
+            channels: p.channels.map(ch => ({
+                sourceId: ch.source_id,
+                itemId: ch.item_id,
+                name: ch.name,
+                icon: ch.logo || null
+            }))
+        }));
+    }
+
+    return result;
+}
+
+module.exports = { search };
@@ -0,0 +1,215 @@
+/**
+ * Source Files
+ *
+ * File-backed M3U and EPG sources: files uploaded through SourceManager
+ * (stored in data/uploads) or a path on the server's filesystem.
+ * Files are read as streams and decompressed on the fly (.gz, .xz, .zip).
+ */
+
+const { spawn } = require('child_process');
+const { once } = require('events');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Directory for uploaded playlists and guides
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'data', 'uploads');
+
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024; // 1 GB
+
+/**
+ * Open a source file as a (decompressed) stream
+ * Compression is detected from the file extension
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<Readable>}
+ */
+async function openStream(filePath) {
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (!stat || !stat.isFile()) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    const lower = filePath.toLowerCase();
+    if (lower.endsWith('.gz')) {
+        const gunzip = zlib.createGunzip();
+        pipeline(fs.createReadStream(filePath), gunzip).catch(() => { }); // Errors surface on gunzip
+        return gunzip;
+    }
+    if (lower.endsWith('.xz')) {
+        return openXz(filePath);
+    }
+    if (lower.endsWith('.zip')) {
+        return openZipEntry(filePath);
+    }
+    return fs.createReadStream(filePath);
+}
+
+/**
+ * Decompress an .xz file with the system xz binary (Node has no built-in LZMA)
+ */
+async function openXz(filePath) {
+    const proc = spawn('xz', ['-dc', filePath], { stdio: ['ignore', 'pipe', 'ignore'] });
+    try {
+        await once(proc, 'spawn');
+    } catch (err) {
+        throw new Error(err.code === 'ENOENT' ? 'xz is not installed on the server' : err.message);
+    }
+
+    proc.on('close', (code) => {
+        if (code) {
+            proc.stdout.destroy(new Error(`xz exited with code ${code}`));
+        }
+    });
+    return proc.stdout;
+}
+
+/**
+ * Open the first file inside a .zip archive
+ * Reads the central directory, then streams the entry (stored or deflated).
+ * Zip64 archives (over 4 GB) are not supported.
+ */
+async function openZipEntry(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let entry;
+    let dataStart;
+    try {
+        const { size } = await handle.stat();
+
+        // The end of central directory record sits in the last 22 bytes + up to 64 KB of comment
+        const tailSize = Math.min(size, 22 + 65535);
+        const tail = Buffer.alloc(tailSize);
+        await handle.read(tail, 0, tailSize, size - tailSize);
+
+        const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+        if (eocd === -1) {
+            throw new Error('Invalid zip file');
+        }
+        const entryCount = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+
+        const directory = Buffer.alloc(directorySize);
+        await handle.read(directory, 0, directorySize, directoryOffset);
+
+        // First regular file (skip folders and macOS metadata)
+        let pos = 0;
+        for (let i = 0; i < entryCount && pos + 46 <= directory.length; i++) {
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength);
+            const candidate = {
+                name,
+                method: directory.readUInt16LE(pos + 10),
+                compressedSize: directory.readUInt32LE(pos + 20),
+                localOffset: directory.readUInt32LE(pos + 42)
+            };
+            pos += 46 + nameLength + directory.readUInt16LE(pos + 30) + directory.readUInt16LE(pos + 32);
+
+            if (!name.endsWith('/') && !name.startsWith('__MACOSX/')) {
+                entry = candidate;
+                break;
+            }
+        }
+
+        if (!entry) {
+            throw new Error('Zip file is empty');
+        }
+        if (entry.compressedSize === 0xFFFFFFFF) {
+            throw new Error('Zip64 archives are not supported');
+        }
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`Unsupported zip compression method ${entry.method}`);
+        }
+
+        // Local header has its own (possibly different) name/extra lengths
+        const local = Buffer.alloc(30);
+        await handle.read(local, 0, 30, entry.localOffset);
+        dataStart = entry.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    } finally {
+        await handle.close();
+    }
+
+    if (entry.compressedSize === 0) {
+        return Readable.from([]);
+    }
+
+    const raw = fs.createReadStream(filePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+    if (entry.method === 0) {
+        return raw;
+    }
+
+    const inflate = zlib.createInflateRaw();
+    pipeline(raw, inflate).catch(() => { }); // Errors surface on inflate
+    return inflate;
+}
+
+/**
+ * Read the beginning of a source file as text (for connection tests)
+ * @param {string} filePath - Absolute path
+ * @param {number} maxBytes - Bytes to read
+ */
+async function readHead(filePath, maxBytes = 64 * 1024) {
+    const stream = await openStream(filePath);
+    const chunks = [];
+    let length = 0;
+    try {
+        for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk));
+            length += chunk.length;
+            if (length >= maxBytes) break;
+        }
+    } finally {
+        stream.destroy();
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Save an uploaded file (raw request body) to the upload directory
+ * @param {Readable} input - Request stream
+ * @param {string} filename - Original file name (the extension selects decompression)
+ * @returns {Promise<string>} Path of the saved file
+ */
+async function saveUpload(input, filename) {
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+
+    // Only keep a safe version of the name - never trust client paths
+    const safeName = path.basename(String(filename)).replace(/[^\w.-]/g, '_');
+    const filePath = path.join(UPLOAD_DIR, `${Date.now()}-${safeName}`);
+
+    let size = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            callback(size > MAX_UPLOAD_BYTES ? new Error('File is too large') : null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(input, limiter, fs.createWriteStream(filePath));
+        if (size === 0) {
+            throw new Error('File is empty');
+        }
+    } catch (err) {
+        await fs.promises.rm(filePath, { force: true });
+        throw err;
+    }
+
+    return filePath;
+}
+
+/**
+ * Delete a source's uploaded file (files referenced by path are left alone)
+ * @param {object} source - Source record
+ */
+async function removeUpload(source) {
+    if (!source?.uploaded || !source.file) return;
+    if (path.dirname(path.resolve(source.file)) !== path.resolve(UPLOAD_DIR)) return;
+
+    await fs.promises.rm(source.file, { force: true }).catch(err => {
+        console.warn(`[Sources] Could not delete uploaded file ${source.file}:`, err.message);
+    });
+}
+
+module.exports = { UPLOAD_DIR, openStream, readHead, saveUpload, removeUpload };
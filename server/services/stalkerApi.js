@@ -0,0 +1,327 @@
+/**
+ * Stalker/Ministra Portal Client
+ * Emulates a MAG set-top box: handshake for a token (MAC address in a cookie),
+ * then calls server/load.php with the token. Stream URLs are only valid for a short
+ * time, so they are requested with create_link at play time.
+ */
+
+const crypto = require('crypto');
+const { withRetry, httpError } = require('./retry');
+
+const USER_AGENT = 'Mozilla/5.0 (QtEmbedded; U; Linux; C) AppleWebKit/533.3 (KHTML, like Gecko) MAG200 stbapp ver: 2 rev: 250 Safari/533.3';
+const X_USER_AGENT = 'Model: MAG250; Link: WiFi';
+
+// Stop paging lists after this many pages (portals sometimes report wrong totals)
+const MAX_PAGES = 2000;
+
+class StalkerApi {
+    /**
+     * @param {object} options - { signal } to abort requests (e.g. a cancelled sync)
+     */
+    constructor(portalUrl, mac, options = {}) {
+        this.portalUrl = portalUrl.replace(/\/+$/, '');
+        this.mac = mac.toUpperCase();
+        this.signal = options.signal || null;
+        this.endpoint = null; // load.php URL found during handshake
+        this.token = null;
+        this.pendingHandshake = null; // Shared by requests that need a token while one is on its way
+
+        // Device identifiers derived from the MAC, so they stay the same across restarts
+        this.serial = crypto.createHash('md5').update(this.mac).digest('hex').slice(0, 13).toUpperCase();
+        this.deviceId = crypto.createHash('sha256').update(this.mac).digest('hex').toUpperCase();
+    }
+
+    /**
+     * API endpoints to try: portals live at /c/ with the API at /server/load.php,
+     * or use /portal.php
+     */
+    getEndpointCandidates() {
+        if (/\.php$/i.test(this.portalUrl)) {
+            return [this.portalUrl];
+        }
+        const base = this.portalUrl.replace(/\/c$/i, '');
+        return [`${base}/server/load.php`, `${base}/portal.php`, `${base}/stalker_portal/server/load.php`];
+    }
+
+    /**
+     * Headers of a MAG box
+     * @param {string|null} token - Session token (none for the handshake itself)
+     */
+    getHeaders(token = this.token) {
+        const headers = {
+            'User-Agent': USER_AGENT,
+            'X-User-Agent': X_USER_AGENT,
+            'Cookie': `mac=${encodeURIComponent(this.mac)}; stb_lang=en; timezone=UTC`,
+            'Referer': `${this.portalUrl}/`
+        };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Call load.php and return the "js" payload (transient failures are retried)
+     */
+    async call(endpoint, type, action, params = {}, token = this.token) {
+        const url = new URL(endpoint);
+        url.searchParams.set('type', type);
+        url.searchParams.set('action', action);
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, value);
+            }
+        }
+        url.searchParams.set('JsHttpRequest', '1-xml');
+
+        return withRetry(async () => {
+            const response = await fetch(url.toString(), { headers: this.getHeaders(token), signal: this.signal });
+            if (!response.ok) {
+                throw httpError(`Stalker portal error: ${response.status} ${response.statusText}`, response);
+            }
+
+            const text = await response.text();
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                // Expired tokens get a plain "Authorization failed." instead of JSON
+                const err = new Error(`Stalker portal error: ${text.slice(0, 100) || 'empty response'}`);
+                err.status = /authori[sz]ation failed/i.test(text) ? 401 : 502;
+                throw err;
+            }
+            return data?.js;
+        }, { signal: this.signal, label: `Stalker ${type}/${action}` });
+    }
+
+    /**
+     * Get a token and register the device
+     * Concurrent callers share one handshake; other requests keep the current token until it's done
+     */
+    handshake() {
+        if (!this.pendingHandshake) {
+            this.pendingHandshake = this.performHandshake().finally(() => {
+                this.pendingHandshake = null;
+            });
+        }
+        return this.pendingHandshake;
+    }
+
+    async performHandshake() {
+        let endpoint = null;
+        let token = null;
+        let lastError = null;
+
+        for (const candidate of this.endpoint ? [this.endpoint] : this.getEndpointCandidates()) {
+            try {
+                const result = await this.call(candidate, 'stb', 'handshake', { token: '' }, null);
+                if (result?.token) {
+                    endpoint = candidate;
+                    token = result.token;
+                } else {
+                    // The portal answered, it just won't give this device a token
+                    lastError = new Error('Portal refused the handshake (check the MAC address)');
+                }
+                break;
+            } catch (err) {
+                if (this.signal?.aborted) throw err;
+                lastError = err;
+            }
+        }
+
+        if (!token) {
+            throw lastError || new Error('Stalker handshake failed: no token');
+        }
+
+        const profile = await this.call(endpoint, 'stb', 'get_profile', {
+            hd: 1,
+            stb_type: 'MAG250',
+            sn: this.serial,
+            device_id: this.deviceId,
+            device_id2: this.deviceId,
+            auth_second_step: 1,
+            not_valid_token: 0
+        }, token);
+        if (profile?.status === 1 || profile?.blocked === '1') {
+            throw new Error(profile.msg || 'Device is not authorized on this portal (check the MAC address)');
+        }
+
+        this.endpoint = endpoint;
+        this.token = token;
+        return profile;
+    }
+
+    /**
+     * Make API request (handshakes first, and again once when the token expired)
+     */
+    async request(type, action, params = {}) {
+        if (!this.token) {
+            await this.handshake();
+        }
+        const token = this.token;
+        try {
+            return await this.call(this.endpoint, type, action, params, token);
+        } catch (err) {
+            if (err.status !== 401 && err.status !== 403) throw err;
+            // Renew the token, unless another request already did
+            if (this.token === token) {
+                await this.handshake();
+            }
+            return this.call(this.endpoint, type, action, params);
+        }
+    }
+
+    /**
+     * Fetch every page of a get_ordered_list call
+     */
+    async getAllPages(type, params = {}) {
+        const items = [];
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const result = await this.request(type, 'get_ordered_list', { ...params, p: page });
+            const data = result?.data || [];
+            items.push(...data);
+
+            const total = parseInt(result?.total_items) || 0;
+            if (data.length === 0 || items.length >= total) break;
+        }
+        return items;
+    }
+
+    /**
+     * Account details (expiry date, tariff) for connection tests
+     */
+    async getAccountInfo() {
+        return this.request('account_info', 'get_main_info');
+    }
+
+    /**
+     * Get live channel genres (without the "All" pseudo genre)
+     */
+    async getGenres() {
+        const genres = await this.request('itv', 'get_genres');
+        return (genres || []).filter(g => g.id !== '*');
+    }
+
+    /**
+     * Get all live channels
+     */
+    async getAllChannels() {
+        const result = await this.request('itv', 'get_all_channels');
+        return result?.data || [];
+    }
+
+    /**
+     * Get VOD categories
+     */
+    async getVodCategories() {
+        const categories = await this.request('vod', 'get_categories');
+        return (categories || []).filter(c => c.id !== '*');
+    }
+
+    /**
+     * Get the VOD items of a category
+     */
+    async getVodList(categoryId) {
+        return this.getAllPages('vod', { category: categoryId, sortby: 'added' });
+    }
+
+    /**
+     * Get series categories (portals without the series module throw)
+     */
+    async getSeriesCategories() {
+        const categories = await this.request('series', 'get_categories');
+        return (categories || []).filter(c => c.id !== '*');
+    }
+
+    /**
+     * Get the series of a category
+     */
+    async getSeriesList(categoryId) {
+        return this.getAllPages('series', { category: categoryId, sortby: 'added' });
+    }
+
+    /**
+     * Get the seasons of a series, each with its episode numbers and cmd
+     * @param {string} seriesId - Series ID
+     * @param {string} module - 'series' (series module) or 'vod' (VOD items with is_series)
+     */
+    async getSeasons(seriesId, module = 'series') {
+        return this.getAllPages(module, { movie_id: seriesId, season_id: 0, episode_id: 0 });
+    }
+
+    /**
+     * Resolve a cmd to a playable (temporary) URL
+     * @param {string} type - 'itv' (live) or 'vod' (movies and episodes)
+     * @param {string} cmd - cmd from the channel/VOD/season item
+     * @param {number} episode - Episode number (series only)
+     */
+    async createLink(type, cmd, episode = null) {
+        const result = await this.request(type, 'create_link', {
+            cmd,
+            series: episode || '',
+            forced_storage: 0,
+            disable_ad: 0,
+            download: 0
+        });
+
+        const url = extractUrl(result?.cmd);
+        if (!url) {
+            throw new Error('Portal did not return a stream URL');
+        }
+        return url;
+    }
+
+    /**
+     * Absolute URL for logos/posters (portals often return paths)
+     */
+    resolveUrl(path) {
+        if (!path) return null;
+        try {
+            return new URL(path, `${this.portalUrl}/`).toString();
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+/**
+ * cmd values look like "ffmpeg http://host/stream.ts" or "auto http://..."
+ */
+function extractUrl(cmd) {
+    if (!cmd) return null;
+    return cmd.replace(/^(ffmpeg|ffrt\d?|auto)\s+/i, '').trim() || null;
+}
+
+// Clients are kept per source so the token is reused between syncs and playback
+const clients = new Map();
+
+/**
+ * Factory function to create (or reuse) an API instance from source
+ * @param {object} options - { signal } - gets a client of its own that starts from the shared session
+ */
+function createFromSource(source, options = {}) {
+    const key = `${source.url}|${source.mac}`;
+    let api = clients.get(source.id)?.key === key ? clients.get(source.id).api : null;
+    if (!api) {
+        api = new StalkerApi(source.url, source.mac);
+        clients.set(source.id, { key, api });
+    }
+    if (!options.signal) return api;
+
+    // The shared client outlives the sync, so it can't carry the sync's signal
+    const scoped = new StalkerApi(source.url, source.mac, options);
+    scoped.endpoint = api.endpoint;
+    scoped.token = api.token;
+    return scoped;
+}
+
+/**
+ * Static authenticate for testing
+ */
+async function authenticate(url, mac) {
+    const api = new StalkerApi(url, mac);
+    await api.handshake();
+    return api.getAccountInfo().catch(() => ({}));
+}
+
+module.exports = { StalkerApi, createFromSource, authenticate, extractUrl };
@@ -0,0 +1,90 @@
+/**
+ * Stream Headers Service
+ * Per-channel HTTP headers from M3U playlists (#EXTVLCOPT, #KODIPROP, #EXTHTTP, url|Header=value).
+ *
+ * The parser stores them with the channel (data.httpHeaders). Playback routes only get a URL,
+ * so headers are looked up again by stream URL. URLs found inside a proxied HLS manifest
+ * (variants, segments, keys) inherit the headers of the manifest they came from.
+ */
+
+const { getDb } = require('../db/sqlite');
+const { splitUrlHeaders } = require('./m3uParser');
+const localLibrary = require('./localLibrary');
+
+// Headers inherited by URLs from rewritten HLS manifests (url -> headers)
+const inheritedHeaders = new Map();
+const MAX_INHERITED = 5000;
+
+/**
+ * Look up the headers stored with a channel
+ * @param {string} url - Stream URL (without pipe suffix)
+ * @returns {Object|null} Headers
+ */
+function lookup(url) {
+    const row = getDb().prepare(`
+        SELECT data FROM playlist_items WHERE stream_url = ? LIMIT 1
+    `).get(url);
+    if (!row) return null;
+
+    const data = JSON.parse(row.data || '{}');
+    return data.httpHeaders || null;
+}
+
+/**
+ * Resolve a stream URL to the URL to request and the headers to send
+ * @param {string} url - Stream URL, optionally with a |Header=value suffix
+ * @returns {{ url: string, headers: Object|null }}
+ */
+function resolve(url) {
+    if (!url) {
+        return { url, headers: null };
+    }
+
+    // Local library files are served by us (relative /api/library URLs)
+    const { url: cleanUrl, headers: urlHeaders } = splitUrlHeaders(localLibrary.toLoopbackUrl(url));
+    const headers = {
+        ...(inheritedHeaders.get(cleanUrl) || lookup(cleanUrl)),
+        ...urlHeaders
+    };
+
+    return {
+        url: cleanUrl,
+        headers: Object.keys(headers).length > 0 ? headers : null
+    };
+}
+
+/**
+ * Remember headers for a URL referenced by a manifest that was fetched with them
+ * @param {string} url - Variant/segment/key URL
+ * @param {Object} headers - Headers of the parent manifest
+ */
+function inherit(url, headers) {
+    if (!headers) return;
+
+    inheritedHeaders.delete(url);
+    inheritedHeaders.set(url, headers);
+
+    // Drop the oldest entries (Map keeps insertion order)
+    while (inheritedHeaders.size > MAX_INHERITED) {
+        inheritedHeaders.delete(inheritedHeaders.keys().next().value);
+    }
+}
+
+/**
+ * Build FFmpeg/FFprobe input arguments for the headers
+ * @param {Object|null} headers - Channel headers
+ * @param {string} defaultUserAgent - User-Agent when the channel doesn't set one
+ * @returns {string[]} Arguments to place before -i
+ */
+function ffmpegArgs(headers, defaultUserAgent) {
+    const { 'User-Agent': userAgent, ...rest } = headers || {};
+    const args = ['-user_agent', userAgent || defaultUserAgent];
+
+    const extra = Object.entries(rest).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    if (extra) {
+        args.push('-headers', extra);
+    }
+    return args;
+}
+
+module.exports = { resolve, inherit, ffmpegArgs };
@@ -0,0 +1,135 @@
+/**
+ * Sync Schedules
+ *
+ * Sources can have their own schedule per content type (live lineup, VOD, EPG);
+ * content types without one follow the global sync interval (epgRefreshInterval).
+ *
+ * Rules:
+ *   every 30m | every 6h | every 7d   - Interval since the last sync
+ *   hourly | daily | weekly           - Same as every 1h / 24h / 7d
+ *   03:30 daily                       - Every day at a time (server time zone)
+ *   04:00 sun | 04:00 mon,thu         - On weekdays at a time
+ */
+
+// Content types each source type can sync separately
+const SOURCE_CONTENT = {
+    xtream: ['live', 'vod', 'epg'],
+    stalker: ['live', 'vod'],
+    m3u: ['live'],
+    epg: ['epg'],
+    local: ['vod']
+};
+
+const CONTENT_LABELS = {
+    live: 'Live channels',
+    vod: 'Movies & series',
+    epg: 'EPG'
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ALIASES = { hourly: 'every 1h', daily: 'every 24h', weekly: 'every 7d' };
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Parse a schedule rule (see top of file)
+ * @returns {object|null} { type: 'interval', ms } or { type: 'time', hour, minute, days }, null when empty
+ * @throws {Error} When the rule is invalid
+ */
+function parseRule(text) {
+    const rule = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!rule) return null;
+    if (ALIASES[rule]) return parseRule(ALIASES[rule]);
+
+    const interval = rule.match(/^every (\d+) ?(m|h|d)$/);
+    if (interval) {
+        const ms = parseInt(interval[1]) * UNIT_MS[interval[2]];
+        if (ms < MIN_INTERVAL_MS) {
+            throw new Error(`Schedule "${text}" is too frequent (15 minutes minimum)`);
+        }
+        return { type: 'interval', ms };
+    }
+
+    const time = rule.match(/^(\d{1,2}):(\d{2})(?: (.+))?$/);
+    if (time) {
+        const hour = parseInt(time[1]);
+        const minute = parseInt(time[2]);
+        const dayNames = !time[3] || time[3] === 'daily' ? WEEKDAYS : time[3].split(/ ?, ?/).map(d => d.slice(0, 3));
+        const days = dayNames.map(d => WEEKDAYS.indexOf(d));
+
+        if (hour < 24 && minute < 60 && days.length > 0 && !days.includes(-1)) {
+            return { type: 'time', hour, minute, days: [...new Set(days)].sort() };
+        }
+    }
+
+    throw new Error(`Invalid schedule "${text}" - use e.g. "every 6h", "03:30 daily" or "04:00 sun"`);
+}
+
+/**
+ * Next time a time-of-day rule fires after a moment
+ */
+function nextOccurrence(parsed, after) {
+    for (let day = 0; day <= 7; day++) {
+        const candidate = new Date(after);
+        candidate.setDate(candidate.getDate() + day);
+        candidate.setHours(parsed.hour, parsed.minute, 0, 0);
+        if (candidate.getTime() > after && parsed.days.includes(candidate.getDay())) {
+            return candidate.getTime();
+        }
+    }
+    return null;
+}
+
+/**
+ * When a rule should run next
+ * Content that never synced runs right away. Overdue intervals (e.g. the server was down)
+ * run right away too, but missed times of day are skipped - they were picked to avoid
+ * busy hours, so a restart at prime time shouldn't trigger them.
+ * @param {string} rule - Schedule rule
+ * @param {number|null} lastRun - Last sync (ms)
+ * @param {number} now - Current time (ms)
+ */
+function getNextRun(rule, lastRun, now = Date.now()) {
+    const parsed = parseRule(rule);
+    if (!parsed) return null;
+    if (!lastRun) return now;
+
+    if (parsed.type === 'interval') {
+        return Math.max(lastRun + parsed.ms, now - 1);
+    }
+
+    const next = nextOccurrence(parsed, lastRun);
+    return next > now ? next : nextOccurrence(parsed, now);
+}
+
+/**
+ * Effective rule per content type of a source (null = manual only)
+ * @param {object} source - Source record (schedules: { live, vod, epg })
+ * @param {number} defaultHours - Global sync interval in hours (0 = manual only)
+ */
+function getSourceRules(source, defaultHours) {
+    const defaultRule = defaultHours > 0 ? `every ${defaultHours}h` : null;
+    const rules = {};
+    for (const content of SOURCE_CONTENT[source.type] || []) {
+        rules[content] = source.schedules?.[content] || defaultRule;
+    }
+    return rules;
+}
+
+/**
+ * Validate and clean up schedules from a request (empty rules are dropped)
+ * @throws {Error} When a rule is invalid
+ */
+function normalizeSchedules(type, schedules) {
+    const result = {};
+    for (const content of SOURCE_CONTENT[type] || []) {
+        const rule = String(schedules?.[content] || '').trim();
+        if (rule) {
+            parseRule(rule);
+            result[content] = rule;
+        }
+    }
+    return result;
+}
+
+module.exports = { SOURCE_CONTENT, CONTENT_LABELS, parseRule, getNextRun, getSourceRules, normalizeSchedules };
@@ -1,71 +1,113 @@
-const { getDb } = require('../db/sqlite');
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { getDb, syncHistory, syncSchedule } = require('../db/sqlite');
 const { sources, settings } = require('../db'); // For source config and settings
 const xtreamApi = require('./xtreamApi');
 const m3uParser = require('./m3uParser');
 const epgParser = require('./epgParser');
+const sourceFiles = require('./sourceFiles');
+const localLibrary = require('./localLibrary');
+const stalkerApi = require('./stalkerApi');
+const scheduleRules = require('./syncSchedule');
+const accountMonitor = require('./accountMonitor');
+const contentRules = require('./contentRules');
+
+// Archive days when a channel has catch-up but no catchup-days (same default as Kodi)
+const DEFAULT_CATCHUP_DAYS = 5;
+
+// How often watched source files are checked for changes, and how long a file
+// must stay unchanged before re-syncing (editors often write in several steps)
+const FILE_WATCH_INTERVAL_MS = 10 * 1000;
+const FILE_SETTLE_MS = 5 * 1000;
+
+// Example names kept per kind of change in the sync history
+const CHANGE_EXAMPLES = 10;
+
+// Phases of a sync per source type (progress is split evenly between them)
+const SYNC_PHASES = {
+    xtream: ['live_categories', 'live_streams', 'vod_categories', 'vod_streams', 'series_categories', 'series', 'epg'],
+    stalker: ['live_categories', 'live_streams', 'vod_streams', 'series'],
+    m3u: ['live_streams', 'live_categories'],
+    epg: ['epg'],
+    local: ['scan', 'vod_streams', 'series']
+};
+
+// Progress events are sent at most this often (phase changes and log lines are sent right away)
+const PROGRESS_THROTTLE_MS = 500;
+
+// Log lines kept per source for clients that connect mid-sync
+const PROGRESS_LOG_LINES = 100;
+
+// How often the scheduler checks for due syncs
+const SCHEDULER_TICK_MS = 60 * 1000;
 
 // Sync tracking
-const activeSyncs = new Set(); // sourceId
+const activeSyncs = new Set(); // sourceId (until its sync has really stopped, even after a timeout)
 
-class SyncService {
+/**
+ * Hash of an item's stored JSON - items whose hash didn't change are not rewritten
+ */
+function hashData(data) {
+    return crypto.createHash('md5').update(data || '').digest('base64');
+}
+
+function addExample(list, example) {
+    if (list.length < CHANGE_EXAMPLES) list.push(example);
+}
+
+/**
+ * Content type a sync phase belongs to (for syncs of part of a source)
+ */
+function getPhaseContent(phase) {
+    if (phase.startsWith('live_')) return 'live';
+    return phase === 'epg' ? 'epg' : 'vod';
+}
+
+/**
+ * Global sync interval in hours (0 = manual only)
+ */
+function getDefaultHours(currentSettings) {
+    const hours = parseInt(currentSettings.epgRefreshInterval);
+    return isNaN(hours) ? 24 : hours;
+}
+
+class SyncService extends EventEmitter {
     constructor() {
+        super();
+        this.setMaxListeners(0); // One listener per open progress stream
         this.lastSyncTime = null; // Track when global sync last completed
-        this._syncTimer = null;   // Server-side sync timer
-        this._currentInterval = null;
+        this._syncTimer = null;   // Server-side sync scheduler
+        this._schedulerRunning = false;
+        this._jobs = [];          // Queued and running sync jobs, in queue order
+        this._nextJobId = 1;
+        this._fileWatchers = new Map(); // sourceId -> { file, listener }
+        this._runs = new Map(); // sourceId -> { startedAt, changes, snapshots } of the running sync
+        this._progress = new Map(); // sourceId -> latest progress (kept after the sync ends)
     }
 
     /**
-     * Get when the last global sync completed
+     * Get when a sync last completed (kept across restarts)
      */
     getLastSyncTime() {
-        return this.lastSyncTime;
+        const lastRun = syncSchedule.getLastRun();
+        return lastRun ? new Date(lastRun) : this.lastSyncTime;
     }
 
     /**
-     * Start the server-side sync timer based on settings
-     * Should be called once on server startup after initial sync
+     * Start the server-side sync scheduler
+     * Checks every minute for content that is due. Next runs are stored, so a restart
+     * only syncs what is overdue or never synced instead of every source.
      */
     async startSyncTimer() {
-        // Get interval from settings
-        const currentSettings = await settings.get();
-        const intervalHours = parseInt(currentSettings.epgRefreshInterval) || 24;
-
-        // If interval is 0, don't start timer (manual only mode)
-        if (intervalHours <= 0) {
-            console.log('[Sync] Auto-sync disabled (manual only mode)');
-            this.stopSyncTimer();
-            this._currentInterval = 0;
-            return;
-        }
-
-        const intervalMs = intervalHours * 60 * 60 * 1000;
-
-        // Don't restart if interval hasn't changed and timer exists
-        if (this._currentInterval === intervalHours && this._syncTimer) {
-            console.log(`[Sync] Timer already running for ${intervalHours} hours, not restarting`);
-            return;
-        }
-
-        // Clear existing timer
         this.stopSyncTimer();
-
-        const nextSyncTime = new Date(Date.now() + intervalMs);
-        console.log(`[Sync] Starting server-side sync timer: every ${intervalHours} hours`);
-        console.log(`[Sync] Next scheduled sync at: ${nextSyncTime.toLocaleString()}`);
-
-        this._syncTimer = setInterval(async () => {
-            console.log('[Sync] Scheduled sync triggered');
-            await this.syncAll();
-            // Log next sync time
-            const next = new Date(Date.now() + intervalMs);
-            console.log(`[Sync] Next scheduled sync at: ${next.toLocaleString()}`);
-        }, intervalMs);
-
-        this._currentInterval = intervalHours;
+        console.log('[Sync] Starting sync scheduler');
+        this._syncTimer = setInterval(() => this.runScheduledSyncs(), SCHEDULER_TICK_MS);
+        this.runScheduledSyncs();
     }
 
     /**
-     * Stop the server-side sync timer
+     * Stop the server-side sync scheduler
      */
     stopSyncTimer() {
         if (this._syncTimer) {
@@ -75,13 +117,117 @@ class SyncService {
     }
 
     /**
-     * Restart the sync timer with updated settings
+     * Restart the sync scheduler with updated settings
      * Called when sync interval setting changes
      */
     async restartSyncTimer() {
         await this.startSyncTimer();
     }
 
+    /**
+     * Upcoming syncs of all enabled sources, soonest first
+     * Next runs are recomputed when a schedule changed since they were stored.
+     * @returns {Promise<Array>} { sourceId, sourceName, sourceType, content, rule, custom, lastRun, nextRun }
+     */
+    async getSchedule() {
+        const defaultHours = getDefaultHours(await settings.get());
+        const now = Date.now();
+        const entries = [];
+
+        for (const source of await sources.getAll()) {
+            if (!source.enabled) continue;
+
+            const rows = new Map(syncSchedule.getBySource(source.id).map(row => [row.content, row]));
+            const rules = scheduleRules.getSourceRules(source, defaultHours);
+
+            for (const [content, rule] of Object.entries(rules)) {
+                let row = rows.get(content);
+                if (!row || row.rule !== rule) {
+                    // Sources synced before schedules existed start from their last full sync
+                    const lastRun = row ? row.last_run : this.getLastFullSync(source.id);
+                    let nextRun = null;
+                    try {
+                        nextRun = scheduleRules.getNextRun(rule, lastRun, now);
+                    } catch (err) {
+                        console.warn(`[Sync] Ignoring schedule of ${source.name}: ${err.message}`);
+                    }
+                    row = { rule, last_run: lastRun, next_run: nextRun };
+                    syncSchedule.set(source.id, content, rule, lastRun, nextRun);
+                }
+
+                entries.push({
+                    sourceId: source.id,
+                    sourceName: source.name,
+                    sourceType: source.type,
+                    content,
+                    rule,
+                    custom: !!source.schedules?.[content],
+                    lastRun: row.last_run,
+                    nextRun: row.next_run
+                });
+            }
+        }
+
+        return entries.sort((a, b) => (a.nextRun ?? Infinity) - (b.nextRun ?? Infinity));
+    }
+
+    /**
+     * When a source last finished a full sync (null if never or interrupted)
+     */
+    getLastFullSync(sourceId) {
+        const db = getDb();
+        const row = db.prepare(`
+            SELECT last_sync FROM sync_status WHERE source_id = ? AND type = 'all' AND status != 'syncing'
+        `).get(sourceId);
+        return row ? row.last_sync : null;
+    }
+
+    /**
+     * Sync the content that is due, one source at a time
+     */
+    async runScheduledSyncs() {
+        if (this._schedulerRunning) return; // Previous check is still syncing
+        this._schedulerRunning = true;
+
+        try {
+            const now = Date.now();
+            const due = new Map(); // sourceId -> content types
+            for (const entry of await this.getSchedule()) {
+                if (entry.nextRun === null || entry.nextRun > now) continue;
+                if (!due.has(entry.sourceId)) due.set(entry.sourceId, []);
+                due.get(entry.sourceId).push(entry.content);
+            }
+
+            await Promise.all([...due].map(([sourceId, content]) => {
+                console.log(`[Sync] Scheduled sync triggered for source ${sourceId} (${content.join(', ')})`);
+                return this.syncSource(sourceId, content);
+            }));
+        } catch (err) {
+            console.error('[Sync] Scheduled sync failed:', err);
+        } finally {
+            this._schedulerRunning = false;
+        }
+    }
+
+    /**
+     * Store a sync of some content and when it runs next (failed syncs count too,
+     * so a broken source waits for its next run instead of retrying every minute)
+     * @param {number} startedAt - Intervals count from the start, so they don't drift by the sync duration
+     */
+    async recordScheduledRun(source, content, startedAt) {
+        const rules = scheduleRules.getSourceRules(source, getDefaultHours(await settings.get()));
+        for (const type of content) {
+            const rule = rules[type] || null;
+            let nextRun = null;
+            try {
+                nextRun = scheduleRules.getNextRun(rule, startedAt);
+            } catch (err) {
+                console.warn(`[Sync] Ignoring schedule of ${source.name}: ${err.message}`);
+            }
+            syncSchedule.set(source.id, type, rule, startedAt, nextRun);
+        }
+    }
+
     /**
      * Sync all enabled sources
      */
@@ -89,12 +235,8 @@ class SyncService {
         console.log('[Sync] Starting global sync...');
         try {
             const allSources = await sources.getAll();
-            for (const source of allSources) {
-                if (source.enabled) {
-                    // Run sequentially to not overload
-                    await this.syncSource(source.id);
-                }
-            }
+            // The queue limits how many run at once
+            await Promise.all(allSources.filter(source => source.enabled).map(source => this.syncSource(source.id)));
             this.lastSyncTime = new Date();
             console.log('[Sync] Global sync completed at', this.lastSyncTime.toISOString());
         } catch (err) {
@@ -103,25 +245,171 @@ class SyncService {
     }
 
     /**
-     * Start sync for a source
+     * Queue a sync for a source
+     * Content is merged into the source's job when it is already queued;
+     * a running sync is not queued again.
+     * @param {string[]} content - Content types to sync ('live', 'vod', 'epg'), everything when omitted
+     * @returns {Promise} Settles when the job has ended (never rejects)
+     */
+    syncSource(sourceId, content = null) {
+        const existing = this._jobs.find(job => job.sourceId === sourceId);
+        if (existing) {
+            if (existing.status === 'queued') {
+                existing.content = existing.content && content ? [...new Set([...existing.content, ...content])] : null;
+                this.emitJobs();
+            } else {
+                console.log(`[Sync] Source ${sourceId} is already syncing`);
+            }
+            return existing.promise;
+        }
+
+        const job = {
+            id: this._nextJobId++,
+            sourceId,
+            sourceName: null,
+            content,
+            status: 'queued',
+            queuedAt: Date.now(),
+            startedAt: null,
+            controller: new AbortController()
+        };
+        job.promise = new Promise(resolve => { job.resolve = resolve; });
+        this._jobs.push(job);
+        this.emitJobs();
+
+        sources.getById(sourceId).then(source => {
+            job.sourceName = source?.name || null;
+            this.emitJobs();
+        }).catch(() => { });
+
+        this.processQueue();
+        return job.promise;
+    }
+
+    /**
+     * Cancel the queued or running sync of a source
+     * @returns {boolean} Whether there was a sync to cancel
      */
-    async syncSource(sourceId) {
+    cancelSync(sourceId) {
+        const job = this._jobs.find(j => j.sourceId === sourceId);
+        if (!job) return false;
+
+        console.log(`[Sync] Cancelling ${job.status} sync of source ${sourceId}`);
+        const reason = new Error('Sync cancelled');
+        reason.cancelled = true;
+        job.controller.abort(reason);
+
+        // Running jobs end through their abort listener
+        if (job.status === 'queued') {
+            this.finishJob(job);
+        }
+        return true;
+    }
+
+    /**
+     * Queued and running jobs (without internals)
+     */
+    getJobs() {
+        return this._jobs.map(({ id, sourceId, sourceName, content, status, queuedAt, startedAt }) => ({
+            id, sourceId, sourceName, content, status, queuedAt, startedAt
+        }));
+    }
+
+    /**
+     * Send the job list to listeners
+     */
+    emitJobs() {
+        this.emit('jobs', this.getJobs());
+    }
+
+    /**
+     * Start queued jobs while there are free slots (settings.syncConcurrency)
+     */
+    async processQueue() {
+        try {
+            const currentSettings = await settings.get();
+            const concurrency = Math.max(1, parseInt(currentSettings.syncConcurrency) || 1);
+            const timeoutMs = (parseInt(currentSettings.syncTimeoutMinutes) || 0) * 60 * 1000;
+
+            for (const job of this._jobs) {
+                if (this._jobs.filter(j => j.status === 'running').length >= concurrency) break;
+                // A cancelled or timed out sync of the same source may still be winding down
+                if (job.status === 'queued' && !activeSyncs.has(job.sourceId)) {
+                    this.runJob(job, timeoutMs);
+                }
+            }
+        } catch (err) {
+            console.error('[Sync] Failed to process sync queue:', err);
+        }
+    }
+
+    /**
+     * Run a job until it finishes, is cancelled or times out
+     * The job ends as soon as it is aborted, so a provider that stops answering
+     * can't hold up the queue.
+     * @param {number} timeoutMs - Time limit (0 = none)
+     */
+    async runJob(job, timeoutMs) {
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this.emitJobs();
+
+        const { signal } = job.controller;
+        const timer = timeoutMs > 0 ? setTimeout(() => {
+            job.controller.abort(new Error(`Sync timed out after ${Math.round(timeoutMs / 60000)} minutes`));
+        }, timeoutMs) : null;
+        const aborted = new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+
+        // Queued syncs of this source start once the work has really stopped
+        const work = this.runSync(job.sourceId, job.content, signal).then(() => this.processQueue());
+
+        await Promise.race([work, aborted]);
+        clearTimeout(timer);
+        this.finishJob(job);
+    }
+
+    /**
+     * Remove an ended job and start the next ones
+     */
+    finishJob(job) {
+        const index = this._jobs.indexOf(job);
+        if (index === -1) return;
+
+        this._jobs.splice(index, 1);
+        this.emitJobs();
+        job.resolve();
+        this.processQueue();
+    }
+
+    /**
+     * Sync a source (run by the queue)
+     * @param {string[]} content - Content types to sync, everything when null
+     * @param {AbortSignal} signal - Aborts the sync (cancel/timeout)
+     */
+    async runSync(sourceId, content = null, signal = null) {
         if (activeSyncs.has(sourceId)) {
             console.log(`[Sync] Source ${sourceId} is already syncing`);
             return;
         }
 
         activeSyncs.add(sourceId);
+        const startedAt = Date.now();
+        let source = null;
+        let parts = null;
 
         try {
-            const db = getDb();
-            const source = await sources.getById(sourceId);
+            source = await sources.getById(sourceId);
 
             if (!source) {
                 throw new Error(`Source ${sourceId} not found`);
             }
 
-            console.log(`[Sync] Starting sync for source ${source.name} (ID: ${sourceId})`);
+            const allContent = scheduleRules.SOURCE_CONTENT[source.type] || [];
+            if (content && allContent.some(type => !content.includes(type))) {
+                parts = new Set(content);
+            }
+
+            console.log(`[Sync] Starting sync for source ${source.name} (ID: ${sourceId})${parts ? ` - ${content.join(', ')}` : ''}`);
 
             if (!source.enabled) {
                 console.log(`[Sync] Skipping disabled source ${source.name}`);
@@ -131,24 +419,48 @@ class SyncService {
 
             // Update status
             this.updateSyncStatus(sourceId, 'all', 'syncing');
+            this.startRun(sourceId, signal);
+            this.startProgress(source, parts);
 
             if (source.type === 'xtream') {
-                await this.syncXtream(source);
+                await this.syncXtream(source, parts);
             } else if (source.type === 'm3u') {
                 await this.syncM3u(source);
             } else if (source.type === 'epg') {
                 await this.syncEpg(source);
+            } else if (source.type === 'local') {
+                await this.syncLocal(source);
+            } else if (source.type === 'stalker') {
+                await this.syncStalker(source, parts);
             }
 
             this.updateSyncStatus(sourceId, 'all', 'success');
+            this.finishRun(sourceId, 'success');
+            this.endProgress(sourceId, 'success');
             console.log(`[Sync] Completed sync for source ${source.name}`);
 
-        } catch (err) {
-            console.error(`[Sync] Failed sync for source ${sourceId}:`, err);
-            this.updateSyncStatus(sourceId, 'all', 'error', err.message);
+        } catch (caught) {
+            // Aborted requests throw a generic AbortError - report why the sync was stopped
+            const err = signal?.aborted ? signal.reason : caught;
+            const status = err.cancelled ? 'cancelled' : 'error';
+            if (err.cancelled) {
+                console.log(`[Sync] Cancelled sync for source ${sourceId}`);
+            } else {
+                console.error(`[Sync] Failed sync for source ${sourceId}:`, err);
+            }
+            this.updateSyncStatus(sourceId, 'all', status, err.message);
+            this.finishRun(sourceId, status, err.message);
+            this.endProgress(sourceId, status, err.message);
         } finally {
             activeSyncs.delete(sourceId);
         }
+
+        if (source?.enabled) {
+            const synced = parts ? [...parts] : scheduleRules.SOURCE_CONTENT[source.type] || [];
+            await this.recordScheduledRun(source, synced, startedAt).catch(err => {
+                console.error('[Sync] Failed to store sync schedule:', err);
+            });
+        }
     }
 
     /**
@@ -167,75 +479,292 @@ class SyncService {
         stmt.run(sourceId, type, Date.now(), status, error);
     }
 
+    /**
+     * Progress of all sources that synced since startup (with their log)
+     */
+    getProgress() {
+        return [...this._progress.values()];
+    }
+
+    /**
+     * Start reporting progress for a sync
+     * @param {Set|null} parts - Content types being synced (null = all)
+     */
+    startProgress(source, parts = null) {
+        const now = Date.now();
+        this._progress.set(source.id, {
+            sourceId: source.id,
+            sourceName: source.name,
+            status: 'syncing',
+            phases: (SYNC_PHASES[source.type] || []).filter(phase => !parts || parts.has(getPhaseContent(phase))),
+            phase: null,
+            processed: 0,
+            total: null,
+            percent: 0,
+            etaSeconds: null,
+            memoryMb: null,
+            error: null,
+            startedAt: now,
+            updatedAt: now,
+            log: []
+        });
+        this.logProgress(source.id, `Sync started for ${source.name}`);
+    }
+
+    /**
+     * Enter the next phase of a sync (also logged to the console)
+     */
+    setPhase(sourceId, phase, message) {
+        this.throwIfAborted(sourceId);
+        console.log(`[Sync] ${message}`);
+        const progress = this._progress.get(sourceId);
+        if (!progress) return;
+
+        progress.phase = phase;
+        progress.processed = 0;
+        progress.total = null;
+        this.logProgress(sourceId, message);
+    }
+
+    /**
+     * Report items processed in the current phase
+     * @param {number|null} total - Expected items (null when unknown)
+     */
+    updateProgress(sourceId, processed, total = null) {
+        this.throwIfAborted(sourceId);
+        const progress = this._progress.get(sourceId);
+        if (!progress) return;
+
+        progress.processed = processed;
+        progress.total = total;
+        if (Date.now() - progress.updatedAt >= PROGRESS_THROTTLE_MS) {
+            this.emitProgress(progress);
+        }
+    }
+
+    /**
+     * Add a line to the sync's log and send it to listeners
+     */
+    logProgress(sourceId, message) {
+        const progress = this._progress.get(sourceId);
+        if (!progress) return;
+
+        const line = { time: Date.now(), message };
+        progress.log.push(line);
+        if (progress.log.length > PROGRESS_LOG_LINES) progress.log.shift();
+        this.emitProgress(progress, line);
+    }
+
+    /**
+     * Finish the sync's progress
+     */
+    endProgress(sourceId, status, error = null) {
+        const progress = this._progress.get(sourceId);
+        if (!progress) return;
+
+        progress.status = status;
+        progress.error = error;
+        progress.phase = null;
+        const seconds = Math.round((Date.now() - progress.startedAt) / 1000);
+        const messages = { success: `Sync completed in ${seconds}s`, cancelled: 'Sync cancelled' };
+        this.logProgress(sourceId, messages[status] || `Sync failed: ${error}`);
+    }
+
+    /**
+     * Work out percent/ETA and emit a 'progress' event (without the full log)
+     * @param {object} line - New log line, if any
+     */
+    emitProgress(progress, line = null) {
+        const now = Date.now();
+        const phaseIndex = progress.phases.indexOf(progress.phase);
+
+        if (progress.status !== 'syncing') {
+            progress.percent = progress.status === 'success' ? 100 : progress.percent;
+            progress.etaSeconds = null;
+        } else if (phaseIndex !== -1) {
+            const phaseFraction = progress.total ? Math.min(progress.processed / progress.total, 1) : 0;
+            const fraction = (phaseIndex + phaseFraction) / progress.phases.length;
+            progress.percent = Math.round(fraction * 100);
+            progress.etaSeconds = fraction > 0.02 ? Math.round((now - progress.startedAt) / 1000 * (1 - fraction) / fraction) : null;
+        }
+
+        progress.memoryMb = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+        progress.updatedAt = now;
+
+        const { log, ...event } = progress;
+        this.emit('progress', { ...event, line });
+    }
+
+    /**
+     * Start collecting the changes of a sync run
+     * @param {AbortSignal} signal - Aborts the run's requests and stops it between steps
+     */
+    startRun(sourceId, signal = null) {
+        this._runs.set(sourceId, { startedAt: Date.now(), changes: {}, snapshots: new Map(), signal });
+    }
+
+    /**
+     * Abort signal of the running sync (null outside a sync)
+     */
+    getSignal(sourceId) {
+        return this._runs.get(sourceId)?.signal || null;
+    }
+
+    /**
+     * Stop a cancelled or timed out sync (called between steps)
+     */
+    throwIfAborted(sourceId) {
+        this.getSignal(sourceId)?.throwIfAborted();
+    }
+
+    /**
+     * Change counters of a content type in the running sync
+     * (a throwaway object when called outside a sync)
+     */
+    getRunChanges(sourceId, type) {
+        const run = this._runs.get(sourceId) || { changes: {} };
+        if (!run.changes[type]) {
+            run.changes[type] = {
+                added: 0, removed: 0, renamed: 0, recategorized: 0, updated: 0, unchanged: 0,
+                examples: { added: [], removed: [], renamed: [], recategorized: [] }
+            };
+        }
+        return run.changes[type];
+    }
+
+    /**
+     * Stored items of a type (name, category and data hash by row id)
+     * Loaded once per run - M3U playlists are saved in many batches
+     */
+    getSnapshot(sourceId, type) {
+        const run = this._runs.get(sourceId);
+        if (run?.snapshots.has(type)) return run.snapshots.get(type);
+
+        const snapshot = new Map();
+        const rows = getDb().prepare(`
+            SELECT id, name, category_id, data, rule_hidden FROM playlist_items WHERE source_id = ? AND type = ?
+        `).iterate(sourceId, type);
+        for (const row of rows) {
+            snapshot.set(row.id, { name: row.name, categoryId: row.category_id, hidden: !!row.rule_hidden, hash: hashData(row.data) });
+        }
+
+        run?.snapshots.set(type, snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Write the run's summary to the sync history
+     */
+    finishRun(sourceId, status, error = null) {
+        const run = this._runs.get(sourceId);
+        if (!run) return;
+        this._runs.delete(sourceId);
+
+        const totals = { added: 0, removed: 0, renamed: 0, recategorized: 0, updated: 0, unchanged: 0 };
+        for (const changes of Object.values(run.changes)) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += changes[key];
+            }
+        }
+
+        const durationMs = Date.now() - run.startedAt;
+        try {
+            syncHistory.add({ sourceId, startedAt: run.startedAt, durationMs, status, error, totals, changes: run.changes });
+        } catch (err) {
+            console.error('[Sync] Failed to save sync history:', err.message);
+        }
+        console.log(`[Sync] Source ${sourceId} changes: ${totals.added} added, ${totals.removed} removed, ${totals.renamed} renamed, ${totals.recategorized} re-categorized, ${totals.updated} updated (${Math.round(durationMs / 1000)}s)`);
+    }
+
     /**
      * Xtream Sync Logic
+     * @param {Set|null} parts - Content types to sync ('live', 'vod', 'epg'), null for all
      */
-    async syncXtream(source) {
-        const api = xtreamApi.createFromSource(source);
-        const db = getDb();
+    async syncXtream(source, parts = null) {
+        const api = xtreamApi.createFromSource(source, { signal: this.getSignal(source.id) });
 
-        // 1. Live Categories
-        console.log(`[Sync] Fetching Live Categories for ${source.name}`);
-        const liveCats = await api.getLiveCategories();
-        await this.saveCategories(source.id, 'live', liveCats);
-
-        // 2. Live Streams
-        console.log(`[Sync] Fetching Live Streams for ${source.name}`);
-        const liveStreams = await api.getLiveStreams();
-        await this.saveStreams(source.id, 'live', liveStreams);
-
-        // 3. VOD Categories
-        console.log(`[Sync] Fetching VOD Categories for ${source.name}`);
-        const vodCats = await api.getVodCategories();
-        await this.saveCategories(source.id, 'movie', vodCats);
-
-        // 4. VOD Streams
-        console.log(`[Sync] Fetching VOD Streams for ${source.name}`);
-        const vodStreams = await api.getVodStreams();
-        await this.saveStreams(source.id, 'movie', vodStreams);
-
-        // 5. Series Categories
-        console.log(`[Sync] Fetching Series Categories for ${source.name}`);
-        const seriesCats = await api.getSeriesCategories();
-        await this.saveCategories(source.id, 'series', seriesCats);
-
-        // 6. Series
-        console.log(`[Sync] Fetching Series for ${source.name}`);
-        const series = await api.getSeries();
-        await this.saveStreams(source.id, 'series', series);
-
-        // 7. EPG (Xmltv)
-        // Try to fetch XMLTV if available
-        console.log(`[Sync] Fetching EPG for ${source.name}`);
+        // Account details (expiry, connections) - the sync goes on without them
         try {
-            const xmltvUrl = api.getXmltvUrl();
-            await this.syncEpgFromUrl(source.id, xmltvUrl);
+            const info = await api.authenticate();
+            await accountMonitor.update(source, info.user_info);
         } catch (e) {
-            console.warn('[Sync] XMLTV fetch failed, skipping EPG sync for now:', e.message);
+            this.throwIfAborted(source.id);
+            console.warn(`[Sync] Could not read account info for ${source.name}:`, e.message);
+        }
+
+        if (!parts || parts.has('live')) {
+            // 1. Live Categories
+            this.setPhase(source.id, 'live_categories', `Fetching Live Categories for ${source.name}`);
+            const liveCats = await api.getLiveCategories();
+            await this.saveCategories(source.id, 'live', liveCats);
+
+            // 2. Live Streams
+            this.setPhase(source.id, 'live_streams', `Fetching Live Streams for ${source.name}`);
+            const liveStreams = await api.getLiveStreams();
+            await this.saveStreams(source.id, 'live', liveStreams);
+        }
+
+        if (!parts || parts.has('vod')) {
+            // 3. VOD Categories
+            this.setPhase(source.id, 'vod_categories', `Fetching VOD Categories for ${source.name}`);
+            const vodCats = await api.getVodCategories();
+            await this.saveCategories(source.id, 'movie', vodCats);
+
+            // 4. VOD Streams
+            this.setPhase(source.id, 'vod_streams', `Fetching VOD Streams for ${source.name}`);
+            const vodStreams = await api.getVodStreams();
+            await this.saveStreams(source.id, 'movie', vodStreams);
+
+            // 5. Series Categories
+            this.setPhase(source.id, 'series_categories', `Fetching Series Categories for ${source.name}`);
+            const seriesCats = await api.getSeriesCategories();
+            await this.saveCategories(source.id, 'series', seriesCats);
+
+            // 6. Series
+            this.setPhase(source.id, 'series', `Fetching Series for ${source.name}`);
+            const series = await api.getSeries();
+            await this.saveStreams(source.id, 'series', series);
+        }
+
+        if (!parts || parts.has('epg')) {
+            // 7. EPG (Xmltv)
+            // Try to fetch XMLTV if available
+            this.setPhase(source.id, 'epg', `Fetching EPG for ${source.name}`);
+            try {
+                const xmltvUrl = api.getXmltvUrl();
+                await this.syncEpgFromUrl(source.id, xmltvUrl);
+            } catch (e) {
+                this.throwIfAborted(source.id);
+                console.warn('[Sync] XMLTV fetch failed, skipping EPG sync for now:', e.message);
+                this.logProgress(source.id, `XMLTV fetch failed, skipping EPG: ${e.message}`);
+            }
         }
     }
 
     /**
      * Batch save categories
+     * Content rules of the source rename and hide them on the way in.
      */
     async saveCategories(sourceId, type, categories) {
         if (!categories || categories.length === 0) return;
         console.log(`[Sync] Saving ${categories.length} ${type} categories for source ${sourceId}...`);
         const db = getDb();
+        const rules = contentRules.compile(await contentRules.getRules(sourceId), 'category', type);
         const stmt = db.prepare(`
-            INSERT INTO categories (id, source_id, category_id, type, name, parent_id, data)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO categories (id, source_id, category_id, type, name, parent_id, rule_hidden, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(id) DO UPDATE SET
                 name = excluded.name,
+                rule_hidden = excluded.rule_hidden,
                 data = excluded.data
         `);
 
         const insertBatch = db.transaction((batch) => {
             for (const cat of batch) {
                 const catId = cat.category_id; // standard xtream field
-                const name = cat.category_name;
+                const { name, hidden } = contentRules.apply(rules, String(cat.category_name ?? ''));
                 const id = `${sourceId}:${catId}`;
-                stmt.run(id, sourceId, String(catId), type, name, cat.parent_id || null, JSON.stringify(cat));
+                stmt.run(id, sourceId, String(catId), type, name, cat.parent_id || null, hidden ? 1 : 0, JSON.stringify(cat));
             }
         });
 
@@ -252,33 +781,44 @@ class SyncService {
 
     /**
      * Batch save streams (channels, vod, series)
+     * Only new and changed items are written; changes are counted for the sync history.
+     * Content rules of the source rename, regroup and hide items on the way in.
      * Also purges stale entries that no longer exist in the source (unless skipPurge is true)
      * @param {number} sourceId - Source ID
-     * @param {string} type - Type of items (live, movie, series)
+     * @param {string} type - Type of items (live, movie, series, episode)
      * @param {Array} items - Items to save
-     * @param {Object} options - Options { skipPurge: boolean }
+     * @param {Object} options - Options { skipPurge: boolean, reportProgress: boolean }
      * @returns {Set} Set of synced IDs (for external purge if skipPurge was true)
      */
     async saveStreams(sourceId, type, items, options = {}) {
         if (!items || items.length === 0) return new Set();
         const db = getDb();
-        const { skipPurge = false } = options;
+        const { skipPurge = false, reportProgress = true } = options;
 
         // Collect all IDs we're syncing
         const syncedIds = new Set();
+        const snapshot = this.getSnapshot(sourceId, type);
+        const changes = this.getRunChanges(sourceId, type);
+        // Items without a provider date (M3U channels) are dated when first seen
+        const firstSeen = String(Math.floor(Date.now() / 1000));
+        const rules = contentRules.compile(await contentRules.getRules(sourceId), 'item', type);
+        const resolveGroup = rules.length > 0 ? contentRules.groupResolver(sourceId, type) : null;
 
         const stmt = db.prepare(`
             INSERT INTO playlist_items (
                 id, source_id, item_id, type, name, category_id, 
                 stream_icon, stream_url, container_extension, 
-                rating, year, added_at, data
+                rating, year, added_at, rule_hidden, data
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(id) DO UPDATE SET
                 name = excluded.name,
                 category_id = excluded.category_id,
                 stream_icon = excluded.stream_icon,
+                stream_url = excluded.stream_url,
                 container_extension = excluded.container_extension,
+                added_at = COALESCE(playlist_items.added_at, excluded.added_at),
+                rule_hidden = excluded.rule_hidden,
                 data = excluded.data
         `);
 
@@ -310,11 +850,54 @@ class SyncService {
                     rating = item.rating;
                     year = item.releaseDate;
                     added = item.last_modified;
+                } else if (type === 'episode') {
+                    // Local library only - Xtream episodes are fetched on demand (series_info)
+                    itemId = item.id;
+                    name = item.title || `Episode ${item.episode_num}`;
+                    catId = item.category_id;
+                    icon = item.stream_icon;
+                    container = item.container_extension;
+                    added = item.added;
                 }
 
                 const id = `${sourceId}:${itemId}`;
                 syncedIds.add(id);
 
+                const ruled = contentRules.apply(rules, String(name));
+                name = ruled.name;
+                if (ruled.group) catId = resolveGroup(ruled.group);
+
+                const data = JSON.stringify(item);
+                const hash = hashData(data);
+                const previous = snapshot.get(id);
+                // Provider data and the rules' results are the same as last time
+                if (previous && previous.hash === hash && previous.name === name &&
+                    previous.categoryId === String(catId) && previous.hidden === ruled.hidden) {
+                    changes.unchanged++;
+                    continue;
+                }
+
+                if (!previous) {
+                    changes.added++;
+                    addExample(changes.examples.added, name);
+                    added = added || firstSeen;
+                } else {
+                    const renamed = previous.name !== name;
+                    const recategorized = previous.categoryId !== String(catId);
+                    if (renamed) {
+                        changes.renamed++;
+                        addExample(changes.examples.renamed, { from: previous.name, to: name });
+                    }
+                    if (recategorized) {
+                        changes.recategorized++;
+                        addExample(changes.examples.recategorized, { name, from: previous.categoryId, to: String(catId) });
+                    }
+                    if (!renamed && !recategorized) {
+                        changes.updated++;
+                    }
+                }
+                snapshot.set(id, { name, categoryId: String(catId), hidden: ruled.hidden, hash });
+
                 stmt.run(
                     id,
                     sourceId,
@@ -323,12 +906,13 @@ class SyncService {
                     name,
                     String(catId),
                     icon,
-                    null, // Direct URL not stored for Xtream usually, built on fly
+                    item.stream_url || null, // M3U only - Xtream URLs are built on the fly
                     container,
                     rating,
                     year,
                     added,
-                    JSON.stringify(item)
+                    ruled.hidden ? 1 : 0,
+                    data
                 );
             }
         });
@@ -337,6 +921,9 @@ class SyncService {
         const BATCH_SIZE = 100;
         for (let i = 0; i < items.length; i += BATCH_SIZE) {
             insertBatch(items.slice(i, i + BATCH_SIZE));
+            if (reportProgress) {
+                this.updateProgress(sourceId, Math.min(i + BATCH_SIZE, items.length), items.length);
+            }
             // Yield to event loop between batches to allow other requests
             await new Promise(resolve => setImmediate(resolve));
         }
@@ -347,6 +934,7 @@ class SyncService {
         }
 
         console.log(`[Sync] Saved ${items.length} ${type} items`);
+        this.logProgress(sourceId, `Saved ${items.length} ${type} items (${changes.added} new)`);
         return syncedIds;
     }
 
@@ -371,12 +959,22 @@ class SyncService {
         });
         insertTempBatch([...syncedIds]);
 
+        const changes = this.getRunChanges(sourceId, type);
+        const examples = db.prepare(`
+            SELECT name FROM playlist_items
+            WHERE source_id = ? AND type = ?
+            AND id NOT IN (SELECT id FROM synced_ids)
+            LIMIT ?
+        `).all(sourceId, type, CHANGE_EXAMPLES);
+        examples.forEach(row => addExample(changes.examples.removed, row.name));
+
         const deleteStmt = db.prepare(`
             DELETE FROM playlist_items 
             WHERE source_id = ? AND type = ? 
             AND id NOT IN (SELECT id FROM synced_ids)
         `);
         const deleted = deleteStmt.run(sourceId, type);
+        changes.removed += deleted.changes;
 
         if (deleted.changes > 0) {
             console.log(`[Sync] Purged ${deleted.changes} stale ${type} items`);
@@ -387,9 +985,10 @@ class SyncService {
     /**
      * Sync EPG from URL (Streaming - Memory Efficient)
      * Processes EPG files in batches to avoid OOM on large EPG data
+     * @param {Readable} input - Already opened XMLTV stream (local files); url is then only used for logging
      */
-    async syncEpgFromUrl(sourceId, url) {
-        console.log(`[Sync] Fetching EPG from: ${url.substring(0, 60)}...`);
+    async syncEpgFromUrl(sourceId, url, input = null) {
+        console.log(`[Sync] ${input ? 'Reading' : 'Fetching'} EPG from: ${url.substring(0, 60)}...`);
 
         // Temporary memory logging for verification
         const logMemory = () => {
@@ -404,6 +1003,9 @@ class SyncService {
         let totalProgrammes = 0;
         let batchCount = 0;
 
+        // The previous sync's programme count is the best guess for progress
+        const expectedProgrammes = db.prepare('SELECT COUNT(*) AS count FROM epg_programs WHERE source_id = ?').get(sourceId).count || null;
+
         // Clear old programmes first
         db.prepare('DELETE FROM epg_programs WHERE source_id = ?').run(sourceId);
 
@@ -427,7 +1029,10 @@ class SyncService {
         });
 
         // Stream and process in batches (default 1000 programmes per batch)
-        for await (const batch of epgParser.fetchAndParseStreaming(url)) {
+        const batches = input
+            ? epgParser.parseStreaming(input)
+            : epgParser.fetchAndParseStreaming(url, 1000, { signal: this.getSignal(sourceId) });
+        for await (const batch of batches) {
             batchCount++;
 
             // Collect channels from first batch
@@ -439,6 +1044,7 @@ class SyncService {
             if (batch.programmes.length > 0) {
                 insertProgrammes(batch.programmes);
                 totalProgrammes += batch.programmes.length;
+                this.updateProgress(sourceId, totalProgrammes, expectedProgrammes && Math.max(expectedProgrammes, totalProgrammes));
             }
 
             // Log progress every 10 batches
@@ -490,6 +1096,7 @@ class SyncService {
         }
 
         console.log(`[Sync] Saved ${totalProgrammes} programmes`);
+        this.logProgress(sourceId, `Saved ${totalProgrammes} programmes for ${allChannels.length} EPG channels`);
     }
 
     /**
@@ -497,7 +1104,7 @@ class SyncService {
      * Processes M3U files in batches to avoid OOM on large playlists
      */
     async syncM3u(source) {
-        console.log(`[Sync] Fetching M3U playlist for ${source.name}`);
+        this.setPhase(source.id, 'live_streams', `${source.file ? 'Reading' : 'Fetching'} M3U playlist for ${source.name}`);
 
         // Temporary memory logging for verification
         const logMemory = () => {
@@ -511,10 +1118,19 @@ class SyncService {
         const allSyncedIds = new Set(); // Collect IDs across all batches
         let totalChannels = 0;
         let batchCount = 0;
+        let header = null;
+        // Channel count of the last sync, for progress while streaming
+        const expectedChannels = this.getSnapshot(source.id, 'live').size || null;
+
+        // File-backed sources are re-read from disk on every sync
+        const batches = source.file
+            ? m3uParser.parseStreaming(await sourceFiles.openStream(source.file))
+            : m3uParser.fetchAndParseStreaming(source.url, 500, { signal: this.getSignal(source.id) });
 
         // Stream and process in batches (default 500 channels per batch)
-        for await (const batch of m3uParser.fetchAndParseStreaming(source.url)) {
+        for await (const batch of batches) {
             batchCount++;
+            header = batch.header;
 
             // Map M3U channel format to our schema
             const playlistItems = batch.channels.map(ch => ({
@@ -524,13 +1140,23 @@ class SyncService {
                 stream_icon: ch.tvgLogo,
                 stream_url: ch.url,
                 tvgId: ch.tvgId || null,
+                tvgChno: ch.tvgChno || null,
+                httpHeaders: ch.httpHeaders || null,
+                tvgShift: ch.tvgShift || null,
+                catchup: ch.catchup || null,
+                catchupSource: ch.catchupSource || null,
+                catchupDays: ch.catchupDays || null,
+                // Xtream-style archive fields so M3U channels share the catch-up routes
+                tv_archive: ch.catchup ? 1 : 0,
+                tv_archive_duration: ch.catchup ? (parseInt(ch.catchupDays) || DEFAULT_CATCHUP_DAYS) : 0,
             }));
 
             // Save this batch immediately (skip purge - we'll do it at the end)
             if (playlistItems.length > 0) {
-                const batchIds = await this.saveStreams(source.id, 'live', playlistItems, { skipPurge: true });
+                const batchIds = await this.saveStreams(source.id, 'live', playlistItems, { skipPurge: true, reportProgress: false });
                 batchIds.forEach(id => allSyncedIds.add(id));
                 totalChannels += playlistItems.length;
+                this.updateProgress(source.id, totalChannels, expectedChannels && Math.max(expectedChannels, totalChannels));
             }
 
             // Collect groups for category creation at the end
@@ -552,6 +1178,7 @@ class SyncService {
         }
 
         // Save Categories (Groups) at the end
+        this.setPhase(source.id, 'live_categories', `Saving ${allGroups.size} groups for ${source.name}`);
         const categories = Array.from(allGroups).map(name => ({
             category_id: name,
             category_name: name,
@@ -559,16 +1186,233 @@ class SyncService {
         }));
 
         await this.saveCategories(source.id, 'live', categories);
+
+        if (header) {
+            await this.addPlaylistEpgSources(source, header.epgUrls);
+        }
         console.log(`[Sync] M3U sync complete for ${source.name}`);
     }
 
+    /**
+     * Create EPG sources for the playlist's url-tvg / x-tvg-url header
+     * Only URLs that are new since the last sync are added, so a deleted EPG source stays deleted
+     */
+    async addPlaylistEpgSources(source, epgUrls) {
+        const known = source.epgUrls || [];
+        const newUrls = epgUrls.filter(url => !known.includes(url));
+        if (newUrls.length === 0 && known.length === epgUrls.length) return;
+
+        await sources.update(source.id, { epgUrls });
+
+        const allSources = await sources.getAll();
+        for (const url of newUrls) {
+            if (allSources.some(s => s.type === 'epg' && s.url === url)) continue;
+
+            const suffix = epgUrls.length > 1 ? ` ${epgUrls.indexOf(url) + 1}` : '';
+            const epgSource = await sources.create({ type: 'epg', name: `${source.name} EPG${suffix}`, url });
+            console.log(`[Sync] Added EPG source "${epgSource.name}" from playlist header of ${source.name}`);
+
+            // Sync in the background (each source has its own sync lock)
+            this.syncSource(epgSource.id).catch(console.error);
+        }
+    }
+
+    /**
+     * Local Library Sync Logic
+     * Rescans the folder; files that are gone are purged with their type
+     */
+    async syncLocal(source) {
+        this.setPhase(source.id, 'scan', `Scanning library folder ${source.path} for ${source.name}`);
+        const library = await localLibrary.scan(source);
+
+        await this.saveCategories(source.id, 'movie', library.categories.movie);
+        await this.saveCategories(source.id, 'series', library.categories.series);
+
+        const db = getDb();
+        for (const [type, items] of [['movie', library.movies], ['series', library.series], ['episode', library.episodes]]) {
+            if (type !== 'episode') {
+                this.setPhase(source.id, type === 'movie' ? 'vod_streams' : 'series', `Saving ${items.length} ${type} items for ${source.name}`);
+            }
+            if (items.length > 0) {
+                await this.saveStreams(source.id, type, items);
+            } else {
+                // saveStreams skips empty lists, so nothing would be purged
+                const deleted = db.prepare('DELETE FROM playlist_items WHERE source_id = ? AND type = ?').run(source.id, type);
+                this.getRunChanges(source.id, type).removed += deleted.changes;
+            }
+        }
+
+        console.log(`[Sync] Library ${source.name}: ${library.movies.length} movies, ${library.series.length} series, ${library.episodes.length} episodes`);
+    }
+
+    /**
+     * Stalker Portal Sync Logic
+     * Items are stored in Xtream format; `cmd` is kept in data so stream URLs
+     * can be resolved with create_link at play time
+     * @param {Set|null} parts - Content types to sync ('live', 'vod'), null for all
+     */
+    async syncStalker(source, parts = null) {
+        const api = stalkerApi.createFromSource(source, { signal: this.getSignal(source.id) });
+
+        if (!parts || parts.has('live')) {
+            // 1. Live Genres
+            this.setPhase(source.id, 'live_categories', `Fetching Live Genres for ${source.name}`);
+            const genres = await api.getGenres();
+            await this.saveCategories(source.id, 'live', genres.map(g => ({
+                category_id: g.id,
+                category_name: g.title
+            })));
+
+            // 2. Live Channels
+            this.setPhase(source.id, 'live_streams', `Fetching Live Channels for ${source.name}`);
+            const channels = await api.getAllChannels();
+            await this.saveStreams(source.id, 'live', channels.map(ch => ({
+                stream_id: ch.id,
+                num: ch.number,
+                name: ch.name,
+                stream_icon: api.resolveUrl(ch.logo),
+                category_id: ch.tv_genre_id,
+                epg_channel_id: ch.xmltv_id || null,
+                tv_archive: 0,
+                cmd: ch.cmd
+            })));
+            console.log(`[Sync] Portal ${source.name}: ${channels.length} channels`);
+        }
+
+        if (!parts || parts.has('vod')) {
+            // 3. VOD Categories
+            // Category and item ids are prefixed - portals number channels, VOD and series separately
+            this.setPhase(source.id, 'vod_streams', `Fetching VOD Categories for ${source.name}`);
+            const vodCats = await api.getVodCategories();
+            await this.saveCategories(source.id, 'movie', vodCats.map(c => ({
+                category_id: `vod_${c.id}`,
+                category_name: c.title
+            })));
+
+            // 4. VOD (older portals list series in VOD with is_series set)
+            console.log(`[Sync] Fetching VOD for ${source.name}`);
+            const movies = [];
+            const series = [];
+            const seriesCats = [];
+            for (const [index, cat] of vodCats.entries()) {
+                const items = await api.getVodList(cat.id);
+                this.updateProgress(source.id, index + 1, vodCats.length);
+                const vodSeries = items.filter(item => String(item.is_series) === '1');
+                if (vodSeries.length > 0) {
+                    seriesCats.push({ category_id: `vodseries_${cat.id}`, category_name: cat.title });
+                    series.push(...vodSeries.map(item => this.mapStalkerSeries(api, item, `vodseries_${cat.id}`, 'vod')));
+                }
+
+                for (const item of items) {
+                    if (String(item.is_series) === '1') continue;
+                    movies.push({
+                        stream_id: `vod_${item.id}`,
+                        portal_id: item.id,
+                        name: item.name,
+                        stream_icon: api.resolveUrl(item.screenshot_uri),
+                        category_id: `vod_${cat.id}`,
+                        container_extension: 'mp4',
+                        rating: item.rating_imdb || null,
+                        year: item.year || null,
+                        plot: item.description || '',
+                        genre: item.genres_str || '',
+                        director: item.director || '',
+                        added: item.added ? Math.floor(new Date(item.added).getTime() / 1000) || null : null,
+                        cmd: item.cmd
+                    });
+                }
+            }
+            await this.saveStreams(source.id, 'movie', movies);
+
+            // 5. Series (not every portal has the series module)
+            this.setPhase(source.id, 'series', `Fetching Series for ${source.name}`);
+            try {
+                const cats = await api.getSeriesCategories();
+                for (const cat of cats) {
+                    const items = await api.getSeriesList(cat.id);
+                    seriesCats.push({ category_id: `series_${cat.id}`, category_name: cat.title });
+                    series.push(...items.map(item => this.mapStalkerSeries(api, item, `series_${cat.id}`, 'series')));
+                }
+            } catch (e) {
+                this.throwIfAborted(source.id);
+                console.warn(`[Sync] Series module not available on ${source.name}:`, e.message);
+            }
+            await this.saveCategories(source.id, 'series', seriesCats);
+            await this.saveStreams(source.id, 'series', series);
+            console.log(`[Sync] Portal ${source.name}: ${movies.length} movies, ${series.length} series`);
+        }
+    }
+
+    /**
+     * Map a Stalker series item to Xtream format
+     * @param {string} module - Portal module the seasons are listed in ('series' or 'vod')
+     */
+    mapStalkerSeries(api, item, categoryId, module) {
+        return {
+            series_id: `${module}_${item.id}`,
+            portal_id: item.id,
+            name: item.name,
+            cover: api.resolveUrl(item.screenshot_uri),
+            category_id: categoryId,
+            plot: item.description || '',
+            genre: item.genres_str || '',
+            releaseDate: item.year || null,
+            rating: item.rating_imdb || null,
+            module
+        };
+    }
+
     /**
      * EPG Source Sync Logic
      */
     async syncEpg(source) {
-        console.log(`[Sync] Fetching standalone EPG for ${source.name}`);
+        if (source.file) {
+            this.setPhase(source.id, 'epg', `Reading EPG file for ${source.name}`);
+            await this.syncEpgFromUrl(source.id, source.file, await sourceFiles.openStream(source.file));
+            return;
+        }
+
+        this.setPhase(source.id, 'epg', `Fetching standalone EPG for ${source.name}`);
         await this.syncEpgFromUrl(source.id, source.url);
     }
+
+    /**
+     * Watch the files of file-backed sources that have "re-sync on change" enabled
+     * Call again whenever sources change - watchers are added and removed to match
+     */
+    async refreshFileWatchers() {
+        const allSources = await sources.getAll();
+        const wanted = new Map(allSources
+            .filter(s => s.enabled && s.file && s.watchFile)
+            .map(s => [s.id, s.file]));
+
+        for (const [sourceId, watcher] of this._fileWatchers) {
+            if (wanted.get(sourceId) !== watcher.file) {
+                fs.unwatchFile(watcher.file, watcher.listener);
+                clearTimeout(watcher.timer);
+                this._fileWatchers.delete(sourceId);
+            }
+        }
+
+        for (const [sourceId, file] of wanted) {
+            if (this._fileWatchers.has(sourceId)) continue;
+
+            const watcher = { file, timer: null };
+            watcher.listener = (curr, prev) => {
+                if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+
+                clearTimeout(watcher.timer);
+                watcher.timer = setTimeout(() => {
+                    console.log(`[Sync] File changed for source ${sourceId}, re-syncing`);
+                    this.syncSource(sourceId).catch(console.error);
+                }, FILE_SETTLE_MS);
+            };
+
+            // Polling (not fs.watch) also works for network mounts and files replaced by editors
+            fs.watchFile(file, { interval: FILE_WATCH_INTERVAL_MS, persistent: false }, watcher.listener);
+            this._fileWatchers.set(sourceId, watcher);
+        }
+    }
 }
 
 module.exports = new SyncService();
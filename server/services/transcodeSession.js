@@ -18,6 +18,7 @@ const fs = require('fs').promises;
 const crypto = require('crypto');
 const EventEmitter = require('events');
 const hwDetect = require('./hwDetect');
+const streamHeaders = require('./streamHeaders');
 
 // Session storage
 const sessions = new Map();
@@ -68,6 +69,7 @@ class TranscodeSession extends EventEmitter {
         this.options = {
             ffmpegPath: options.ffmpegPath || 'ffmpeg',
             userAgent: options.userAgent || 'Mozilla/5.0',
+            headers: options.headers || null, // Per-channel headers from the playlist
             seekOffset: options.seekOffset || 0,
             hwEncoder: options.hwEncoder || 'software',
             maxResolution: options.maxResolution || '1080p',
@@ -76,6 +78,8 @@ class TranscodeSession extends EventEmitter {
             upscaleEnabled: options.upscaleEnabled || false,
             upscaleMethod: options.upscaleMethod || 'hardware', // 'hardware' or 'software'
             upscaleTarget: options.upscaleTarget || '1080p',
+            // Live buffer: keep a rolling window of N minutes instead of every segment
+            liveBufferMinutes: options.liveBufferMinutes || 0,
             ...options
         };
     }
@@ -184,7 +188,7 @@ class TranscodeSession extends EventEmitter {
         const args = [
             '-hide_banner',
             '-loglevel', 'warning',
-            '-user_agent', this.options.userAgent,
+            ...streamHeaders.ffmpegArgs(this.options.headers, this.options.userAgent),
         ];
 
         // Add hardware acceleration input options based on encoder (only if encoding)
@@ -272,9 +276,25 @@ class TranscodeSession extends EventEmitter {
         // HLS output options
         args.push(
             '-f', 'hls',
-            '-hls_time', String(SEGMENT_DURATION),
-            '-hls_list_size', '0', // Keep all segments in playlist
-            '-hls_flags', 'independent_segments+append_list',
+            '-hls_time', String(SEGMENT_DURATION)
+        );
+
+        if (this.options.liveBufferMinutes > 0) {
+            // Rolling window for live pause/rewind - old segments are deleted from disk
+            const listSize = Math.ceil(this.options.liveBufferMinutes * 60 / SEGMENT_DURATION);
+            console.log(`[TranscodeSession ${this.id}] Live buffer: ${this.options.liveBufferMinutes} min (${listSize} segments)`);
+            args.push(
+                '-hls_list_size', String(listSize),
+                '-hls_flags', 'independent_segments+delete_segments+program_date_time'
+            );
+        } else {
+            args.push(
+                '-hls_list_size', '0', // Keep all segments in playlist
+                '-hls_flags', 'independent_segments+append_list'
+            );
+        }
+
+        args.push(
             '-hls_segment_type', 'mpegts',
             '-hls_segment_filename', path.join(this.dir, 'seg%04d.ts'),
             this.playlistPath
@@ -3,12 +3,18 @@
  * Handles authentication and API calls to Xtream servers
  */
 
+const { withRetry, httpError } = require('./retry');
+
 class XtreamApi {
-    constructor(baseUrl, username, password) {
+    /**
+     * @param {object} options - { signal } to abort requests (e.g. a cancelled sync)
+     */
+    constructor(baseUrl, username, password, options = {}) {
         // Clean up base URL
         this.baseUrl = baseUrl.replace(/\/+$/, '');
         this.username = username;
         this.password = password;
+        this.signal = options.signal || null;
     }
 
     /**
@@ -30,15 +36,17 @@ class XtreamApi {
     }
 
     /**
-     * Make API request
+     * Make API request (transient failures are retried)
      */
     async request(action, params = {}) {
         const url = this.buildApiUrl(action, params);
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Xtream API error: ${response.status} ${response.statusText}`);
-        }
-        return response.json();
+        return withRetry(async () => {
+            const response = await fetch(url, { signal: this.signal });
+            if (!response.ok) {
+                throw httpError(`Xtream API error: ${response.status} ${response.statusText}`, response);
+            }
+            return response.json();
+        }, { signal: this.signal, label: `Xtream ${action || 'login'}` });
     }
 
     /**
@@ -135,6 +143,20 @@ class XtreamApi {
         return `${this.baseUrl}/${streamType}/${this.username}/${this.password}/${streamId}.${container}`;
     }
 
+    /**
+     * Build catch-up (timeshift) URL for a past programme
+     * Providers expect the start time in the server's local timezone
+     * @param {string|number} streamId - Live stream ID
+     * @param {Date|number} start - Programme start
+     * @param {number} duration - Duration in minutes
+     * @param {string} container - Output container (ts, m3u8)
+     * @param {string} timeZone - Provider timezone from server_info
+     */
+    buildTimeshiftUrl(streamId, start, duration, container = 'ts', timeZone = 'UTC') {
+        const startStr = formatTimeshiftStart(new Date(start), timeZone);
+        return `${this.baseUrl}/timeshift/${this.username}/${this.password}/${duration}/${startStr}/${streamId}.${container}`;
+    }
+
     /**
      * Get XMLTV EPG URL
      */
@@ -143,11 +165,31 @@ class XtreamApi {
     }
 }
 
+/**
+ * Format a date as YYYY-MM-DD:HH-MM in the given timezone (timeshift URL format)
+ */
+function formatTimeshiftStart(date, timeZone) {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(date);
+    } catch (err) {
+        // Unknown timezone from provider - fall back to UTC
+        return formatTimeshiftStart(date, 'UTC');
+    }
+    const get = (type) => parts.find(p => p.type === type).value;
+    return `${get('year')}-${get('month')}-${get('day')}:${get('hour')}-${get('minute')}`;
+}
+
 /**
  * Factory function to create API instance from source
+ * @param {object} options - { signal }
  */
-function createFromSource(source) {
-    return new XtreamApi(source.url, source.username, source.password);
+function createFromSource(source, options = {}) {
+    return new XtreamApi(source.url, source.username, source.password, options);
 }
 
 /**